@@ -0,0 +1,146 @@
+/**
+ * Mock OpenID Connect Provider (development only)
+ *
+ * A tiny identity provider to try single sign-on without a Google or GitHub
+ * app. It signs in whoever is typed into its form — never run it in production.
+ *
+ *   npm run mock-oidc
+ *
+ * and start the backend with:
+ *
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=stdcollab
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_NAME=Mock SSO
+ *
+ * Endpoints: discovery, /authorize (a form), /token (checks PKCE),
+ * /jwks (RS256 key made at startup) and /userinfo.
+ */
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'stdcollab';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// code → { clientId, redirectUri, codeChallenge, nonce, profile }; access token → profile
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// The subject stays the same for the same email, like a real account id
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form; the query parameters ride along as hidden fields
+app.get('/authorize', (req, res) => {
+    if (req.query.client_id !== CLIENT_ID || req.query.response_type !== 'code') {
+        return res.status(400).send('Unknown client or unsupported response_type');
+    }
+
+    const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+        .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('');
+
+    res.send(`<!doctype html>
+<title>Mock SSO</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:80px auto;display:grid;gap:8px">
+    <h2>Mock SSO sign-in</h2>
+    ${hidden}
+    <input name="name" placeholder="Name" value="Test User" required>
+    <input name="email" type="email" placeholder="Email" value="test@example.com" required>
+    <label><input type="checkbox" name="email_verified" checked> Email verified</label>
+    <button name="decision" value="allow">Sign in</button>
+    <button name="decision" value="deny" formnovalidate>Cancel</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    redirect.searchParams.set('state', req.body.state || '');
+
+    if (req.body.decision === 'deny') {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        redirectUri: req.body.redirect_uri,
+        codeChallenge: req.body.code_challenge,
+        nonce: req.body.nonce,
+        profile: {
+            sub: subjectFor(req.body.email),
+            name: req.body.name,
+            email: req.body.email,
+            email_verified: req.body.email_verified === 'on',
+        },
+    });
+    setTimeout(() => codes.delete(code), 60 * 1000);
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const { code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code); // Codes work once
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, grant.profile);
+
+    const idToken = jwt.sign({ ...grant.profile, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m',
+    });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const profile = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+    if (!profile) return res.status(401).json({ error: 'invalid_token' });
+    res.json(profile);
+});
+
+app.listen(PORT, () => {
+    console.log(`🔑 Mock OIDC provider at ${ISSUER} (client id "${CLIENT_ID}")`);
+});
@@ -5,6 +5,8 @@ import routes from './routes/index.js';
 import authRoutes from './routes/authRoutes.js';
 import roomRoutes from './routes/roomRoutes.js';
 import fileRoutes from './routes/fileRoutes.js';
+import rtcRoutes from './routes/rtcRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 
 // Load environment variables
@@ -24,6 +26,14 @@ dotenv.config();
  */
 const app = express();
 
+// ─── Proxy ───
+// Behind a reverse proxy, trust it so req.ip (shown in the sessions list)
+// is the client's address, e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // ─── CORS Configuration ───
 app.use(cors({
     origin: process.env.CLIENT_URL || 'http://localhost:5173',
@@ -39,6 +49,8 @@ app.use('/api', routes);
 app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/rtc', rtcRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // ─── Error Handling ───
 app.use(notFound);
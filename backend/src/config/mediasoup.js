@@ -0,0 +1,137 @@
+import os from 'os';
+import * as mediasoup from 'mediasoup';
+
+/**
+ * mediasoup (SFU) Configuration
+ *
+ * Rooms start in mesh mode (every browser connects to every other one).
+ * Above SFU_PARTICIPANT_THRESHOLD participants a room switches to SFU mode:
+ * each browser sends its media once to a mediasoup router here, and the
+ * router forwards it to everyone else.
+ *
+ * Environment variables:
+ * - SFU_ENABLED: 'true' to allow SFU mode at all (default off)
+ * - SFU_PARTICIPANT_THRESHOLD: switch to SFU above this many sockets (default 6)
+ * - MEDIASOUP_WORKERS: number of media worker processes (default: CPU count)
+ * - MEDIASOUP_LISTEN_IP: local IP to bind RTP on (default 0.0.0.0)
+ * - MEDIASOUP_ANNOUNCED_ADDRESS: public IP/hostname given to browsers (needed behind NAT)
+ * - MEDIASOUP_MIN_PORT / MEDIASOUP_MAX_PORT: UDP/TCP port range for RTP (default 40000–40999)
+ */
+
+const workers = [];
+let nextWorkerIndex = 0;
+
+/**
+ * Codecs every SFU router supports (browsers negotiate a subset)
+ */
+const mediaCodecs = [
+    {
+        kind: 'audio',
+        mimeType: 'audio/opus',
+        clockRate: 48000,
+        channels: 2,
+    },
+    {
+        kind: 'video',
+        mimeType: 'video/VP8',
+        clockRate: 90000,
+        parameters: {
+            'x-google-start-bitrate': 1000,
+        },
+    },
+    {
+        kind: 'video',
+        mimeType: 'video/H264',
+        clockRate: 90000,
+        parameters: {
+            'packetization-mode': 1,
+            'profile-level-id': '42e01f',
+            'level-asymmetry-allowed': 1,
+        },
+    },
+];
+
+/**
+ * Options for each browser's send/receive WebRTC transport
+ */
+const getWebRtcTransportOptions = () => {
+    const portRange = {
+        min: Number(process.env.MEDIASOUP_MIN_PORT) || 40000,
+        max: Number(process.env.MEDIASOUP_MAX_PORT) || 40999,
+    };
+    const listenInfo = {
+        ip: process.env.MEDIASOUP_LISTEN_IP || '0.0.0.0',
+        announcedAddress: process.env.MEDIASOUP_ANNOUNCED_ADDRESS || undefined,
+        portRange,
+    };
+
+    return {
+        listenInfos: [
+            { ...listenInfo, protocol: 'udp' },
+            { ...listenInfo, protocol: 'tcp' },
+        ],
+        enableUdp: true,
+        enableTcp: true,
+        preferUdp: true,
+        initialAvailableOutgoingBitrate: 1000000,
+    };
+};
+
+/**
+ * Whether SFU mode is enabled and at least one worker is running
+ */
+const isSfuAvailable = () => {
+    return process.env.SFU_ENABLED === 'true' && workers.length > 0;
+};
+
+/**
+ * Participant count above which a room switches from mesh to SFU
+ */
+const getSfuThreshold = () => {
+    return Number(process.env.SFU_PARTICIPANT_THRESHOLD) || 6;
+};
+
+/**
+ * Start mediasoup workers.
+ * Call once at startup. Failures are logged and leave rooms in mesh mode.
+ */
+const initMediasoup = async () => {
+    if (process.env.SFU_ENABLED !== 'true') return;
+
+    const count = Number(process.env.MEDIASOUP_WORKERS) || os.cpus().length;
+
+    try {
+        for (let i = 0; i < count; i++) {
+            const worker = await mediasoup.createWorker({ logLevel: 'warn' });
+
+            worker.on('died', () => {
+                console.error(`❌ mediasoup worker ${worker.pid} died`);
+                workers.splice(workers.indexOf(worker), 1);
+            });
+
+            workers.push(worker);
+        }
+        console.log(`✅ mediasoup started with ${workers.length} worker(s)`);
+    } catch (error) {
+        console.error(`❌ mediasoup failed to start, SFU mode disabled: ${error.message}`);
+    }
+};
+
+/**
+ * Pick a worker for a new router (round robin)
+ */
+const getMediasoupWorker = () => {
+    if (workers.length === 0) return null;
+    const worker = workers[nextWorkerIndex % workers.length];
+    nextWorkerIndex += 1;
+    return worker;
+};
+
+export {
+    initMediasoup,
+    getMediasoupWorker,
+    isSfuAvailable,
+    getSfuThreshold,
+    mediaCodecs,
+    getWebRtcTransportOptions,
+};
@@ -1,5 +1,55 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import generateToken from '../utils/generateToken.js';
+import Room from '../models/Room.js';
+import Session from '../models/Session.js';
+import generateToken, { generateGuestToken, GUEST_SESSION_HOURS } from '../utils/generateToken.js';
+import { verifyInvite, isInviteUsable } from '../utils/roomInvites.js';
+import {
+    createSession,
+    rotateSession,
+    readRefreshToken,
+    clearRefreshCookie,
+    disconnectSessions,
+} from '../utils/sessions.js';
+import {
+    VERIFY_EMAIL_HOURS,
+    RESET_PASSWORD_MINUTES,
+    newAccountToken,
+    hashAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+} from '../utils/accountEmails.js';
+
+// Another verification email only after this long, so the button cannot spam
+const RESEND_VERIFICATION_SECONDS = 60;
+
+/**
+ * Start email verification: store a new link token and email the link.
+ * A failed email is logged, not thrown — the user can ask for another one.
+ */
+const startEmailVerification = async (user) => {
+    const { token, tokenHash } = newAccountToken();
+    user.emailVerifyTokenHash = tokenHash;
+    user.emailVerifyExpiresAt = new Date(Date.now() + VERIFY_EMAIL_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    try {
+        await sendVerificationEmail(user, token);
+    } catch (error) {
+        console.error(`❌ Failed to send verification email to ${user.email}:`, error.message);
+    }
+};
+
+/**
+ * Start a password reset: store a new link token and email the link
+ */
+const startPasswordReset = async (user) => {
+    const { token, tokenHash } = newAccountToken();
+    user.passwordResetTokenHash = tokenHash;
+    user.passwordResetExpiresAt = new Date(Date.now() + RESET_PASSWORD_MINUTES * 60 * 1000);
+    await user.save();
+    await sendPasswordResetEmail(user, token);
+};
 
 /**
  * @desc    Register a new user
@@ -24,10 +74,12 @@ export const register = async (req, res, next) => {
         }
 
         // Create user (password is hashed in pre-save hook)
-        const user = await User.create({ name, email, password });
+        const user = await User.create({ name, email, password, isEmailVerified: false });
+        await startEmailVerification(user);
 
-        // Generate JWT and send response
-        const token = generateToken(user._id);
+        // Start a session (refresh token cookie) and send its access token
+        const session = await createSession(req, res, user);
+        const token = generateToken(user._id, session._id);
 
         res.status(201).json({
             success: true,
@@ -35,6 +87,7 @@ export const register = async (req, res, next) => {
                 _id: user._id,
                 name: user.name,
                 email: user.email,
+                isEmailVerified: user.isEmailVerified !== false,
                 token,
             },
         });
@@ -59,8 +112,9 @@ export const login = async (req, res, next) => {
         }
 
         // Find user and include password field (excluded by default)
+        // (accounts that only use single sign-on have no password)
         const user = await User.findOne({ email }).select('+password');
-        if (!user) {
+        if (!user?.password) {
             res.status(401);
             throw new Error('Invalid email or password');
         }
@@ -72,8 +126,189 @@ export const login = async (req, res, next) => {
             throw new Error('Invalid email or password');
         }
 
-        // Generate JWT and send response
-        const token = generateToken(user._id);
+        // Start a session (refresh token cookie) and send its access token
+        const session = await createSession(req, res, user);
+        const token = generateToken(user._id, session._id);
+
+        res.json({
+            success: true,
+            data: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                isEmailVerified: user.isEmailVerified !== false,
+                token,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Verify the email address with the token from the emailed link
+ * @route   POST /api/auth/verify-email  { token }
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        const user = typeof token === 'string' && await User.findOneAndUpdate(
+            { emailVerifyTokenHash: hashAccountToken(token), emailVerifyExpiresAt: { $gt: new Date() } },
+            {
+                isEmailVerified: true,
+                $unset: { emailVerifyTokenHash: 1, emailVerifyExpiresAt: 1 },
+            },
+            { new: true }
+        );
+        if (!user) {
+            res.status(400);
+            throw new Error('This verification link is invalid or has expired');
+        }
+
+        res.json({
+            success: true,
+            data: { email: user.email, isEmailVerified: true },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Email a new verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+emailVerifyExpiresAt');
+
+        if (user.isEmailVerified !== false) {
+            res.status(400);
+            throw new Error('Your email address is already verified');
+        }
+
+        const sentAt = user.emailVerifyExpiresAt
+            && user.emailVerifyExpiresAt.getTime() - VERIFY_EMAIL_HOURS * 60 * 60 * 1000;
+        if (sentAt && Date.now() - sentAt < RESEND_VERIFICATION_SECONDS * 1000) {
+            res.status(429);
+            throw new Error('A verification email was just sent — please check your inbox');
+        }
+
+        await startEmailVerification(user);
+
+        res.json({
+            success: true,
+            data: { email: user.email },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password  { email }
+ * @access  Public
+ *
+ * Always answers the same way, so it cannot tell who has an account.
+ */
+export const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            res.status(400);
+            throw new Error('Please provide your email address');
+        }
+
+        const user = await User.findOne({ email: email.trim().toLowerCase(), isGuest: { $ne: true } });
+        if (user) {
+            // Not awaited: waiting for the mail server only when the account
+            // exists would give it away in the response time
+            startPasswordReset(user).catch((error) => {
+                console.error(`❌ Failed to send password reset email to ${user.email}:`, error.message);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account uses that address, a reset link is on its way',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Set a new password with the token from the emailed link
+ * @route   POST /api/auth/reset-password  { token, password }
+ * @access  Public
+ *
+ * Signs out every session, since the old password may be known to someone else.
+ */
+export const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        if (typeof password !== 'string' || password.length < 6) {
+            res.status(400);
+            throw new Error('Password must be at least 6 characters');
+        }
+
+        // Use up the link first, so two requests cannot both use it
+        const user = typeof token === 'string' && await User.findOneAndUpdate(
+            { passwordResetTokenHash: hashAccountToken(token), passwordResetExpiresAt: { $gt: new Date() } },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+            { new: true }
+        );
+        if (!user) {
+            res.status(400);
+            throw new Error('This reset link is invalid or has expired');
+        }
+
+        // The link was emailed, so it also proves the address is theirs
+        user.password = password; // Hashed in the pre-save hook
+        user.isEmailVerified = true;
+        user.emailVerifyTokenHash = undefined;
+        user.emailVerifyExpiresAt = undefined;
+        await user.save();
+
+        const sessions = await Session.find({ user: user._id }).select('_id');
+        await Session.deleteMany({ user: user._id });
+        disconnectSessions(req.app.get('io'), sessions.map((session) => session._id.toString()));
+
+        res.json({
+            success: true,
+            data: { email: user.email },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a new access token (and refresh token) for the session in the cookie
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token cookie)
+ */
+export const refresh = async (req, res, next) => {
+    try {
+        const { session, reused, revokedSessionId } = await rotateSession(req, res);
+
+        if (reused) {
+            console.warn(`🚨 Refresh token reused — revoked session ${revokedSessionId}`);
+            disconnectSessions(req.app.get('io'), [revokedSessionId]);
+        }
+
+        const user = session && await User.findById(session.user);
+        if (!user) {
+            clearRefreshCookie(res);
+            res.status(401);
+            throw new Error('Session ended — please sign in again');
+        }
 
         res.json({
             success: true,
@@ -81,6 +316,164 @@ export const login = async (req, res, next) => {
                 _id: user._id,
                 name: user.name,
                 email: user.email,
+                isEmailVerified: user.isEmailVerified !== false,
+                token: generateToken(user._id, session._id),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Sign out: revoke the session in the cookie
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token cookie)
+ */
+export const logout = async (req, res, next) => {
+    try {
+        const presented = readRefreshToken(req);
+
+        if (presented) {
+            // Only with its refresh token — a session ID alone signs nothing out
+            const { deletedCount } = await Session.deleteOne({
+                _id: presented.sessionId,
+                $or: [{ tokenHash: presented.secretHash }, { previousTokenHash: presented.secretHash }],
+            });
+            if (deletedCount) {
+                disconnectSessions(req.app.get('io'), [presented.sessionId]);
+            }
+        }
+
+        clearRefreshCookie(res);
+        res.json({ success: true, data: {} });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List the user's signed-in devices
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+            .sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            data: sessions.map((session) => ({
+                sessionId: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                isCurrent: session._id.toString() === req.sessionId,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Sign out one device
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeSession = async (req, res, next) => {
+    try {
+        const { sessionId } = req.params;
+
+        const { deletedCount } = mongoose.isValidObjectId(sessionId)
+            ? await Session.deleteOne({ _id: sessionId, user: req.user._id })
+            : { deletedCount: 0 };
+        if (!deletedCount) {
+            res.status(404);
+            throw new Error('Session not found');
+        }
+
+        disconnectSessions(req.app.get('io'), [sessionId]);
+        if (sessionId === req.sessionId) {
+            clearRefreshCookie(res);
+        }
+
+        res.json({
+            success: true,
+            data: { sessionId },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Sign out every other device
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const others = await Session.find({ user: req.user._id, _id: { $ne: req.sessionId } }).select('_id');
+        const sessionIds = others.map((session) => session._id.toString());
+
+        await Session.deleteMany({ _id: { $in: sessionIds } });
+        disconnectSessions(req.app.get('io'), sessionIds);
+
+        res.json({
+            success: true,
+            data: { revoked: sessionIds.length },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Join as a guest from an invite link (no account)
+ * @route   POST /api/auth/guest  { name, invite }
+ * @access  Public
+ *
+ * The guest's token only works for the invited room and expires after
+ * GUEST_SESSION_HOURS. The invite itself is used by POST /api/rooms/join/:roomId.
+ */
+export const joinAsGuest = async (req, res, next) => {
+    try {
+        const { name, invite } = req.body;
+
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (trimmedName.length < 2 || trimmedName.length > 50) {
+            res.status(400);
+            throw new Error('Please enter a name of 2 to 50 characters');
+        }
+
+        const payload = verifyInvite(invite);
+        const room = payload && await Room.findOne({ roomId: payload.roomId }).select('roomId isArchived invites');
+        const roomInvite = room?.invites.find((i) => i.inviteId === payload.inviteId);
+        if (!roomInvite || !isInviteUsable(roomInvite) || room.isArchived) {
+            res.status(403);
+            throw new Error('This invite link is no longer valid');
+        }
+
+        const user = await User.create({
+            name: trimmedName,
+            isGuest: true,
+            guestRoomId: room.roomId,
+            guestExpiresAt: new Date(Date.now() + GUEST_SESSION_HOURS * 60 * 60 * 1000),
+        });
+
+        const token = generateGuestToken(user._id, room.roomId);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                _id: user._id,
+                name: user.name,
+                isGuest: true,
+                guestRoomId: user.guestRoomId,
                 token,
             },
         });
@@ -110,6 +503,9 @@ export const getMe = async (req, res, next) => {
                 _id: user._id,
                 name: user.name,
                 email: user.email,
+                isEmailVerified: user.isEmailVerified !== false,
+                isGuest: user.isGuest,
+                guestRoomId: user.guestRoomId,
             },
         });
     } catch (error) {
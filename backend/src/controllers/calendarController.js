@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import Room from '../models/Room.js';
+import User from '../models/User.js';
+import { getUserRole } from '../utils/roomRoles.js';
+import { buildCalendar } from '../utils/calendar.js';
+
+const CALENDAR_FIELDS = 'roomId title description schedule updatedAt';
+
+const newCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Address of a user's calendar feed (calendar apps fetch it without logging in)
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+const sendCalendar = (res, calendar, filename) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(calendar);
+};
+
+/**
+ * @desc    Get the address of the user's calendar feed (created on first use)
+ * @route   GET /api/calendar/feed
+ * @access  Private
+ */
+export const getCalendarFeed = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarToken');
+        if (!user.calendarToken) {
+            user.calendarToken = newCalendarToken();
+            await user.save();
+        }
+
+        res.json({
+            success: true,
+            data: { url: feedUrl(req, user.calendarToken) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Replace the calendar feed address (the old one stops working)
+ * @route   POST /api/calendar/feed/reset
+ * @access  Private
+ */
+export const resetCalendarFeed = async (req, res, next) => {
+    try {
+        const calendarToken = newCalendarToken();
+        await User.updateOne({ _id: req.user._id }, { calendarToken });
+
+        res.json({
+            success: true,
+            data: { url: feedUrl(req, calendarToken) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Calendar feed: every scheduled room the user is in
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (the token in the address is the secret)
+ */
+export const getFeedCalendar = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ calendarToken: req.params.token });
+        if (!user) {
+            res.status(404);
+            throw new Error('Calendar not found');
+        }
+
+        const rooms = await Room.find({
+            participants: user._id,
+            isArchived: { $ne: true },
+            'schedule.startsAt': { $ne: null },
+        }).select(CALENDAR_FIELDS);
+
+        sendCalendar(res, buildCalendar(rooms, 'STDcollab sessions'));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Download one scheduled room as a calendar invite
+ * @route   GET /api/calendar/rooms/:roomId.ics
+ * @access  Private (room members)
+ */
+export const getRoomCalendar = async (req, res, next) => {
+    try {
+        const room = await Room.findOne({ roomId: req.params.roomId })
+            .select(`${CALENDAR_FIELDS} participants roles createdBy`);
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+        if (!getUserRole(room, req.user._id)) {
+            res.status(403);
+            throw new Error('Not a member of this room');
+        }
+        if (!room.schedule?.startsAt) {
+            res.status(400);
+            throw new Error('This room has no schedule');
+        }
+
+        sendCalendar(res, buildCalendar([room], room.title || 'STDcollab'), `${room.roomId}.ics`);
+    } catch (error) {
+        next(error);
+    }
+};
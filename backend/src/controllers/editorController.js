@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import EditorVersion from '../models/EditorVersion.js';
+import { getGridFSBucket } from '../config/gridfs.js';
+import { getUserRole, canContribute } from '../utils/roomRoles.js';
+import { isEditorDocument, exportFile } from '../utils/editorDoc.js';
+import { saveEditorVersion, loadEditorText } from '../sockets/editorStore.js';
+
+// Versions listed at most (newest first)
+const MAX_VERSIONS = 50;
+
+/**
+ * The room, if the user may see it (sets the status and throws otherwise)
+ */
+const findMemberRoom = async (req, res) => {
+    const room = await Room.findOne({ roomId: req.params.roomId }).select('createdBy participants roles');
+    if (!room) {
+        res.status(404);
+        throw new Error('Room not found');
+    }
+
+    const role = getUserRole(room, req.user._id);
+    if (!role) {
+        res.status(403);
+        throw new Error('Not a participant of this room');
+    }
+    return { room, role };
+};
+
+/**
+ * The document named in the request ('notes' or 'code')
+ */
+const requireDocument = (res, name) => {
+    if (!isEditorDocument(name)) {
+        res.status(400);
+        throw new Error('Document must be "notes" or "code"');
+    }
+    return name;
+};
+
+const toVersionSummary = (version) => ({
+    _id: version._id,
+    document: version.document,
+    language: version.language,
+    length: version.text.length,
+    savedBy: version.savedBy ? { _id: version.savedBy._id, name: version.savedBy.name } : null,
+    createdAt: version.createdAt,
+});
+
+/**
+ * @desc    List saved versions of a room's notes or code (newest first)
+ * @route   GET /api/rooms/:roomId/editor/versions?document=notes|code
+ * @access  Private (room members only)
+ */
+export const getEditorVersions = async (req, res, next) => {
+    try {
+        const document = requireDocument(res, req.query.document);
+        await findMemberRoom(req, res);
+
+        const versions = await EditorVersion.find({ roomId: req.params.roomId, document })
+            .sort({ _id: -1 })
+            .limit(MAX_VERSIONS)
+            .populate('savedBy', 'name');
+
+        res.json({
+            success: true,
+            data: versions.map(toVersionSummary),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get one saved version, with its text
+ * @route   GET /api/rooms/:roomId/editor/versions/:versionId
+ * @access  Private (room members only)
+ */
+export const getEditorVersion = async (req, res, next) => {
+    try {
+        const { roomId, versionId } = req.params;
+        await findMemberRoom(req, res);
+
+        const version = mongoose.Types.ObjectId.isValid(versionId)
+            ? await EditorVersion.findOne({ _id: versionId, roomId }).populate('savedBy', 'name')
+            : null;
+        if (!version) {
+            res.status(404);
+            throw new Error('Version not found');
+        }
+
+        res.json({
+            success: true,
+            data: { ...toVersionSummary(version), text: version.text },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Save the current notes or code as a version
+ * @route   POST /api/rooms/:roomId/editor/versions  { document }
+ * @access  Private (participants and above)
+ */
+export const createEditorVersion = async (req, res, next) => {
+    try {
+        const document = requireDocument(res, req.body.document);
+        const { role } = await findMemberRoom(req, res);
+
+        if (!canContribute(role)) {
+            res.status(403);
+            throw new Error('Viewers cannot save versions');
+        }
+
+        const version = await saveEditorVersion(req.params.roomId, document, req.user._id);
+        await version.populate('savedBy', 'name');
+
+        res.status(201).json({
+            success: true,
+            data: toVersionSummary(version),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Export the notes (.md) or code (source file of its language)
+ *          as a file of the room, in GridFS
+ * @route   POST /api/rooms/:roomId/editor/export  { document, title? }
+ * @access  Private (participants and above)
+ */
+export const exportEditorDocument = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+        const document = requireDocument(res, req.body.document);
+        const bucket = getGridFSBucket();
+
+        if (!bucket) {
+            res.status(500);
+            throw new Error('GridFS not initialized');
+        }
+
+        const { role } = await findMemberRoom(req, res);
+        if (!canContribute(role)) {
+            res.status(403);
+            throw new Error('Not allowed to upload files in this room');
+        }
+
+        const { text, language } = await loadEditorText(roomId, document);
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+        const { filename, contentType } = exportFile(document, language, title);
+
+        const fileId = await new Promise((resolve, reject) => {
+            const uploadStream = bucket.openUploadStream(filename, {
+                contentType,
+                metadata: { roomId, uploadedBy: req.user._id },
+            });
+            uploadStream.on('finish', () => resolve(uploadStream.id));
+            uploadStream.on('error', reject);
+            uploadStream.end(Buffer.from(text, 'utf8'));
+        });
+
+        const file = {
+            filename,
+            fileId,
+            uploadedBy: req.user._id,
+            uploadedAt: new Date(),
+        };
+        await Room.updateOne({ roomId }, { $push: { files: file } });
+
+        // Shows up in everyone's file panel
+        req.app.get('io')?.to(roomId).emit('file-uploaded', file);
+
+        console.log(`📄 Exported the ${document} of room ${roomId} as ${filename}`);
+
+        res.status(201).json({
+            success: true,
+            data: file,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -2,6 +2,7 @@ import { Readable } from 'stream';
 import mongoose from 'mongoose';
 import Room from '../models/Room.js';
 import { getGridFSBucket } from '../config/gridfs.js';
+import { getUserRole, canContribute } from '../utils/roomRoles.js';
 
 /**
  * @desc    Upload a file to GridFS and associate with a room
@@ -29,6 +30,12 @@ export const uploadFile = async (req, res, next) => {
             throw new Error('Room not found');
         }
 
+        // Viewers can download but not share files
+        if (!canContribute(getUserRole(room, req.user._id))) {
+            res.status(403);
+            throw new Error('Not allowed to upload files in this room');
+        }
+
         // Upload file buffer to GridFS
         const readableStream = new Readable();
         readableStream.push(req.file.buffer);
@@ -71,6 +78,20 @@ export const uploadFile = async (req, res, next) => {
     }
 };
 
+/**
+ * Guests only get at the files of the room they were invited to
+ */
+const assertGuestCanRead = (req, res, file) => {
+    if (req.user.isGuest && file.metadata?.roomId !== req.user.guestRoomId) {
+        res.status(404);
+        throw new Error('File not found');
+    }
+};
+
+const isRoomParticipant = (room, user) => room.participants.some(
+    (p) => p.toString() === user._id.toString()
+);
+
 /**
  * @desc    Download a file from GridFS
  * @route   GET /api/files/download/:fileId
@@ -95,6 +116,7 @@ export const downloadFile = async (req, res, next) => {
         }
 
         const file = files[0];
+        assertGuestCanRead(req, res, file);
 
         // Set response headers
         res.set('Content-Type', file.contentType || 'application/octet-stream');
@@ -140,3 +162,118 @@ export const getFilesByRoom = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @desc    Stream a file from GridFS inline, with HTTP Range support
+ *          (lets the browser's video player seek in recordings)
+ * @route   GET /api/files/stream/:fileId
+ * @access  Private (participants of the file's room)
+ */
+export const streamFile = async (req, res, next) => {
+    try {
+        const { fileId } = req.params;
+        const bucket = getGridFSBucket();
+
+        if (!bucket) {
+            res.status(500);
+            throw new Error('GridFS not initialized');
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(fileId)) {
+            res.status(400);
+            throw new Error('Invalid file ID');
+        }
+
+        const id = new mongoose.Types.ObjectId(fileId);
+        const [file] = await bucket.find({ _id: id }).toArray();
+
+        if (!file) {
+            res.status(404);
+            throw new Error('File not found');
+        }
+        assertGuestCanRead(req, res, file);
+
+        // Recordings are only for the room's participants (as in getRecordingsByRoom)
+        const room = await Room.findOne({ roomId: file.metadata?.roomId }).select('participants');
+        if (!room || !isRoomParticipant(room, req.user)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        res.set('Content-Type', file.contentType || 'application/octet-stream');
+        res.set('Accept-Ranges', 'bytes');
+
+        // Range: bytes=<start>-<end> (end optional)
+        let start = 0;
+        let end = file.length - 1;
+        const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+
+        if (req.headers.range) {
+            if (!range || (!range[1] && !range[2])) {
+                res.status(416).set('Content-Range', `bytes */${file.length}`).end();
+                return;
+            }
+
+            if (range[1]) {
+                start = Number(range[1]);
+                end = range[2] ? Math.min(Number(range[2]), file.length - 1) : file.length - 1;
+            } else {
+                // Suffix range: the last N bytes
+                start = Math.max(file.length - Number(range[2]), 0);
+            }
+
+            if (start > end) {
+                res.status(416).set('Content-Range', `bytes */${file.length}`).end();
+                return;
+            }
+
+            res.status(206);
+            res.set('Content-Range', `bytes ${start}-${end}/${file.length}`);
+        }
+
+        res.set('Content-Length', end - start + 1);
+
+        // GridFS `end` is exclusive
+        const downloadStream = bucket.openDownloadStream(id, { start, end: end + 1 });
+        downloadStream.pipe(res);
+
+        downloadStream.on('error', (error) => {
+            next(error);
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all recordings for a room
+ * @route   GET /api/files/recordings/:roomId
+ * @access  Private (room participants only)
+ */
+export const getRecordingsByRoom = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+
+        const room = await Room.findOne({ roomId })
+            .select('participants recordings')
+            .populate('recordings.recordedBy', 'name');
+
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        if (!isRoomParticipant(room, req.user)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        res.json({
+            success: true,
+            data: room.recordings,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,139 @@
+import Room from '../models/Room.js';
+import { getUserRole, canModerate, canAssignRole } from '../utils/roomRoles.js';
+import {
+    INVITE_ROLES,
+    DEFAULT_INVITE_HOURS,
+    MAX_INVITE_HOURS,
+    MAX_INVITE_USES,
+    newInviteId,
+    signInvite,
+    inviteUrl,
+    isInviteUsable,
+} from '../utils/roomInvites.js';
+
+/**
+ * Load a room the user moderates → { room, role }
+ */
+const findModeratedRoom = async (req, res) => {
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    if (!room) {
+        res.status(404);
+        throw new Error('Room not found');
+    }
+
+    const role = getUserRole(room, req.user._id);
+    if (!canModerate(role)) {
+        res.status(403);
+        throw new Error('Only the owner and moderators can manage invites');
+    }
+    return { room, role };
+};
+
+/**
+ * An invite as listed to moderators, with its link
+ */
+const toInviteSummary = (roomId, invite) => ({
+    inviteId: invite.inviteId,
+    role: invite.role,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    createdAt: invite.createdAt,
+    url: inviteUrl(roomId, signInvite(roomId, invite)),
+});
+
+/**
+ * @desc    Create an invite link
+ * @route   POST /api/rooms/:roomId/invites  { expiresInHours?, maxUses?, role? }
+ * @access  Private (owner and moderators)
+ */
+export const createInvite = async (req, res, next) => {
+    try {
+        const { room, role } = await findModeratedRoom(req, res);
+        const { expiresInHours = DEFAULT_INVITE_HOURS, maxUses = null, role: inviteRole = 'participant' } = req.body || {};
+
+        if (!Number.isFinite(expiresInHours) || expiresInHours <= 0 || expiresInHours > MAX_INVITE_HOURS) {
+            res.status(400);
+            throw new Error(`An invite expires within ${MAX_INVITE_HOURS} hours`);
+        }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+            res.status(400);
+            throw new Error(`An invite can be used 1 to ${MAX_INVITE_USES} times`);
+        }
+        if (!INVITE_ROLES.includes(inviteRole) || !canAssignRole(role, inviteRole)) {
+            res.status(400);
+            throw new Error('Invites let people in as participants or viewers');
+        }
+
+        const invite = {
+            inviteId: newInviteId(),
+            createdBy: req.user._id,
+            role: inviteRole,
+            expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+            maxUses,
+            uses: 0,
+            createdAt: new Date(),
+        };
+
+        // Drop invites nobody can use any more while we are at it
+        await Room.updateOne(
+            { _id: room._id },
+            { $pull: { invites: { expiresAt: { $lte: new Date() } } } }
+        );
+        await Room.updateOne({ _id: room._id }, { $push: { invites: invite } });
+
+        res.status(201).json({
+            success: true,
+            data: toInviteSummary(room.roomId, invite),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    List the invite links that can still be used
+ * @route   GET /api/rooms/:roomId/invites
+ * @access  Private (owner and moderators)
+ */
+export const getInvites = async (req, res, next) => {
+    try {
+        const { room } = await findModeratedRoom(req, res);
+
+        res.json({
+            success: true,
+            data: room.invites
+                .filter((invite) => isInviteUsable(invite))
+                .map((invite) => toInviteSummary(room.roomId, invite)),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke an invite link
+ * @route   DELETE /api/rooms/:roomId/invites/:inviteId
+ * @access  Private (owner and moderators)
+ */
+export const revokeInvite = async (req, res, next) => {
+    try {
+        const { room } = await findModeratedRoom(req, res);
+
+        const { modifiedCount } = await Room.updateOne(
+            { _id: room._id },
+            { $pull: { invites: { inviteId: req.params.inviteId } } }
+        );
+        if (!modifiedCount) {
+            res.status(404);
+            throw new Error('Invite not found');
+        }
+
+        res.json({
+            success: true,
+            data: { inviteId: req.params.inviteId },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
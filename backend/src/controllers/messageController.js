@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @desc    Get chat history for a room (newest page first)
+ * @route   GET /api/rooms/:roomId/messages?before=<messageId>&limit=<n>
+ * @access  Private (room participants only)
+ */
+export const getMessages = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+        const { before } = req.query;
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        const room = await Room.findOne({ roomId }).select('participants readMarkers');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        const isParticipant = room.participants.some(
+            (p) => p.toString() === req.user._id.toString()
+        );
+        if (!isParticipant) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        const query = { roomId };
+        if (before) {
+            if (!mongoose.Types.ObjectId.isValid(before)) {
+                res.status(400);
+                throw new Error('Invalid message cursor');
+            }
+            query._id = { $lt: new mongoose.Types.ObjectId(before) };
+        }
+
+        // Fetch one extra to know whether an older page exists
+        const messages = await Message.find(query)
+            .sort({ _id: -1 })
+            .limit(limit + 1)
+            .populate('sender', 'name');
+
+        const hasMore = messages.length > limit;
+        const page = messages.slice(0, limit).reverse();
+
+        res.json({
+            success: true,
+            data: {
+                messages: page.map((m) => m.toClient()),
+                hasMore,
+                readMarkers: room.readMarkers,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
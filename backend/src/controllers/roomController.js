@@ -1,5 +1,148 @@
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import WhiteboardUpdate from '../models/WhiteboardUpdate.js';
+import WhiteboardElement from '../models/WhiteboardElement.js';
+import EditorUpdate from '../models/EditorUpdate.js';
+import EditorVersion from '../models/EditorVersion.js';
+import { getGridFSBucket } from '../config/gridfs.js';
+import { getUserRole, canModerate, GUEST_DEFAULT_ROLE } from '../utils/roomRoles.js';
+import { sanitizeSchedule, getSessions, findOpenSession, getJoinClosedReason } from '../utils/roomSchedule.js';
+import {
+    verifyInvite,
+    isInviteUsable,
+    MIN_PASSCODE_LENGTH,
+    MAX_PASSCODE_LENGTH,
+} from '../utils/roomInvites.js';
+import { getRoomParticipants } from '../sockets/roomState.js';
+import { closeRoom } from '../sockets/roomSocket.js';
+
+const ROOM_FILTERS = ['all', 'created', 'joined', 'favorites', 'archived'];
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// How far the dashboard looks ahead for upcoming sessions, and back for past ones
+const UPCOMING_SESSION_DAYS = 60;
+const PAST_SESSION_DAYS = 30;
+const MAX_SESSIONS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A room as shown in a user's room list
+ */
+const toRoomSummary = (room, userId) => ({
+    roomId: room.roomId,
+    title: room.title,
+    description: room.description,
+    schedule: room.schedule,
+    createdBy: room.createdBy,
+    role: getUserRole(room, userId),
+    participantCount: room.participants.length,
+    fileCount: room.files.length,
+    activeCount: getRoomParticipants(room.roomId).length,
+    isLocked: room.isLocked,
+    isArchived: room.isArchived,
+    isFavorite: room.favoritedBy.some((id) => id.toString() === userId.toString()),
+    lastActiveAt: room.lastActiveAt || room.updatedAt,
+    createdAt: room.createdAt,
+});
+
+/**
+ * 403 the client answers by asking for the room's passcode
+ */
+const passcodeError = (res, message) => {
+    res.status(403);
+    const error = new Error(message);
+    error.code = 'PASSCODE_REQUIRED';
+    return error;
+};
+
+/**
+ * Count one use of an invite to `room`
+ * @returns {Promise<string>} Role the invite lets its user in with
+ */
+const redeemInvite = async (room, token, res) => {
+    const payload = verifyInvite(token);
+    const invite = payload?.roomId === room.roomId
+        ? room.invites.find((i) => i.inviteId === payload.inviteId)
+        : null;
+    if (!invite || !isInviteUsable(invite)) {
+        res.status(403);
+        throw new Error('This invite link is invalid, used up or expired');
+    }
+
+    // Someone else may have taken the last use meanwhile
+    const match = { inviteId: invite.inviteId };
+    if (invite.maxUses != null) match.uses = { $lt: invite.maxUses };
+    const { modifiedCount } = await Room.updateOne(
+        { _id: room._id, invites: { $elemMatch: match } },
+        { $inc: { 'invites.$.uses': 1 } }
+    );
+    if (!modifiedCount) {
+        res.status(403);
+        throw new Error('This invite link is invalid, used up or expired');
+    }
+
+    return invite.role;
+};
+
+/**
+ * Title, description and schedule from a request body, checked.
+ * Only the fields present in the body are returned.
+ */
+const readRoomDetails = (body, res) => {
+    const details = {};
+
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string') {
+            res.status(400);
+            throw new Error('Title must be text');
+        }
+        details.title = body.title;
+    }
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string') {
+            res.status(400);
+            throw new Error('Description must be text');
+        }
+        details.description = body.description;
+    }
+    if (body.schedule !== undefined) {
+        if (body.schedule === null) {
+            details.schedule = null;
+        } else {
+            const { schedule, error } = sanitizeSchedule(body.schedule);
+            if (error) {
+                res.status(400);
+                throw new Error(error);
+            }
+            details.schedule = schedule;
+        }
+    }
+
+    return details;
+};
+
+/**
+ * Hash of a new passcode from a request body (null removes the passcode).
+ * Undefined when the body does not change it.
+ */
+const readPasscode = async (body, res) => {
+    if (body.passcode === undefined) return undefined;
+    if (body.passcode === null || body.passcode === '') return null;
+
+    if (typeof body.passcode !== 'string'
+        || body.passcode.length < MIN_PASSCODE_LENGTH
+        || body.passcode.length > MAX_PASSCODE_LENGTH) {
+        res.status(400);
+        throw new Error(`A passcode has ${MIN_PASSCODE_LENGTH} to ${MAX_PASSCODE_LENGTH} characters`);
+    }
+    return bcrypt.hash(body.passcode, await bcrypt.genSalt(12));
+};
 
 /**
  * @desc    Create a new room
@@ -8,21 +151,30 @@ import Room from '../models/Room.js';
  */
 export const createRoom = async (req, res, next) => {
     try {
+        const details = readRoomDetails(req.body || {}, res);
+
         // Generate a unique 8-character room ID
         const roomId = crypto.randomBytes(4).toString('hex');
 
         const room = await Room.create({
             roomId,
+            ...details,
             createdBy: req.user._id,
             participants: [req.user._id],
+            roles: [{ user: req.user._id, role: 'owner' }],
         });
 
         res.status(201).json({
             success: true,
             data: {
                 roomId: room.roomId,
+                title: room.title,
+                description: room.description,
+                schedule: room.schedule,
                 createdBy: room.createdBy,
                 participants: room.participants,
+                role: 'owner',
+                isLocked: room.isLocked,
             },
         });
     } catch (error) {
@@ -31,27 +183,166 @@ export const createRoom = async (req, res, next) => {
 };
 
 /**
- * @desc    Join an existing room
- * @route   POST /api/rooms/join/:roomId
+ * @desc    List the rooms the user is in, most recently active first
+ * @route   GET /api/rooms?filter=all|created|joined|favorites|archived&search=&page=1&limit=12
+ * @access  Private
+ */
+export const listRooms = async (req, res, next) => {
+    try {
+        const filter = req.query.filter || 'all';
+        if (!ROOM_FILTERS.includes(filter)) {
+            res.status(400);
+            throw new Error(`Unknown filter: ${filter}`);
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+        const userId = req.user._id;
+
+        // Archived rooms only show up when asked for
+        const query = {
+            participants: userId,
+            isArchived: filter === 'archived' ? true : { $ne: true },
+        };
+        if (filter === 'created') query.createdBy = userId;
+        if (filter === 'joined') query.createdBy = { $ne: userId };
+        if (filter === 'favorites') query.favoritedBy = userId;
+
+        const search = typeof req.query.search === 'string' ? req.query.search.trim().slice(0, 100) : '';
+        if (search) {
+            const pattern = new RegExp(escapeRegExp(search), 'i');
+            query.$or = [{ title: pattern }, { roomId: pattern }];
+        }
+
+        const [total, rooms] = await Promise.all([
+            Room.countDocuments(query),
+            Room.find(query)
+                .sort({ lastActiveAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('roomId title description schedule createdBy participants roles files isLocked isArchived favoritedBy lastActiveAt createdAt updatedAt')
+                .populate('createdBy', 'name'),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                rooms: rooms.map((room) => toRoomSummary(room, userId)),
+                page,
+                totalPages: Math.max(1, Math.ceil(total / limit)),
+                total,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add or remove a room from the user's favourites
+ */
+const updateFavorite = async (req, res, next, isFavorite) => {
+    try {
+        const room = await Room.findOne({ roomId: req.params.roomId }).select('createdBy participants roles');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+        if (!getUserRole(room, req.user._id)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        await Room.updateOne(
+            { _id: room._id },
+            isFavorite ? { $addToSet: { favoritedBy: req.user._id } } : { $pull: { favoritedBy: req.user._id } }
+        );
+
+        res.json({
+            success: true,
+            data: { roomId: req.params.roomId, isFavorite },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Favourite a room
+ * @route   PUT /api/rooms/:roomId/favorite
+ * @access  Private (room members)
+ */
+export const favoriteRoom = (req, res, next) => updateFavorite(req, res, next, true);
+
+/**
+ * @desc    Remove a room from the favourites
+ * @route   DELETE /api/rooms/:roomId/favorite
+ * @access  Private (room members)
+ */
+export const unfavoriteRoom = (req, res, next) => updateFavorite(req, res, next, false);
+
+/**
+ * @desc    Join an existing room. New users need the passcode, if the room
+ *          has one, or an invite link token.
+ * @route   POST /api/rooms/join/:roomId  { passcode?, invite? }
  * @access  Private
  */
 export const joinRoom = async (req, res, next) => {
     try {
         const { roomId } = req.params;
 
-        const room = await Room.findOne({ roomId });
+        const room = await Room.findOne({ roomId }).select('+passcodeHash');
         if (!room) {
             res.status(404);
             throw new Error('Room not found');
         }
 
+        if (room.isArchived) {
+            res.status(403);
+            throw new Error('This room is archived');
+        }
+
         // Add user to participants if not already present
         const isAlreadyParticipant = room.participants.some(
             (p) => p.toString() === req.user._id.toString()
         );
 
+        // Scheduled rooms only open around their sessions (except for moderators)
+        const closedReason = getJoinClosedReason(
+            room,
+            isAlreadyParticipant ? getUserRole(room, req.user._id) : 'participant'
+        );
+        if (closedReason) {
+            res.status(403);
+            throw new Error(closedReason);
+        }
+
         if (!isAlreadyParticipant) {
+            // Locked rooms only admit people who are already in
+            if (room.isLocked) {
+                res.status(403);
+                throw new Error('Room is locked');
+            }
+
+            // An invite link stands in for the passcode
+            let role = 'participant';
+            const { invite, passcode } = req.body || {};
+            if (invite) {
+                role = await redeemInvite(room, invite, res);
+            } else if (room.passcodeHash) {
+                if (typeof passcode !== 'string' || !passcode) {
+                    throw passcodeError(res, 'This room needs a passcode');
+                }
+                if (!(await bcrypt.compare(passcode, room.passcodeHash))) {
+                    throw passcodeError(res, 'Wrong passcode');
+                }
+            }
+
+            // Guests start out as viewers, whatever the invite says
+            if (req.user.isGuest) role = GUEST_DEFAULT_ROLE;
+
             room.participants.push(req.user._id);
+            room.roles.push({ user: req.user._id, role });
             await room.save();
         }
 
@@ -59,7 +350,13 @@ export const joinRoom = async (req, res, next) => {
             success: true,
             data: {
                 roomId: room.roomId,
+                title: room.title,
+                schedule: room.schedule,
                 participants: room.participants,
+                role: getUserRole(room, req.user._id),
+                isLocked: room.isLocked,
+                lobbyEnabled: room.lobbyEnabled,
+                hasPasscode: Boolean(room.passcodeHash),
             },
         });
     } catch (error) {
@@ -68,23 +365,30 @@ export const joinRoom = async (req, res, next) => {
 };
 
 /**
- * @desc    Get room details
+ * @desc    Get room details (guests see names only, no email addresses)
  * @route   GET /api/rooms/:roomId
- * @access  Private
+ * @access  Private (room members)
  */
 export const getRoomDetails = async (req, res, next) => {
     try {
         const { roomId } = req.params;
+        const userFields = req.user.isGuest ? 'name' : 'name email';
 
         const room = await Room.findOne({ roomId })
-            .populate('createdBy', 'name email')
-            .populate('participants', 'name email');
+            .select('-invites')
+            .populate('createdBy', userFields)
+            .populate('participants', userFields);
 
         if (!room) {
             res.status(404);
             throw new Error('Room not found');
         }
 
+        if (!getUserRole(room, req.user._id)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
         res.json({
             success: true,
             data: room,
@@ -93,3 +397,159 @@ export const getRoomDetails = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @desc    Change a room's title, description, schedule (null makes it ad-hoc) or
+ *          passcode (null removes it), or archive / unarchive it (owner only;
+ *          archiving sends everyone out)
+ * @route   PATCH /api/rooms/:roomId
+ * @access  Private (owner and moderators)
+ */
+export const updateRoom = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+
+        const room = await Room.findOne({ roomId }).select('+passcodeHash');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        const role = getUserRole(room, req.user._id);
+        if (!canModerate(role)) {
+            res.status(403);
+            throw new Error('Only the owner and moderators can change the room');
+        }
+
+        const details = readRoomDetails(req.body || {}, res);
+        if (req.body?.isArchived !== undefined) {
+            if (role !== 'owner') {
+                res.status(403);
+                throw new Error('Only the owner can archive the room');
+            }
+            details.isArchived = Boolean(req.body.isArchived);
+        }
+
+        const passcodeHash = await readPasscode(req.body || {}, res);
+        if (passcodeHash !== undefined) details.passcodeHash = passcodeHash;
+
+        room.set(details);
+        await room.save();
+
+        if (details.isArchived) {
+            await closeRoom(req.app.get('io'), roomId, 'This room was archived by its owner');
+        }
+
+        res.json({
+            success: true,
+            data: { ...toRoomSummary(room, req.user._id), hasPasscode: Boolean(room.passcodeHash) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Upcoming and past sessions of the scheduled rooms the user is in
+ * @route   GET /api/rooms/sessions
+ * @access  Private
+ */
+export const getMySessions = async (req, res, next) => {
+    try {
+        const rooms = await Room.find({
+            participants: req.user._id,
+            isArchived: { $ne: true },
+            'schedule.startsAt': { $ne: null },
+        }).select('roomId title description schedule roles createdBy');
+
+        const now = new Date();
+        const from = new Date(now.getTime() - PAST_SESSION_DAYS * DAY_MS);
+        const to = new Date(now.getTime() + UPCOMING_SESSION_DAYS * DAY_MS);
+
+        const upcoming = [];
+        const past = [];
+        rooms.forEach((room) => {
+            const role = getUserRole(room, req.user._id);
+            const open = findOpenSession(room.schedule, now);
+            const closesAfter = room.schedule.closesAfterMinutes * 60 * 1000;
+
+            getSessions(room.schedule, from, to).forEach((session) => {
+                const entry = {
+                    roomId: room.roomId,
+                    title: room.title,
+                    description: room.description,
+                    startsAt: session.startsAt,
+                    endsAt: session.endsAt,
+                    timeZone: room.schedule.timeZone,
+                    frequency: room.schedule.recurrence?.frequency || null,
+                    role,
+                    canJoin: canModerate(role) || open?.startsAt.getTime() === session.startsAt.getTime(),
+                };
+                if (session.endsAt.getTime() + closesAfter >= now.getTime()) upcoming.push(entry);
+                else past.push(entry);
+            });
+        });
+
+        upcoming.sort((a, b) => a.startsAt - b.startsAt);
+        past.sort((a, b) => b.startsAt - a.startsAt);
+
+        res.json({
+            success: true,
+            data: {
+                upcoming: upcoming.slice(0, MAX_SESSIONS),
+                past: past.slice(0, MAX_SESSIONS),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a room with its chat, whiteboard, notes, files and recordings
+ *          (everyone still in it is sent back to their dashboard)
+ * @route   DELETE /api/rooms/:roomId
+ * @access  Private (owner only)
+ */
+export const deleteRoom = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+
+        const room = await Room.findOne({ roomId }).select('createdBy participants roles');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+        if (getUserRole(room, req.user._id) !== 'owner') {
+            res.status(403);
+            throw new Error('Only the owner can delete the room');
+        }
+
+        // Gone first, so nobody can rejoin while the rest is cleaned up
+        await Room.deleteOne({ _id: room._id });
+        await closeRoom(req.app.get('io'), roomId, 'This room was deleted by its owner');
+
+        await Promise.all([
+            Message.deleteMany({ roomId }),
+            WhiteboardUpdate.deleteMany({ roomId }),
+            WhiteboardElement.deleteMany({ roomId }),
+            EditorUpdate.deleteMany({ roomId }),
+            EditorVersion.deleteMany({ roomId }),
+        ]);
+
+        const bucket = getGridFSBucket();
+        if (bucket) {
+            const files = await bucket.find({ 'metadata.roomId': roomId }).toArray();
+            await Promise.all(files.map((file) => bucket.delete(file._id)));
+        }
+
+        console.log(`🗑️ ${req.user.name} deleted room ${roomId}`);
+
+        res.json({
+            success: true,
+            data: { roomId },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
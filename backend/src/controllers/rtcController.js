@@ -0,0 +1,65 @@
+import generateTurnCredentials from '../utils/generateTurnCredentials.js';
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302';
+const DEFAULT_TURN_TTL = 3600; // 1 hour
+
+/**
+ * Split a comma-separated env var into a list of URLs
+ */
+const parseUrls = (value) => {
+    return (value || '')
+        .split(',')
+        .map((url) => url.trim())
+        .filter(Boolean);
+};
+
+/**
+ * @desc    Get ICE servers (STUN + TURN with short-lived credentials)
+ * @route   GET /api/rtc/ice-servers
+ * @access  Private
+ *
+ * Configured via environment variables:
+ * - STUN_URLS: comma-separated STUN URLs (defaults to Google STUN)
+ * - TURN_URLS: comma-separated TURN/TURNS URLs (TURN is skipped if empty)
+ * - TURN_SECRET: shared secret for TURN REST API credentials
+ * - TURN_TTL: credential lifetime in seconds (default 3600)
+ */
+export const getIceServers = async (req, res, next) => {
+    try {
+        const stunUrls = parseUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS);
+        const turnUrls = parseUrls(process.env.TURN_URLS);
+        const ttl = Number(process.env.TURN_TTL) || DEFAULT_TURN_TTL;
+
+        const iceServers = [];
+        if (stunUrls.length > 0) {
+            iceServers.push({ urls: stunUrls });
+        }
+
+        let expiresAt = null;
+        if (turnUrls.length > 0) {
+            if (!process.env.TURN_SECRET) {
+                res.status(500);
+                throw new Error('TURN_URLS is set but TURN_SECRET is missing');
+            }
+
+            const credentials = generateTurnCredentials(req.user._id, process.env.TURN_SECRET, ttl);
+            iceServers.push({
+                urls: turnUrls,
+                username: credentials.username,
+                credential: credentials.credential,
+            });
+            expiresAt = credentials.expiresAt;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                iceServers,
+                // null when no TURN is configured (STUN needs no credentials)
+                expiresAt,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,187 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { createSession, readCookie, disconnectSessions } from '../utils/sessions.js';
+import {
+    getProvider,
+    listProviders,
+    beginSignIn,
+    completeSignIn,
+} from '../utils/sso.js';
+
+// The sign-in state waits in a short-lived cookie while the user is at the provider
+const SSO_STATE_COOKIE = 'ssoState';
+const SSO_STATE_MINUTES = 10;
+const SSO_COOKIE_PATH = '/api/auth/sso';
+
+/**
+ * Back to the app's /sso/callback page, which picks up the new session
+ * from the refresh token cookie (or shows the error)
+ */
+const redirectToClient = (res, params) => {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    res.redirect(`${clientUrl}/sso/callback?${new URLSearchParams(params)}`);
+};
+
+// Only paths inside the app, never another site
+const safeReturnPath = (path) => (
+    typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : ''
+);
+
+// A name that passes the User model's 2–50 characters
+const displayName = ({ name, email }) => {
+    const trimmed = name?.trim() || '';
+    return (trimmed.length >= 2 ? trimmed : email.split('@')[0].padEnd(2, '_')).slice(0, 50);
+};
+
+/**
+ * The app user for a provider account: the one it is linked to, else the
+ * user with the same (provider-verified) email, which gets linked, else a
+ * new user.
+ *
+ * An account whose email was never verified may have been registered by
+ * someone else with the owner's address. Before linking it, its password
+ * is removed and its sessions are signed out, so only the provider's
+ * account (and a later password reset) opens it.
+ */
+const findOrCreateSsoUser = async (io, provider, profile) => {
+    const linked = await User.findOne({
+        identities: { $elemMatch: { provider: provider.id, subject: profile.subject } },
+    });
+    if (linked) return linked;
+
+    // Never link or create by an email address the provider has not verified
+    if (!profile.email || !profile.emailVerified) {
+        throw new Error(`Your ${provider.name} account has no verified email address`);
+    }
+
+    const identity = { provider: provider.id, subject: profile.subject, email: profile.email };
+    const existing = await User.findOne({ email: profile.email, isGuest: { $ne: true } });
+    if (existing) {
+        const wasUnverified = existing.isEmailVerified === false;
+        if (wasUnverified) {
+            existing.password = undefined;
+            existing.emailVerifyTokenHash = undefined;
+            existing.emailVerifyExpiresAt = undefined;
+        }
+        existing.identities.push(identity);
+        // The provider confirmed the address, so no verification link is needed
+        existing.isEmailVerified = true;
+        await existing.save();
+
+        if (wasUnverified) {
+            const sessions = await Session.find({ user: existing._id }).select('_id');
+            await Session.deleteMany({ user: existing._id });
+            disconnectSessions(io, sessions.map((session) => session._id.toString()));
+        }
+        console.log(`🔗 Linked ${provider.name} account to ${existing.email}`);
+        return existing;
+    }
+
+    return User.create({
+        name: displayName(profile),
+        email: profile.email,
+        identities: [identity],
+        isEmailVerified: true,
+    });
+};
+
+/**
+ * @desc    Single sign-on providers that are configured
+ * @route   GET /api/auth/sso/providers
+ * @access  Public
+ */
+export const getSsoProviders = (req, res) => {
+    res.json({ success: true, data: listProviders() });
+};
+
+/**
+ * @desc    Start signing in with a provider (redirects to it)
+ * @route   GET /api/auth/sso/:provider?returnTo=/path
+ * @access  Public
+ */
+export const startSso = async (req, res, next) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            res.status(404);
+            throw new Error('Unknown sign-in provider');
+        }
+
+        const { url, state, nonce, codeVerifier } = await beginSignIn(provider);
+
+        // Signed so it cannot be altered; httpOnly and sent only to the callback
+        const signedState = jwt.sign(
+            { provider: provider.id, state, nonce, codeVerifier, returnTo: safeReturnPath(req.query.returnTo) },
+            process.env.JWT_SECRET,
+            { expiresIn: `${SSO_STATE_MINUTES}m` }
+        );
+        res.cookie(SSO_STATE_COOKIE, signedState, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            // Lax, so the cookie comes back on the provider's redirect
+            sameSite: 'lax',
+            path: SSO_COOKIE_PATH,
+            maxAge: SSO_STATE_MINUTES * 60 * 1000,
+        });
+
+        res.redirect(url);
+    } catch (error) {
+        if (res.statusCode === 404) return next(error);
+        console.error(`❌ SSO start failed (${req.params.provider}):`, error.message);
+        redirectToClient(res, { error: 'The sign-in provider is not reachable. Try again later.' });
+    }
+};
+
+/**
+ * @desc    Provider redirects back here: sign the user in and return to the app
+ * @route   GET /api/auth/sso/:provider/callback?code=…&state=…
+ * @access  Public
+ */
+export const ssoCallback = async (req, res) => {
+    const signedState = readCookie(req, SSO_STATE_COOKIE);
+    res.clearCookie(SSO_STATE_COOKIE, { path: SSO_COOKIE_PATH });
+
+    let returnTo = '';
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) throw new Error('Unknown sign-in provider');
+
+        let saved;
+        try {
+            saved = jwt.verify(signedState || '', process.env.JWT_SECRET);
+        } catch {
+            throw new Error('The sign-in expired or was started in another browser. Please try again.');
+        }
+        returnTo = saved.returnTo;
+
+        if (req.query.error) {
+            throw new Error(req.query.error === 'access_denied'
+                ? 'Sign-in was cancelled'
+                : `${provider.name} sign-in failed (${req.query.error})`);
+        }
+        if (saved.provider !== provider.id || saved.state !== req.query.state || !req.query.code) {
+            throw new Error('Invalid sign-in response. Please try again.');
+        }
+
+        let profile;
+        try {
+            profile = await completeSignIn(provider, {
+                code: req.query.code,
+                nonce: saved.nonce,
+                codeVerifier: saved.codeVerifier,
+            });
+        } catch (error) {
+            // Token and ID token details go to the log, not to the user
+            throw new Error(`${provider.name} sign-in failed. Please try again.`, { cause: error });
+        }
+        const user = await findOrCreateSsoUser(req.app.get('io'), provider, profile);
+
+        // Same session as a password sign-in: the app trades the cookie for an access token
+        await createSession(req, res, user);
+        redirectToClient(res, returnTo ? { returnTo } : {});
+    } catch (error) {
+        console.error(`❌ SSO sign-in failed (${req.params.provider}):`, (error.cause || error).message);
+        redirectToClient(res, { error: error.message, ...(returnTo ? { returnTo } : {}) });
+    }
+};
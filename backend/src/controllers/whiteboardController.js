@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import { getGridFSBucket } from '../config/gridfs.js';
+import { getUserRole, canContribute } from '../utils/roomRoles.js';
+import { MAX_PAGES, sanitizeElement } from '../utils/whiteboardElements.js';
+import {
+    renderSvg,
+    renderPng,
+    renderPdf,
+    renderThumbnail,
+    toExportJson,
+    parseImportJson,
+} from '../utils/whiteboardExport.js';
+import { addElements, loadWhiteboard, setPageIds } from '../sockets/whiteboardStore.js';
+import { addTimelineEvent } from '../sockets/recordingSocket.js';
+
+const EXPORT_FORMATS = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    json: 'application/json',
+};
+
+// Largest image embedded in an export
+const MAX_EXPORT_IMAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Read the images used by `elements` from GridFS → Map of fileId → { contentType, data }.
+ * Only image files uploaded to this room are read; anything else is left out.
+ */
+const readImages = async (roomId, elements) => {
+    const bucket = getGridFSBucket();
+    const fileIds = [...new Set(elements.filter((el) => el.type === 'image').map((el) => el.fileId))];
+    const images = new Map();
+    if (!bucket || fileIds.length === 0) return images;
+
+    const files = await bucket.find({
+        _id: { $in: fileIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        'metadata.roomId': roomId,
+        contentType: /^image\//,
+        length: { $lte: MAX_EXPORT_IMAGE_BYTES },
+    }).toArray();
+
+    await Promise.all(files.map(async (file) => {
+        const chunks = [];
+        for await (const chunk of bucket.openDownloadStream(file._id)) chunks.push(chunk);
+        images.set(file._id.toString(), { contentType: file.contentType, data: Buffer.concat(chunks) });
+    }));
+
+    return images;
+};
+
+const toDataUrls = (images) => new Map(
+    [...images].map(([fileId, { contentType, data }]) => [fileId, `data:${contentType};base64,${data.toString('base64')}`])
+);
+
+/**
+ * Store an image data URL in GridFS as a file of the room
+ * @returns {Promise<Object>} File metadata, as kept in Room.files
+ */
+const storeImage = (bucket, roomId, userId, dataUrl, index) => new Promise((resolve, reject) => {
+    const [, contentType, base64] = dataUrl.match(/^data:([^;]+);base64,(.*)$/s);
+    const filename = `whiteboard-image-${index + 1}.${contentType.split('/')[1].replace(/\+.*/, '')}`;
+
+    const uploadStream = bucket.openUploadStream(filename, {
+        contentType,
+        metadata: { roomId, uploadedBy: userId },
+    });
+    uploadStream.on('finish', () => resolve({
+        filename,
+        fileId: uploadStream.id,
+        uploadedBy: userId,
+        uploadedAt: new Date(),
+    }));
+    uploadStream.on('error', reject);
+    uploadStream.end(Buffer.from(base64, 'base64'));
+});
+
+/**
+ * @desc    Export a room's whiteboard as PNG, SVG, PDF or JSON
+ *          (renders what is stored, so the room does not need to be open)
+ * @route   GET /api/rooms/:roomId/whiteboard/export?format=png|svg|pdf|json&page=<pageId>
+ * @access  Private (room members only)
+ */
+export const exportWhiteboard = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+        const format = req.query.format || 'png';
+
+        if (!EXPORT_FORMATS[format]) {
+            res.status(400);
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const room = await Room.findOne({ roomId }).select('createdBy participants roles');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        if (!getUserRole(room, req.user._id)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        const whiteboard = await loadWhiteboard(roomId);
+
+        // One page if asked for, every page otherwise
+        let pages = whiteboard.pages.map((page) => ({
+            id: page.id,
+            name: page.name,
+            elements: whiteboard.elements.filter((el) => el.pageId === page.id),
+        }));
+        if (req.query.page) {
+            pages = pages.filter((page) => page.id === req.query.page);
+            if (pages.length === 0) {
+                res.status(404);
+                throw new Error('Page not found');
+            }
+        }
+
+        const images = await readImages(roomId, pages.flatMap((page) => page.elements));
+        const title = pages.length === 1 ? pages[0].name : `Whiteboard ${roomId}`;
+
+        let body;
+        if (format === 'png') {
+            body = await renderPng(pages, toDataUrls(images));
+        } else if (format === 'svg') {
+            body = renderSvg(pages, toDataUrls(images));
+        } else if (format === 'pdf') {
+            body = await renderPdf(pages, new Map([...images].map(([id, image]) => [id, image.data])), title);
+        } else {
+            body = JSON.stringify(toExportJson(roomId, pages, toDataUrls(images)), null, 2);
+        }
+
+        const filename = `${title}.${format}`.replace(/[^\w .-]/g, '_');
+        res.set('Content-Type', EXPORT_FORMATS[format]);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Small PNG of the whiteboard's first page, for room lists
+ * @route   GET /api/rooms/:roomId/whiteboard/thumbnail
+ * @access  Private (room members only)
+ */
+export const getWhiteboardThumbnail = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+
+        const room = await Room.findOne({ roomId }).select('createdBy participants roles');
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        if (!getUserRole(room, req.user._id)) {
+            res.status(403);
+            throw new Error('Not a participant of this room');
+        }
+
+        const whiteboard = await loadWhiteboard(roomId);
+        const [firstPage] = whiteboard.pages;
+        const body = await renderThumbnail({
+            name: firstPage?.name || '',
+            elements: whiteboard.elements.filter((el) => el.pageId === firstPage?.id),
+        });
+
+        res.set('Content-Type', 'image/png');
+        res.set('Cache-Control', 'private, max-age=60');
+        res.send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Import a JSON whiteboard export into a room, as new pages after
+ *          the existing ones (embedded images are stored as room files)
+ * @route   POST /api/rooms/:roomId/whiteboard/import (multipart, field "file")
+ * @access  Private (participants and above)
+ */
+export const importWhiteboard = async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+        const bucket = getGridFSBucket();
+
+        if (!bucket) {
+            res.status(500);
+            throw new Error('GridFS not initialized');
+        }
+
+        if (!req.file) {
+            res.status(400);
+            throw new Error('No file uploaded');
+        }
+
+        const room = await Room.findOne({ roomId });
+        if (!room) {
+            res.status(404);
+            throw new Error('Room not found');
+        }
+
+        if (!canContribute(getUserRole(room, req.user._id))) {
+            res.status(403);
+            throw new Error('Not allowed to edit the whiteboard in this room');
+        }
+
+        let pages;
+        try {
+            pages = parseImportJson(JSON.parse(req.file.buffer.toString('utf8')));
+        } catch (error) {
+            res.status(400);
+            throw new Error(error instanceof SyntaxError ? 'Not a valid JSON file' : error.message);
+        }
+
+        // Make sure the room's pages exist (and older boards are upgraded) before adding to them
+        await loadWhiteboard(roomId);
+
+        const result = await Room.updateOne(
+            { roomId, [`whiteboardPages.${MAX_PAGES - pages.length}`]: { $exists: false } },
+            { $push: { whiteboardPages: { $each: pages.map(({ id, name }) => ({ id, name })) } } }
+        );
+        if (result.modifiedCount === 0) {
+            res.status(400);
+            throw new Error(`A whiteboard can have at most ${MAX_PAGES} pages`);
+        }
+
+        // Images travel as data URLs; store them and point the elements at the files
+        const images = pages.flatMap((page) => page.elements).filter((el) => el.type === 'image');
+        const files = await Promise.all(images.map((el, i) => storeImage(bucket, roomId, req.user._id, el.src, i)));
+        if (files.length > 0) {
+            await Room.updateOne({ roomId }, { $push: { files: { $each: files } } });
+        }
+        images.forEach((el, i) => {
+            el.fileId = files[i].fileId.toString();
+        });
+
+        // The new pages must be known before elements can be added to them
+        const { whiteboardPages } = await Room.findOne({ roomId }).select('whiteboardPages').lean();
+        setPageIds(roomId, whiteboardPages);
+
+        const elements = pages
+            .flatMap((page) => page.elements)
+            .map(({ src, ...el }) => sanitizeElement(el))
+            .filter(Boolean)
+            .map((el) => ({ ...el, createdBy: req.user._id.toString() }));
+        const update = await addElements(roomId, elements);
+
+        // Everyone in the room sees the new pages right away
+        const io = req.app.get('io');
+        io?.to(roomId).emit('whiteboard-pages', whiteboardPages);
+        if (update) io?.to(roomId).emit('whiteboard-yjs', { update });
+        files.forEach((file) => io?.to(roomId).emit('file-uploaded', file));
+        addTimelineEvent(roomId, 'pages', whiteboardPages);
+        elements.forEach((el) => addTimelineEvent(roomId, 'add', el));
+
+        console.log(`📥 Imported ${elements.length} whiteboard elements on ${pages.length} page(s) into room ${roomId}`);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                pages: pages.map(({ id, name }) => ({ id, name })),
+                elementCount: elements.length,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
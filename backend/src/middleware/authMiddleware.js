@@ -1,11 +1,14 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
 
 /**
  * Auth Middleware
  * 
- * Verifies the JWT token from the Authorization header.
- * Attaches the decoded user to req.user for downstream handlers.
+ * Verifies the JWT token from the Authorization header and that its session
+ * is still signed in (see utils/sessions.js).
+ * Attaches the decoded user to req.user (and its session ID to req.sessionId)
+ * for downstream handlers.
  * 
  * Expected header format: Authorization: Bearer <token>
  */
@@ -29,6 +32,13 @@ const authMiddleware = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Signing out or revoking the session ends its access tokens at once
+        if (!(await isSessionActive(decoded))) {
+            res.status(401);
+            throw new Error('Not authorized — session ended');
+        }
+        req.sessionId = decoded.sid;
+
         // Attach user to request (without password)
         req.user = await User.findById(decoded.id);
 
@@ -52,4 +62,42 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Keep guests out of routes that are not about a single room
+ * (room lists, creating rooms, calendars). Use after authMiddleware.
+ */
+export const rejectGuests = (req, res, next) => {
+    if (req.user.isGuest) {
+        res.status(403);
+        return next(new Error('Guests cannot do that — sign up for an account'));
+    }
+    next();
+};
+
+/**
+ * Only let users with a verified email address through (e.g. to create rooms).
+ * Use after authMiddleware.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.isEmailVerified === false) {
+        const error = new Error('Please verify your email address first — check your inbox');
+        error.code = 'EMAIL_NOT_VERIFIED';
+        res.status(403);
+        return next(error);
+    }
+    next();
+};
+
+/**
+ * Keep guests inside the room they were invited to.
+ * Use as router.param('roomId', guestRoomScope) after authMiddleware.
+ */
+export const guestRoomScope = (req, res, next, roomId) => {
+    if (req.user?.isGuest && roomId !== req.user.guestRoomId) {
+        res.status(403);
+        return next(new Error('Guests can only use the room they were invited to'));
+    }
+    next();
+};
+
 export default authMiddleware;
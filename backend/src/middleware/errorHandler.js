@@ -13,6 +13,8 @@ const errorHandler = (err, req, res, next) => {
     res.status(statusCode).json({
         success: false,
         message: err.message || 'Internal Server Error',
+        // Reason the client can act on, e.g. PASSCODE_REQUIRED (never for server errors)
+        code: statusCode < 500 && typeof err.code === 'string' ? err.code : undefined,
         // Include stack trace only in development
         stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
     });
@@ -0,0 +1,51 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+
+/**
+ * Socket Auth Middleware
+ *
+ * Socket.IO handshake counterpart of authMiddleware.
+ * Verifies the same JWT and attaches the user to socket.user,
+ * so room handlers never have to trust identity sent by the client.
+ * socket.sessionId lets a revoked session disconnect its sockets.
+ *
+ * Expected handshake: io(url, { auth: { token: '<token>' } })
+ */
+const socketAuthMiddleware = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token;
+
+        if (!token) {
+            throw new Error('Not authorized — no token provided');
+        }
+
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!(await isSessionActive(decoded))) {
+            throw new Error('Not authorized — session ended');
+        }
+        socket.sessionId = decoded.sid;
+
+        // Attach user to socket (without password)
+        socket.user = await User.findById(decoded.id);
+
+        if (!socket.user) {
+            throw new Error('Not authorized — user not found');
+        }
+
+        next();
+    } catch (error) {
+        // Handle specific JWT errors
+        if (error.name === 'JsonWebTokenError') {
+            error.message = 'Not authorized — invalid token';
+        }
+        if (error.name === 'TokenExpiredError') {
+            error.message = 'Not authorized — token expired';
+        }
+        next(error);
+    }
+};
+
+export default socketAuthMiddleware;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * EditorUpdate Model
+ *
+ * One stored update of a room's editor document — its shared notes and
+ * code (a Yjs CRDT, see utils/editorDoc.js). Stored and merged like
+ * WhiteboardUpdate, by sockets/editorStore.js.
+ *
+ * Fields:
+ * - roomId: Room the update belongs to (Room.roomId, not the ObjectId)
+ * - data: Yjs update (binary)
+ */
+const editorUpdateSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: String,
+            required: [true, 'Room ID is required'],
+        },
+        data: {
+            type: Buffer,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A room's updates, oldest first
+editorUpdateSchema.index({ roomId: 1, _id: 1 });
+
+const EditorUpdate = mongoose.model('EditorUpdate', editorUpdateSchema);
+
+export default EditorUpdate;
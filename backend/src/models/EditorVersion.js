@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * EditorVersion Model
+ *
+ * A saved version of a room's notes or code: the editor's history. Saved
+ * when someone asks for it, and automatically when the room empties with
+ * changes since the last version (sockets/editorStore.js).
+ *
+ * Fields:
+ * - roomId: Room the version belongs to (Room.roomId, not the ObjectId)
+ * - document: 'notes' or 'code'
+ * - text: The document's text at the time
+ * - language: Language of the code (code only)
+ * - savedBy: User who saved it (null when saved automatically)
+ */
+const editorVersionSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: String,
+            required: [true, 'Room ID is required'],
+        },
+        document: {
+            type: String,
+            enum: ['notes', 'code'],
+            required: true,
+        },
+        text: {
+            type: String,
+            default: '',
+        },
+        language: {
+            type: String,
+            default: null,
+        },
+        savedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A document's history, newest first
+editorVersionSchema.index({ roomId: 1, document: 1, _id: -1 });
+
+const EditorVersion = mongoose.model('EditorVersion', editorVersionSchema);
+
+export default EditorVersion;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * Message Model
+ *
+ * A chat message sent inside a collaboration room.
+ *
+ * Fields:
+ * - roomId: Room the message belongs to (Room.roomId, not the ObjectId)
+ * - sender: User who sent the message
+ * - text: Message body (emptied when the message is deleted)
+ * - editedAt: Set when the sender edits the message
+ * - deletedAt: Set when the sender deletes the message (soft delete,
+ *   so history and read markers keep pointing at a valid message)
+ */
+const messageSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: String,
+            required: [true, 'Room ID is required'],
+            index: true,
+        },
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Message cannot exceed 2000 characters'],
+            default: '',
+        },
+        editedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// History is paginated newest-first within a room
+messageSchema.index({ roomId: 1, _id: -1 });
+
+// Stand-in for a sender whose account is gone (guests are deleted when
+// their session ends, see models/User.js)
+const MISSING_SENDER = { _id: null, name: 'Guest' };
+
+/**
+ * Instance method: Shape the message for clients.
+ * Expects sender to be populated with at least `name` (null once the
+ * sender's account is deleted).
+ */
+messageSchema.methods.toClient = function () {
+    const sender = this.sender || MISSING_SENDER;
+    return {
+        _id: this._id,
+        roomId: this.roomId,
+        sender: {
+            _id: sender._id,
+            name: sender.name,
+        },
+        text: this.deletedAt ? '' : this.text,
+        editedAt: this.editedAt,
+        isDeleted: Boolean(this.deletedAt),
+        createdAt: this.createdAt,
+    };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -10,10 +10,28 @@ import mongoose from 'mongoose';
  * 
  * Fields:
  * - roomId: Unique human-readable room identifier
+ * - title / description: Shown on the dashboard and in calendar invites
+ * - schedule: When the room's sessions take place, null for ad-hoc rooms
+ *   (first session, time zone, recurrence, join window — see utils/roomSchedule.js)
  * - createdBy: User who created the room
  * - participants: Array of users who have joined
- * - whiteboardData: Array of drawing strokes (Phase 6)
+ * - roles: Per-user role in this room (see utils/roomRoles.js)
+ * - isLocked: When true, new users cannot join
+ * - passcodeHash: Hashed room passcode asked of new users (bcrypt, null = none)
+ * - invites: Invite links ({ inviteId, role, expiresAt, maxUses, uses },
+ *   see utils/roomInvites.js)
+ * - lobbyEnabled: When true, everyone below moderator waits in the lobby
+ *   until a moderator lets them in
+ * - isArchived: Archived by the owner — hidden from room lists and closed to everyone
+ * - favoritedBy: Users who favourited the room (a filter of their room list)
+ * - lastActiveAt: Last time someone joined the room or the last person left it
+ * - whiteboardPages: Whiteboard pages ({ id, name }), in display order
+ *   (the elements themselves are a Yjs document, stored in WhiteboardUpdate)
+ * - whiteboardElements / whiteboardData: Legacy whiteboard storage, moved into
+ *   the room's whiteboard document the first time the board is loaded
  * - files: Array of file metadata references (Phase 7)
+ * - recordings: Recorded sessions — video + whiteboard/chat timeline, both in GridFS
+ * - readMarkers: Last chat message each user has read (messages live in Message)
  */
 const roomSchema = new mongoose.Schema(
     {
@@ -23,6 +41,48 @@ const roomSchema = new mongoose.Schema(
             unique: true,
             trim: true,
         },
+        title: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Title cannot exceed 100 characters'],
+            default: '',
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Description cannot exceed 2000 characters'],
+            default: '',
+        },
+        schedule: {
+            type: new mongoose.Schema(
+                {
+                    startsAt: { type: Date, required: true },
+                    endsAt: { type: Date, required: true },
+                    timeZone: { type: String, default: 'UTC' },
+                    recurrence: {
+                        type: new mongoose.Schema(
+                            {
+                                frequency: {
+                                    type: String,
+                                    enum: ['daily', 'weekly', 'monthly'],
+                                    required: true,
+                                },
+                                interval: { type: Number, default: 1 },
+                                weekdays: [Number], // 0 = Sunday … 6 = Saturday
+                                until: Date,
+                                count: Number,
+                            },
+                            { _id: false }
+                        ),
+                        default: null,
+                    },
+                    opensBeforeMinutes: { type: Number, default: 15 },
+                    closesAfterMinutes: { type: Number, default: 30 },
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -34,9 +94,101 @@ const roomSchema = new mongoose.Schema(
                 ref: 'User',
             },
         ],
+        roles: [
+            {
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                role: {
+                    type: String,
+                    enum: ['owner', 'moderator', 'participant', 'viewer'],
+                    default: 'participant',
+                },
+            },
+        ],
+        isLocked: {
+            type: Boolean,
+            default: false,
+        },
+        passcodeHash: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        invites: [
+            {
+                _id: false,
+                inviteId: {
+                    type: String,
+                    required: true,
+                },
+                createdBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                role: {
+                    type: String,
+                    enum: ['participant', 'viewer'],
+                    default: 'participant',
+                },
+                expiresAt: {
+                    type: Date,
+                    required: true,
+                },
+                maxUses: {
+                    type: Number,
+                    default: null, // unlimited
+                },
+                uses: {
+                    type: Number,
+                    default: 0,
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        lobbyEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        favoritedBy: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+        lastActiveAt: {
+            type: Date,
+            default: Date.now,
+        },
+        whiteboardPages: [
+            {
+                _id: false,
+                id: {
+                    type: String,
+                    required: true,
+                },
+                name: {
+                    type: String,
+                    required: true,
+                },
+            },
+        ],
+        whiteboardElements: {
+            type: Array,
+            default: undefined,
+        },
         whiteboardData: {
             type: Array,
-            default: [],
+            default: undefined,
         },
         files: [
             {
@@ -52,12 +204,51 @@ const roomSchema = new mongoose.Schema(
                 },
             },
         ],
+        recordings: [
+            {
+                filename: String,
+                fileId: mongoose.Schema.Types.ObjectId,
+                timelineFileId: mongoose.Schema.Types.ObjectId,
+                mimeType: String,
+                recordedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                startedAt: Date,
+                endedAt: Date,
+                duration: Number, // seconds
+                size: Number, // bytes
+            },
+        ],
+        readMarkers: [
+            {
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                lastReadMessage: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Message',
+                },
+                readAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
     },
     {
         timestamps: true,
     }
 );
 
+// Scheduled rooms of a user (dashboard sessions, calendar feed)
+roomSchema.index({ participants: 1, 'schedule.startsAt': 1 });
+
+// Room lists of a user, most recently active first
+roomSchema.index({ participants: 1, lastActiveAt: -1 });
+
 const Room = mongoose.model('Room', roomSchema);
 
 export default Room;
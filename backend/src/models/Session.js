@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model
+ *
+ * One signed-in browser or device. Its refresh token lives in an httpOnly
+ * cookie as `<sessionId>.<secret>` and is replaced on every refresh
+ * (see utils/sessions.js). Deleting the session signs the device out.
+ *
+ * Fields:
+ * - user: User who signed in
+ * - tokenHash: SHA-256 of the current refresh token secret (never the secret)
+ * - previousTokenHash: Hash of the token it replaced — shown again right after
+ *   a refresh it is another tab racing us, later it means the token was stolen
+ * - rotatedAt: When the refresh token was last replaced
+ * - userAgent: Raw User-Agent of the device
+ * - device: Readable summary of it, e.g. "Firefox on Windows"
+ * - ip: Address the session was last used from
+ * - lastUsedAt: Last refresh
+ * - expiresAt: End of the session unless it is used again (MongoDB deletes it then)
+ */
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+        },
+        previousTokenHash: {
+            type: String,
+            default: null,
+        },
+        rotatedAt: {
+            type: Date,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        device: {
+            type: String,
+            default: 'Unknown device',
+        },
+        ip: {
+            type: String,
+            default: '',
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
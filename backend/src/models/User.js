@@ -7,7 +7,22 @@ import bcrypt from 'bcryptjs';
  * Fields:
  * - name: User's display name
  * - email: Unique email address (used for login)
- * - password: Hashed password (bcrypt)
+ * - password: Hashed password (bcrypt); none for accounts that only use
+ *   single sign-on (until they reset it)
+ * - identities: Single sign-on accounts linked to the user
+ *   ({ provider, subject, email, linkedAt }, see utils/sso.js)
+ * - isEmailVerified: Whether the user opened the verification link; false
+ *   until then (unset on accounts from before verification, which count
+ *   as verified). Unverified users cannot create rooms.
+ * - emailVerifyTokenHash / emailVerifyExpiresAt: Pending verification link
+ * - passwordResetTokenHash / passwordResetExpiresAt: Pending password reset
+ *   link (see utils/accountEmails.js — only hashes are stored)
+ * - calendarToken: Secret in the URL of the user's calendar feed (created on
+ *   first use, see routes/calendarRoutes.js)
+ * - isGuest: Created from an invite link without an account (no email or
+ *   password); guests only ever get into one room
+ * - guestRoomId: The room a guest was invited to
+ * - guestExpiresAt: When the guest's session ends — the guest is deleted then
  * 
  * Pre-save hook automatically hashes password before saving.
  */
@@ -22,30 +37,86 @@ const userSchema = new mongoose.Schema(
         },
         email: {
             type: String,
-            required: [true, 'Email is required'],
+            required: [function () { return !this.isGuest; }, 'Email is required'],
             unique: true,
+            sparse: true, // Guests have none
             trim: true,
             lowercase: true,
             match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
         },
         password: {
             type: String,
-            required: [true, 'Password is required'],
+            required: [function () { return !this.isGuest && !this.identities?.length; }, 'Password is required'],
             minlength: [6, 'Password must be at least 6 characters'],
             select: false, // Don't include password in queries by default
         },
+        identities: [
+            {
+                _id: false,
+                provider: { type: String, required: true },
+                subject: { type: String, required: true },
+                email: { type: String },
+                linkedAt: { type: Date, default: Date.now },
+            },
+        ],
+        isEmailVerified: {
+            type: Boolean,
+        },
+        emailVerifyTokenHash: {
+            type: String,
+            select: false,
+        },
+        emailVerifyExpiresAt: {
+            type: Date,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpiresAt: {
+            type: Date,
+            select: false,
+        },
+        calendarToken: {
+            type: String,
+            unique: true,
+            sparse: true,
+            select: false,
+        },
+        isGuest: {
+            type: Boolean,
+            default: false,
+        },
+        guestRoomId: {
+            type: String,
+        },
+        guestExpiresAt: {
+            type: Date,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
     }
 );
 
+// One app user per single sign-on account
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
+
+// Verification and reset links look the user up by token hash
+userSchema.index({ emailVerifyTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+// MongoDB deletes guests once their session is over
+userSchema.index({ guestExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
 /**
  * Pre-save hook: Hash password before saving to database.
  * Only runs when password field is modified (not on every save).
  */
 userSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
+    // Nothing to hash when unchanged, or removed (see ssoController.js)
+    if (!this.isModified('password') || !this.password) return next();
 
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
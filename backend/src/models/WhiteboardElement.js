@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { ELEMENT_TYPES } from '../utils/whiteboardElements.js';
+
+/**
+ * WhiteboardElement Model
+ *
+ * One whiteboard element (see utils/whiteboardElements.js), as boards were
+ * stored before they became Yjs documents (models/WhiteboardUpdate.js).
+ * Only read to move a room's elements into its document the first time the
+ * board is loaded, after which they are deleted (sockets/whiteboardStore.js).
+ *
+ * Fields:
+ * - roomId: Room the element belongs to (Room.roomId, not the ObjectId)
+ * - id: Generated by the client so it can refer to the element right away
+ * - pageId: Page of the room's whiteboard the element is on
+ * - order: Drawing order within the room (later elements are drawn on top)
+ * - points: path / line / arrow points, compact-encoded (see encodePoints)
+ * - pressures: pen pressure of each point, one byte each (pen strokes only)
+ * - fileId: GridFS file of an image element
+ */
+const whiteboardElementSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: String,
+            required: [true, 'Room ID is required'],
+        },
+        id: {
+            type: String,
+            required: true,
+        },
+        pageId: {
+            type: String,
+            required: true,
+        },
+        order: {
+            type: Number,
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: ELEMENT_TYPES,
+            required: true,
+        },
+        // World coordinates on the element's page
+        x: { type: Number, default: 0 },
+        y: { type: Number, default: 0 },
+        width: { type: Number, default: 0 },
+        height: { type: Number, default: 0 },
+        points: Buffer,
+        pressures: Buffer,
+        strokeColor: String,
+        fillColor: String,
+        strokeWidth: Number,
+        text: String,
+        fontSize: Number,
+        fileId: String,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        id: false, // our own `id` field, not Mongoose's virtual
+        timestamps: true,
+    }
+);
+
+whiteboardElementSchema.index({ roomId: 1, id: 1 }, { unique: true });
+whiteboardElementSchema.index({ roomId: 1, order: 1 });
+
+const WhiteboardElement = mongoose.model('WhiteboardElement', whiteboardElementSchema);
+
+export default WhiteboardElement;
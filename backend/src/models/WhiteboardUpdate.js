@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * WhiteboardUpdate Model
+ *
+ * One stored update of a room's whiteboard document (a Yjs CRDT, see
+ * utils/whiteboardDoc.js). The board is what you get by applying all of a
+ * room's updates — in any order, and applying one twice changes nothing.
+ * Changes are appended in batches as they happen and the updates of a room
+ * are merged into one from time to time (sockets/whiteboardStore.js).
+ *
+ * Fields:
+ * - roomId: Room the update belongs to (Room.roomId, not the ObjectId)
+ * - data: Yjs update (binary)
+ */
+const whiteboardUpdateSchema = new mongoose.Schema(
+    {
+        roomId: {
+            type: String,
+            required: [true, 'Room ID is required'],
+        },
+        data: {
+            type: Buffer,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A room's updates, oldest first
+whiteboardUpdateSchema.index({ roomId: 1, _id: 1 });
+
+const WhiteboardUpdate = mongoose.model('WhiteboardUpdate', whiteboardUpdateSchema);
+
+export default WhiteboardUpdate;
@@ -1,6 +1,21 @@
 import express from 'express';
-import { register, login, getMe } from '../controllers/authController.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+import {
+    register,
+    login,
+    refresh,
+    logout,
+    joinAsGuest,
+    getMe,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+} from '../controllers/authController.js';
+import { getSsoProviders, startSso, ssoCallback } from '../controllers/ssoController.js';
+import authMiddleware, { rejectGuests } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -9,10 +24,36 @@ const router = express.Router();
  * 
  * POST /api/auth/register  — Create a new user account
  * POST /api/auth/login     — Login with email + password
+ * POST /api/auth/refresh   — New access token from the refresh token cookie (rotates it)
+ * POST /api/auth/logout    — Revoke the session in the refresh token cookie
+ * POST /api/auth/guest     — Join one room as a guest from an invite link
+ * GET  /api/auth/sso/providers — Configured single sign-on providers
+ * GET  /api/auth/sso/:provider — Sign in with a provider (redirects to it)
+ * GET  /api/auth/sso/:provider/callback — Provider redirects back here; starts a session
+ * POST /api/auth/verify-email — Verify the email address (token from the emailed link)
+ * POST /api/auth/verify-email/resend — Email a new verification link (protected)
+ * POST /api/auth/forgot-password — Email a password reset link
+ * POST /api/auth/reset-password  — Set a new password (token from the emailed link)
  * GET  /api/auth/me        — Get current user profile (protected)
+ * GET  /api/auth/sessions  — Signed-in devices (protected, no guests)
+ * DELETE /api/auth/sessions — Sign out every other device (protected, no guests)
+ * DELETE /api/auth/sessions/:sessionId — Sign out one device (protected, no guests)
  */
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/guest', joinAsGuest);
+router.get('/sso/providers', getSsoProviders);
+router.get('/sso/:provider', startSso);
+router.get('/sso/:provider/callback', ssoCallback);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', authMiddleware, rejectGuests, resendVerificationEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 router.get('/me', authMiddleware, getMe);
+router.get('/sessions', authMiddleware, rejectGuests, getSessions);
+router.delete('/sessions', authMiddleware, rejectGuests, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware, rejectGuests, revokeSession);
 
 export default router;
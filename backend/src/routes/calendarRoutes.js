@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    getCalendarFeed,
+    resetCalendarFeed,
+    getFeedCalendar,
+    getRoomCalendar,
+} from '../controllers/calendarController.js';
+import authMiddleware, { rejectGuests } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * Calendar Routes
+ *
+ * GET  /api/calendar/feed               — Address of the user's calendar feed (protected)
+ * POST /api/calendar/feed/reset         — Replace the feed address (protected)
+ * GET  /api/calendar/feed/:token.ics    — The feed itself, for calendar apps (public, secret address)
+ * GET  /api/calendar/rooms/:roomId.ics  — One scheduled room as a calendar invite (protected)
+ *
+ * Guests have no calendar.
+ */
+router.get('/feed', authMiddleware, rejectGuests, getCalendarFeed);
+router.post('/feed/reset', authMiddleware, rejectGuests, resetCalendarFeed);
+router.get('/feed/:token.ics', getFeedCalendar);
+router.get('/rooms/:roomId.ics', authMiddleware, rejectGuests, getRoomCalendar);
+
+export default router;
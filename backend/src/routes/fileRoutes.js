@@ -1,7 +1,13 @@
 import express from 'express';
 import multer from 'multer';
-import { uploadFile, downloadFile, getFilesByRoom } from '../controllers/fileController.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+import {
+    uploadFile,
+    downloadFile,
+    streamFile,
+    getFilesByRoom,
+    getRecordingsByRoom,
+} from '../controllers/fileController.js';
+import authMiddleware, { guestRoomScope } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,12 +22,17 @@ const upload = multer({
  * 
  * POST /api/files/upload/:roomId     — Upload file to room
  * GET  /api/files/download/:fileId   — Download file by GridFS ID
+ * GET  /api/files/stream/:fileId     — Stream file inline (Range requests, for video playback)
  * GET  /api/files/room/:roomId       — Get all files for a room
+ * GET  /api/files/recordings/:roomId — Get all session recordings for a room
  */
 router.use(authMiddleware);
+router.param('roomId', guestRoomScope); // Guests stay in their room
 
 router.post('/upload/:roomId', upload.single('file'), uploadFile);
 router.get('/download/:fileId', downloadFile);
+router.get('/stream/:fileId', streamFile);
 router.get('/room/:roomId', getFilesByRoom);
+router.get('/recordings/:roomId', getRecordingsByRoom);
 
 export default router;
@@ -1,20 +1,84 @@
 import express from 'express';
-import { createRoom, joinRoom, getRoomDetails } from '../controllers/roomController.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+import multer from 'multer';
+import {
+    listRooms,
+    createRoom,
+    joinRoom,
+    getRoomDetails,
+    updateRoom,
+    deleteRoom,
+    favoriteRoom,
+    unfavoriteRoom,
+    getMySessions,
+} from '../controllers/roomController.js';
+import { getMessages } from '../controllers/messageController.js';
+import { createInvite, getInvites, revokeInvite } from '../controllers/inviteController.js';
+import { exportWhiteboard, importWhiteboard, getWhiteboardThumbnail } from '../controllers/whiteboardController.js';
+import {
+    getEditorVersions,
+    getEditorVersion,
+    createEditorVersion,
+    exportEditorDocument,
+} from '../controllers/editorController.js';
+import authMiddleware, { rejectGuests, requireVerifiedEmail, guestRoomScope } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// Whiteboard imports are JSON files, with any images embedded as data URLs
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+});
+
 /**
  * Room Routes (all protected)
+ *
+ * Guests only get at the room they were invited to, and not at the
+ * routes marked (no guests).
  * 
- * POST /api/rooms/create       — Create a new room
- * POST /api/rooms/join/:roomId — Join an existing room
+ * GET  /api/rooms              — The user's rooms (filter, search, pagination) (no guests)
+ * POST /api/rooms/create       — Create a new room (optionally titled and scheduled) (no guests, verified email)
+ * GET  /api/rooms/sessions     — Upcoming and past sessions of the user's scheduled rooms (no guests)
+ * POST /api/rooms/join/:roomId — Join an existing room (with the passcode or an invite token)
  * GET  /api/rooms/:roomId      — Get room details
+ * PATCH /api/rooms/:roomId     — Change the title, description, schedule or passcode, or archive the room
+ * DELETE /api/rooms/:roomId    — Delete the room and everything in it (owner)
+ * PUT  /api/rooms/:roomId/favorite — Favourite the room
+ * DELETE /api/rooms/:roomId/favorite — Remove it from the favourites
+ * GET  /api/rooms/:roomId/invites — Invite links that can still be used (moderators)
+ * POST /api/rooms/:roomId/invites — Create an invite link (moderators)
+ * DELETE /api/rooms/:roomId/invites/:inviteId — Revoke an invite link (moderators)
+ * GET  /api/rooms/:roomId/messages — Get paginated chat history
+ * GET  /api/rooms/:roomId/whiteboard/thumbnail — PNG thumbnail of the first page
+ * GET  /api/rooms/:roomId/whiteboard/export — Export the whiteboard (PNG, SVG, PDF or JSON)
+ * POST /api/rooms/:roomId/whiteboard/import — Import a JSON whiteboard export as new pages
+ * GET  /api/rooms/:roomId/editor/versions     — Saved versions of the notes or code
+ * GET  /api/rooms/:roomId/editor/versions/:versionId — One saved version, with its text
+ * POST /api/rooms/:roomId/editor/versions     — Save the notes or code as a version
+ * POST /api/rooms/:roomId/editor/export       — Export the notes or code to the room's files
  */
 router.use(authMiddleware); // Protect all room routes
+router.param('roomId', guestRoomScope);
 
-router.post('/create', createRoom);
+router.get('/', rejectGuests, listRooms);
+router.post('/create', rejectGuests, requireVerifiedEmail, createRoom);
+router.get('/sessions', rejectGuests, getMySessions);
 router.post('/join/:roomId', joinRoom);
 router.get('/:roomId', getRoomDetails);
+router.patch('/:roomId', updateRoom);
+router.delete('/:roomId', deleteRoom);
+router.put('/:roomId/favorite', favoriteRoom);
+router.delete('/:roomId/favorite', unfavoriteRoom);
+router.get('/:roomId/invites', getInvites);
+router.post('/:roomId/invites', createInvite);
+router.delete('/:roomId/invites/:inviteId', revokeInvite);
+router.get('/:roomId/messages', getMessages);
+router.get('/:roomId/whiteboard/thumbnail', getWhiteboardThumbnail);
+router.get('/:roomId/whiteboard/export', exportWhiteboard);
+router.post('/:roomId/whiteboard/import', upload.single('file'), importWhiteboard);
+router.get('/:roomId/editor/versions', getEditorVersions);
+router.get('/:roomId/editor/versions/:versionId', getEditorVersion);
+router.post('/:roomId/editor/versions', createEditorVersion);
+router.post('/:roomId/editor/export', exportEditorDocument);
 
 export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getIceServers } from '../controllers/rtcController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * RTC Routes (all protected)
+ *
+ * GET /api/rtc/ice-servers — STUN/TURN servers for RTCPeerConnection
+ */
+router.use(authMiddleware);
+
+router.get('/ice-servers', getIceServers);
+
+export default router;
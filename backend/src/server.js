@@ -6,8 +6,14 @@ dotenv.config();
 import app from './app.js';
 import connectDB from './config/db.js';
 import { initGridFS } from './config/gridfs.js';
+import { initMediasoup } from './config/mediasoup.js';
+import socketAuthMiddleware from './middleware/socketAuthMiddleware.js';
 
 import { registerRoomHandlers } from './sockets/roomSocket.js';
+import { registerWhiteboardHandlers } from './sockets/whiteboardSocket.js';
+import { registerEditorHandlers } from './sockets/editorSocket.js';
+import { registerSfuHandlers } from './sockets/sfuSocket.js';
+import { registerRecordingHandlers } from './sockets/recordingSocket.js';
 
 const PORT = process.env.PORT || 5000;
 
@@ -23,13 +29,32 @@ const io = new SocketIOServer(server, {
     },
 });
 
+// REST controllers that change shared room state notify the room through this
+app.set('io', io);
+
+// ─── Socket Authentication ───
+// Every connection must carry a valid JWT (same as the REST API)
+io.use(socketAuthMiddleware);
+
 // ─── Register Socket Handlers ───
 io.on('connection', (socket) => {
-    console.log(`🔌 Socket connected: ${socket.id}`);
+    console.log(`🔌 Socket connected: ${socket.id} (${socket.user.name})`);
 
     // Register room-specific handlers (join, leave, etc.)
     registerRoomHandlers(io, socket);
 
+    // Register whiteboard handlers (elements and pages)
+    registerWhiteboardHandlers(io, socket);
+
+    // Register shared notes and code editor handlers
+    registerEditorHandlers(io, socket);
+
+    // Register SFU media handlers (only used by rooms in SFU mode)
+    registerSfuHandlers(io, socket);
+
+    // Register session recording handlers (owners only)
+    registerRecordingHandlers(io, socket);
+
     socket.on('disconnect', () => {
         console.log(`🔌 Socket disconnected: ${socket.id}`);
     });
@@ -44,7 +69,10 @@ const startServer = async () => {
         // 2. Initialize GridFS after DB connection is ready
         initGridFS();
 
-        // 3. Start listening
+        // 3. Start SFU media workers (no-op unless SFU_ENABLED=true)
+        await initMediasoup();
+
+        // 4. Start listening
         server.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
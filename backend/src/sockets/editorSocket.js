@@ -0,0 +1,96 @@
+/**
+ * Editor Socket Handler
+ *
+ * Real-time shared notes (Markdown) and code editor of a room:
+ * - load-editor       → document sync (and everyone's carets) for the requesting client
+ * - editor-yjs        → edits, as updates of the room's editor document (persisted, broadcast)
+ * - editor-awareness  → carets, selections and names (volatile, never stored)
+ *
+ * Syncing works like the whiteboard's (see whiteboardSocket.js): the client
+ * sends its state vector, gets what it is missing plus the server's state
+ * vector, and sends back what the server is missing. Only participants and
+ * above may edit; viewers follow along and still show their caret.
+ *
+ * Saved versions and exports to the room's files go through REST
+ * (controllers/editorController.js).
+ */
+import { canContribute } from '../utils/roomRoles.js';
+import { hasJoinedRoom, getSocketRole, rejectEvent } from './roomState.js';
+import { syncEditor, applyEditorUpdate, applyEditorAwareness, removeEditorAwareness } from './editorStore.js';
+
+/**
+ * Drop the carets of a socket that left the room
+ */
+const removeEditorPresenceOfSocket = async (io, roomId, socketId) => {
+    const update = await removeEditorAwareness(roomId, socketId);
+    if (update) io.to(roomId).emit('editor-awareness', { update });
+};
+
+/**
+ * Register editor socket event handlers
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {import('socket.io').Socket} socket - Individual socket connection
+ */
+const registerEditorHandlers = (io, socket) => {
+    /**
+     * load-editor — Sync the client's document and show it everyone's carets
+     * Payload: { roomId, stateVector: <binary> } (Y.encodeStateVector of the client's document)
+     * Answer: { update, stateVector, awareness } — what the client is missing,
+     * the server's state vector, and an awareness update (null if nobody is there)
+     */
+    socket.on('load-editor', async ({ roomId, stateVector }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'load-editor', roomId);
+
+        try {
+            const sync = await syncEditor(roomId, stateVector instanceof Uint8Array ? stateVector : undefined);
+            if (sync) socket.emit('load-editor', sync);
+        } catch (error) {
+            console.error('❌ Failed to load editor:', error.message);
+        }
+    });
+
+    /**
+     * editor-yjs — Any edit of the notes or code (or the code's language)
+     * Payload: { roomId, update: <binary> }
+     * Others get { update }, merged and checked; the sender gets it too
+     * when checking it had to change something.
+     */
+    socket.on('editor-yjs', async ({ roomId, update }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'editor-yjs', roomId);
+        if (!canContribute(getSocketRole(socket, roomId))) {
+            return rejectEvent(socket, 'editor-yjs', roomId, 'Viewers cannot edit the notes or code');
+        }
+        if (!(update instanceof Uint8Array)) {
+            return rejectEvent(socket, 'editor-yjs', roomId, 'Invalid editor update');
+        }
+
+        let result;
+        try {
+            result = await applyEditorUpdate(roomId, update);
+        } catch (error) {
+            console.error('❌ Failed to apply editor update:', error.message);
+            return rejectEvent(socket, 'editor-yjs', roomId, 'Invalid editor update');
+        }
+        if (!result?.update) return;
+
+        socket.to(roomId).emit('editor-yjs', { update: result.update });
+        if (result.repaired) socket.emit('editor-yjs', { update: result.update });
+    });
+
+    /**
+     * editor-awareness — Our caret, selection and name changed (volatile)
+     * Payload: { roomId, update: <binary> } (a y-protocols awareness update)
+     */
+    socket.on('editor-awareness', async ({ roomId, update }) => {
+        if (!hasJoinedRoom(socket, roomId) || !(update instanceof Uint8Array)) return;
+
+        try {
+            if (!(await applyEditorAwareness(roomId, update, socket.id))) return;
+        } catch {
+            return; // not an awareness update
+        }
+        socket.volatile.to(roomId).emit('editor-awareness', { update });
+    });
+};
+
+export { registerEditorHandlers, removeEditorPresenceOfSocket };
@@ -0,0 +1,406 @@
+/**
+ * Editor Store
+ *
+ * Each room's shared notes and code are a Yjs document (utils/editorDoc.js),
+ * kept in memory while the room is in use and persisted as incremental
+ * updates in the EditorUpdate collection — buffered, flushed and merged
+ * exactly like the whiteboard's (see whiteboardStore.js). Shared by the
+ * editor socket handlers and the editor REST routes.
+ *
+ * Each document also has an awareness instance (y-protocols): who has which
+ * caret and selection. It is never stored; the server only keeps it so a
+ * client opening the editor sees everyone at once, and so the carets of a
+ * socket that leaves disappear right away.
+ *
+ * Updates from clients are checked while they are merged: text beyond
+ * MAX_TEXT_LENGTH is cut and an unknown code language is reset, in the same
+ * transaction, so the update passed on to everyone already carries the fixes.
+ *
+ * When a room empties, each document that changed since its last saved
+ * version gets a new version (EditorVersion), so the history never misses
+ * a session.
+ */
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates } from 'y-protocols/awareness';
+import Room from '../models/Room.js';
+import EditorUpdate from '../models/EditorUpdate.js';
+import EditorVersion from '../models/EditorVersion.js';
+import {
+    EDITOR_DOCUMENTS,
+    CODE_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    MAX_TEXT_LENGTH,
+    getEditorText,
+    getSettingsMap,
+    getCodeLanguage,
+} from '../utils/editorDoc.js';
+import { roomParticipants } from './roomState.js';
+
+const FLUSH_INTERVAL_MS = 500;
+const MAX_BUFFERED_UPDATES = 200;
+
+// Same compaction rules as the whiteboard
+const MAX_STORED_UPDATES = 100;
+const MAX_UPDATES_ON_RELEASE = 10;
+
+// roomId → Promise of { doc, awareness, clientsBySocket, storedCount } (null if the room does not exist)
+const documents = new Map();
+
+// roomId → { updates: [Uint8Array], timer }
+const pendingWrites = new Map();
+
+// roomId → Promise of the flush in progress (flushes of a room are chained)
+const activeFlushes = new Map();
+
+/**
+ * Binary field of a lean query (a BSON Binary) → Uint8Array
+ */
+const toBytes = (data) => (data instanceof Uint8Array ? data : data.buffer);
+
+/**
+ * Run `change` as one transaction of `doc` and return the update it made
+ * (null if it changed nothing)
+ */
+const transactAndCapture = (doc, change) => {
+    let captured = null;
+    const capture = (update) => {
+        captured = update;
+    };
+    doc.on('update', capture);
+    try {
+        doc.transact(change);
+    } finally {
+        doc.off('update', capture);
+    }
+    return captured;
+};
+
+// ─── Write Buffer ───
+
+const writeUpdates = async (roomId, updates) => {
+    try {
+        await EditorUpdate.create({ roomId, data: Buffer.from(Y.mergeUpdates(updates)) });
+        const state = await documents.get(roomId);
+        if (state) state.storedCount += 1;
+    } catch (error) {
+        console.error(`❌ Failed to save editor changes of room ${roomId}:`, error.message);
+    }
+};
+
+/**
+ * Write a room's queued updates now. Resolves once they (and any earlier
+ * flush of the room) are stored.
+ */
+const flushEditor = (roomId) => {
+    const previous = activeFlushes.get(roomId) || Promise.resolve();
+    const pending = pendingWrites.get(roomId);
+    if (!pending) return previous;
+
+    pendingWrites.delete(roomId);
+    clearTimeout(pending.timer);
+
+    const flush = previous.then(() => writeUpdates(roomId, pending.updates));
+    activeFlushes.set(roomId, flush);
+    flush.finally(() => {
+        if (activeFlushes.get(roomId) === flush) activeFlushes.delete(roomId);
+    });
+    return flush;
+};
+
+const queueUpdate = (roomId, update) => {
+    let pending = pendingWrites.get(roomId);
+    if (!pending) {
+        pending = {
+            updates: [],
+            timer: setTimeout(() => flushEditor(roomId), FLUSH_INTERVAL_MS),
+        };
+        pendingWrites.set(roomId, pending);
+    }
+
+    pending.updates.push(update);
+    if (pending.updates.length >= MAX_BUFFERED_UPDATES) {
+        flushEditor(roomId);
+    }
+};
+
+/**
+ * Replace a room's stored updates with one holding the whole document
+ */
+const compactUpdates = async (roomId, state) => {
+    await flushEditor(roomId);
+
+    // Updates written after this point are kept; they are in the document already
+    const last = await EditorUpdate.findOne({ roomId }).sort({ _id: -1 }).select('_id').lean();
+    if (!last) return;
+
+    await EditorUpdate.create({ roomId, data: Buffer.from(Y.encodeStateAsUpdate(state.doc)) });
+    await EditorUpdate.deleteMany({ roomId, _id: { $lte: last._id } });
+    state.storedCount = 1;
+};
+
+// ─── Loading ───
+
+/**
+ * Read a room's document from its stored updates
+ */
+const openDocument = async (roomId) => {
+    // Updates of an earlier copy of this document may still be on their way
+    await flushEditor(roomId);
+
+    const room = await Room.exists({ roomId });
+    if (!room) return null;
+
+    const doc = new Y.Doc();
+    const stored = await EditorUpdate.find({ roomId }).sort({ _id: 1 }).lean();
+    doc.transact(() => {
+        stored.forEach(({ data }) => Y.applyUpdate(doc, toBytes(data)));
+    });
+
+    // The server has no caret of its own
+    const awareness = new Awareness(doc);
+    awareness.setLocalState(null);
+
+    const state = { doc, awareness, clientsBySocket: new Map(), storedCount: stored.length };
+
+    // From here on, every change is persisted
+    doc.on('update', (update) => queueUpdate(roomId, update));
+
+    if (state.storedCount > MAX_STORED_UPDATES) await compactUpdates(roomId, state);
+    return state;
+};
+
+/**
+ * A room's document, loaded once and shared until the room is released
+ * @returns {Promise<Object|null>} null if the room does not exist
+ */
+const getDocument = async (roomId) => {
+    if (!documents.has(roomId)) {
+        documents.set(roomId, openDocument(roomId));
+    }
+
+    try {
+        const state = await documents.get(roomId);
+        if (!state) documents.delete(roomId);
+        return state;
+    } catch (error) {
+        documents.delete(roomId);
+        throw error;
+    }
+};
+
+// ─── Versions ───
+
+/**
+ * Save the current text of one of a room's documents as a version
+ * (the room's document must be loaded)
+ */
+const storeVersion = (roomId, doc, name, userId = null) => EditorVersion.create({
+    roomId,
+    document: name,
+    text: getEditorText(doc, name).toString(),
+    language: name === 'code' ? getCodeLanguage(doc) : null,
+    savedBy: userId,
+});
+
+/**
+ * Save a version of every document that changed since its last version
+ */
+const storeChangedVersions = async (roomId, doc) => {
+    await Promise.all(EDITOR_DOCUMENTS.map(async (name) => {
+        const text = getEditorText(doc, name).toString();
+        const last = await EditorVersion.findOne({ roomId, document: name }).sort({ _id: -1 }).select('text').lean();
+        if (last ? last.text !== text : text.length > 0) await storeVersion(roomId, doc, name);
+    }));
+};
+
+/**
+ * Save a version of a room's notes or code on request
+ * @returns {Promise<Object|null>} The version, null if the room does not exist
+ */
+const saveEditorVersion = async (roomId, name, userId) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const version = await storeVersion(roomId, state.doc, name, userId);
+    await releaseIfUnused(roomId);
+    return version;
+};
+
+/**
+ * Flush and forget a room's document (called when the last person leaves)
+ */
+const releaseEditor = async (roomId) => {
+    const loading = documents.get(roomId);
+    if (!loading) return;
+
+    const state = await loading.catch(() => null);
+    if (state) {
+        await storeChangedVersions(roomId, state.doc).catch((error) => {
+            console.error(`❌ Failed to save editor versions of room ${roomId}:`, error.message);
+        });
+        if (state.storedCount > MAX_UPDATES_ON_RELEASE) {
+            await compactUpdates(roomId, state).catch((error) => {
+                console.error(`❌ Failed to compact the editor of room ${roomId}:`, error.message);
+            });
+        }
+    }
+    await flushEditor(roomId);
+
+    // Someone came back while we were writing
+    if (roomParticipants.has(roomId) || documents.get(roomId) !== loading) return;
+
+    documents.delete(roomId);
+    state?.awareness.destroy();
+    state?.doc.destroy();
+};
+
+/**
+ * Release a document that was only loaded for a REST request
+ */
+const releaseIfUnused = async (roomId) => {
+    if (!roomParticipants.has(roomId)) await releaseEditor(roomId);
+};
+
+/**
+ * The text of one of a room's documents, with the code's language.
+ * Returns null if the room does not exist.
+ */
+const loadEditorText = async (roomId, name) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const result = { text: getEditorText(state.doc, name).toString(), language: getCodeLanguage(state.doc) };
+    await releaseIfUnused(roomId);
+    return result;
+};
+
+/**
+ * Catch a client up: everything it is missing from the document (judged by
+ * its state vector), the server's own state vector, so the client can send
+ * back what the server is missing, and everyone's carets.
+ * Returns null if the room does not exist.
+ */
+const syncEditor = async (roomId, stateVector) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    let update;
+    try {
+        update = Y.encodeStateAsUpdate(state.doc, stateVector);
+    } catch {
+        update = Y.encodeStateAsUpdate(state.doc); // not a state vector: send everything
+    }
+
+    const clients = [...state.awareness.getStates().keys()];
+    return {
+        update,
+        stateVector: Y.encodeStateVector(state.doc),
+        awareness: clients.length > 0 ? encodeAwarenessUpdate(state.awareness, clients) : null,
+    };
+};
+
+// ─── Changes ───
+
+/**
+ * Cut what is too long and reset an unknown language (inside the transaction)
+ * @returns {boolean} Whether anything had to change
+ */
+const repairDocument = (doc) => {
+    let repaired = false;
+    EDITOR_DOCUMENTS.forEach((name) => {
+        const text = getEditorText(doc, name);
+        if (text.length > MAX_TEXT_LENGTH) {
+            text.delete(MAX_TEXT_LENGTH, text.length - MAX_TEXT_LENGTH);
+            repaired = true;
+        }
+    });
+
+    const settings = getSettingsMap(doc);
+    settings.forEach((value, key) => {
+        if (key !== 'language') {
+            settings.delete(key);
+            repaired = true;
+        }
+    });
+    const language = settings.get('language');
+    if (language !== undefined && !Object.hasOwn(CODE_LANGUAGES, language)) {
+        settings.set('language', DEFAULT_LANGUAGE);
+        repaired = true;
+    }
+    return repaired;
+};
+
+/**
+ * Merge a client's update into the room's document and repair what it broke.
+ * @returns {Promise<{ update, repaired } | null>} `update` is what to pass
+ *   on (null if nothing was new), `repaired` whether the sender needs it too
+ * @throws {Error} If the update cannot be decoded
+ */
+const applyEditorUpdate = async (roomId, update) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    let repaired = false;
+    const merged = transactAndCapture(state.doc, () => {
+        Y.applyUpdate(state.doc, update);
+        repaired = repairDocument(state.doc);
+    });
+    return { update: merged, repaired };
+};
+
+// ─── Carets ───
+
+/**
+ * Merge a socket's awareness update (its caret and selection) into the room's
+ * @returns {Promise<boolean>} Whether the room's document is open (pass the update on)
+ * @throws {Error} If the update cannot be decoded
+ */
+const applyEditorAwareness = async (roomId, update, socketId) => {
+    // Carets only matter while the document is open (the client loads it first)
+    const state = await documents.get(roomId)?.catch(() => null);
+    if (!state) return false;
+
+    // Remember which awareness clients this socket speaks for
+    const trackClients = ({ added, updated, removed }, origin) => {
+        if (origin !== socketId) return;
+        const clients = state.clientsBySocket.get(socketId) || new Set();
+        [...added, ...updated].forEach((id) => clients.add(id));
+        removed.forEach((id) => clients.delete(id));
+        state.clientsBySocket.set(socketId, clients);
+    };
+    state.awareness.on('update', trackClients);
+    try {
+        applyAwarenessUpdate(state.awareness, update, socketId);
+    } finally {
+        state.awareness.off('update', trackClients);
+    }
+    return true;
+};
+
+/**
+ * Drop the carets of a socket that left
+ * @returns {Promise<Uint8Array|null>} The awareness update to pass on (null if it had none)
+ */
+const removeEditorAwareness = async (roomId, socketId) => {
+    const state = await documents.get(roomId)?.catch(() => null);
+    const clients = state?.clientsBySocket.get(socketId);
+    if (!clients) return null;
+
+    state.clientsBySocket.delete(socketId);
+    const ids = [...clients];
+    if (ids.length === 0) return null;
+
+    // Encoded after removing, so the update says they are gone
+    removeAwarenessStates(state.awareness, ids, 'left');
+    return encodeAwarenessUpdate(state.awareness, ids);
+};
+
+export {
+    syncEditor,
+    applyEditorUpdate,
+    applyEditorAwareness,
+    removeEditorAwareness,
+    saveEditorVersion,
+    loadEditorText,
+    releaseEditor,
+};
@@ -0,0 +1,336 @@
+/**
+ * Recording Socket Handler
+ *
+ * Room owners can record a session for people who missed it, in one of two modes:
+ * - 'server': whenever mediasoup and FFmpeg are available. Recording moves
+ *   the room to SFU mode, so the media passes through the server, which
+ *   records every track and mixes them when the recording stops
+ *   (sfuRecorder.js). The recording goes on whoever leaves, until it is
+ *   stopped or the room empties.
+ * - 'browser': the fallback without SFU (SFU_ENABLED off) or FFmpeg.
+ *   The owner's browser mixes everyone's audio and video and streams
+ *   MediaRecorder chunks here, straight into GridFS. The recording ends when
+ *   that browser leaves — clients show this (recording-state.mode).
+ *
+ * Either way the server keeps a timeline of whiteboard and chat events, timed
+ * from the start, and stores the video and a JSON timeline in the GridFS
+ * `uploads` bucket, linked from Room.recordings.
+ *
+ * - recording-start { roomId, mimeType } (owners, acknowledged with { mode })
+ * - recording-chunk { roomId, chunk }    (recording socket only, browser mode)
+ * - recording-stop  { roomId }           (owners)
+ *
+ * Broadcasts recording-state { isRecording, startedAt, recordedBy, mode } so
+ * everyone can see that the session is being recorded ({ isRecording: false,
+ * message? } once it stops), and recording-saved when done.
+ */
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import Room from '../models/Room.js';
+import { getGridFSBucket } from '../config/gridfs.js';
+import { roomParticipants, hasJoinedRoom, getSocketRole, rejectEvent } from './roomState.js';
+import { loadWhiteboard } from './whiteboardStore.js';
+import { requireSfuMode, getSfuRecordingSources } from './sfuSocket.js';
+import { isSfuAvailable } from '../config/mediasoup.js';
+import { isFfmpegAvailable, startSfuRecording, stopSfuRecording } from './sfuRecorder.js';
+
+// roomId → { mode, uploadStream, socketId, recordedBy, startedAt, mimeType, size, isDraining, timeline }
+// (socketId: the recording browser, null in server mode)
+const activeRecordings = new Map();
+
+// Browser recordings stop once they reach this size (about six hours at the
+// browser's 1.5 Mbps)
+const MAX_RECORDING_BYTES = 4 * 1024 * 1024 * 1024;
+
+/**
+ * What clients need to know about a room's recording (sent on join too)
+ */
+const getRecordingState = (roomId) => {
+    const recording = activeRecordings.get(roomId);
+    if (!recording) return { isRecording: false };
+
+    return {
+        isRecording: true,
+        startedAt: recording.startedAt,
+        recordedBy: recording.recordedBy,
+        mode: recording.mode,
+    };
+};
+
+/**
+ * Add a whiteboard or chat event to the room's recording timeline (no-op if not recording)
+ * @param {string} roomId
+ * @param {string} type - 'add' | 'update' | 'delete' | 'clear' | 'pages' | 'chat'
+ * @param {Object} [data]
+ */
+const addTimelineEvent = (roomId, type, data) => {
+    const recording = activeRecordings.get(roomId);
+    if (!recording) return;
+
+    recording.timeline.events.push({
+        t: Date.now() - recording.startedAt.getTime(),
+        type,
+        data,
+    });
+};
+
+/**
+ * End a GridFS upload stream, resolving once it is fully written
+ */
+const endUpload = (uploadStream, data) => {
+    return new Promise((resolve, reject) => {
+        uploadStream.once('finish', resolve);
+        uploadStream.once('error', reject);
+        uploadStream.end(data);
+    });
+};
+
+/**
+ * Mix a server recording and write it to its GridFS upload stream
+ * @returns {Promise<number>} Bytes stored (0 if nothing was recorded)
+ */
+const storeSfuRecording = async (roomId, uploadStream) => {
+    let mixed;
+    try {
+        mixed = await stopSfuRecording(roomId);
+    } catch (error) {
+        await uploadStream.abort().catch(() => {});
+        throw error;
+    }
+    if (!mixed) {
+        await endUpload(uploadStream);
+        return 0;
+    }
+
+    try {
+        await pipeline(fs.createReadStream(mixed.path), uploadStream);
+        return mixed.size;
+    } finally {
+        await mixed.cleanup();
+    }
+};
+
+/**
+ * Stop a room's recording and save it
+ * @param {string} [message] - Why it stopped, when nobody stopped it
+ */
+const finishRecording = async (io, roomId, message) => {
+    const recording = activeRecordings.get(roomId);
+    if (!recording) return;
+
+    activeRecordings.delete(roomId);
+    io.to(roomId).emit('recording-state', { isRecording: false, ...(message && { message }) });
+
+    const endedAt = new Date();
+    const bucket = getGridFSBucket();
+    const { uploadStream } = recording;
+
+    try {
+        if (recording.mode === 'server') {
+            recording.size = await storeSfuRecording(roomId, uploadStream);
+        } else {
+            await endUpload(uploadStream);
+        }
+
+        // Stopped before the browser sent anything
+        if (recording.size === 0) {
+            await bucket.delete(uploadStream.id);
+            return;
+        }
+
+        const timelineStream = bucket.openUploadStream(`${uploadStream.filename}.timeline.json`, {
+            contentType: 'application/json',
+            metadata: {
+                roomId,
+                recordingId: uploadStream.id,
+            },
+        });
+        await endUpload(timelineStream, Buffer.from(JSON.stringify(recording.timeline)));
+
+        const room = await Room.findOneAndUpdate(
+            { roomId },
+            {
+                $push: {
+                    recordings: {
+                        filename: uploadStream.filename,
+                        fileId: uploadStream.id,
+                        timelineFileId: timelineStream.id,
+                        mimeType: recording.mimeType,
+                        recordedBy: recording.recordedBy._id,
+                        startedAt: recording.startedAt,
+                        endedAt,
+                        duration: Math.round((endedAt - recording.startedAt) / 1000),
+                        size: recording.size,
+                    },
+                },
+            },
+            { new: true }
+        ).populate('recordings.recordedBy', 'name');
+
+        console.log(`🎬 Recording of room ${roomId} saved (${Math.round(recording.size / 1024)} KB)`);
+
+        if (room) {
+            io.to(roomId).emit('recording-saved', room.recordings[room.recordings.length - 1]);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to save recording of room ${roomId}:`, error.message);
+    }
+};
+
+/**
+ * Save the room's recording if this socket was the one sending it, or (server
+ * recordings) if the room is now empty.
+ * Called when a socket leaves or disconnects, after it left roomParticipants.
+ */
+const finishRecordingOfSocket = (io, roomId, socketId) => {
+    const recording = activeRecordings.get(roomId);
+    if (!recording) return;
+
+    const isOver = recording.mode === 'server'
+        ? !roomParticipants.get(roomId)?.size
+        : recording.socketId === socketId;
+    if (isOver) finishRecording(io, roomId);
+};
+
+/**
+ * Register recording socket event handlers
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {import('socket.io').Socket} socket - Individual socket connection
+ */
+const registerRecordingHandlers = (io, socket) => {
+    /**
+     * recording-start — Start recording: on the server in SFU mode, else the
+     * sender's browser provides the media
+     * Payload: { roomId, mimeType } (the browser's format, for browser mode)
+     * Ack: { success, data?: { mode: 'server' | 'browser' }, message? }
+     */
+    socket.on('recording-start', async ({ roomId, mimeType } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+
+        if (!hasJoinedRoom(socket, roomId)) {
+            rejectEvent(socket, 'recording-start', roomId);
+            return reply({ success: false, message: 'Not a member of this room' });
+        }
+        if (getSocketRole(socket, roomId) !== 'owner') {
+            return reply({ success: false, message: 'Only room owners can record' });
+        }
+        if (activeRecordings.has(roomId)) {
+            return reply({ success: false, message: 'This room is already being recorded' });
+        }
+
+        const bucket = getGridFSBucket();
+        if (!bucket) {
+            return reply({ success: false, message: 'GridFS not initialized' });
+        }
+
+        try {
+            const whiteboard = await loadWhiteboard(roomId);
+            // Record on the server whenever possible (switching the room to SFU)
+            const canRecordOnServer = isSfuAvailable() && await isFfmpegAvailable()
+                && await requireSfuMode(io, roomId);
+            const sfuSources = canRecordOnServer ? await getSfuRecordingSources(roomId) : null;
+            const mode = sfuSources ? 'server' : 'browser';
+
+            // Another owner may have started while we waited
+            if (activeRecordings.has(roomId)) {
+                return reply({ success: false, message: 'This room is already being recorded' });
+            }
+
+            const startedAt = new Date();
+            let contentType = 'video/webm';
+            if (mode === 'browser' && typeof mimeType === 'string' && mimeType.startsWith('video/')) {
+                contentType = mimeType;
+            }
+
+            const uploadStream = bucket.openUploadStream(
+                `recording-${roomId}-${startedAt.toISOString().replace(/[:.]/g, '-')}.webm`,
+                {
+                    contentType,
+                    metadata: {
+                        roomId,
+                        uploadedBy: socket.user._id,
+                    },
+                }
+            );
+
+            activeRecordings.set(roomId, {
+                mode,
+                uploadStream,
+                socketId: mode === 'browser' ? socket.id : null,
+                recordedBy: { _id: socket.user._id, name: socket.user.name },
+                startedAt,
+                mimeType: contentType,
+                size: 0,
+                isDraining: false,
+                timeline: {
+                    startedAt,
+                    // Replays start from the whiteboard as it was at this moment
+                    pages: whiteboard?.pages || [],
+                    whiteboard: whiteboard?.elements || [],
+                    events: [],
+                },
+            });
+
+            if (mode === 'server') {
+                try {
+                    await startSfuRecording(roomId, startedAt, sfuSources.router, sfuSources.producers);
+                } catch (error) {
+                    activeRecordings.delete(roomId);
+                    await uploadStream.abort().catch(() => {});
+                    throw error;
+                }
+            }
+
+            console.log(`🎬 ${socket.user.name} started recording room ${roomId} (${mode})`);
+
+            io.to(roomId).emit('recording-state', getRecordingState(roomId));
+            reply({ success: true, data: { mode } });
+        } catch (error) {
+            console.error('❌ Failed to start recording:', error.message);
+            reply({ success: false, message: 'Failed to start recording' });
+        }
+    });
+
+    /**
+     * recording-chunk — Append a MediaRecorder chunk to the recording
+     * Payload: { roomId, chunk } (binary)
+     */
+    socket.on('recording-chunk', ({ roomId, chunk } = {}) => {
+        const recording = activeRecordings.get(roomId);
+        if (!recording || recording.socketId !== socket.id) return;
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) return;
+
+        if (recording.size + chunk.length > MAX_RECORDING_BYTES) {
+            console.warn(`⚠️ Recording of room ${roomId} reached the size limit`);
+            finishRecording(io, roomId, 'Recording stopped: it reached the maximum size');
+            return;
+        }
+
+        // GridFS is behind: drop chunks until it catches up rather than
+        // buffering without bound (the video skips a little)
+        if (recording.isDraining) return;
+
+        recording.size += chunk.length;
+        if (!recording.uploadStream.write(chunk)) {
+            recording.isDraining = true;
+            recording.uploadStream.once('drain', () => {
+                recording.isDraining = false;
+            });
+        }
+    });
+
+    /**
+     * recording-stop — Stop recording and save it
+     * Payload: { roomId }
+     */
+    socket.on('recording-stop', ({ roomId } = {}) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'recording-stop', roomId);
+        if (getSocketRole(socket, roomId) !== 'owner') {
+            return rejectEvent(socket, 'recording-stop', roomId, 'Only room owners can stop a recording');
+        }
+
+        finishRecording(io, roomId);
+    });
+};
+
+export { registerRecordingHandlers, getRecordingState, addTimelineEvent, finishRecordingOfSocket };
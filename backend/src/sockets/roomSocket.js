@@ -3,23 +3,59 @@
  * 
  * Manages real-time room events:
  * - join-room / leave-room / disconnect
- * - WebRTC signaling (offer, answer, ice-candidate)
- * - Whiteboard drawing sync (draw, load-whiteboard, clear-whiteboard)
+ * - Lobby (lobby-admit, lobby-deny, moderate-lobby): in lobby mode, join-room
+ *   queues everyone below moderator until a moderator lets them in
+ * - WebRTC signaling (offer, answer, ice-candidate, screen-share)
+ * - Media mode (mesh or SFU, see sfuSocket.js)
+ * - Chat (chat-message, chat-edit, chat-delete, chat-typing, chat-read)
+ * - Moderation (moderate-kick, moderate-mute, moderate-lock, moderate-set-role)
+ * - Recording timeline (chat events, see recordingSocket.js)
+ * 
+ * Identity comes from socket.user (set by socketAuthMiddleware), never
+ * from the payload. A socket may only emit room events for rooms it has
+ * joined, and it may only join rooms whose participants include its user.
+ * Each joined socket carries its room role (see utils/roomRoles.js).
  */
+import mongoose from 'mongoose';
 import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import {
+    getUserRole,
+    canModerate,
+    canContribute,
+    canManage,
+    canAssignRole,
+    GUEST_ROLES,
+} from '../utils/roomRoles.js';
+import { getJoinClosedReason } from '../utils/roomSchedule.js';
 
-// In-memory room participants map
-const roomParticipants = new Map();
+import {
+    roomParticipants,
+    lobbies,
+    admittedUsers,
+    getRoomParticipants,
+    getLobby,
+    hasJoinedRoom,
+    getSocketRole,
+    getUserSocketIds,
+    sharesRoom,
+    rejectEvent,
+} from './roomState.js';
+import { getMediaMode, updateMediaMode, closeSfuPeer } from './sfuSocket.js';
+import { getRecordingState, addTimelineEvent, finishRecordingOfSocket } from './recordingSocket.js';
+import { releaseWhiteboard } from './whiteboardStore.js';
+import { stopPresentingOfSocket } from './whiteboardSocket.js';
+import { releaseEditor } from './editorStore.js';
+import { removeEditorPresenceOfSocket } from './editorSocket.js';
 
 /**
- * Get participants list for a room
+ * Remember when a room was last active (shown in room lists)
  */
-const getRoomParticipants = (roomId) => {
-    if (!roomParticipants.has(roomId)) return [];
-    return Array.from(roomParticipants.get(roomId).entries()).map(([socketId, userData]) => ({
-        socketId,
-        ...userData,
-    }));
+const touchRoom = (roomId) => {
+    Room.updateOne({ roomId }, { lastActiveAt: new Date() }).catch((error) => {
+        console.error('❌ Failed to update room activity:', error.message);
+    });
 };
 
 /**
@@ -30,32 +66,50 @@ const getRoomParticipants = (roomId) => {
 const registerRoomHandlers = (io, socket) => {
     /**
      * join-room
-     * Payload: { roomId, userId, userName }
+     * Payload: { roomId }
+     * The user must already be a participant (POST /api/rooms/join/:roomId),
+     * and a scheduled room must be within its join window (utils/roomSchedule.js).
+     * In lobby mode the user gets 'lobby-waiting' instead, until admitted.
      */
-    socket.on('join-room', ({ roomId, userId, userName }) => {
-        // Join the Socket.IO room
-        socket.join(roomId);
+    socket.on('join-room', async ({ roomId }) => {
+        const userId = socket.user._id.toString();
+        const userName = socket.user.name;
+        const isGuest = socket.user.isGuest;
 
-        // Store in memory map
-        if (!roomParticipants.has(roomId)) {
-            roomParticipants.set(roomId, new Map());
-        }
-        roomParticipants.get(roomId).set(socket.id, { userId, userName });
+        let role;
+        let lobbyEnabled;
+        try {
+            const room = await Room.findOne({ roomId }).select('participants roles createdBy schedule isArchived lobbyEnabled');
+            if (!room) {
+                return rejectEvent(socket, 'join-room', roomId, 'Room not found');
+            }
+            if (room.isArchived) {
+                return rejectEvent(socket, 'join-room', roomId, 'This room is archived');
+            }
 
-        // Get current participants list
-        const participants = getRoomParticipants(roomId);
+            role = getUserRole(room, userId);
+            if (!role) {
+                return rejectEvent(socket, 'join-room', roomId);
+            }
 
-        console.log(`👤 ${userName} (${socket.id}) joined room ${roomId} — ${participants.length} participant(s)`);
+            const closedReason = getJoinClosedReason(room, role);
+            if (closedReason) {
+                return rejectEvent(socket, 'join-room', roomId, closedReason);
+            }
+            lobbyEnabled = room.lobbyEnabled;
+        } catch (error) {
+            console.error('❌ Failed to verify room membership:', error.message);
+            return rejectEvent(socket, 'join-room', roomId, 'Failed to join room');
+        }
 
-        // Notify the joining user of existing participants
-        socket.emit('room-participants', participants);
+        // Gone while we waited for the database: 'disconnect' already cleaned
+        // up, so adding it now would leave an entry nothing removes
+        if (!socket.connected) return;
 
-        // Notify others in the room that a new user joined
-        socket.to(roomId).emit('user-joined', {
-            socketId: socket.id,
-            userId,
-            userName,
-        });
+        if (lobbyEnabled && !canModerate(role) && !admittedUsers.get(roomId)?.has(userId)) {
+            return waitInLobby(io, socket, roomId, { userId, userName, role, isGuest });
+        }
+        enterRoom(io, socket, roomId, { userId, userName, role, isGuest });
     });
 
     /**
@@ -63,6 +117,7 @@ const registerRoomHandlers = (io, socket) => {
      * Payload: { roomId }
      */
     socket.on('leave-room', ({ roomId }) => {
+        leaveLobby(io, roomId, socket.id);
         handleLeaveRoom(io, socket, roomId);
     });
 
@@ -75,6 +130,7 @@ const registerRoomHandlers = (io, socket) => {
      * Payload: { to (socketId), offer (RTCSessionDescription) }
      */
     socket.on('offer', ({ to, offer }) => {
+        if (!sharesRoom(socket.id, to)) return;
         io.to(to).emit('offer', {
             from: socket.id,
             offer,
@@ -86,6 +142,7 @@ const registerRoomHandlers = (io, socket) => {
      * Payload: { to (socketId), answer (RTCSessionDescription) }
      */
     socket.on('answer', ({ to, answer }) => {
+        if (!sharesRoom(socket.id, to)) return;
         io.to(to).emit('answer', {
             from: socket.id,
             answer,
@@ -97,58 +154,366 @@ const registerRoomHandlers = (io, socket) => {
      * Payload: { to (socketId), candidate (RTCIceCandidate) }
      */
     socket.on('ice-candidate', ({ to, candidate }) => {
+        if (!sharesRoom(socket.id, to)) return;
         io.to(to).emit('ice-candidate', {
             from: socket.id,
             candidate,
         });
     });
 
-    // ─── Whiteboard Events ───
+    /**
+     * screen-share — Tell peers which incoming stream is a screen
+     * Payload: { roomId, to? (socketId), active, streamId, mode: 'replace' | 'add' }
+     * 'replace' means the sender's camera track was swapped for the screen;
+     * 'add' means the screen arrives as a second stream with id streamId.
+     * Without `to` the whole room is told (start/stop); with `to` only that
+     * peer is (a newcomer connecting while we are already presenting).
+     */
+    socket.on('screen-share', ({ roomId, to, active, streamId, mode }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'screen-share', roomId);
+        if (active && !canContribute(getSocketRole(socket, roomId))) {
+            return rejectEvent(socket, 'screen-share', roomId, 'Viewers cannot share their screen');
+        }
+
+        const payload = {
+            from: socket.id,
+            active: Boolean(active),
+            streamId,
+            mode,
+        };
+
+        if (to) {
+            if (sharesRoom(socket.id, to)) io.to(to).emit('screen-share', payload);
+        } else {
+            socket.to(roomId).emit('screen-share', payload);
+        }
+    });
+
+    // ─── Chat Events ───
+    // History is loaded over REST (GET /api/rooms/:roomId/messages);
+    // these events carry live traffic only.
+
+    /**
+     * chat-message — Persist a message and broadcast it to the whole room
+     * Payload: { roomId, text }
+     */
+    socket.on('chat-message', async ({ roomId, text }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'chat-message', roomId);
+        if (typeof text !== 'string' || !text.trim()) return;
+
+        try {
+            const message = await Message.create({
+                roomId,
+                sender: socket.user._id,
+                text,
+            });
+            message.sender = socket.user;
+
+            io.to(roomId).emit('chat-message', message.toClient());
+            addTimelineEvent(roomId, 'chat', message.toClient());
+        } catch (error) {
+            console.error('❌ Failed to save chat message:', error.message);
+            rejectEvent(socket, 'chat-message', roomId, 'Failed to send message');
+        }
+    });
+
+    /**
+     * chat-edit — Edit one of your own messages
+     * Payload: { roomId, messageId, text }
+     */
+    socket.on('chat-edit', async ({ roomId, messageId, text }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'chat-edit', roomId);
+        if (!mongoose.Types.ObjectId.isValid(messageId)) return;
+        if (typeof text !== 'string' || !text.trim()) return;
+
+        try {
+            const message = await Message.findOneAndUpdate(
+                { _id: messageId, roomId, sender: socket.user._id, deletedAt: null },
+                { $set: { text, editedAt: new Date() } },
+                { new: true, runValidators: true }
+            ).populate('sender', 'name');
+
+            if (!message) {
+                return rejectEvent(socket, 'chat-edit', roomId, 'You can only edit your own messages');
+            }
+
+            io.to(roomId).emit('chat-edit', message.toClient());
+        } catch (error) {
+            console.error('❌ Failed to edit chat message:', error.message);
+        }
+    });
+
+    /**
+     * chat-delete — Delete one of your own messages (soft delete)
+     * Payload: { roomId, messageId }
+     */
+    socket.on('chat-delete', async ({ roomId, messageId }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'chat-delete', roomId);
+        if (!mongoose.Types.ObjectId.isValid(messageId)) return;
+
+        try {
+            const message = await Message.findOneAndUpdate(
+                { _id: messageId, roomId, sender: socket.user._id, deletedAt: null },
+                { $set: { text: '', deletedAt: new Date() } },
+                { new: true }
+            ).populate('sender', 'name');
+
+            if (!message) {
+                return rejectEvent(socket, 'chat-delete', roomId, 'You can only delete your own messages');
+            }
+
+            io.to(roomId).emit('chat-delete', message.toClient());
+        } catch (error) {
+            console.error('❌ Failed to delete chat message:', error.message);
+        }
+    });
+
+    /**
+     * chat-typing — Broadcast typing state to others (not persisted)
+     * Payload: { roomId, isTyping }
+     */
+    socket.on('chat-typing', ({ roomId, isTyping }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+
+        socket.to(roomId).emit('chat-typing', {
+            userId: socket.user._id.toString(),
+            userName: socket.user.name,
+            isTyping: Boolean(isTyping),
+        });
+    });
+
+    /**
+     * chat-read — Move this user's read marker and broadcast it
+     * Payload: { roomId, messageId }
+     */
+    socket.on('chat-read', async ({ roomId, messageId }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+        if (!mongoose.Types.ObjectId.isValid(messageId)) return;
+
+        const marker = {
+            user: socket.user._id,
+            lastReadMessage: new mongoose.Types.ObjectId(messageId),
+            readAt: new Date(),
+        };
+
+        try {
+            // Replace any previous marker for this user
+            await Room.updateOne(
+                { roomId },
+                { $pull: { readMarkers: { user: socket.user._id } } }
+            );
+            await Room.updateOne(
+                { roomId },
+                { $push: { readMarkers: marker } }
+            );
+
+            socket.to(roomId).emit('chat-read', marker);
+        } catch (error) {
+            console.error('❌ Failed to save read marker:', error.message);
+        }
+    });
+
+    // ─── Moderation Events ───
+    // Owners and moderators act on users ranked below them.
+    // Targets are addressed by userId so every tab of that user is affected.
 
     /**
-     * draw — Broadcast drawing stroke to room and persist
-     * Payload: { roomId, stroke: { x0, y0, x1, y1, color, lineWidth } }
+     * Resolve actor and target roles for a moderation event.
+     * Emits room-error and returns null when the action is not allowed.
      */
-    socket.on('draw', async ({ roomId, stroke }) => {
-        // Broadcast to other participants
-        socket.to(roomId).emit('draw', stroke);
+    const authorizeModeration = async (event, roomId, targetUserId) => {
+        if (!hasJoinedRoom(socket, roomId)) {
+            rejectEvent(socket, event, roomId);
+            return null;
+        }
+
+        const actorRole = getSocketRole(socket, roomId);
+        if (!canModerate(actorRole)) {
+            rejectEvent(socket, event, roomId, 'Only owners and moderators can do that');
+            return null;
+        }
+
+        const room = await Room.findOne({ roomId });
+        if (!room) {
+            rejectEvent(socket, event, roomId, 'Room not found');
+            return null;
+        }
+
+        if (targetUserId === undefined) return { room, actorRole };
 
-        // Persist stroke to database
+        const targetRole = getUserRole(room, targetUserId);
+        if (!targetRole) {
+            rejectEvent(socket, event, roomId, 'User is not in this room');
+            return null;
+        }
+        if (!canManage(actorRole, targetRole)) {
+            rejectEvent(socket, event, roomId, 'You cannot moderate this user');
+            return null;
+        }
+
+        return { room, actorRole, targetRole };
+    };
+
+    /**
+     * moderate-kick — Remove a user from the room (they may rejoin unless locked)
+     * Payload: { roomId, userId }
+     */
+    socket.on('moderate-kick', async ({ roomId, userId }) => {
         try {
-            await Room.findOneAndUpdate(
+            const auth = await authorizeModeration('moderate-kick', roomId, userId);
+            if (!auth) return;
+
+            await Room.updateOne(
                 { roomId },
-                { $push: { whiteboardData: stroke } }
+                { $pull: { participants: userId, roles: { user: userId } } }
             );
+            admittedUsers.get(roomId)?.delete(userId);
+
+            for (const socketId of getUserSocketIds(roomId, userId)) {
+                const targetSocket = io.sockets.sockets.get(socketId);
+                if (!targetSocket) continue;
+
+                targetSocket.emit('kicked', { roomId, by: socket.user.name });
+                handleLeaveRoom(io, targetSocket, roomId);
+            }
+
+            console.log(`🚫 ${socket.user.name} kicked ${userId} from room ${roomId}`);
         } catch (error) {
-            console.error('❌ Failed to save whiteboard stroke:', error.message);
+            console.error('❌ Failed to kick participant:', error.message);
         }
     });
 
     /**
-     * load-whiteboard — Send stored whiteboard data to requesting client
-     * Payload: { roomId }
+     * moderate-mute — Force a user's microphone or camera off
+     * Payload: { roomId, userId, kind: 'audio' | 'video' }
      */
-    socket.on('load-whiteboard', async ({ roomId }) => {
+    socket.on('moderate-mute', async ({ roomId, userId, kind }) => {
+        if (kind !== 'audio' && kind !== 'video') return;
+
         try {
-            const room = await Room.findOne({ roomId }).select('whiteboardData');
-            if (room && room.whiteboardData.length > 0) {
-                socket.emit('load-whiteboard', room.whiteboardData);
+            const auth = await authorizeModeration('moderate-mute', roomId, userId);
+            if (!auth) return;
+
+            for (const socketId of getUserSocketIds(roomId, userId)) {
+                io.to(socketId).emit('force-mute', { roomId, kind, by: socket.user.name });
             }
         } catch (error) {
-            console.error('❌ Failed to load whiteboard:', error.message);
+            console.error('❌ Failed to mute participant:', error.message);
         }
     });
 
     /**
-     * clear-whiteboard — Clear all strokes
-     * Payload: { roomId }
+     * moderate-lock — Lock or unlock the room against new joins
+     * Payload: { roomId, isLocked }
+     */
+    socket.on('moderate-lock', async ({ roomId, isLocked }) => {
+        try {
+            const auth = await authorizeModeration('moderate-lock', roomId);
+            if (!auth) return;
+
+            auth.room.isLocked = Boolean(isLocked);
+            await auth.room.save();
+
+            io.to(roomId).emit('room-locked', { isLocked: auth.room.isLocked, by: socket.user.name });
+        } catch (error) {
+            console.error('❌ Failed to lock room:', error.message);
+        }
+    });
+
+    /**
+     * moderate-set-role — Promote or demote a user
+     * Payload: { roomId, userId, role }
      */
-    socket.on('clear-whiteboard', async ({ roomId }) => {
+    socket.on('moderate-set-role', async ({ roomId, userId, role }) => {
         try {
-            await Room.findOneAndUpdate({ roomId }, { $set: { whiteboardData: [] } });
-            io.to(roomId).emit('clear-whiteboard');
+            const auth = await authorizeModeration('moderate-set-role', roomId, userId);
+            if (!auth) return;
+
+            if (!canAssignRole(auth.actorRole, role)) {
+                return rejectEvent(socket, 'moderate-set-role', roomId, 'You cannot assign that role');
+            }
+            if (!GUEST_ROLES.includes(role) && await User.exists({ _id: userId, isGuest: true })) {
+                return rejectEvent(socket, 'moderate-set-role', roomId, 'Guests can only be participants or viewers');
+            }
+
+            const { room } = auth;
+            const entry = room.roles.find((r) => r.user.toString() === userId);
+            if (entry) {
+                entry.role = role;
+            } else {
+                room.roles.push({ user: userId, role });
+            }
+            await room.save();
+
+            // Keep live sockets in sync so permission checks see the new role
+            for (const socketId of getUserSocketIds(roomId, userId)) {
+                roomParticipants.get(roomId).get(socketId).role = role;
+            }
+
+            io.to(roomId).emit('role-changed', { userId, role, by: socket.user.name });
+            // A new moderator sees the lobby right away
+            sendLobbyQueue(io, roomId);
         } catch (error) {
-            console.error('❌ Failed to clear whiteboard:', error.message);
+            console.error('❌ Failed to change role:', error.message);
+        }
+    });
+
+    // ─── Lobby ───
+
+    /**
+     * Check that the socket may decide about the lobby of a room
+     */
+    const authorizeLobby = (event, roomId) => {
+        if (!hasJoinedRoom(socket, roomId)) {
+            rejectEvent(socket, event, roomId);
+            return false;
+        }
+        if (!canModerate(getSocketRole(socket, roomId))) {
+            rejectEvent(socket, event, roomId, 'Only owners and moderators can do that');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * lobby-admit — Let a waiting user in
+     * Payload: { roomId, socketId } (the waiting socket, from 'lobby-queue')
+     */
+    socket.on('lobby-admit', ({ roomId, socketId }) => {
+        if (!authorizeLobby('lobby-admit', roomId)) return;
+        admitFromLobby(io, roomId, socketId);
+    });
+
+    /**
+     * lobby-deny — Turn a waiting user away (they may ask again)
+     * Payload: { roomId, socketId }
+     */
+    socket.on('lobby-deny', ({ roomId, socketId }) => {
+        if (!authorizeLobby('lobby-deny', roomId)) return;
+        if (!leaveLobby(io, roomId, socketId)) return;
+
+        io.to(socketId).emit('lobby-denied', { roomId, by: socket.user.name });
+    });
+
+    /**
+     * moderate-lobby — Turn lobby mode on or off (off lets everyone waiting in)
+     * Payload: { roomId, enabled }
+     */
+    socket.on('moderate-lobby', async ({ roomId, enabled }) => {
+        try {
+            const auth = await authorizeModeration('moderate-lobby', roomId);
+            if (!auth) return;
+
+            auth.room.lobbyEnabled = Boolean(enabled);
+            await auth.room.save();
+
+            io.to(roomId).emit('room-lobby', { lobbyEnabled: auth.room.lobbyEnabled, by: socket.user.name });
+
+            if (!auth.room.lobbyEnabled) {
+                getLobby(roomId).forEach((entry) => admitFromLobby(io, roomId, entry.socketId));
+            }
+        } catch (error) {
+            console.error('❌ Failed to change lobby mode:', error.message);
         }
     });
 
@@ -159,6 +524,9 @@ const registerRoomHandlers = (io, socket) => {
      * Payload: { roomId, file: { filename, fileId, uploadedBy, uploadedAt } }
      */
     socket.on('file-uploaded', ({ roomId, file }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'file-uploaded', roomId);
+        if (!canContribute(getSocketRole(socket, roomId))) return;
+
         socket.to(roomId).emit('file-uploaded', file);
     });
 
@@ -173,11 +541,115 @@ const registerRoomHandlers = (io, socket) => {
                 handleLeaveRoom(io, socket, roomId);
             }
         }
+        // ...and from every lobby it was waiting in
+        for (const roomId of [...lobbies.keys()]) {
+            leaveLobby(io, roomId, socket.id);
+        }
+    });
+};
+
+/**
+ * Put a socket into the room (it passed every check of join-room)
+ */
+const enterRoom = (io, socket, roomId, { userId, userName, role, isGuest }) => {
+    // Join the Socket.IO room
+    socket.join(roomId);
+    touchRoom(roomId);
+
+    // Store in memory map
+    if (!roomParticipants.has(roomId)) {
+        roomParticipants.set(roomId, new Map());
+    }
+    roomParticipants.get(roomId).set(socket.id, { userId, userName, role, isGuest });
+
+    // Get current participants list
+    const participants = getRoomParticipants(roomId);
+
+    console.log(`👤 ${userName} (${socket.id}) joined room ${roomId} — ${participants.length} participant(s)`);
+
+    // Switch the room to SFU if it just outgrew the mesh, then tell the
+    // joining user which mode to use before it starts connecting
+    updateMediaMode(io, roomId);
+    socket.emit('media-mode', { mode: getMediaMode(roomId) });
+
+    // Notify the joining user of existing participants
+    socket.emit('room-participants', participants);
+
+    // Let them know if the session is being recorded
+    socket.emit('recording-state', getRecordingState(roomId));
+
+    // Moderators see who is waiting in the lobby
+    if (canModerate(role)) {
+        socket.emit('lobby-queue', { roomId, waiting: getLobby(roomId) });
+    }
+
+    // Notify others in the room that a new user joined
+    socket.to(roomId).emit('user-joined', {
+        socketId: socket.id,
+        userId,
+        userName,
+        role,
+        isGuest,
     });
 };
 
+// ─── Lobby ───
+
+/**
+ * Tell the room's moderators who is waiting
+ */
+const sendLobbyQueue = (io, roomId) => {
+    const waiting = getLobby(roomId);
+    getRoomParticipants(roomId)
+        .filter((p) => canModerate(p.role))
+        .forEach((p) => io.to(p.socketId).emit('lobby-queue', { roomId, waiting }));
+};
+
+const waitInLobby = (io, socket, roomId, userData) => {
+    if (!lobbies.has(roomId)) {
+        lobbies.set(roomId, new Map());
+    }
+    lobbies.get(roomId).set(socket.id, { ...userData, requestedAt: new Date() });
+
+    console.log(`⏳ ${userData.userName} (${socket.id}) is waiting in the lobby of room ${roomId}`);
+
+    socket.emit('lobby-waiting', { roomId });
+    sendLobbyQueue(io, roomId);
+};
+
+/**
+ * Take a socket out of a room's lobby
+ * @returns {boolean} Whether it was waiting there
+ */
+const leaveLobby = (io, roomId, socketId) => {
+    const lobby = lobbies.get(roomId);
+    if (!lobby?.delete(socketId)) return false;
+
+    if (lobby.size === 0) lobbies.delete(roomId);
+    sendLobbyQueue(io, roomId);
+    return true;
+};
+
+const admitFromLobby = (io, roomId, socketId) => {
+    const entry = lobbies.get(roomId)?.get(socketId);
+    if (!entry || !leaveLobby(io, roomId, socketId)) return;
+
+    const target = io.sockets.sockets.get(socketId);
+    if (!target) return;
+
+    if (!admittedUsers.has(roomId)) {
+        admittedUsers.set(roomId, new Set());
+    }
+    admittedUsers.get(roomId).add(entry.userId);
+
+    target.emit('lobby-admitted', { roomId });
+    enterRoom(io, target, roomId, entry);
+};
+
 /**
  * Handle a user leaving a room
+ * @returns {Promise|undefined} When the room emptied: resolves once its
+ *          whiteboard and editor are written and released
  */
 const handleLeaveRoom = (io, socket, roomId) => {
     const roomMap = roomParticipants.get(roomId);
@@ -189,11 +661,28 @@ const handleLeaveRoom = (io, socket, roomId) => {
     // Remove from memory map
     roomMap.delete(socket.id);
 
-    // Clean up empty rooms
+    // Clean up empty rooms (and write their last whiteboard and editor changes now)
+    let released;
     if (roomMap.size === 0) {
         roomParticipants.delete(roomId);
+        admittedUsers.delete(roomId);
+        released = Promise.all([releaseWhiteboard(roomId), releaseEditor(roomId)]);
+        touchRoom(roomId);
     }
 
+    // Save the recording if this socket was sending it
+    finishRecordingOfSocket(io, roomId, socket.id);
+
+    // Nobody follows a presenter who left
+    stopPresentingOfSocket(io, roomId, socket.id);
+
+    // Their carets leave the notes and code with them
+    removeEditorPresenceOfSocket(io, roomId, socket.id);
+
+    // Close SFU transports (and the router once the room is empty)
+    closeSfuPeer(roomId, socket.id);
+    updateMediaMode(io, roomId);
+
     // Leave Socket.IO room
     socket.leave(roomId);
 
@@ -205,6 +694,41 @@ const handleLeaveRoom = (io, socket, roomId) => {
         userId: userData.userId,
         userName: userData.userName,
     });
+
+    return released;
+};
+
+/**
+ * Send everyone in a room back to their dashboard (room archived or deleted).
+ * Resolves once the room's whiteboard and editor are written and released.
+ */
+const closeRoom = async (io, roomId, message) => {
+    // Nobody waits for a room that is gone
+    getLobby(roomId).forEach(({ socketId }) => {
+        io.to(socketId).emit('room-closed', { roomId, message });
+    });
+    lobbies.delete(roomId);
+
+    const roomMap = roomParticipants.get(roomId);
+    if (!roomMap) return;
+
+    const released = [];
+    for (const socketId of [...roomMap.keys()]) {
+        const targetSocket = io.sockets.sockets.get(socketId);
+        if (!targetSocket) {
+            roomMap.delete(socketId);
+            continue;
+        }
+        targetSocket.emit('room-closed', { roomId, message });
+        released.push(handleLeaveRoom(io, targetSocket, roomId));
+    }
+
+    // Sockets that were already gone leave nobody to release the room
+    if (roomMap.size === 0 && roomParticipants.get(roomId) === roomMap) {
+        roomParticipants.delete(roomId);
+        released.push(releaseWhiteboard(roomId), releaseEditor(roomId));
+    }
+    await Promise.all(released);
 };
 
-export { registerRoomHandlers, getRoomParticipants };
+export { registerRoomHandlers, getRoomParticipants, closeRoom };
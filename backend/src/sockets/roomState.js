@@ -0,0 +1,96 @@
+/**
+ * Room State
+ *
+ * In-memory record of which sockets are in which room, shared by the
+ * room and SFU socket handlers. Filled by join-room (roomSocket.js).
+ *
+ * roomParticipants: Map<roomId, Map<socketId, { userId, userName, role, isGuest }>>
+ * lobbies: Map<roomId, Map<socketId, { userId, userName, role, isGuest, requestedAt }>>
+ *   — sockets waiting for a moderator to let them in (lobby mode)
+ * admittedUsers: Map<roomId, Set<userId>> — users let in from the lobby while
+ *   the room is in use, so a reconnect does not send them back to it
+ */
+
+// In-memory room participants map
+const roomParticipants = new Map();
+
+const lobbies = new Map();
+const admittedUsers = new Map();
+
+/**
+ * Get participants list for a room
+ */
+const getRoomParticipants = (roomId) => {
+    if (!roomParticipants.has(roomId)) return [];
+    return Array.from(roomParticipants.get(roomId).entries()).map(([socketId, userData]) => ({
+        socketId,
+        ...userData,
+    }));
+};
+
+/**
+ * Get the sockets waiting in a room's lobby, longest waiting first
+ */
+const getLobby = (roomId) => {
+    if (!lobbies.has(roomId)) return [];
+    return Array.from(lobbies.get(roomId).entries()).map(([socketId, entry]) => ({
+        socketId,
+        ...entry,
+    }));
+};
+
+/**
+ * Check whether a socket has successfully joined a room via join-room
+ */
+const hasJoinedRoom = (socket, roomId) => {
+    return roomParticipants.get(roomId)?.has(socket.id) ?? false;
+};
+
+/**
+ * Get the role a joined socket holds in a room (null if not joined)
+ */
+const getSocketRole = (socket, roomId) => {
+    return roomParticipants.get(roomId)?.get(socket.id)?.role ?? null;
+};
+
+/**
+ * Get the socket IDs a user is connected with in a room
+ */
+const getUserSocketIds = (roomId, userId) => {
+    return getRoomParticipants(roomId)
+        .filter((p) => p.userId === userId)
+        .map((p) => p.socketId);
+};
+
+/**
+ * Check whether two sockets are in at least one common room
+ * (signaling is only relayed between peers of the same room)
+ */
+const sharesRoom = (socketId, otherSocketId) => {
+    for (const participants of roomParticipants.values()) {
+        if (participants.has(socketId) && participants.has(otherSocketId)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Tell the client an event was rejected
+ */
+const rejectEvent = (socket, event, roomId, message = 'Not a member of this room') => {
+    socket.emit('room-error', { event, roomId, message });
+};
+
+export {
+    roomParticipants,
+    lobbies,
+    admittedUsers,
+    getRoomParticipants,
+    getLobby,
+    hasJoinedRoom,
+    getSocketRole,
+    getUserSocketIds,
+    sharesRoom,
+    rejectEvent,
+};
@@ -0,0 +1,363 @@
+/**
+ * SFU Recorder
+ *
+ * Server-side recording for rooms in SFU mode, where every track already
+ * passes through the room's mediasoup router (see sfuSocket.js).
+ * Each producer is sent over a PlainTransport (RTP on localhost) to its own
+ * FFmpeg process, which stores the track as it arrives. When the recording
+ * stops, one more FFmpeg run mixes the tracks into a single WebM: videos in a
+ * grid, audio mixed, each placed at the moment it started.
+ *
+ * Needs FFmpeg (with libvpx and libopus) on the server; without it, and in
+ * mesh rooms, the owner's browser records instead (see recordingSocket.js).
+ *
+ * Environment variables:
+ * - FFMPEG_PATH: FFmpeg binary (default 'ffmpeg')
+ * - RECORDING_MIN_PORT / RECORDING_MAX_PORT: localhost UDP ports FFmpeg
+ *   receives RTP on (default 42000–42999, two per track)
+ */
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// FFmpeg needs a moment to open its ports before the first packets arrive
+const FFMPEG_STARTUP_MS = 1000;
+
+// The mixed video
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 25;
+const BACKGROUND = '0x0f172a';
+const TILE_BACKGROUND = '0x1e293b';
+
+// roomId → { router, dir, startedAt, tracks, stopped }
+// track: { kind, file, port, transport, ffmpeg, exited, startedAt, endedAt } (times in ms from the start)
+const recorders = new Map();
+
+const usedPorts = new Set();
+
+let ffmpegCheck = null;
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether FFmpeg can be started (checked once)
+ * @returns {Promise<boolean>}
+ */
+const isFfmpegAvailable = () => {
+    if (!ffmpegCheck) {
+        ffmpegCheck = new Promise((resolve) => {
+            const child = spawn(ffmpegPath(), ['-version'], { stdio: 'ignore' });
+            child.on('error', () => resolve(false));
+            child.on('close', (code) => resolve(code === 0));
+        });
+    }
+    return ffmpegCheck;
+};
+
+/**
+ * An even RTP port with the next one free for RTCP
+ */
+const allocatePorts = () => {
+    const min = Number(process.env.RECORDING_MIN_PORT) || 42000;
+    const max = Number(process.env.RECORDING_MAX_PORT) || 42999;
+
+    for (let port = min + (min % 2); port + 1 <= max; port += 2) {
+        if (!usedPorts.has(port)) {
+            usedPorts.add(port);
+            return port;
+        }
+    }
+    throw new Error('No free recording ports');
+};
+
+/**
+ * SDP telling FFmpeg what arrives on a port (the consumer's codec)
+ */
+const createSdp = (consumer, port) => {
+    const codec = consumer.rtpParameters.codecs[0];
+    const name = codec.mimeType.split('/')[1];
+    const rtpmap = codec.channels > 1
+        ? `${name}/${codec.clockRate}/${codec.channels}`
+        : `${name}/${codec.clockRate}`;
+    const fmtp = Object.entries(codec.parameters || {})
+        .map(([key, value]) => `${key}=${value}`)
+        .join(';');
+
+    return [
+        'v=0',
+        'o=- 0 0 IN IP4 127.0.0.1',
+        's=STDcollab recording',
+        'c=IN IP4 127.0.0.1',
+        't=0 0',
+        `m=${consumer.kind} ${port} RTP/AVP ${codec.payloadType}`,
+        `a=rtpmap:${codec.payloadType} ${rtpmap}`,
+        ...(fmtp ? [`a=fmtp:${codec.payloadType} ${fmtp}`] : []),
+        'a=recvonly',
+        '',
+    ].join('\n');
+};
+
+/**
+ * Run FFmpeg to completion
+ */
+const runFfmpeg = (args) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath(), ['-loglevel', 'error', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', (data) => {
+            stderr = (stderr + data).slice(-2000);
+        });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+        });
+    });
+};
+
+/**
+ * Stop recording one track (its producer closed, or the recording stopped)
+ */
+const endTrack = (recorder, track) => {
+    if (track.endedAt !== null) return;
+
+    track.endedAt = Date.now() - recorder.startedAt;
+    track.transport.close();
+    // SIGINT lets FFmpeg finish the file properly
+    track.ffmpeg.kill('SIGINT');
+};
+
+/**
+ * Start recording a producer into its own file
+ */
+const recordTrack = async (recorder, producer) => {
+    const port = allocatePorts();
+
+    let transport;
+    let consumer;
+    try {
+        transport = await recorder.router.createPlainTransport({
+            listenInfo: { protocol: 'udp', ip: '127.0.0.1' },
+            rtcpMux: false,
+            comedia: false,
+        });
+        await transport.connect({ ip: '127.0.0.1', port, rtcpPort: port + 1 });
+        consumer = await transport.consume({
+            producerId: producer.id,
+            rtpCapabilities: recorder.router.rtpCapabilities,
+            paused: true,
+        });
+    } catch (error) {
+        transport?.close();
+        usedPorts.delete(port);
+        throw error;
+    }
+
+    // Stopped while the transport was being set up
+    if (recorder.stopped) {
+        transport.close();
+        usedPorts.delete(port);
+        return;
+    }
+
+    const file = path.join(recorder.dir, `${recorder.tracks.length}-${consumer.kind}.mkv`);
+    const ffmpeg = spawn(ffmpegPath(), [
+        '-loglevel', 'error',
+        '-protocol_whitelist', 'pipe,udp,rtp',
+        '-fflags', '+genpts',
+        '-f', 'sdp',
+        '-i', 'pipe:0',
+        '-map', '0',
+        '-c', 'copy',
+        '-y', file,
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    const track = {
+        kind: consumer.kind,
+        file,
+        port,
+        transport,
+        ffmpeg,
+        startedAt: null,
+        endedAt: null,
+        exited: new Promise((resolve) => {
+            const onExit = () => {
+                usedPorts.delete(port);
+                resolve();
+            };
+            ffmpeg.once('close', onExit);
+            ffmpeg.once('error', (error) => {
+                console.error(`❌ Recording FFmpeg failed to start: ${error.message}`);
+                onExit();
+            });
+        }),
+    };
+    recorder.tracks.push(track);
+
+    ffmpeg.stderr.on('data', (data) => {
+        console.error(`❌ Recording FFmpeg (${consumer.kind}): ${String(data).trim()}`);
+    });
+    ffmpeg.stdin.on('error', () => {}); // FFmpeg gone before reading the SDP
+    ffmpeg.stdin.end(createSdp(consumer, port));
+
+    producer.observer.once('close', () => endTrack(recorder, track));
+
+    await delay(FFMPEG_STARTUP_MS);
+    if (track.endedAt !== null) return;
+
+    await consumer.resume();
+    if (consumer.kind === 'video') await consumer.requestKeyFrame();
+    track.startedAt = Date.now() - recorder.startedAt;
+};
+
+/**
+ * Give each video the first grid tile free when it starts
+ * @returns {{ tiles: number[], tileCount: number }}
+ */
+const assignTiles = (videos) => {
+    const freeAt = []; // tile → when its current video ends
+    const tiles = videos.map((track) => {
+        let tile = freeAt.findIndex((endedAt) => endedAt <= track.startedAt);
+        if (tile === -1) tile = freeAt.length;
+        freeAt[tile] = track.endedAt;
+        return tile;
+    });
+    return { tiles, tileCount: Math.max(1, freeAt.length) };
+};
+
+const even = (value) => Math.floor(value / 2) * 2;
+
+/**
+ * FFmpeg arguments mixing the recorded tracks into one WebM
+ * @param {Array} tracks - Recorded tracks with startedAt / endedAt (ms)
+ * @param {number} duration - Length of the recording (ms)
+ * @param {string} output - File to write
+ */
+const buildMixArgs = (tracks, duration, output) => {
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const videos = tracks.filter((track) => track.kind === 'video').sort((a, b) => a.startedAt - b.startedAt);
+    const audios = tracks.filter((track) => track.kind === 'audio');
+
+    const { tiles, tileCount } = assignTiles(videos);
+    const columns = Math.ceil(Math.sqrt(tileCount));
+    const rows = Math.ceil(tileCount / columns);
+    const tileWidth = even(WIDTH / columns);
+    const tileHeight = even(HEIGHT / rows);
+
+    const filters = [`color=c=${BACKGROUND}:s=${WIDTH}x${HEIGHT}:r=${FPS}:d=${seconds(duration)}[base]`];
+    let video = 'base';
+
+    // Each video scaled into its tile, from the moment it started
+    videos.forEach((track, i) => {
+        const input = tracks.indexOf(track);
+        const x = (tiles[i] % columns) * tileWidth;
+        const y = Math.floor(tiles[i] / columns) * tileHeight;
+        filters.push(
+            `[${input}:v]setpts=PTS-STARTPTS+${seconds(track.startedAt)}/TB,`
+            + `scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease,`
+            + `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2:color=${TILE_BACKGROUND}[v${i}]`,
+            `[${video}][v${i}]overlay=x=${x}:y=${y}:eof_action=pass[o${i}]`
+        );
+        video = `o${i}`;
+    });
+
+    // Every audio track delayed to its start, gaps filled with silence, then mixed
+    audios.forEach((track, i) => {
+        const input = tracks.indexOf(track);
+        filters.push(
+            `[${input}:a]asetpts=PTS-STARTPTS,aresample=async=1:first_pts=0,`
+            + `adelay=${Math.round(track.startedAt)}:all=1[a${i}]`
+        );
+    });
+    if (audios.length > 0) {
+        filters.push(
+            `${audios.map((_, i) => `[a${i}]`).join('')}`
+            + `amix=inputs=${audios.length}:duration=longest:dropout_transition=0:normalize=0[aout]`
+        );
+    }
+
+    return [
+        ...tracks.flatMap((track) => ['-i', track.file]),
+        '-filter_complex', filters.join(';'),
+        '-map', `[${video}]`,
+        ...(audios.length > 0 ? ['-map', '[aout]', '-c:a', 'libopus', '-b:a', '96k'] : []),
+        '-c:v', 'libvpx', '-b:v', '1500k', '-deadline', 'realtime', '-cpu-used', '8',
+        '-t', seconds(duration),
+        '-f', 'webm',
+        '-y', output,
+    ];
+};
+
+/**
+ * Start recording a room's router: its current producers and every new one
+ * @param {string} roomId
+ * @param {Date} startedAt - Start of the recording (timeline times count from it)
+ * @param {import('mediasoup').types.Router} router
+ * @param {import('mediasoup').types.Producer[]} producers - Producers already in the room
+ */
+const startSfuRecording = async (roomId, startedAt, router, producers) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), `recording-${roomId}-`));
+    const recorder = { router, dir, startedAt: startedAt.getTime(), tracks: [], stopped: false };
+    recorders.set(roomId, recorder);
+
+    producers.forEach((producer) => recordSfuProducer(roomId, producer));
+};
+
+/**
+ * Add a new producer to the room's recording (no-op if not recording)
+ */
+const recordSfuProducer = (roomId, producer) => {
+    const recorder = recorders.get(roomId);
+    if (!recorder || recorder.stopped) return;
+
+    recordTrack(recorder, producer).catch((error) => {
+        console.error(`❌ Failed to record a ${producer.kind} track in room ${roomId}:`, error.message);
+    });
+};
+
+/**
+ * Stop the room's recording and mix its tracks.
+ * @returns {Promise<{ path: string, size: number, cleanup: Function }|null>}
+ *   The mixed WebM (call cleanup once it is stored), or null if nothing was recorded
+ */
+const stopSfuRecording = async (roomId) => {
+    const recorder = recorders.get(roomId);
+    if (!recorder) return null;
+
+    recorders.delete(roomId);
+    recorder.stopped = true;
+
+    const duration = Date.now() - recorder.startedAt;
+    recorder.tracks.forEach((track) => endTrack(recorder, track));
+    await Promise.all(recorder.tracks.map((track) => track.exited));
+
+    const cleanup = () => fs.rm(recorder.dir, { recursive: true, force: true }).catch(() => {});
+
+    try {
+        // Tracks that never started or got no media leave no (or an empty) file
+        const tracks = [];
+        for (const track of recorder.tracks) {
+            const stat = await fs.stat(track.file).catch(() => null);
+            if (track.startedAt !== null && stat?.size > 0) tracks.push(track);
+        }
+        if (tracks.length === 0) {
+            await cleanup();
+            return null;
+        }
+
+        const output = path.join(recorder.dir, 'recording.webm');
+        await runFfmpeg(buildMixArgs(tracks, duration, output));
+        const { size } = await fs.stat(output);
+
+        return { path: output, size, cleanup };
+    } catch (error) {
+        await cleanup();
+        throw error;
+    }
+};
+
+export { isFfmpegAvailable, startSfuRecording, recordSfuProducer, stopSfuRecording };
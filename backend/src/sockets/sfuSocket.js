@@ -0,0 +1,391 @@
+/**
+ * SFU Socket Handler
+ *
+ * Signalling for rooms in SFU mode (see config/mediasoup.js).
+ * Each browser opens one send and one receive transport to the room's
+ * mediasoup router, produces its tracks once, and consumes everyone else's.
+ *
+ * Events use Socket.IO acknowledgements because every step needs an answer
+ * from the router; acks mirror REST responses:
+ *   { success: true, data } or { success: false, message }
+ *
+ * - sfu-join            → router RTP capabilities + producers already in the room
+ * - sfu-create-transport / sfu-connect-transport / sfu-restart-ice
+ * - sfu-produce         → broadcasts sfu-new-producer to the room
+ * - sfu-consume / sfu-resume-consumer
+ * - sfu-close-producer  → consumers get sfu-producer-closed
+ *
+ * While a room is recorded, every producer is recorded too (sfuRecorder.js).
+ *
+ * A room switches to SFU once it has more than the configured number of
+ * participants, or when it is recorded, and stays in SFU mode until it
+ * empties, so calls do not flip back and forth as people come and go.
+ */
+import {
+    getMediasoupWorker,
+    isSfuAvailable,
+    getSfuThreshold,
+    mediaCodecs,
+    getWebRtcTransportOptions,
+} from '../config/mediasoup.js';
+import { roomParticipants, hasJoinedRoom, getSocketRole } from './roomState.js';
+import { canContribute } from '../utils/roomRoles.js';
+import { recordSfuProducer } from './sfuRecorder.js';
+
+// roomId → { router, ready (Promise<Router>), peers: Map<socketId, SfuPeer> }
+// SfuPeer: { transports: Map, producers: Map, consumers: Map }
+const sfuRooms = new Map();
+
+/**
+ * Current media mode of a room: 'sfu' or 'mesh'
+ */
+const getMediaMode = (roomId) => {
+    return sfuRooms.has(roomId) ? 'sfu' : 'mesh';
+};
+
+/**
+ * Close a room's router and forget it (all transports close with it)
+ */
+const closeSfuRoom = (roomId) => {
+    const sfuRoom = sfuRooms.get(roomId);
+    if (!sfuRoom) return;
+
+    sfuRooms.delete(roomId);
+    sfuRoom.ready.then((router) => router.close()).catch(() => {});
+
+    console.log(`📡 SFU router for room ${roomId} closed`);
+};
+
+/**
+ * Switch a room to SFU when it grows past the threshold, and drop the
+ * router when it empties. Call after every join and leave.
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {string} roomId - Room to re-evaluate
+ */
+const updateMediaMode = async (io, roomId) => {
+    const count = roomParticipants.get(roomId)?.size ?? 0;
+
+    if (count === 0) {
+        closeSfuRoom(roomId);
+        return;
+    }
+
+    if (sfuRooms.has(roomId) || !isSfuAvailable() || count <= getSfuThreshold()) return;
+
+    await openSfuRoom(io, roomId, `${count} participants`);
+};
+
+/**
+ * Switch a room to SFU now, whatever its size, so its media passes through
+ * the server (recording needs that, see recordingSocket.js)
+ * @returns {Promise<boolean>} Whether the room is in SFU mode
+ */
+const requireSfuMode = async (io, roomId) => {
+    if (!sfuRooms.has(roomId)) {
+        if (!isSfuAvailable()) return false;
+        await openSfuRoom(io, roomId, 'recording');
+    }
+    return sfuRooms.has(roomId);
+};
+
+/**
+ * Create a room's router and tell its clients to move to SFU
+ * (back to mesh if the router cannot be created)
+ * @param {string} reason - For the log
+ */
+const openSfuRoom = async (io, roomId, reason) => {
+    const worker = getMediasoupWorker();
+    const sfuRoom = {
+        router: null,
+        ready: worker.createRouter({ mediaCodecs }),
+        peers: new Map(),
+    };
+    // Set synchronously so joins during router creation already see 'sfu'
+    sfuRooms.set(roomId, sfuRoom);
+
+    try {
+        sfuRoom.router = await sfuRoom.ready;
+    } catch (error) {
+        console.error(`❌ Failed to create SFU router for room ${roomId}:`, error.message);
+        sfuRooms.delete(roomId);
+        io.to(roomId).emit('media-mode', { mode: 'mesh' });
+        return;
+    }
+
+    console.log(`📡 Room ${roomId} switched to SFU (${reason})`);
+    io.to(roomId).emit('media-mode', { mode: 'sfu' });
+};
+
+/**
+ * A room's router and every producer on it, for recording (null in mesh mode)
+ */
+const getSfuRecordingSources = async (roomId) => {
+    const sfuRoom = sfuRooms.get(roomId);
+    if (!sfuRoom) return null;
+
+    const router = await sfuRoom.ready;
+    const producers = [...sfuRoom.peers.values()].flatMap((peer) => [...peer.producers.values()]);
+    return { router, producers };
+};
+
+/**
+ * Close everything a socket has open on a room's router
+ */
+const closeSfuPeer = (roomId, socketId) => {
+    const peer = sfuRooms.get(roomId)?.peers.get(socketId);
+    if (!peer) return;
+
+    // Closing a transport closes its producers and consumers too
+    peer.transports.forEach((transport) => transport.close());
+    sfuRooms.get(roomId).peers.delete(socketId);
+};
+
+/**
+ * Find which peer owns a producer
+ */
+const findProducer = (sfuRoom, producerId) => {
+    for (const [socketId, peer] of sfuRoom.peers.entries()) {
+        const producer = peer.producers.get(producerId);
+        if (producer) return { socketId, producer };
+    }
+    return null;
+};
+
+/**
+ * Describe a producer for clients
+ */
+const describeProducer = (roomId, socketId, producer) => ({
+    producerId: producer.id,
+    socketId,
+    userName: roomParticipants.get(roomId)?.get(socketId)?.userName || 'Unknown',
+    kind: producer.kind,
+    source: producer.appData.source,
+});
+
+/**
+ * Register SFU socket event handlers
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {import('socket.io').Socket} socket - Individual socket connection
+ */
+const registerSfuHandlers = (io, socket) => {
+    /**
+     * Register an acknowledged SFU event.
+     * The handler receives the payload plus this socket's SFU room and peer.
+     */
+    const handle = (event, handler) => {
+        socket.on(event, async (payload = {}, ack) => {
+            try {
+                const { roomId } = payload;
+                if (!hasJoinedRoom(socket, roomId)) {
+                    throw new Error('Not a member of this room');
+                }
+
+                const sfuRoom = sfuRooms.get(roomId);
+                if (!sfuRoom) {
+                    throw new Error('Room is not in SFU mode');
+                }
+                // Disconnected or left the room while we waited: closeSfuPeer has run
+                const hasLeft = () => !socket.connected || !hasJoinedRoom(socket, roomId);
+
+                await sfuRoom.ready;
+                if (hasLeft()) throw new Error('Left the room');
+
+                if (!sfuRoom.peers.has(socket.id)) {
+                    sfuRoom.peers.set(socket.id, {
+                        transports: new Map(),
+                        producers: new Map(),
+                        consumers: new Map(),
+                    });
+                }
+
+                const peer = sfuRoom.peers.get(socket.id);
+                const data = await handler(payload, sfuRoom, peer);
+
+                // What the handler created outlived closeSfuPeer (even if the
+                // socket has rejoined since, with a new peer): close it too
+                if (hasLeft() || sfuRoom.peers.get(socket.id) !== peer) {
+                    peer.transports.forEach((transport) => transport.close());
+                    if (sfuRoom.peers.get(socket.id) === peer) sfuRoom.peers.delete(socket.id);
+                    throw new Error('Left the room');
+                }
+
+                if (typeof ack === 'function') ack({ success: true, data });
+            } catch (error) {
+                console.error(`❌ ${event} failed:`, error.message);
+                if (typeof ack === 'function') ack({ success: false, message: error.message });
+            }
+        });
+    };
+
+    /**
+     * Get a transport this socket created
+     */
+    const getTransport = (peer, transportId) => {
+        const transport = peer.transports.get(transportId);
+        if (!transport) throw new Error('Transport not found');
+        return transport;
+    };
+
+    /**
+     * sfu-join — Router capabilities and the producers already in the room
+     * Payload: { roomId }
+     */
+    handle('sfu-join', async ({ roomId }, sfuRoom) => {
+        const producers = [];
+        sfuRoom.peers.forEach((peer, socketId) => {
+            if (socketId === socket.id) return;
+            peer.producers.forEach((producer) => {
+                producers.push(describeProducer(roomId, socketId, producer));
+            });
+        });
+
+        return {
+            rtpCapabilities: sfuRoom.router.rtpCapabilities,
+            producers,
+        };
+    });
+
+    /**
+     * sfu-create-transport — Create a send or receive WebRTC transport
+     * Payload: { roomId, direction: 'send' | 'recv' }
+     */
+    handle('sfu-create-transport', async ({ direction }, sfuRoom, peer) => {
+        if (direction !== 'send' && direction !== 'recv') {
+            throw new Error('Invalid transport direction');
+        }
+
+        const transport = await sfuRoom.router.createWebRtcTransport({
+            ...getWebRtcTransportOptions(),
+            appData: { direction },
+        });
+
+        transport.on('dtlsstatechange', (state) => {
+            if (state === 'closed') transport.close();
+        });
+        transport.observer.on('close', () => {
+            peer.transports.delete(transport.id);
+        });
+
+        peer.transports.set(transport.id, transport);
+
+        return {
+            id: transport.id,
+            iceParameters: transport.iceParameters,
+            iceCandidates: transport.iceCandidates,
+            dtlsParameters: transport.dtlsParameters,
+        };
+    });
+
+    /**
+     * sfu-connect-transport — Finish the DTLS handshake for a transport
+     * Payload: { roomId, transportId, dtlsParameters }
+     */
+    handle('sfu-connect-transport', async ({ transportId, dtlsParameters }, sfuRoom, peer) => {
+        await getTransport(peer, transportId).connect({ dtlsParameters });
+        return {};
+    });
+
+    /**
+     * sfu-restart-ice — New ICE parameters for a transport that lost connectivity
+     * Payload: { roomId, transportId }
+     */
+    handle('sfu-restart-ice', async ({ transportId }, sfuRoom, peer) => {
+        const iceParameters = await getTransport(peer, transportId).restartIce();
+        return { iceParameters };
+    });
+
+    /**
+     * sfu-produce — Start sending a track to the router
+     * Payload: { roomId, transportId, kind, rtpParameters, appData: { source } }
+     * source: 'camera' | 'mic' | 'screen'
+     */
+    handle('sfu-produce', async ({ roomId, transportId, kind, rtpParameters, appData }, sfuRoom, peer) => {
+        const source = appData?.source || (kind === 'audio' ? 'mic' : 'camera');
+        if (source === 'screen' && !canContribute(getSocketRole(socket, roomId))) {
+            throw new Error('Viewers cannot share their screen');
+        }
+
+        const producer = await getTransport(peer, transportId).produce({
+            kind,
+            rtpParameters,
+            appData: { source },
+        });
+
+        producer.observer.on('close', () => {
+            peer.producers.delete(producer.id);
+        });
+        peer.producers.set(producer.id, producer);
+
+        socket.to(roomId).emit('sfu-new-producer', describeProducer(roomId, socket.id, producer));
+        recordSfuProducer(roomId, producer);
+
+        return { id: producer.id };
+    });
+
+    /**
+     * sfu-consume — Start receiving another peer's producer (created paused)
+     * Payload: { roomId, transportId, producerId, rtpCapabilities }
+     */
+    handle('sfu-consume', async ({ roomId, transportId, producerId, rtpCapabilities }, sfuRoom, peer) => {
+        const owner = findProducer(sfuRoom, producerId);
+        if (!owner) throw new Error('Producer not found');
+
+        if (!sfuRoom.router.canConsume({ producerId, rtpCapabilities })) {
+            throw new Error('Cannot consume this producer');
+        }
+
+        // Paused until the client has wired up the track (avoids a lost keyframe)
+        const consumer = await getTransport(peer, transportId).consume({
+            producerId,
+            rtpCapabilities,
+            paused: true,
+        });
+
+        consumer.on('producerclose', () => {
+            peer.consumers.delete(consumer.id);
+            socket.emit('sfu-producer-closed', { producerId, socketId: owner.socketId });
+        });
+        consumer.observer.on('close', () => {
+            peer.consumers.delete(consumer.id);
+        });
+        peer.consumers.set(consumer.id, consumer);
+
+        return {
+            id: consumer.id,
+            kind: consumer.kind,
+            rtpParameters: consumer.rtpParameters,
+            ...describeProducer(roomId, owner.socketId, owner.producer),
+        };
+    });
+
+    /**
+     * sfu-resume-consumer — Start forwarding media for a paused consumer
+     * Payload: { roomId, consumerId }
+     */
+    handle('sfu-resume-consumer', async ({ consumerId }, sfuRoom, peer) => {
+        const consumer = peer.consumers.get(consumerId);
+        if (!consumer) throw new Error('Consumer not found');
+        await consumer.resume();
+        return {};
+    });
+
+    /**
+     * sfu-close-producer — Stop sending a track (e.g. screen share ended)
+     * Payload: { roomId, producerId }
+     */
+    handle('sfu-close-producer', async ({ producerId }, sfuRoom, peer) => {
+        const producer = peer.producers.get(producerId);
+        if (!producer) throw new Error('Producer not found');
+        producer.close();
+        return {};
+    });
+};
+
+export {
+    registerSfuHandlers,
+    getMediaMode,
+    updateMediaMode,
+    requireSfuMode,
+    closeSfuPeer,
+    getSfuRecordingSources,
+};
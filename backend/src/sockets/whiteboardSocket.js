@@ -0,0 +1,410 @@
+/**
+ * Whiteboard Socket Handler
+ *
+ * Real-time whiteboard: typed elements on named pages.
+ * - whiteboard-yjs                      → element edits, as updates of the room's
+ *                                         whiteboard document (persisted, broadcast)
+ * - whiteboard-draft                    → live preview while drawing (broadcast only)
+ * - load-whiteboard                     → pages + document sync for the requesting client
+ * - clear-whiteboard                    → delete every element of a page (moderators)
+ * - whiteboard-page-add / -rename / -move / -delete → broadcast whiteboard-pages
+ * - whiteboard-cursor / -cursor-leave  → live pointers of others (volatile, never stored)
+ * - whiteboard-present / -viewport     → "follow the presenter": one moderator's
+ *                                        page and view, mirrored by everyone following
+ * - whiteboard-highlight               → highlighter marks that fade out by themselves
+ *                                        (volatile, never stored)
+ *
+ * Importing a board goes through REST (controllers/whiteboardController.js),
+ * which broadcasts whiteboard-pages and whiteboard-yjs itself.
+ *
+ * Elements are a Yjs document per room (utils/whiteboardDoc.js), so edits
+ * merge without conflicts in any order. Syncing works like Yjs' own protocol:
+ * load-whiteboard carries the client's state vector, the answer carries what
+ * the client is missing plus the server's state vector, and the client sends
+ * back whatever the server is missing — e.g. edits made while it was
+ * disconnected. The client does this on every (re)join, so nothing drawn
+ * offline or between loading and live updates is lost or doubled.
+ *
+ * Elements and pages are validated by utils/whiteboardElements.js. Pages are
+ * stored in Room.whiteboardPages; documents as incremental updates, through
+ * the write buffer in whiteboardStore.js — edits are broadcast right away and
+ * written in batches. Coordinates are world coordinates of the element's
+ * page — panning and zooming are per user and never reach the server.
+ *
+ * A freehand stroke is one path element: while it is being drawn, others get
+ * drafts that only carry the points added since the last draft.
+ *
+ * Undo/redo happens in the browser (per user) and arrives here as ordinary
+ * document updates, so it is persisted and broadcast like any other edit.
+ * So do the erasers: erasing whole elements deletes them, and cutting through
+ * a stroke deletes it and adds the pieces that are left.
+ */
+import Room from '../models/Room.js';
+import { canModerate, canContribute } from '../utils/roomRoles.js';
+import {
+    MAX_PAGES,
+    sanitizeElement,
+    sanitizeElementChanges,
+    sanitizePage,
+    sanitizePageName,
+} from '../utils/whiteboardElements.js';
+import { roomParticipants, hasJoinedRoom, getSocketRole, rejectEvent } from './roomState.js';
+import { addTimelineEvent } from './recordingSocket.js';
+import { syncWhiteboard, applyWhiteboardUpdate, clearPage, setPageIds } from './whiteboardStore.js';
+
+// Most elements one draft may carry (e.g. moving a selection)
+const MAX_WHITEBOARD_BATCH = 500;
+
+// roomId → { socketId, userName, pageId, view } of the room's presenter
+const presenters = new Map();
+
+const isValidView = (view) => ['x', 'y', 'zoom'].every((key) => Number.isFinite(view?.[key])) && view.zoom > 0;
+
+/**
+ * The presenter as clients see it (null when nobody presents)
+ */
+const presenterInfo = (roomId) => {
+    const presenter = presenters.get(roomId);
+    return presenter
+        ? { socketId: presenter.socketId, userName: presenter.userName, pageId: presenter.pageId, view: presenter.view }
+        : null;
+};
+
+/**
+ * Stop presenting if `socketId` is the room's presenter (they left or stopped)
+ */
+const stopPresentingOfSocket = (io, roomId, socketId) => {
+    if (presenters.get(roomId)?.socketId !== socketId) return;
+    presenters.delete(roomId);
+    io.to(roomId).emit('whiteboard-presenter', null);
+};
+
+/**
+ * Register whiteboard socket event handlers
+ * @param {import('socket.io').Server} io - Socket.IO server instance
+ * @param {import('socket.io').Socket} socket - Individual socket connection
+ */
+const registerWhiteboardHandlers = (io, socket) => {
+    /**
+     * Only participants and above may change the whiteboard
+     */
+    const authorizeWhiteboardEdit = (event, roomId) => {
+        if (!hasJoinedRoom(socket, roomId)) {
+            rejectEvent(socket, event, roomId);
+            return false;
+        }
+        if (!canContribute(getSocketRole(socket, roomId))) {
+            rejectEvent(socket, event, roomId, 'Viewers cannot edit the whiteboard');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Send the room's page list to everyone after a page change
+     */
+    const broadcastPages = async (roomId) => {
+        const room = await Room.findOne({ roomId }).select('whiteboardPages');
+        if (!room) return;
+
+        setPageIds(roomId, room.whiteboardPages);
+        io.to(roomId).emit('whiteboard-pages', room.whiteboardPages);
+        addTimelineEvent(roomId, 'pages', room.whiteboardPages);
+    };
+
+    // ─── Elements ───
+
+    /**
+     * Record a document change for a recording in progress:
+     * added or changed elements as 'add' (the whole element), then deletions
+     */
+    const recordChanges = (roomId, { changed, deletedIds }) => {
+        changed.forEach((el) => addTimelineEvent(roomId, 'add', el));
+        if (deletedIds.length > 0) addTimelineEvent(roomId, 'delete', { ids: deletedIds });
+    };
+
+    /**
+     * whiteboard-yjs — Any element edit (add, move, resize, restyle, retext,
+     * delete, undo/redo, or edits made while offline) as a Yjs update
+     * Payload: { roomId, update: <binary> }
+     * Others get { update }, merged and checked; the sender gets it too
+     * when checking it had to change something.
+     */
+    socket.on('whiteboard-yjs', async ({ roomId, update }) => {
+        if (!authorizeWhiteboardEdit('whiteboard-yjs', roomId)) return;
+        if (!(update instanceof Uint8Array)) {
+            return rejectEvent(socket, 'whiteboard-yjs', roomId, 'Invalid whiteboard update');
+        }
+
+        let result;
+        try {
+            result = await applyWhiteboardUpdate(roomId, update, socket.user._id.toString());
+        } catch (error) {
+            console.error('❌ Failed to apply whiteboard update:', error.message);
+            return rejectEvent(socket, 'whiteboard-yjs', roomId, 'Invalid whiteboard update');
+        }
+        if (!result?.update) return;
+
+        socket.to(roomId).emit('whiteboard-yjs', { update: result.update });
+        if (result.repaired) socket.emit('whiteboard-yjs', { update: result.update });
+        recordChanges(roomId, result);
+    });
+
+    /**
+     * whiteboard-draft — Live preview while drawing, moving or resizing (not persisted)
+     * Payload: { roomId, elements: [element], appends?: [{ id, points }], discardIds?: [id] }
+     * `appends` adds points to a draft path sent earlier (a stroke in progress).
+     * The final state follows as whiteboard-yjs.
+     */
+    socket.on('whiteboard-draft', ({ roomId, elements = [], appends = [], discardIds = [] }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+        if (!canContribute(getSocketRole(socket, roomId))) return;
+        if (!Array.isArray(elements) || !Array.isArray(appends) || !Array.isArray(discardIds)) return;
+        if (elements.length > MAX_WHITEBOARD_BATCH || appends.length > MAX_WHITEBOARD_BATCH) return;
+
+        socket.to(roomId).emit('whiteboard-draft', {
+            elements: elements.map(sanitizeElement).filter(Boolean),
+            appends: appends
+                .filter((a) => typeof a?.id === 'string')
+                .map((a) => ({ id: a.id, points: sanitizeElementChanges({ points: a.points }).points }))
+                .filter((a) => a.points),
+            discardIds: discardIds.filter((id) => typeof id === 'string'),
+        });
+    });
+
+    /**
+     * load-whiteboard — Send the pages and sync the client's document
+     * Payload: { roomId, stateVector: <binary> } (Y.encodeStateVector of the client's document)
+     * Answer: { pages, update, stateVector } — what the client is missing, and
+     * the server's state vector, to send back what the server is missing
+     */
+    socket.on('load-whiteboard', async ({ roomId, stateVector }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'load-whiteboard', roomId);
+
+        try {
+            const sync = await syncWhiteboard(roomId, stateVector instanceof Uint8Array ? stateVector : undefined);
+            if (!sync) return;
+            socket.emit('load-whiteboard', sync);
+            // Late joiners start following whoever is presenting
+            socket.emit('whiteboard-presenter', presenterInfo(roomId));
+        } catch (error) {
+            console.error('❌ Failed to load whiteboard:', error.message);
+        }
+    });
+
+    /**
+     * clear-whiteboard — Delete every element of a page
+     * Payload: { roomId, pageId }
+     */
+    socket.on('clear-whiteboard', async ({ roomId, pageId }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'clear-whiteboard', roomId);
+        if (!canModerate(getSocketRole(socket, roomId))) {
+            return rejectEvent(socket, 'clear-whiteboard', roomId, 'Only moderators can clear the whiteboard');
+        }
+        if (typeof pageId !== 'string') return;
+
+        try {
+            const update = await clearPage(roomId, pageId);
+            if (update) io.to(roomId).emit('whiteboard-yjs', { update });
+            io.to(roomId).emit('clear-whiteboard', { pageId });
+            addTimelineEvent(roomId, 'clear', { pageId });
+        } catch (error) {
+            console.error('❌ Failed to clear whiteboard page:', error.message);
+        }
+    });
+
+    // ─── Pages ───
+
+    /**
+     * whiteboard-page-add — Add a page at the end
+     * Payload: { roomId, page: { id, name } }
+     */
+    socket.on('whiteboard-page-add', async ({ roomId, page }) => {
+        if (!authorizeWhiteboardEdit('whiteboard-page-add', roomId)) return;
+
+        const clean = sanitizePage(page);
+        if (!clean) return rejectEvent(socket, 'whiteboard-page-add', roomId, 'Invalid page');
+
+        try {
+            const result = await Room.updateOne(
+                {
+                    roomId,
+                    'whiteboardPages.id': { $ne: clean.id },
+                    [`whiteboardPages.${MAX_PAGES - 1}`]: { $exists: false },
+                },
+                { $push: { whiteboardPages: clean } }
+            );
+            if (result.modifiedCount === 0) {
+                return rejectEvent(socket, 'whiteboard-page-add', roomId, `A whiteboard can have at most ${MAX_PAGES} pages`);
+            }
+
+            await broadcastPages(roomId);
+        } catch (error) {
+            console.error('❌ Failed to add whiteboard page:', error.message);
+        }
+    });
+
+    /**
+     * whiteboard-page-rename — Rename a page
+     * Payload: { roomId, pageId, name }
+     */
+    socket.on('whiteboard-page-rename', async ({ roomId, pageId, name }) => {
+        if (!authorizeWhiteboardEdit('whiteboard-page-rename', roomId)) return;
+
+        const cleanName = sanitizePageName(name);
+        if (!cleanName || typeof pageId !== 'string') return;
+
+        try {
+            await Room.updateOne(
+                { roomId, 'whiteboardPages.id': pageId },
+                { $set: { 'whiteboardPages.$.name': cleanName } }
+            );
+            await broadcastPages(roomId);
+        } catch (error) {
+            console.error('❌ Failed to rename whiteboard page:', error.message);
+        }
+    });
+
+    /**
+     * whiteboard-page-move — Move a page to a new position
+     * Payload: { roomId, pageId, index }
+     */
+    socket.on('whiteboard-page-move', async ({ roomId, pageId, index }) => {
+        if (!authorizeWhiteboardEdit('whiteboard-page-move', roomId)) return;
+        if (!Number.isInteger(index) || index < 0) return;
+
+        try {
+            const room = await Room.findOne({ roomId }).select('whiteboardPages');
+            if (!room) return;
+
+            const pages = room.whiteboardPages.map((p) => ({ id: p.id, name: p.name }));
+            const from = pages.findIndex((p) => p.id === pageId);
+            if (from === -1) return;
+
+            const [page] = pages.splice(from, 1);
+            pages.splice(Math.min(index, pages.length), 0, page);
+
+            await Room.updateOne({ roomId }, { $set: { whiteboardPages: pages } });
+            await broadcastPages(roomId);
+        } catch (error) {
+            console.error('❌ Failed to move whiteboard page:', error.message);
+        }
+    });
+
+    /**
+     * whiteboard-page-delete — Delete a page and everything on it (moderators)
+     * Payload: { roomId, pageId }
+     * The last page cannot be deleted.
+     */
+    socket.on('whiteboard-page-delete', async ({ roomId, pageId }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'whiteboard-page-delete', roomId);
+        if (!canModerate(getSocketRole(socket, roomId))) {
+            return rejectEvent(socket, 'whiteboard-page-delete', roomId, 'Only moderators can delete pages');
+        }
+        if (typeof pageId !== 'string') return;
+
+        try {
+            const result = await Room.updateOne(
+                { roomId, 'whiteboardPages.id': pageId, 'whiteboardPages.1': { $exists: true } },
+                { $pull: { whiteboardPages: { id: pageId } } }
+            );
+            if (result.modifiedCount === 0) {
+                return rejectEvent(socket, 'whiteboard-page-delete', roomId, 'Page not found, or it is the last page');
+            }
+
+            await broadcastPages(roomId);
+            const update = await clearPage(roomId, pageId);
+            if (update) io.to(roomId).emit('whiteboard-yjs', { update });
+        } catch (error) {
+            console.error('❌ Failed to delete whiteboard page:', error.message);
+        }
+    });
+
+    // ─── Presence ───
+    // Cursors and viewports are sent as volatile messages: a dropped one is
+    // simply superseded by the next, and none of them are stored.
+
+    /**
+     * whiteboard-cursor — Where our pointer is (throttled by the client)
+     * Payload: { roomId, pageId, x, y } (world coordinates of the page)
+     * Others get { socketId, userId, userName, pageId, x, y }.
+     */
+    socket.on('whiteboard-cursor', ({ roomId, pageId, x, y }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+        if (typeof pageId !== 'string' || !Number.isFinite(x) || !Number.isFinite(y)) return;
+
+        const { userId, userName } = roomParticipants.get(roomId).get(socket.id);
+        socket.volatile.to(roomId).emit('whiteboard-cursor', { socketId: socket.id, userId, userName, pageId, x, y });
+    });
+
+    /**
+     * whiteboard-cursor-leave — Our pointer left the board (or we closed it)
+     * Payload: { roomId }
+     */
+    socket.on('whiteboard-cursor-leave', ({ roomId }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+        socket.to(roomId).emit('whiteboard-cursor-leave', { socketId: socket.id });
+    });
+
+    /**
+     * whiteboard-highlight — Points added to a highlighter mark (throttled by the client).
+     * Marks fade out on every client by themselves, so nothing is kept here.
+     * Payload: { roomId, id, pageId, strokeColor, strokeWidth, points: [[x, y], ...] }
+     */
+    socket.on('whiteboard-highlight', ({ roomId, id, pageId, strokeColor, strokeWidth, points }) => {
+        if (!hasJoinedRoom(socket, roomId)) return;
+        if (!canContribute(getSocketRole(socket, roomId))) return;
+        if (typeof id !== 'string' || typeof pageId !== 'string') return;
+
+        const clean = sanitizeElementChanges({ strokeColor, strokeWidth, points });
+        if (!clean.points) return;
+        socket.volatile.to(roomId).emit('whiteboard-highlight', { id, pageId, ...clean });
+    });
+
+    /**
+     * whiteboard-present — Start or stop presenting (moderators).
+     * Starting takes over from any current presenter.
+     * Payload: { roomId, active, pageId?, view? }
+     */
+    socket.on('whiteboard-present', ({ roomId, active, pageId, view }) => {
+        if (!hasJoinedRoom(socket, roomId)) return rejectEvent(socket, 'whiteboard-present', roomId);
+
+        if (!active) {
+            stopPresentingOfSocket(io, roomId, socket.id);
+            return;
+        }
+        if (!canModerate(getSocketRole(socket, roomId))) {
+            return rejectEvent(socket, 'whiteboard-present', roomId, 'Only moderators can present');
+        }
+
+        presenters.set(roomId, {
+            socketId: socket.id,
+            userName: roomParticipants.get(roomId).get(socket.id).userName,
+            pageId: typeof pageId === 'string' ? pageId : null,
+            view: isValidView(view) ? view : null,
+        });
+        io.to(roomId).emit('whiteboard-presenter', presenterInfo(roomId));
+    });
+
+    /**
+     * whiteboard-viewport — The presenter's page and view (throttled by the client)
+     * Payload: { roomId, pageId, view: { x, y, zoom } }
+     */
+    socket.on('whiteboard-viewport', ({ roomId, pageId, view }) => {
+        const presenter = presenters.get(roomId);
+        if (presenter?.socketId !== socket.id) return;
+        if (typeof pageId !== 'string' || !isValidView(view)) return;
+
+        // A presenter who lost their moderator role stops presenting
+        if (!canModerate(getSocketRole(socket, roomId))) {
+            stopPresentingOfSocket(io, roomId, socket.id);
+            return;
+        }
+
+        presenter.pageId = pageId;
+        presenter.view = { x: view.x, y: view.y, zoom: view.zoom };
+        socket.volatile.to(roomId).emit('whiteboard-viewport', { pageId, view: presenter.view });
+    });
+};
+
+export { registerWhiteboardHandlers, stopPresentingOfSocket };
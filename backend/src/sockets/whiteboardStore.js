@@ -0,0 +1,504 @@
+/**
+ * Whiteboard Store
+ *
+ * Each room's whiteboard elements are a Yjs document (utils/whiteboardDoc.js),
+ * kept in memory while the room is in use and persisted as incremental
+ * updates in the WhiteboardUpdate collection. Shared by the whiteboard and
+ * recording socket handlers and the whiteboard REST routes.
+ *
+ * Every change to a document is queued and written as one merged update —
+ * every FLUSH_INTERVAL_MS, or sooner once MAX_BUFFERED_UPDATES are waiting.
+ * Flushes of a room run one after another, and pending ones are written
+ * before a document is loaded again. Once a room has more than
+ * MAX_STORED_UPDATES stored updates they are replaced by a single one.
+ *
+ * Updates from clients are checked while they are merged: elements that are
+ * invalid, or on a page that no longer exists, are deleted again and fields
+ * sanitizeElement would drop are removed — in the same transaction, so the
+ * update passed on to everyone already carries the fixes.
+ */
+import * as Y from 'yjs';
+import Room from '../models/Room.js';
+import WhiteboardElement from '../models/WhiteboardElement.js';
+import WhiteboardUpdate from '../models/WhiteboardUpdate.js';
+import {
+    DEFAULT_PAGE,
+    sanitizeElement,
+    decodePoints,
+    migrateLegacySegments,
+} from '../utils/whiteboardElements.js';
+import { getElementsMap, writeElement, readElement, readElements } from '../utils/whiteboardDoc.js';
+import { roomParticipants } from './roomState.js';
+
+const FLUSH_INTERVAL_MS = 500;
+const MAX_BUFFERED_UPDATES = 200;
+
+// Merge a room's stored updates into one when loading finds more than this,
+// or when the room is released with more than MAX_UPDATES_ON_RELEASE
+const MAX_STORED_UPDATES = 100;
+const MAX_UPDATES_ON_RELEASE = 10;
+
+// roomId → Promise of { doc, storedCount } (null if the room does not exist)
+const documents = new Map();
+
+// roomId → { updates: [Uint8Array], timer }
+const pendingWrites = new Map();
+
+// roomId → Promise of the flush in progress (flushes of a room are chained)
+const activeFlushes = new Map();
+
+// roomId → Set of page IDs (elements on any other page are dropped)
+const roomPageIds = new Map();
+
+let lastOrder = 0;
+
+/**
+ * Increasing drawing order for elements added here (later = on top)
+ */
+const nextOrder = () => {
+    lastOrder = Math.max(lastOrder + 1, Date.now());
+    return lastOrder;
+};
+
+/**
+ * Binary field of a lean query (a BSON Binary) → Uint8Array
+ */
+const toBytes = (data) => (data instanceof Uint8Array ? data : data.buffer);
+
+/**
+ * Element from the document, as clients and exports see it (no drawing order)
+ */
+const toClientElement = ({ order, ...element }) => element;
+
+/**
+ * Run `change` as one transaction of `doc` and return the update it made
+ * (null if it changed nothing)
+ */
+const transactAndCapture = (doc, change) => {
+    let captured = null;
+    const capture = (update) => {
+        captured = update;
+    };
+    doc.on('update', capture);
+    try {
+        doc.transact(change);
+    } finally {
+        doc.off('update', capture);
+    }
+    return captured;
+};
+
+// ─── Write Buffer ───
+
+const writeUpdates = async (roomId, updates) => {
+    try {
+        await WhiteboardUpdate.create({ roomId, data: Buffer.from(Y.mergeUpdates(updates)) });
+        const state = await documents.get(roomId);
+        if (state) state.storedCount += 1;
+    } catch (error) {
+        console.error(`❌ Failed to save whiteboard changes of room ${roomId}:`, error.message);
+    }
+};
+
+/**
+ * Write a room's queued updates now. Resolves once they (and any earlier
+ * flush of the room) are stored.
+ */
+const flushWhiteboard = (roomId) => {
+    const previous = activeFlushes.get(roomId) || Promise.resolve();
+    const pending = pendingWrites.get(roomId);
+    if (!pending) return previous;
+
+    pendingWrites.delete(roomId);
+    clearTimeout(pending.timer);
+
+    const flush = previous.then(() => writeUpdates(roomId, pending.updates));
+    activeFlushes.set(roomId, flush);
+    flush.finally(() => {
+        if (activeFlushes.get(roomId) === flush) activeFlushes.delete(roomId);
+    });
+    return flush;
+};
+
+const queueUpdate = (roomId, update) => {
+    let pending = pendingWrites.get(roomId);
+    if (!pending) {
+        pending = {
+            updates: [],
+            timer: setTimeout(() => flushWhiteboard(roomId), FLUSH_INTERVAL_MS),
+        };
+        pendingWrites.set(roomId, pending);
+    }
+
+    pending.updates.push(update);
+    if (pending.updates.length >= MAX_BUFFERED_UPDATES) {
+        flushWhiteboard(roomId);
+    }
+};
+
+/**
+ * Replace a room's stored updates with one holding the whole document
+ */
+const compactUpdates = async (roomId, state) => {
+    await flushWhiteboard(roomId);
+
+    // Updates written after this point are kept; they are in the document already
+    const last = await WhiteboardUpdate.findOne({ roomId }).sort({ _id: -1 }).select('_id').lean();
+    if (!last) return;
+
+    await WhiteboardUpdate.create({ roomId, data: Buffer.from(Y.encodeStateAsUpdate(state.doc)) });
+    await WhiteboardUpdate.deleteMany({ roomId, _id: { $lte: last._id } });
+    state.storedCount = 1;
+};
+
+// ─── Loading ───
+
+/**
+ * Stored element (legacy WhiteboardElement) → element with its drawing order
+ */
+const fromStoredElement = (doc) => {
+    const element = {
+        id: doc.id,
+        pageId: doc.pageId,
+        type: doc.type,
+        order: doc.order,
+        x: doc.x,
+        y: doc.y,
+        width: doc.width,
+        height: doc.height,
+    };
+    if (doc.points) element.points = decodePoints(doc.points, doc.pressures);
+    ['strokeColor', 'fillColor', 'strokeWidth', 'text', 'fontSize', 'fileId'].forEach((field) => {
+        if (doc[field] !== undefined && doc[field] !== null) element[field] = doc[field];
+    });
+    if (doc.createdBy) element.createdBy = doc.createdBy.toString();
+    return element;
+};
+
+/**
+ * Upgrade a board stored by older versions: give a board from before pages
+ * its first page, and claim elements embedded in the Room document or
+ * freehand segments (whiteboardData).
+ * @returns {Promise<Array>} The claimed elements, for the room's document
+ */
+const upgradeLegacyWhiteboard = async (room) => {
+    let pages = room.whiteboardPages || [];
+    if (pages.length === 0) {
+        // Every caller adds the same page, so only the first one counts
+        await Room.updateOne(
+            { _id: room._id, 'whiteboardPages.0': { $exists: false } },
+            { $push: { whiteboardPages: DEFAULT_PAGE } }
+        );
+        pages = [DEFAULT_PAGE];
+    }
+    const firstPageId = pages[0].id;
+
+    const hasLegacy = room.whiteboardElements?.length > 0 || room.whiteboardData?.length > 0;
+    if (!hasLegacy) return [];
+
+    // Claim the legacy data first, so only one caller moves it
+    const claimed = await Room.updateOne(
+        {
+            _id: room._id,
+            $or: [{ 'whiteboardElements.0': { $exists: true } }, { 'whiteboardData.0': { $exists: true } }],
+        },
+        { $unset: { whiteboardElements: 1, whiteboardData: 1 } }
+    );
+    if (claimed.modifiedCount === 0) return [];
+
+    return [
+        ...(room.whiteboardElements || []).map((el) => ({ ...el, pageId: el.pageId || firstPageId })),
+        ...migrateLegacySegments(room.whiteboardData || [], firstPageId),
+    ];
+};
+
+/**
+ * Move elements stored the older ways (WhiteboardElement documents, plus
+ * what upgradeLegacyWhiteboard claimed) into a room's whiteboard document
+ */
+const moveLegacyElements = async (roomId, doc, claimed) => {
+    const stored = await WhiteboardElement.find({ roomId }).sort({ order: 1 }).lean();
+    const elements = [
+        ...stored.map(fromStoredElement),
+        ...claimed.map(sanitizeElement).filter(Boolean).map((el) => ({ ...el, order: nextOrder() })),
+    ];
+    if (elements.length === 0) return false;
+
+    doc.transact(() => {
+        elements.forEach((el) => writeElement(doc, el));
+    });
+    await WhiteboardUpdate.create({ roomId, data: Buffer.from(Y.encodeStateAsUpdate(doc)) });
+    if (stored.length > 0) await WhiteboardElement.deleteMany({ roomId });
+
+    console.log(`✅ Moved ${elements.length} whiteboard elements of room ${roomId} into its whiteboard document`);
+    return true;
+};
+
+/**
+ * Read a room's document from its stored updates (upgrading older boards)
+ */
+const openDocument = async (roomId) => {
+    // Updates of an earlier copy of this document may still be on their way
+    await flushWhiteboard(roomId);
+
+    const select = 'roomId whiteboardPages whiteboardElements whiteboardData';
+    let room = await Room.findOne({ roomId }).select(select).lean();
+    if (!room) return null;
+
+    let claimed = [];
+    const needsUpgrade = !room.whiteboardPages?.length
+        || room.whiteboardElements?.length > 0
+        || room.whiteboardData?.length > 0;
+    if (needsUpgrade) {
+        claimed = await upgradeLegacyWhiteboard(room);
+        room = await Room.findOne({ roomId }).select(select).lean();
+    }
+    setPageIds(roomId, room.whiteboardPages);
+
+    const doc = new Y.Doc();
+    const stored = await WhiteboardUpdate.find({ roomId }).sort({ _id: 1 }).lean();
+    doc.transact(() => {
+        stored.forEach(({ data }) => Y.applyUpdate(doc, toBytes(data)));
+    });
+
+    const state = { doc, storedCount: stored.length };
+    if (await moveLegacyElements(roomId, doc, claimed)) {
+        state.storedCount += 1;
+    }
+
+    // From here on, every change is persisted
+    doc.on('update', (update) => queueUpdate(roomId, update));
+
+    if (state.storedCount > MAX_STORED_UPDATES) await compactUpdates(roomId, state);
+    return state;
+};
+
+/**
+ * A room's document, loaded once and shared until the room is released
+ * @returns {Promise<{ doc: Y.Doc, storedCount: number } | null>} null if the room does not exist
+ */
+const getDocument = async (roomId) => {
+    if (!documents.has(roomId)) {
+        documents.set(roomId, openDocument(roomId));
+    }
+
+    try {
+        const state = await documents.get(roomId);
+        if (!state) documents.delete(roomId);
+        return state;
+    } catch (error) {
+        documents.delete(roomId);
+        throw error;
+    }
+};
+
+/**
+ * Flush and forget a room's document (called when the last person leaves)
+ */
+const releaseWhiteboard = async (roomId) => {
+    const loading = documents.get(roomId);
+    if (!loading) return;
+
+    const state = await loading.catch(() => null);
+    if (state && state.storedCount > MAX_UPDATES_ON_RELEASE) {
+        await compactUpdates(roomId, state).catch((error) => {
+            console.error(`❌ Failed to compact the whiteboard of room ${roomId}:`, error.message);
+        });
+    }
+    await flushWhiteboard(roomId);
+
+    // Someone came back while we were writing
+    if (roomParticipants.has(roomId) || documents.get(roomId) !== loading) return;
+
+    documents.delete(roomId);
+    roomPageIds.delete(roomId);
+    state?.doc.destroy();
+};
+
+/**
+ * Release a document that was only loaded for a REST request
+ */
+const releaseIfUnused = async (roomId) => {
+    if (!roomParticipants.has(roomId)) await releaseWhiteboard(roomId);
+};
+
+/**
+ * Load a room's whiteboard as { pages, elements } (elements in drawing order).
+ * Returns null if the room does not exist.
+ */
+const loadWhiteboard = async (roomId) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const { whiteboardPages } = await Room.findOne({ roomId }).select('whiteboardPages').lean();
+    const elements = readElements(state.doc).map(toClientElement);
+
+    await releaseIfUnused(roomId);
+    return { pages: whiteboardPages, elements };
+};
+
+/**
+ * Catch a client up: the pages, everything it is missing from the document
+ * (judged by its state vector) and the server's own state vector, so the
+ * client can send back what the server is missing.
+ * Returns null if the room does not exist.
+ */
+const syncWhiteboard = async (roomId, stateVector) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const { whiteboardPages } = await Room.findOne({ roomId }).select('whiteboardPages').lean();
+
+    let update;
+    try {
+        update = Y.encodeStateAsUpdate(state.doc, stateVector);
+    } catch {
+        update = Y.encodeStateAsUpdate(state.doc); // not a state vector: send everything
+    }
+
+    return { pages: whiteboardPages, update, stateVector: Y.encodeStateVector(state.doc) };
+};
+
+// ─── Changes ───
+
+/**
+ * IDs of the elements a transaction added, changed or deleted
+ */
+const changedElementIds = (transaction, elements) => {
+    const ids = new Set();
+    transaction.changed.forEach((keys, type) => {
+        if (type === elements) {
+            keys.forEach((key) => key !== null && ids.add(key));
+        } else if (type._item?.parent === elements) {
+            ids.add(type._item.parentSub);
+        }
+    });
+    return ids;
+};
+
+/**
+ * Make a changed element valid again, or delete it (inside the transaction)
+ * @returns {boolean} Whether anything had to change
+ */
+const repairElement = (roomId, elements, id, isNew, userId) => {
+    const map = elements.get(id);
+    const element = map instanceof Y.Map ? readElement(map) : null;
+    const clean = element?.id === id && roomPageIds.get(roomId)?.has(element.pageId)
+        ? sanitizeElement(element)
+        : null;
+    if (!clean) {
+        elements.delete(id);
+        return true;
+    }
+
+    let repaired = false;
+    map.forEach((value, key) => {
+        const isKnown = key in clean
+            || (key === 'pressures' && 'points' in clean)
+            || key === 'order'
+            || key === 'createdBy';
+        if (!isKnown || value instanceof Y.AbstractType) {
+            map.delete(key);
+            repaired = true;
+        }
+    });
+    if (clean.text !== undefined && clean.text !== element.text) {
+        map.set('text', clean.text);
+        repaired = true;
+    }
+    if (!Number.isFinite(element.order)) {
+        map.set('order', nextOrder());
+        repaired = true;
+    }
+    if (isNew && element.createdBy !== userId) {
+        map.set('createdBy', userId);
+        repaired = true;
+    }
+    return repaired;
+};
+
+/**
+ * Merge a client's update into the room's document and repair what it broke.
+ * @returns {Promise<{ update, repaired, changed, deletedIds } | null>}
+ *   `update` is what to pass on (null if nothing was new), `repaired` whether
+ *   the sender needs it too, `changed` the added or changed elements and
+ *   `deletedIds` the deleted ones (for recordings)
+ * @throws {Error} If the update cannot be decoded
+ */
+const applyWhiteboardUpdate = async (roomId, update, userId) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const { doc } = state;
+    const elements = getElementsMap(doc);
+    let repaired = false;
+    let changedIds = new Set();
+
+    const merged = transactAndCapture(doc, (transaction) => {
+        Y.applyUpdate(doc, update);
+
+        changedIds = changedElementIds(transaction, elements);
+        const newIds = transaction.changed.get(elements) || new Set();
+        changedIds.forEach((id) => {
+            if (!elements.has(id)) return;
+            if (repairElement(roomId, elements, id, newIds.has(id), userId)) repaired = true;
+        });
+    });
+
+    const ids = [...changedIds];
+    return {
+        update: merged,
+        repaired,
+        changed: ids.filter((id) => elements.has(id)).map((id) => toClientElement(readElement(elements.get(id)))),
+        deletedIds: ids.filter((id) => !elements.has(id)),
+    };
+};
+
+/**
+ * Add elements on top of everything (already sanitized, e.g. an import)
+ * @returns {Promise<Uint8Array|null>} The update to pass on to the room's clients
+ */
+const addElements = async (roomId, elements) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const update = transactAndCapture(state.doc, () => {
+        elements.forEach((el) => writeElement(state.doc, { ...el, order: nextOrder() }));
+    });
+
+    await releaseIfUnused(roomId);
+    return update;
+};
+
+/**
+ * Delete every element of a page (page cleared or deleted)
+ * @returns {Promise<Uint8Array|null>} The update to pass on to the room's clients
+ */
+const clearPage = async (roomId, pageId) => {
+    const state = await getDocument(roomId);
+    if (!state) return null;
+
+    const elements = getElementsMap(state.doc);
+    return transactAndCapture(state.doc, () => {
+        elements.forEach((map, id) => {
+            if (!(map instanceof Y.Map) || map.get('pageId') === pageId) elements.delete(id);
+        });
+    });
+};
+
+// ─── Pages ───
+
+const setPageIds = (roomId, pages) => {
+    roomPageIds.set(roomId, new Set(pages.map((p) => p.id)));
+};
+
+export {
+    syncWhiteboard,
+    applyWhiteboardUpdate,
+    addElements,
+    clearPage,
+    setPageIds,
+    flushWhiteboard,
+    loadWhiteboard,
+    releaseWhiteboard,
+};
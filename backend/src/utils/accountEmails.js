@@ -0,0 +1,47 @@
+/**
+ * Account Emails
+ *
+ * Email verification and password reset links carry a random token. The user
+ * document keeps only its SHA-256 hash and an expiry, and the hash is cleared
+ * as soon as the link is used, so every link works once.
+ */
+import crypto from 'crypto';
+import { sendMail } from './mailer.js';
+
+export const VERIFY_EMAIL_HOURS = 24;
+export const RESET_PASSWORD_MINUTES = 60;
+
+export const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A new link token → { token (for the link), tokenHash (for the database) }
+ */
+export const newAccountToken = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashAccountToken(token) };
+};
+
+const clientLink = (path, token) => (
+    `${process.env.CLIENT_URL || 'http://localhost:5173'}${path}?token=${encodeURIComponent(token)}`
+);
+
+export const sendVerificationEmail = (user, token) => {
+    const link = clientLink('/verify-email', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your STDcollab email address',
+        text: `Hi ${user.name},\n\nConfirm your email address to start creating rooms:\n${link}\n\n`
+            + `The link works for ${VERIFY_EMAIL_HOURS} hours. If you did not sign up, ignore this email.`,
+    });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+    const link = clientLink('/reset-password', token);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your STDcollab password',
+        text: `Hi ${user.name},\n\nChoose a new password here:\n${link}\n\n`
+            + `The link works once, for ${RESET_PASSWORD_MINUTES} minutes. `
+            + 'If you did not ask for it, ignore this email — your password stays the same.',
+    });
+};
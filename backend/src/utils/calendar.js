@@ -0,0 +1,127 @@
+/**
+ * Calendar (iCalendar, RFC 5545)
+ *
+ * Scheduled rooms as calendar events, for .ics downloads and the per-user
+ * calendar feed. Recurring rooms become one event with an RRULE, so
+ * calendar apps show every session and pick up later schedule changes.
+ *
+ * Times are given in the room's time zone by IANA name (TZID=Europe/Berlin),
+ * which Google Calendar, Apple Calendar and Outlook all resolve themselves,
+ * so no VTIMEZONE blocks are written.
+ */
+import { toZonedParts } from './roomSchedule.js';
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Longest content line, in octets, before it is folded
+const MAX_LINE_OCTETS = 75;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * 20261019T160000Z
+ */
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * 20261019T180000, the wall-clock time in `timeZone`
+ */
+const formatLocal = (date, timeZone) => {
+    const p = toZonedParts(new Date(date), timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+const dateTimeProperty = (name, date, timeZone) => (
+    timeZone === 'UTC'
+        ? `${name}:${formatUtc(date)}`
+        : `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`
+);
+
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Split a content line into 75-octet pieces, continued by a leading space
+ */
+const foldLine = (line) => {
+    const pieces = [];
+    let piece = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts too
+        const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            pieces.push(piece);
+            piece = '';
+            octets = 0;
+        }
+        piece += char;
+        octets += size;
+    }
+    pieces.push(piece);
+
+    return pieces.join('\r\n ');
+};
+
+const recurrenceRule = ({ frequency, interval, weekdays, until, count }) => {
+    const parts = [`FREQ=${frequency.toUpperCase()}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (frequency === 'weekly' && weekdays?.length) parts.push(`BYDAY=${weekdays.map((d) => WEEKDAYS[d]).join(',')}`);
+    if (until) parts.push(`UNTIL=${formatUtc(until)}`);
+    if (count) parts.push(`COUNT=${count}`);
+    return `RRULE:${parts.join(';')}`;
+};
+
+/**
+ * Link that opens the room in the app
+ */
+export const roomUrl = (roomId) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/room/${roomId}`;
+
+const eventLines = (room, now) => {
+    const { schedule } = room;
+    const url = roomUrl(room.roomId);
+    const description = [room.description, `Join: ${url}`].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${room.roomId}@stdcollab`,
+        `DTSTAMP:${formatUtc(now)}`,
+        dateTimeProperty('DTSTART', schedule.startsAt, schedule.timeZone),
+        dateTimeProperty('DTEND', schedule.endsAt, schedule.timeZone),
+    ];
+    if (schedule.recurrence?.frequency) lines.push(recurrenceRule(schedule.recurrence));
+    if (room.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(room.updatedAt)}`);
+    lines.push(
+        `SUMMARY:${escapeText(room.title || `Room ${room.roomId}`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${url}`,
+        'END:VEVENT'
+    );
+    return lines;
+};
+
+/**
+ * An iCalendar file with one event per scheduled room
+ * @param {Object[]} rooms - Rooms with a schedule
+ * @param {string} [name] - Calendar name shown by calendar apps
+ * @returns {string}
+ */
+export const buildCalendar = (rooms, name = 'STDcollab') => {
+    const now = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//STDcollab//Room Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...rooms.filter((room) => room.schedule?.startsAt).flatMap((room) => eventLines(room, now)),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
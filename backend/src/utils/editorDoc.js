@@ -0,0 +1,51 @@
+/**
+ * Editor Document
+ *
+ * A room's shared notes and code, as one Yjs document per room (the
+ * frontend's utils/editorDoc.js is the other side):
+ * - notes: Y.Text, Markdown
+ * - code: Y.Text, source code
+ * - settings: Y.Map, `language` of the code (one of CODE_LANGUAGES)
+ *
+ * Everyone edits their own copy and the copies merge like the whiteboard's.
+ */
+
+export const EDITOR_DOCUMENTS = ['notes', 'code'];
+
+// Code language → file extension of its export
+export const CODE_LANGUAGES = {
+    javascript: 'js',
+    typescript: 'ts',
+    python: 'py',
+    java: 'java',
+    c: 'c',
+    cpp: 'cpp',
+    plaintext: 'txt',
+};
+
+export const DEFAULT_LANGUAGE = 'javascript';
+
+// Longest text either document may hold (longer ones are cut)
+export const MAX_TEXT_LENGTH = 200000;
+
+export const isEditorDocument = (name) => EDITOR_DOCUMENTS.includes(name);
+
+export const getEditorText = (doc, name) => doc.getText(name);
+
+export const getSettingsMap = (doc) => doc.getMap('settings');
+
+export const getCodeLanguage = (doc) => {
+    const language = getSettingsMap(doc).get('language');
+    return Object.hasOwn(CODE_LANGUAGES, language) ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * File name and type of an exported document: notes are Markdown, code gets
+ * the extension of its language
+ */
+export const exportFile = (name, language, title) => {
+    const base = (title || name).replace(/[^\w .-]/g, '_').slice(0, 100) || name;
+    return name === 'notes'
+        ? { filename: `${base}.md`, contentType: 'text/markdown' }
+        : { filename: `${base}.${CODE_LANGUAGES[language] || 'txt'}`, contentType: 'text/plain' };
+};
@@ -1,15 +1,33 @@
 import jwt from 'jsonwebtoken';
 
 /**
- * Generate a JWT token for a user.
+ * Generate an access token for a signed-in user.
+ * Short-lived: the session's refresh token (utils/sessions.js) renews it.
  * 
  * @param {string} userId - The MongoDB user ID to encode in the token
+ * @param {string} sessionId - The session it belongs to (revoking it revokes the token)
  * @returns {string} Signed JWT token
  */
-const generateToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-        expiresIn: '7d', // Token expires in 7 days
+const generateToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
     });
 };
 
 export default generateToken;
+
+// Guest sessions are short: long enough for a meeting, not for a week
+export const GUEST_SESSION_HOURS = 4;
+
+/**
+ * Generate a JWT for a guest, scoped to the room they were invited to.
+ *
+ * @param {string} userId - The guest's MongoDB user ID
+ * @param {string} roomId - The room the guest may use
+ * @returns {string} Signed JWT token
+ */
+export const generateGuestToken = (userId, roomId) => {
+    return jwt.sign({ id: userId, guest: true, roomId }, process.env.JWT_SECRET, {
+        expiresIn: `${GUEST_SESSION_HOURS}h`,
+    });
+};
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+/**
+ * Generate time-limited TURN credentials (TURN REST API).
+ *
+ * The TURN server shares a secret with us and accepts any username of the
+ * form "<expiry unix time>:<anything>" whose password is the base64
+ * HMAC-SHA1 of that username. Nothing is stored on either side, and the
+ * credentials stop working after the expiry.
+ *
+ * Matching coturn config (e.g. for a local test server):
+ *   use-auth-secret
+ *   static-auth-secret=<same value as TURN_SECRET>
+ *
+ * @param {string} userId - User the credentials are issued to (for TURN logs)
+ * @param {string} secret - Shared secret (TURN_SECRET)
+ * @param {number} ttlSeconds - How long the credentials stay valid
+ * @returns {{ username: string, credential: string, expiresAt: Date }}
+ */
+const generateTurnCredentials = (userId, secret, ttlSeconds) => {
+    const expiry = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto
+        .createHmac('sha1', secret)
+        .update(username)
+        .digest('base64');
+
+    return {
+        username,
+        credential,
+        expiresAt: new Date(expiry * 1000),
+    };
+};
+
+export default generateTurnCredentials;
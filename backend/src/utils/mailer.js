@@ -0,0 +1,62 @@
+/**
+ * Mailer
+ *
+ * Sends account emails (verification, password reset) through a transport
+ * picked by MAIL_TRANSPORT:
+ * - smtp: any SMTP server — SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ *   SMTP_PASS. For development, point it at a local catcher such as Mailpit
+ *   or MailHog (SMTP_HOST=localhost SMTP_PORT=1025).
+ * - console: prints the email to the server log instead of sending it
+ *   (the default outside production)
+ *
+ * MAIL_FROM sets the sender address.
+ */
+import nodemailer from 'nodemailer';
+
+const DEFAULT_FROM = 'STDcollab <no-reply@stdcollab.local>';
+
+/**
+ * Transport that logs emails instead of sending them (same interface as nodemailer's)
+ */
+const consoleTransport = {
+    sendMail: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${Date.now()}` };
+    },
+};
+
+const createTransport = () => {
+    const transport = process.env.MAIL_TRANSPORT
+        || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (transport === 'console') return consoleTransport;
+    if (transport !== 'smtp') {
+        throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (use smtp or console)`);
+    }
+
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+    });
+};
+
+// Created on first use, so the environment is loaded by then
+let transporter = null;
+
+/**
+ * Send an email
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export const sendMail = async (message) => {
+    if (!transporter) {
+        transporter = createTransport();
+    }
+    return transporter.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        ...message,
+    });
+};
@@ -0,0 +1,56 @@
+/**
+ * Room Invites
+ *
+ * Invite links carry a token signed with JWT_SECRET: { roomId, inviteId }
+ * with an expiry. The invite itself is kept on the room (Room.invites), which
+ * counts its uses and lets moderators revoke it before it expires.
+ *
+ * A valid invite lets a new user into the room with the invite's role,
+ * without the room's passcode (a locked room stays closed).
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { roomUrl } from './calendar.js';
+
+export const INVITE_ROLES = ['participant', 'viewer'];
+
+export const DEFAULT_INVITE_HOURS = 24;
+export const MAX_INVITE_HOURS = 30 * 24;
+export const MAX_INVITE_USES = 1000;
+
+// Passcodes are hashed like passwords (see models/User.js)
+export const MIN_PASSCODE_LENGTH = 4;
+export const MAX_PASSCODE_LENGTH = 64;
+
+export const newInviteId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Signed token of an invite (expires with it)
+ */
+export const signInvite = (roomId, invite) => jwt.sign(
+    { roomId, inviteId: invite.inviteId },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((invite.expiresAt - Date.now()) / 1000)) }
+);
+
+/**
+ * Payload of an invite token ({ roomId, inviteId }), or null if it is forged or expired
+ */
+export const verifyInvite = (token) => {
+    if (typeof token !== 'string') return null;
+    try {
+        const { roomId, inviteId } = jwt.verify(token, process.env.JWT_SECRET);
+        return roomId && inviteId ? { roomId, inviteId } : null;
+    } catch {
+        return null;
+    }
+};
+
+export const inviteUrl = (roomId, token) => `${roomUrl(roomId)}?invite=${encodeURIComponent(token)}`;
+
+/**
+ * Whether an invite can still be used
+ */
+export const isInviteUsable = (invite, now = new Date()) => (
+    invite.expiresAt > now && (invite.maxUses == null || invite.uses < invite.maxUses)
+);
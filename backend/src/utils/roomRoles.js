@@ -0,0 +1,65 @@
+/**
+ * Room Roles
+ *
+ * Per-room roles, lowest to highest:
+ * - viewer: can watch, listen and chat, but not draw or share files
+ * - participant: default for anyone who joins
+ * - moderator: can kick, force-mute, lock the room, clear the whiteboard
+ *   and change roles of users below them
+ * - owner: the room creator; everything a moderator can do, on moderators too
+ *
+ * Guests (no account, see authController.joinAsGuest) join as viewers and
+ * can at most be made participants.
+ */
+const ROLES = ['viewer', 'participant', 'moderator', 'owner'];
+
+const GUEST_ROLES = ['viewer', 'participant'];
+const GUEST_DEFAULT_ROLE = 'viewer';
+
+const rankOf = (role) => ROLES.indexOf(role);
+
+/**
+ * Resolve a user's role in a room.
+ * Rooms created before roles existed fall back to createdBy / participants.
+ *
+ * @param {import('mongoose').Document} room - Room with roles, createdBy, participants
+ * @param {string} userId - User to look up
+ * @returns {string|null} Role name, or null if the user is not in the room
+ */
+const getUserRole = (room, userId) => {
+    const id = userId.toString();
+
+    const entry = room.roles?.find((r) => r.user.toString() === id);
+    if (entry) return entry.role;
+
+    if (room.createdBy?._id?.toString() === id || room.createdBy?.toString() === id) return 'owner';
+
+    const isParticipant = room.participants.some((p) => (p._id || p).toString() === id);
+    return isParticipant ? 'participant' : null;
+};
+
+/**
+ * Whether a role may use moderation actions at all
+ */
+const canModerate = (role) => rankOf(role) >= rankOf('moderator');
+
+/**
+ * Whether a role may draw on the whiteboard and share files
+ */
+const canContribute = (role) => rankOf(role) >= rankOf('participant');
+
+/**
+ * Whether `actorRole` may act on (kick, mute, re-role) a user with `targetRole`
+ */
+const canManage = (actorRole, targetRole) => {
+    return canModerate(actorRole) && rankOf(actorRole) > rankOf(targetRole);
+};
+
+/**
+ * Whether `actorRole` may hand out `newRole` (never owner, never above themselves)
+ */
+const canAssignRole = (actorRole, newRole) => {
+    return newRole !== 'owner' && ROLES.includes(newRole) && rankOf(actorRole) > rankOf(newRole);
+};
+
+export { ROLES, GUEST_ROLES, GUEST_DEFAULT_ROLE, getUserRole, canModerate, canContribute, canManage, canAssignRole };
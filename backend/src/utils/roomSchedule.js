@@ -0,0 +1,322 @@
+/**
+ * Room Schedule
+ *
+ * Scheduled rooms have a first session (start and end in a time zone) and
+ * optionally a recurrence rule (e.g. every week on Monday and Wednesday).
+ * Sessions keep their wall-clock time in the room's time zone, so a weekly
+ * 18:00 stays at 18:00 across daylight saving changes.
+ *
+ * A scheduled room can be joined from `opensBeforeMinutes` before a session
+ * starts until `closesAfterMinutes` after it ends; moderators and owners can
+ * always get in (to prepare). Rooms without a schedule are always open.
+ *
+ * Room.schedule:
+ * {
+ *   startsAt, endsAt: first session (Dates)
+ *   timeZone: IANA name, e.g. 'Europe/Berlin'
+ *   recurrence: null or { frequency: 'daily' | 'weekly' | 'monthly', interval,
+ *                         weekdays (weekly: 0 = Sunday … 6), until, count }
+ *   opensBeforeMinutes, closesAfterMinutes
+ * }
+ */
+import { canModerate } from './roomRoles.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const DEFAULT_OPENS_BEFORE_MINUTES = 15;
+export const DEFAULT_CLOSES_AFTER_MINUTES = 30;
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_SESSION_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 500;
+
+// Sessions looked at, at most, when walking a recurrence (13+ years of daily sessions)
+const MAX_STEPS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Time Zones ───
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock time of `date` in `timeZone` → { year, month (1-12), day, hour, minute, second }
+ */
+export const toZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+    };
+};
+
+/**
+ * How far `timeZone` is ahead of UTC at `time` (ms)
+ */
+const zoneOffset = (time, timeZone) => {
+    const p = toZonedParts(new Date(time), timeZone);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wall - (time - (time % 1000));
+};
+
+/**
+ * Wall-clock time in `timeZone` → Date. A time skipped by a daylight
+ * saving change is moved forward by the change (02:30 → 03:30).
+ */
+export const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const guess = wall - zoneOffset(wall, timeZone);
+    // The offset at the real instant may differ from the one at the guess
+    return new Date(wall - zoneOffset(guess, timeZone));
+};
+
+/**
+ * 'YYYY-MM-DDTHH:mm' (no offset) in `timeZone`, or any date with an offset → Date
+ */
+const parseDateTime = (value, timeZone) => {
+    if (value instanceof Date) return value;
+    if (typeof value !== 'string') return null;
+
+    const local = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (local) {
+        const [, year, month, day, hour, minute, second] = local.map((part) => Number(part ?? 0));
+        return fromZonedParts({ year, month, day, hour, minute, second }, timeZone);
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// ─── Validation ───
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+const sanitizeRecurrence = (input, startsAt, timeZone) => {
+    if (!FREQUENCIES.includes(input?.frequency)) {
+        return { error: `Recurrence must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+
+    const interval = input.interval ?? 1;
+    if (!isIntegerIn(interval, 1, MAX_INTERVAL)) {
+        return { error: `Repeat every 1 to ${MAX_INTERVAL} ${input.frequency.replace('ly', '')}s` };
+    }
+
+    let weekdays = [];
+    if (input.frequency === 'weekly' && input.weekdays !== undefined) {
+        if (!Array.isArray(input.weekdays) || !input.weekdays.every((d) => isIntegerIn(d, 0, 6))) {
+            return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+        }
+        // The first session is always one of them (as in iCalendar)
+        const firstWeekday = weekdayOf(toZonedParts(startsAt, timeZone));
+        weekdays = [...new Set([...input.weekdays, firstWeekday])].sort();
+    }
+
+    // iCalendar allows only one of them in a rule (RFC 5545)
+    if (input.until && input.count != null) {
+        return { error: 'A repeat can end on a date or after a number of sessions, not both' };
+    }
+
+    // A date alone means "until the end of that day"
+    let until = null;
+    if (input.until) {
+        const endOfDay = typeof input.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input.until)
+            ? `${input.until}T23:59:59`
+            : input.until;
+        until = parseDateTime(endOfDay, timeZone);
+        if (!until || until < startsAt) return { error: 'The repeat end date must be after the first session' };
+    }
+
+    const count = input.count ?? null;
+    if (count !== null && !isIntegerIn(count, 1, MAX_COUNT)) {
+        return { error: `A session can repeat 1 to ${MAX_COUNT} times` };
+    }
+
+    return { recurrence: { frequency: input.frequency, interval, weekdays, until, count } };
+};
+
+/**
+ * Check a schedule sent by a client.
+ * `startsAt` / `endsAt` are dates with an offset, or wall-clock times
+ * ('YYYY-MM-DDTHH:mm') in the schedule's time zone.
+ * @returns {{ schedule?: Object, error?: string }}
+ */
+export const sanitizeSchedule = (input) => {
+    if (!input || typeof input !== 'object') return { error: 'Invalid schedule' };
+
+    const timeZone = input.timeZone || 'UTC';
+    if (!isValidTimeZone(timeZone)) return { error: `Unknown time zone: ${timeZone}` };
+
+    const startsAt = parseDateTime(input.startsAt, timeZone);
+    const endsAt = parseDateTime(input.endsAt, timeZone);
+    if (!startsAt || !endsAt) return { error: 'A scheduled room needs a start and an end time' };
+    if (endsAt <= startsAt) return { error: 'A session must end after it starts' };
+    if (endsAt - startsAt > MAX_SESSION_MS) return { error: 'A session can last at most 24 hours' };
+
+    const opensBeforeMinutes = input.opensBeforeMinutes ?? DEFAULT_OPENS_BEFORE_MINUTES;
+    const closesAfterMinutes = input.closesAfterMinutes ?? DEFAULT_CLOSES_AFTER_MINUTES;
+    if (!isIntegerIn(opensBeforeMinutes, 0, MAX_WINDOW_MINUTES) || !isIntegerIn(closesAfterMinutes, 0, MAX_WINDOW_MINUTES)) {
+        return { error: `The join window can reach at most ${MAX_WINDOW_MINUTES} minutes around a session` };
+    }
+
+    let recurrence = null;
+    if (input.recurrence) {
+        const result = sanitizeRecurrence(input.recurrence, startsAt, timeZone);
+        if (result.error) return result;
+        recurrence = result.recurrence;
+    }
+
+    return { schedule: { startsAt, endsAt, timeZone, recurrence, opensBeforeMinutes, closesAfterMinutes } };
+};
+
+// ─── Sessions ───
+
+/**
+ * Local calendar date `days` after { year, month, day }
+ */
+const addDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+/**
+ * Local dates of the sessions, in order (the first session's date first)
+ */
+function* sessionDates(first, recurrence) {
+    if (!recurrence) {
+        yield first;
+        return;
+    }
+
+    const { frequency, interval } = recurrence;
+    for (let step = 0; step < MAX_STEPS; step += 1) {
+        if (frequency === 'daily') {
+            yield addDays(first, step * interval);
+        } else if (frequency === 'weekly') {
+            const weekdays = recurrence.weekdays?.length ? recurrence.weekdays : [weekdayOf(first)];
+            const weekStart = addDays(first, step * interval * 7 - weekdayOf(first));
+            for (const weekday of weekdays) {
+                const date = addDays(weekStart, weekday);
+                if (step > 0 || weekday >= weekdayOf(first)) yield date;
+            }
+        } else {
+            // Months without that day (e.g. the 31st) are skipped
+            const monthIndex = first.month - 1 + step * interval;
+            const date = { year: first.year + Math.floor(monthIndex / 12), month: (monthIndex % 12) + 1, day: first.day };
+            if (addDays(date, 0).day === first.day) yield date;
+        }
+    }
+}
+
+/**
+ * Every session of a schedule, as { startsAt, endsAt }, in order
+ */
+function* sessions(schedule) {
+    const { startsAt, endsAt, timeZone, recurrence } = schedule;
+    const first = toZonedParts(new Date(startsAt), timeZone);
+    const duration = new Date(endsAt) - new Date(startsAt);
+    const until = recurrence?.until ? new Date(recurrence.until) : null;
+
+    let count = 0;
+    for (const date of sessionDates(first, recurrence)) {
+        const start = fromZonedParts({ ...first, ...date }, timeZone);
+        if (until && start > until) return;
+        yield { startsAt: start, endsAt: new Date(start.getTime() + duration) };
+
+        count += 1;
+        if (recurrence?.count && count >= recurrence.count) return;
+    }
+}
+
+/**
+ * Sessions overlapping [from, to], in order
+ */
+export const getSessions = (schedule, from, to) => {
+    const found = [];
+    for (const session of sessions(schedule)) {
+        if (session.startsAt > to) break;
+        if (session.endsAt >= from) found.push(session);
+    }
+    return found;
+};
+
+/**
+ * The session whose join window is open at `now` (null if none is)
+ */
+export const findOpenSession = (schedule, now = new Date()) => {
+    const before = (schedule.opensBeforeMinutes ?? DEFAULT_OPENS_BEFORE_MINUTES) * 60 * 1000;
+    const after = (schedule.closesAfterMinutes ?? DEFAULT_CLOSES_AFTER_MINUTES) * 60 * 1000;
+
+    for (const session of sessions(schedule)) {
+        if (session.startsAt.getTime() - before > now.getTime()) return null;
+        if (session.endsAt.getTime() + after >= now.getTime()) return session;
+    }
+    return null;
+};
+
+/**
+ * The next session that has not ended yet (null if there is none)
+ */
+export const findNextSession = (schedule, now = new Date()) => {
+    for (const session of sessions(schedule)) {
+        if (session.endsAt > now) return session;
+    }
+    return null;
+};
+
+/**
+ * A wall-clock time as people in the room's time zone read it
+ */
+const formatInZone = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+}).format(date);
+
+/**
+ * Why a user with `role` cannot join `room` right now (null if they can)
+ */
+export const getJoinClosedReason = (room, role, now = new Date()) => {
+    if (!room.schedule?.startsAt || canModerate(role)) return null;
+    if (findOpenSession(room.schedule, now)) return null;
+
+    const next = findNextSession(room.schedule, now);
+    if (!next) return 'This room\'s sessions are over';
+
+    const opensAt = new Date(next.startsAt.getTime() - (room.schedule.opensBeforeMinutes ?? DEFAULT_OPENS_BEFORE_MINUTES) * 60 * 1000);
+    return `This room opens for joining at ${formatInZone(opensAt, room.schedule.timeZone)} (${room.schedule.timeZone})`;
+};
@@ -0,0 +1,187 @@
+/**
+ * Sessions
+ *
+ * Signing in creates a Session and gives the browser two tokens:
+ * - a short-lived access token (JWT with { id, sid }, see generateToken.js),
+ *   sent as `Authorization: Bearer` and checked against the session on
+ *   every request, so revoking a session takes effect at once
+ * - a refresh token `<sessionId>.<secret>` in an httpOnly cookie, only sent
+ *   to /api/auth; each refresh replaces it (rotation)
+ *
+ * A refresh token that was already replaced and shows up again means it was
+ * copied: the whole session is revoked (reuse detection). The only exception
+ * is the token replaced a few seconds ago, which a second tab refreshing at
+ * the same time may still send.
+ */
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+export const REFRESH_TOKEN_DAYS = 30;
+const REUSE_GRACE_MS = 10 * 1000;
+
+const refreshTokenMaxAge = () => REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Read one cookie from the request (no cookie parser needed for one cookie)
+ */
+export const readCookie = (req, name) => {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+const setRefreshCookie = (res, sessionId, secret) => {
+    res.cookie(REFRESH_COOKIE, `${sessionId}.${secret}`, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/api/auth',
+        maxAge: refreshTokenMaxAge(),
+    });
+};
+
+export const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+/**
+ * Readable summary of a User-Agent, e.g. "Chrome on macOS"
+ */
+export const describeDevice = (userAgent = '') => {
+    const browser = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari'],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+    const os = [
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Android/, 'Android'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux'],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+};
+
+/**
+ * The refresh token from the cookie → { sessionId, secretHash }, or null
+ */
+export const readRefreshToken = (req) => {
+    const token = readCookie(req, REFRESH_COOKIE);
+    const [sessionId, secret] = token?.split('.') ?? [];
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secretHash: hashSecret(secret) };
+};
+
+/**
+ * Whether an access token's session is still signed in
+ * (guest tokens carry no session and are only limited by their expiry)
+ */
+export const isSessionActive = async (decoded) => {
+    if (decoded.guest) return true;
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return false;
+    return Boolean(await Session.exists({
+        _id: decoded.sid,
+        user: decoded.id,
+        expiresAt: { $gt: new Date() },
+    }));
+};
+
+/**
+ * Start a session for a user who just signed in and set its cookie
+ */
+export const createSession = async (req, res, user) => {
+    const secret = newSecret();
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashSecret(secret),
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + refreshTokenMaxAge()),
+    });
+
+    setRefreshCookie(res, session._id, secret);
+    return session;
+};
+
+/**
+ * Exchange the refresh token in the cookie for a new one.
+ *
+ * @returns {Promise<{ session: import('mongoose').Document|null, reused: boolean, revokedSessionId?: string }>}
+ *   session — the session to issue an access token for (null: sign in again);
+ *   reused — a replaced token came back, and session revokedSessionId was revoked
+ */
+export const rotateSession = async (req, res) => {
+    const presented = readRefreshToken(req);
+    if (!presented) return { session: null, reused: false };
+
+    const now = new Date();
+    const secret = newSecret();
+
+    // Only the current token can be exchanged — and only once
+    const rotated = await Session.findOneAndUpdate(
+        { _id: presented.sessionId, tokenHash: presented.secretHash, expiresAt: { $gt: now } },
+        {
+            tokenHash: hashSecret(secret),
+            previousTokenHash: presented.secretHash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            ip: req.ip,
+            expiresAt: new Date(now.getTime() + refreshTokenMaxAge()),
+        },
+        { new: true }
+    );
+    if (rotated) {
+        setRefreshCookie(res, rotated._id, secret);
+        return { session: rotated, reused: false };
+    }
+
+    const session = await Session.findById(presented.sessionId);
+    if (!session || session.expiresAt <= now) return { session: null, reused: false };
+
+    // Another tab refreshed a moment ago — the browser already has its cookie
+    if (session.previousTokenHash === presented.secretHash && now - session.rotatedAt < REUSE_GRACE_MS) {
+        return { session, reused: false };
+    }
+
+    await Session.deleteOne({ _id: session._id });
+    return { session: null, reused: true, revokedSessionId: session._id.toString() };
+};
+
+/**
+ * Disconnect the sockets opened with any of these sessions
+ * @param {import('socket.io').Server} io
+ * @param {string[]} sessionIds
+ */
+export const disconnectSessions = (io, sessionIds) => {
+    if (!io || sessionIds.length === 0) return;
+    const revoked = new Set(sessionIds.map(String));
+    io.sockets.sockets.forEach((socket) => {
+        if (revoked.has(socket.sessionId)) {
+            socket.emit('session-revoked');
+            socket.disconnect(true);
+        }
+    });
+};
@@ -0,0 +1,239 @@
+/**
+ * Single Sign-On (OAuth 2.0 / OpenID Connect)
+ *
+ * Authorization code flow with PKCE. Providers are enabled by environment:
+ * - google: GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET (OIDC discovery)
+ * - github: GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET (plain OAuth 2.0 — the
+ *   profile and verified email come from the GitHub API)
+ * - oidc: OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_NAME (any
+ *   OpenID Connect provider with discovery, e.g. the school's, or the mock
+ *   provider in scripts/mockOidcProvider.js)
+ *
+ * Providers redirect back to `${SERVER_URL}/api/auth/sso/:provider/callback`
+ * (SERVER_URL defaults to CLIENT_URL, whose dev server proxies /api).
+ *
+ * Every provider ends in the same profile: { subject, email, emailVerified, name }.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PROVIDERS = {
+    google: {
+        name: 'Google',
+        issuer: 'https://accounts.google.com',
+        clientIdEnv: 'GOOGLE_CLIENT_ID',
+        clientSecretEnv: 'GOOGLE_CLIENT_SECRET',
+        scope: 'openid email profile',
+    },
+    github: {
+        name: 'GitHub',
+        clientIdEnv: 'GITHUB_CLIENT_ID',
+        clientSecretEnv: 'GITHUB_CLIENT_SECRET',
+        scope: 'read:user user:email',
+        authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+        tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    },
+    oidc: {
+        issuerEnv: 'OIDC_ISSUER',
+        nameEnv: 'OIDC_NAME',
+        clientIdEnv: 'OIDC_CLIENT_ID',
+        clientSecretEnv: 'OIDC_CLIENT_SECRET',
+        scope: 'openid email profile',
+    },
+};
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Discovery documents and signing keys, per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * A provider's settings, or null if it is unknown or not configured
+ */
+export const getProvider = (id) => {
+    const provider = Object.hasOwn(PROVIDERS, id) ? PROVIDERS[id] : null;
+    const clientId = provider && process.env[provider.clientIdEnv];
+    const issuer = provider?.issuerEnv ? process.env[provider.issuerEnv] : provider?.issuer;
+    if (!clientId || (provider.issuerEnv && !issuer)) return null;
+
+    return {
+        ...provider,
+        id,
+        name: (provider.nameEnv && process.env[provider.nameEnv]) || provider.name || 'Single sign-on',
+        issuer: issuer?.replace(/\/$/, ''),
+        clientId,
+        clientSecret: process.env[provider.clientSecretEnv],
+    };
+};
+
+/**
+ * Configured providers, for the "Sign in with…" buttons
+ */
+export const listProviders = () => Object.keys(PROVIDERS)
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+
+export const callbackUrl = (providerId) => {
+    const base = process.env.SERVER_URL || process.env.CLIENT_URL || 'http://localhost:5173';
+    return `${base}/api/auth/sso/${providerId}/callback`;
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options?.headers },
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+        throw new Error(`${new URL(url).host} answered ${response.status}${body?.error ? ` (${body.error})` : ''}`);
+    }
+    return body;
+};
+
+/**
+ * The provider's endpoints (from OIDC discovery when it has an issuer)
+ */
+const getEndpoints = async (provider) => {
+    if (!provider.issuer) {
+        return {
+            authorization_endpoint: provider.authorizationEndpoint,
+            token_endpoint: provider.tokenEndpoint,
+        };
+    }
+    if (!discoveryCache.has(provider.issuer)) {
+        const discovery = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+        discoveryCache.set(provider.issuer, discovery);
+    }
+    return discoveryCache.get(provider.issuer);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Start a sign-in → { url (to redirect to), state, nonce, codeVerifier }.
+ * Keep state, nonce and codeVerifier until the callback (see ssoController.js).
+ */
+export const beginSignIn = async (provider) => {
+    const endpoints = await getEndpoints(provider);
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(endpoints.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: callbackUrl(provider.id),
+        scope: provider.scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        ...(provider.issuer ? { nonce } : {}),
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * The public key that signed an ID token (keys are refetched when one is missing)
+ */
+const getSigningKey = async (provider, endpoints, kid) => {
+    const findKey = () => jwksCache.get(provider.issuer)?.find((key) => !kid || key.kid === kid);
+
+    if (!findKey()) {
+        const { keys } = await fetchJson(endpoints.jwks_uri);
+        jwksCache.set(provider.issuer, keys);
+    }
+    const jwk = findKey();
+    if (!jwk) throw new Error('Unknown ID token signing key');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Check an OIDC ID token (signature, issuer, audience, expiry, nonce) → its claims
+ */
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    // Symmetric tokens are signed with the client secret, the rest with a published key
+    const isSymmetric = decoded.header.alg === 'HS256';
+    const key = isSymmetric
+        ? provider.clientSecret
+        : await getSigningKey(provider, endpoints, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: isSymmetric ? ['HS256'] : ASYMMETRIC_ALGORITHMS,
+        issuer: endpoints.issuer || provider.issuer,
+        audience: provider.clientId,
+    });
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+    return claims;
+};
+
+/**
+ * GitHub has no ID token: read the profile and the primary verified email
+ */
+const fetchGithubProfile = async (accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}`, 'User-Agent': 'STDcollab' };
+    const [user, emails] = await Promise.all([
+        fetchJson('https://api.github.com/user', { headers }),
+        fetchJson('https://api.github.com/user/emails', { headers }),
+    ]);
+    const primary = emails.find((e) => e.primary) || emails.find((e) => e.verified);
+
+    return {
+        subject: String(user.id),
+        email: primary?.email?.toLowerCase() || null,
+        emailVerified: Boolean(primary?.verified),
+        name: user.name || user.login,
+    };
+};
+
+/**
+ * Finish a sign-in: exchange the code and read who signed in
+ * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string }>}
+ */
+export const completeSignIn = async (provider, { code, nonce, codeVerifier }) => {
+    const endpoints = await getEndpoints(provider);
+
+    const tokens = await fetchJson(endpoints.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: callbackUrl(provider.id),
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || '',
+            code_verifier: codeVerifier,
+        }),
+    });
+    if (tokens.error || !tokens.access_token) {
+        throw new Error(`Token request failed${tokens.error ? ` (${tokens.error})` : ''}`);
+    }
+
+    if (!provider.issuer) return fetchGithubProfile(tokens.access_token);
+
+    const claims = await verifyIdToken(provider, endpoints, tokens.id_token, nonce);
+
+    // Some providers keep the email and name out of the ID token
+    let profile = claims;
+    if ((!claims.email || !claims.name) && endpoints.userinfo_endpoint) {
+        const userinfo = await fetchJson(endpoints.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userinfo.sub === claims.sub) profile = { ...userinfo, ...claims };
+    }
+
+    return {
+        subject: claims.sub,
+        email: profile.email?.toLowerCase() || null,
+        // Booleans, though some providers send "true"
+        emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+        name: profile.name || profile.preferred_username || profile.email?.split('@')[0] || 'User',
+    };
+};
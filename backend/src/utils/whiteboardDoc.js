@@ -0,0 +1,81 @@
+import * as Y from 'yjs';
+import { encodePoints, encodePressures, decodePoints } from './whiteboardElements.js';
+
+/**
+ * Whiteboard Document
+ *
+ * A room's whiteboard elements as a Yjs document — a CRDT, so edits made at
+ * the same time, or while someone was offline, merge the same way on every
+ * client and on the server, whatever order they arrive in.
+ *
+ * The document holds one map, `elements`: element ID → Y.Map of the
+ * element's fields. Each field merges on its own, so when one person moves an
+ * element while another recolours it, both changes are kept. Besides the
+ * fields of utils/whiteboardElements.js an element has:
+ * - order: drawing order (later = on top; equal orders are sorted by ID)
+ * - points / pressures: compact-encoded (encodePoints / encodePressures)
+ * - createdBy: set by the server when the element arrives
+ *
+ * The browser uses the same layout (frontend/src/utils/whiteboardDoc.js).
+ * Pages are not part of the document; they stay in Room.whiteboardPages.
+ */
+
+const ELEMENTS_KEY = 'elements';
+
+export const getElementsMap = (doc) => doc.getMap(ELEMENTS_KEY);
+
+/**
+ * Sort by drawing order
+ */
+export const compareOrder = (a, b) => {
+    if (a.order !== b.order) return a.order - b.order;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+};
+
+/**
+ * Element fields → document fields (points encoded; a stroke without
+ * pressure gets `pressures: null`, so older pressures are cleared)
+ */
+const toDocFields = (fields) => {
+    if (!fields.points) return fields;
+    const { points, ...rest } = fields;
+    const pressures = encodePressures(points);
+    return {
+        ...rest,
+        // Yjs only takes plain Uint8Arrays as binary, not Buffers
+        points: new Uint8Array(encodePoints(points)),
+        pressures: pressures && new Uint8Array(pressures),
+    };
+};
+
+/**
+ * Add an element to the document
+ */
+export const writeElement = (doc, element) => {
+    const map = new Y.Map();
+    Object.entries(toDocFields(element)).forEach(([key, value]) => {
+        if (value !== undefined) map.set(key, value);
+    });
+    getElementsMap(doc).set(element.id, map);
+};
+
+/**
+ * Document element (Y.Map) → element, with its order and decoded points
+ */
+export const readElement = (map) => {
+    const { points, pressures, ...fields } = map.toJSON();
+    if (!(points instanceof Uint8Array)) return fields;
+    return { ...fields, points: decodePoints(points, pressures instanceof Uint8Array ? pressures : null) };
+};
+
+/**
+ * Every element of the document, in drawing order
+ */
+export const readElements = (doc) => {
+    const elements = [];
+    getElementsMap(doc).forEach((map) => {
+        if (map instanceof Y.Map) elements.push(readElement(map));
+    });
+    return elements.sort(compareOrder);
+};
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+
+/**
+ * Whiteboard Elements
+ *
+ * The whiteboard is a list of typed elements with client-generated IDs:
+ * - path: freehand stroke
+ * - line / arrow: two points
+ * - rect / ellipse: box, optionally filled
+ * - text / sticky: box with text (sticky notes have a background)
+ * - image: an uploaded image (`fileId` in GridFS), always drawn behind
+ *   everything else on its page, so it serves as a background
+ *
+ * Every element has a bounding box (x, y, width, height) in world
+ * coordinates of its page (pages are infinite, so these may be negative or
+ * large). Point-based elements (path, line, arrow) store `points` relative
+ * to (x, y), so moving only changes x/y and resizing scales the points.
+ * Strokes drawn with a pen may carry its pressure (0-1) as a third value
+ * of each point, [x, y, pressure], which sets the width along the stroke.
+ *
+ * Elements belong to one page (`pageId`); a room's pages are an ordered list
+ * of { id, name }.
+ *
+ * Clients are not trusted: everything coming over the socket goes through
+ * sanitizeElement / sanitizeElementChanges before it is stored or broadcast
+ * (whiteboard document updates are checked as they are merged, see
+ * sockets/whiteboardStore.js).
+ */
+
+export const ELEMENT_TYPES = ['path', 'line', 'arrow', 'rect', 'ellipse', 'text', 'sticky', 'image'];
+
+export const DEFAULT_PAGE = { id: 'page-1', name: 'Page 1' };
+export const MAX_PAGES = 50;
+
+const MAX_ID_LENGTH = 64;
+const MAX_PAGE_NAME_LENGTH = 60;
+const MAX_POINTS = 5000;
+const MAX_TEXT_LENGTH = 2000;
+const NUMBER_FIELDS = ['x', 'y', 'width', 'height', 'strokeWidth', 'fontSize'];
+const COLOR_FIELDS = ['strokeColor', 'fillColor'];
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|transparent)$/i;
+const FILE_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const isValidId = (id) => typeof id === 'string' && id.length > 0 && id.length <= MAX_ID_LENGTH;
+
+const isValidPoint = (p) => {
+    if (!Array.isArray(p) || (p.length !== 2 && p.length !== 3) || !p.every(Number.isFinite)) return false;
+    return p.length === 2 || (p[2] >= 0 && p[2] <= 1);
+};
+
+const isValidPoints = (points) => {
+    return Array.isArray(points)
+        && points.length > 0
+        && points.length <= MAX_POINTS
+        && points.every(isValidPoint);
+};
+
+/**
+ * Keep only the editable fields of an element update, with valid values.
+ * Type, ID, page and author can never be changed.
+ */
+export const sanitizeElementChanges = (changes) => {
+    const clean = {};
+    if (!changes || typeof changes !== 'object') return clean;
+
+    NUMBER_FIELDS.forEach((field) => {
+        if (Number.isFinite(changes[field])) clean[field] = changes[field];
+    });
+    COLOR_FIELDS.forEach((field) => {
+        if (typeof changes[field] === 'string' && COLOR_PATTERN.test(changes[field])) {
+            clean[field] = changes[field];
+        }
+    });
+    if (isValidPoints(changes.points)) {
+        clean.points = changes.points;
+    }
+    if (typeof changes.text === 'string') {
+        clean.text = changes.text.slice(0, MAX_TEXT_LENGTH);
+    }
+
+    return clean;
+};
+
+/**
+ * Validate a new element. Returns null if it cannot be stored.
+ * An image's file can only be set here, never changed.
+ */
+export const sanitizeElement = (element) => {
+    if (!element || typeof element !== 'object') return null;
+    if (!isValidId(element.id) || !isValidId(element.pageId)) return null;
+    if (!ELEMENT_TYPES.includes(element.type)) return null;
+
+    const clean = {
+        id: element.id,
+        pageId: element.pageId,
+        type: element.type,
+        ...sanitizeElementChanges(element),
+    };
+
+    const needsPoints = ['path', 'line', 'arrow'].includes(clean.type);
+    if (needsPoints && !clean.points) return null;
+
+    if (clean.type === 'image') {
+        if (typeof element.fileId !== 'string' || !FILE_ID_PATTERN.test(element.fileId)) return null;
+        clean.fileId = element.fileId;
+    }
+
+    return clean;
+};
+
+// ─── Compact Point Storage ───
+// Stored points are rounded to POINT_PRECISION, delta-encoded (each point
+// relative to the previous one) and written as zigzag varints, so a typical
+// freehand stroke takes 2-3 bytes per point instead of two 8-byte doubles.
+
+const POINT_PRECISION = 10; // tenths of a pixel
+
+/**
+ * [[x, y], ...] → Buffer (pressures are stored apart, see encodePressures)
+ */
+export const encodePoints = (points) => {
+    const bytes = [];
+    const writeVarint = (n) => {
+        let z = n >= 0 ? n * 2 : -n * 2 - 1; // zigzag: small negatives stay small
+        while (z >= 0x80) {
+            bytes.push((z % 0x80) | 0x80);
+            z = Math.floor(z / 0x80);
+        }
+        bytes.push(z);
+    };
+
+    let prevX = 0;
+    let prevY = 0;
+    points.forEach(([px, py]) => {
+        const x = Math.round(px * POINT_PRECISION);
+        const y = Math.round(py * POINT_PRECISION);
+        writeVarint(x - prevX);
+        writeVarint(y - prevY);
+        prevX = x;
+        prevY = y;
+    });
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Pressures of [[x, y, pressure], ...] → Buffer of one byte per point,
+ * or null if the stroke has none
+ */
+export const encodePressures = (points) => {
+    if (!points.some((p) => p.length > 2)) return null;
+    return Buffer.from(points.map((p) => Math.round((p[2] ?? 0.5) * 255)));
+};
+
+/**
+ * Buffer or Uint8Array (or a BSON Binary from a lean query) → [[x, y], ...],
+ * or [[x, y, pressure], ...] when the stroke's pressures are given
+ */
+export const decodePoints = (data, pressureData) => {
+    const bytes = data instanceof Uint8Array ? data : data.buffer;
+    let i = 0;
+    const readVarint = () => {
+        let z = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = bytes[i];
+            i += 1;
+            z += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return z % 2 === 0 ? z / 2 : -(z + 1) / 2;
+    };
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    while (i < bytes.length) {
+        x += readVarint();
+        y += readVarint();
+        points.push([x / POINT_PRECISION, y / POINT_PRECISION]);
+    }
+
+    const pressures = pressureData && (pressureData instanceof Uint8Array ? pressureData : pressureData.buffer);
+    if (pressures?.length === points.length) {
+        points.forEach((p, index) => p.push(Math.round((pressures[index] / 255) * 100) / 100));
+    }
+    return points;
+};
+
+// ─── Pages ───
+
+/**
+ * Trimmed page name, or null if empty
+ */
+export const sanitizePageName = (name) => {
+    if (typeof name !== 'string') return null;
+    return name.trim().slice(0, MAX_PAGE_NAME_LENGTH) || null;
+};
+
+/**
+ * Validate a new page ({ id, name }). Returns null if invalid.
+ */
+export const sanitizePage = (page) => {
+    if (!page || !isValidId(page.id)) return null;
+    const name = sanitizePageName(page.name);
+    return name ? { id: page.id, name } : null;
+};
+
+// ─── Legacy ───
+
+/**
+ * Convert the old freehand segment format ({ x0, y0, x1, y1, color, lineWidth })
+ * into path elements on `pageId`, joining segments that continue each other into one stroke.
+ */
+export const migrateLegacySegments = (segments, pageId) => {
+    const elements = [];
+    let current = null; // { points: [[x, y]], color, lineWidth }
+
+    const finish = () => {
+        if (!current) return;
+
+        const xs = current.points.map(([x]) => x);
+        const ys = current.points.map(([, y]) => y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+
+        elements.push({
+            id: crypto.randomUUID(),
+            pageId,
+            type: 'path',
+            x,
+            y,
+            width: Math.max(...xs) - x,
+            height: Math.max(...ys) - y,
+            points: current.points.map(([px, py]) => [px - x, py - y]),
+            strokeColor: current.color,
+            strokeWidth: current.lineWidth,
+        });
+        current = null;
+    };
+
+    segments.forEach((s) => {
+        const continues = current
+            && current.color === s.color
+            && current.lineWidth === s.lineWidth
+            && current.points[current.points.length - 1][0] === s.x0
+            && current.points[current.points.length - 1][1] === s.y0
+            && current.points.length < MAX_POINTS;
+
+        if (continues) {
+            current.points.push([s.x1, s.y1]);
+        } else {
+            finish();
+            current = {
+                points: [[s.x0, s.y0], [s.x1, s.y1]],
+                color: s.color || '#ffffff',
+                lineWidth: s.lineWidth || 3,
+            };
+        }
+    });
+    finish();
+
+    return elements;
+};
@@ -0,0 +1,529 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { renderAsync } from '@resvg/resvg-js';
+import { sanitizeElement, sanitizePageName, MAX_PAGES } from './whiteboardElements.js';
+
+/**
+ * Whiteboard Export / Import
+ *
+ * Renders whiteboard pages (as returned by loadWhiteboard) to SVG, PNG (the
+ * SVG rasterized by resvg) and PDF (drawn with pdfkit), and defines the JSON
+ * format boards are exported to and imported from:
+ *
+ * {
+ *   "format": "stdcollab-whiteboard",
+ *   "version": 1,
+ *   "exportedAt": "2026-10-19T09:30:00.000Z",
+ *   "roomId": "abc-123",
+ *   "pages": [
+ *     {
+ *       "id": "page-1",
+ *       "name": "Page 1",
+ *       "elements": [
+ *         { "id": "…", "type": "rect", "x": 0, "y": 0, "width": 200, "height": 120,
+ *           "strokeColor": "#ffffff", "fillColor": "transparent", "strokeWidth": 3 },
+ *         { "id": "…", "type": "image", "x": 0, "y": 0, "width": 1280, "height": 720,
+ *           "src": "data:image/png;base64,…" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Elements are listed in drawing order with the fields described in
+ * utils/whiteboardElements.js, minus `pageId` (the page they are listed
+ * under) and `createdBy`. Images carry their file as a data URL in `src`, so an
+ * export can be imported into any room.
+ *
+ * SVG and PNG put all exported pages below each other, each titled with its
+ * name; PDF gets one PDF page per whiteboard page. Room lists show a small
+ * PNG thumbnail of the first page. Every page is cropped to
+ * its elements (an empty page exports as one empty canvas).
+ */
+
+export const EXPORT_FORMAT = 'stdcollab-whiteboard';
+export const EXPORT_VERSION = 1;
+
+// Same look as the board: slate-950 background, sticky notes in amber
+const BACKGROUND = '#020617';
+const TITLE_COLOR = '#94a3b8';
+const STICKY_COLOR = '#fde68a';
+const STICKY_TEXT_COLOR = '#1e293b';
+const DEFAULT_STROKE = '#ffffff';
+const DEFAULT_FONT_SIZE = 20;
+const TEXT_PADDING = 12;
+const LINE_HEIGHT = 1.3;
+
+const EMPTY_PAGE = { x: 0, y: 0, width: 1280, height: 720 };
+const PAGE_PADDING = 40;
+const PAGE_GAP = 40;
+const TITLE_HEIGHT = 48;
+
+// Largest PNG side, in pixels
+const MAX_PNG_SIZE = 8192;
+
+const MAX_IMPORT_ELEMENTS = 20000;
+
+// ─── Geometry ───
+
+const normalizeBox = ({ x = 0, y = 0, width = 0, height = 0 }) => ({
+    x: width < 0 ? x + width : x,
+    y: height < 0 ? y + height : y,
+    width: Math.abs(width),
+    height: Math.abs(height),
+});
+
+/**
+ * Area of a page worth exporting: its elements plus some padding
+ */
+const pageBounds = (elements) => {
+    if (elements.length === 0) return EMPTY_PAGE;
+
+    const boxes = elements.map(normalizeBox);
+    const left = Math.min(...boxes.map((b) => b.x)) - PAGE_PADDING;
+    const top = Math.min(...boxes.map((b) => b.y)) - PAGE_PADDING;
+    const right = Math.max(...boxes.map((b) => b.x + b.width)) + PAGE_PADDING;
+    const bottom = Math.max(...boxes.map((b) => b.y + b.height)) + PAGE_PADDING;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * Images first, so they stay behind everything else (as on the board)
+ */
+const inDrawingOrder = (elements) => [
+    ...elements.filter((el) => el.type === 'image'),
+    ...elements.filter((el) => el.type !== 'image'),
+];
+
+const absolutePoints = (el) => el.points.map(([px, py]) => [el.x + px, el.y + py]);
+
+/**
+ * Segments of a pen stroke with pressure, each with its own width
+ * (same scale as the board: pressure 0.5 is the stroke's own width),
+ * or null if the stroke has no pressure
+ */
+const pressureSegments = (el) => {
+    if (el.type !== 'path' || !el.points.some((p) => p.length > 2)) return null;
+    const width = el.strokeWidth || 3;
+    const points = el.points.map(([px, py, pressure = 0.5]) => [el.x + px, el.y + py, pressure]);
+    if (points.length === 1) points.push(points[0]);
+    return points.slice(1).map((to, i) => {
+        const from = points[i];
+        return { from, to, width: width * (0.3 + 1.4 * ((from[2] + to[2]) / 2)) };
+    });
+};
+
+/**
+ * The two short strokes of an arrow head at the last point
+ */
+const arrowHead = (points, strokeWidth) => {
+    const [fromX, fromY] = points[points.length - 2];
+    const [toX, toY] = points[points.length - 1];
+    const size = Math.max(12, strokeWidth * 4);
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    return [
+        [toX - size * Math.cos(angle - Math.PI / 6), toY - size * Math.sin(angle - Math.PI / 6)],
+        [toX, toY],
+        [toX - size * Math.cos(angle + Math.PI / 6), toY - size * Math.sin(angle + Math.PI / 6)],
+    ];
+};
+
+/**
+ * Split text into lines that fit `maxWidth`. There is no font to measure
+ * with here, so characters are assumed to be 0.55em wide.
+ */
+const wrapText = (text, fontSize, maxWidth) => {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * 0.55)));
+    const lines = [];
+    (text || '').split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && candidate.length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+const textLayout = (el) => {
+    const fontSize = el.fontSize || DEFAULT_FONT_SIZE;
+    const padding = el.type === 'sticky' ? TEXT_PADDING : 0;
+    const width = Math.max(el.width - padding * 2, fontSize);
+    return {
+        fontSize,
+        padding,
+        width,
+        color: el.type === 'sticky' ? STICKY_TEXT_COLOR : el.strokeColor || DEFAULT_STROKE,
+        lines: wrapText(el.text, fontSize, width),
+    };
+};
+
+const isFilled = (el) => el.fillColor && el.fillColor !== 'transparent';
+
+/**
+ * '#rgb', '#rgba', '#rrggbb' or '#rrggbbaa' → { color: '#rrggbb', opacity }
+ * (pdfkit has no hex alpha)
+ */
+const splitColor = (hex) => {
+    let digits = hex.slice(1);
+    if (digits.length <= 4) digits = digits.split('').map((d) => d + d).join('');
+    const opacity = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1;
+    return { color: `#${digits.slice(0, 6)}`, opacity };
+};
+
+// ─── Layout ───
+
+/**
+ * Place pages below each other: [{ page, elements, bounds, top }] and the
+ * size of the whole drawing. With one page there is no title.
+ */
+const layoutPages = (pages) => {
+    const titled = pages.length > 1;
+    let top = 0;
+    let width = 0;
+
+    const placed = pages.map((page) => {
+        const elements = inDrawingOrder(page.elements);
+        const bounds = pageBounds(elements);
+        const entry = { page, elements, bounds, top: top + (titled ? TITLE_HEIGHT : 0) };
+        top = entry.top + bounds.height + PAGE_GAP;
+        width = Math.max(width, bounds.width);
+        return entry;
+    });
+
+    return { placed, titled, width, height: Math.max(top - PAGE_GAP, 1) };
+};
+
+// ─── SVG ───
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const svgPoints = (points) => points.map(([x, y]) => `${x},${y}`).join(' ');
+
+const svgText = (el) => {
+    const { fontSize, padding, color, lines } = textLayout(el);
+    const x = el.x + padding;
+    return lines.map((line, i) => {
+        const y = el.y + padding + i * fontSize * LINE_HEIGHT;
+        return `<text x="${x}" y="${y}" dominant-baseline="hanging" font-family="sans-serif" font-size="${fontSize}" fill="${color}">${escapeXml(line)}</text>`;
+    }).join('');
+};
+
+/**
+ * One element as SVG markup. `images` maps fileId → data URL.
+ */
+const svgElement = (el, images) => {
+    const stroke = el.strokeColor || DEFAULT_STROKE;
+    const strokeWidth = el.strokeWidth || 3;
+    const strokeAttrs = `stroke="${stroke}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"`;
+    const fill = isFilled(el) ? el.fillColor : 'none';
+
+    switch (el.type) {
+        case 'path':
+        case 'line':
+        case 'arrow': {
+            const segments = pressureSegments(el);
+            if (segments) {
+                const lines = segments.map(({ from, to, width }) => (
+                    `<line x1="${from[0]}" y1="${from[1]}" x2="${to[0]}" y2="${to[1]}" stroke-width="${width}"/>`
+                ));
+                return `<g stroke="${stroke}" stroke-linecap="round">${lines.join('')}</g>`;
+            }
+
+            const points = absolutePoints(el);
+            if (points.length === 1) {
+                return `<circle cx="${points[0][0]}" cy="${points[0][1]}" r="${strokeWidth / 2}" fill="${stroke}"/>`;
+            }
+            let markup = `<polyline points="${svgPoints(points)}" fill="none" ${strokeAttrs}/>`;
+            if (el.type === 'arrow') {
+                markup += `<polyline points="${svgPoints(arrowHead(points, strokeWidth))}" fill="none" ${strokeAttrs}/>`;
+            }
+            return markup;
+        }
+        case 'rect': {
+            const { x, y, width, height } = normalizeBox(el);
+            return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" ${strokeAttrs}/>`;
+        }
+        case 'ellipse': {
+            const { x, y, width, height } = normalizeBox(el);
+            return `<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" fill="${fill}" ${strokeAttrs}/>`;
+        }
+        case 'text':
+            return svgText(el);
+        case 'sticky':
+            return `<rect x="${el.x}" y="${el.y}" width="${el.width}" height="${el.height}" fill="${el.fillColor || STICKY_COLOR}"/>${svgText(el)}`;
+        case 'image': {
+            const { x, y, width, height } = normalizeBox(el);
+            const src = images.get(el.fileId);
+            if (!src) {
+                // File gone or not readable: keep its place visible
+                return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="none" stroke="${TITLE_COLOR}" stroke-dasharray="8 6"/>`;
+            }
+            return `<image href="${src}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="none"/>`;
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Render pages ([{ id, name, elements }]) as one SVG document
+ * @param {Map<string, string>} images - fileId → data URL of image elements
+ */
+export const renderSvg = (pages, images = new Map()) => {
+    const { placed, titled, width, height } = layoutPages(pages);
+
+    const body = placed.map(({ page, elements, bounds, top }, index) => {
+        const title = titled
+            ? `<text x="0" y="${top - TITLE_HEIGHT / 2}" dominant-baseline="middle" font-family="sans-serif" font-size="20" font-weight="bold" fill="${TITLE_COLOR}">${escapeXml(page.name)}</text>`
+            : '';
+        // Each page is clipped to its own area, so pages never draw over each other
+        const clipId = `page-${index}`;
+        return `${title}<clipPath id="${clipId}"><rect x="0" y="${top}" width="${bounds.width}" height="${bounds.height}"/></clipPath>`
+            + `<g clip-path="url(#${clipId})"><rect x="0" y="${top}" width="${bounds.width}" height="${bounds.height}" fill="${BACKGROUND}"/>`
+            + `<g transform="translate(${-bounds.x} ${top - bounds.y})">${elements.map((el) => svgElement(el, images)).join('')}</g></g>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `${titled ? `<rect width="${width}" height="${height}" fill="#0f172a"/>` : ''}${body}</svg>`;
+};
+
+// ─── PNG ───
+
+/**
+ * Render pages as a PNG (the SVG rendering, rasterized)
+ * @returns {Promise<Buffer>}
+ */
+export const renderPng = async (pages, images = new Map()) => {
+    const { width, height } = layoutPages(pages);
+    const zoom = Math.min(1, MAX_PNG_SIZE / width, MAX_PNG_SIZE / height);
+
+    const rendered = await renderAsync(renderSvg(pages, images), {
+        fitTo: { mode: 'zoom', value: zoom },
+        font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' },
+    });
+    return rendered.asPng();
+};
+
+// ─── Thumbnail ───
+
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Small PNG of one page for room lists (images show as their outline)
+ * @returns {Promise<Buffer>}
+ */
+export const renderThumbnail = async (page) => {
+    const rendered = await renderAsync(renderSvg([page]), {
+        fitTo: { mode: 'width', value: THUMBNAIL_WIDTH },
+        font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' },
+    });
+    return rendered.asPng();
+};
+
+// ─── PDF ───
+
+const pdfStroke = (doc, el) => {
+    const { color, opacity } = splitColor(el.strokeColor || DEFAULT_STROKE);
+    doc.lineWidth(el.strokeWidth || 3).lineCap('round').lineJoin('round').strokeColor(color, opacity);
+};
+
+const pdfFill = (doc, hex) => {
+    const { color, opacity } = splitColor(hex);
+    doc.fillColor(color, opacity);
+};
+
+/**
+ * Text in pdfkit's built-in Helvetica, which only covers Latin characters
+ */
+const pdfText = (doc, el) => {
+    const { fontSize, padding, width, color } = textLayout(el);
+    pdfFill(doc, color);
+    doc.font('Helvetica').fontSize(fontSize).text(el.text || '', el.x + padding, el.y + padding, {
+        width,
+        height: Math.max(el.height - padding * 2, fontSize),
+        lineGap: fontSize * (LINE_HEIGHT - 1),
+    });
+};
+
+/**
+ * @param {Map<string, Buffer>} images - fileId → image bytes (pdfkit reads PNG and JPEG)
+ */
+const pdfElement = (doc, el, images) => {
+    doc.save();
+
+    switch (el.type) {
+        case 'path':
+        case 'line':
+        case 'arrow': {
+            const points = absolutePoints(el);
+            pdfStroke(doc, el);
+            const segments = pressureSegments(el);
+            if (segments) {
+                segments.forEach(({ from, to, width }) => {
+                    doc.lineWidth(width).moveTo(from[0], from[1]).lineTo(to[0], to[1]).stroke();
+                });
+                break;
+            }
+            if (points.length === 1) {
+                doc.circle(points[0][0], points[0][1], (el.strokeWidth || 3) / 2).fill(splitColor(el.strokeColor || DEFAULT_STROKE).color);
+                break;
+            }
+            doc.moveTo(...points[0]);
+            points.slice(1).forEach((p) => doc.lineTo(...p));
+            doc.stroke();
+            if (el.type === 'arrow') {
+                const [left, tip, right] = arrowHead(points, el.strokeWidth || 3);
+                doc.moveTo(...left).lineTo(...tip).lineTo(...right).stroke();
+            }
+            break;
+        }
+        case 'rect':
+        case 'ellipse': {
+            const { x, y, width, height } = normalizeBox(el);
+            if (el.type === 'rect') {
+                doc.rect(x, y, width, height);
+            } else {
+                doc.ellipse(x + width / 2, y + height / 2, width / 2, height / 2);
+            }
+            pdfStroke(doc, el);
+            if (isFilled(el)) {
+                pdfFill(doc, el.fillColor);
+                doc.fillAndStroke();
+            } else {
+                doc.stroke();
+            }
+            break;
+        }
+        case 'text':
+            pdfText(doc, el);
+            break;
+        case 'sticky':
+            pdfFill(doc, el.fillColor || STICKY_COLOR);
+            doc.rect(el.x, el.y, el.width, el.height).fill();
+            pdfText(doc, el);
+            break;
+        case 'image': {
+            const { x, y, width, height } = normalizeBox(el);
+            try {
+                doc.image(images.get(el.fileId), x, y, { width, height });
+            } catch {
+                // Missing file, or a format pdfkit cannot read
+                doc.rect(x, y, width, height).dash(8, { space: 6 }).strokeColor(TITLE_COLOR).stroke();
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    doc.restore();
+};
+
+/**
+ * Render pages as a PDF with one PDF page per whiteboard page
+ * @param {Map<string, Buffer>} images - fileId → image bytes
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (pages, images = new Map(), title = 'Whiteboard') => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false, margin: 0, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    pages.forEach((page) => {
+        const elements = inDrawingOrder(page.elements);
+        const bounds = pageBounds(elements);
+
+        doc.addPage({ size: [bounds.width, bounds.height], margin: 0 });
+        doc.rect(0, 0, bounds.width, bounds.height).fill(BACKGROUND);
+        doc.save();
+        doc.translate(-bounds.x, -bounds.y);
+        elements.forEach((el) => pdfElement(doc, el, images));
+        doc.restore();
+    });
+
+    doc.end();
+});
+
+// ─── JSON ───
+
+/**
+ * Build the JSON export document
+ * @param {Array<{ id, name, elements }>} pages
+ * @param {Map<string, string>} images - fileId → data URL
+ */
+export const toExportJson = (roomId, pages, images = new Map()) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    roomId,
+    pages: pages.map((page) => ({
+        id: page.id,
+        name: page.name,
+        elements: page.elements.map(({ pageId, createdBy, fileId, ...el }) => (
+            el.type === 'image' ? { ...el, src: images.get(fileId) || null } : el
+        )),
+    })),
+});
+
+/**
+ * Parse a JSON export for import. Pages and elements get new IDs, so the same
+ * file can be imported any number of times. Image elements keep their data
+ * URL in `src` (and get `fileId` once the caller has stored the image).
+ *
+ * @returns {Array<{ id, name, elements }>}
+ * @throws {Error} If it is not a whiteboard export this version understands
+ */
+export const parseImportJson = (doc) => {
+    if (doc?.format !== EXPORT_FORMAT || !Array.isArray(doc.pages)) {
+        throw new Error('Not a whiteboard export');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported whiteboard export version: ${doc.version}`);
+    }
+    if (doc.pages.length === 0 || doc.pages.length > MAX_PAGES) {
+        throw new Error(`A whiteboard export must have 1 to ${MAX_PAGES} pages`);
+    }
+
+    const total = doc.pages.reduce((sum, page) => sum + (Array.isArray(page?.elements) ? page.elements.length : 0), 0);
+    if (total > MAX_IMPORT_ELEMENTS) {
+        throw new Error(`A whiteboard export can have at most ${MAX_IMPORT_ELEMENTS} elements`);
+    }
+
+    return doc.pages.map((page, index) => {
+        const id = crypto.randomUUID();
+        const elements = (Array.isArray(page?.elements) ? page.elements : [])
+            .map((el) => {
+                const isImage = el?.type === 'image';
+                // Images are validated once their file is stored; a placeholder ID passes the check here
+                const clean = sanitizeElement({
+                    ...el,
+                    id: crypto.randomUUID(),
+                    pageId: id,
+                    fileId: isImage ? '0'.repeat(24) : undefined,
+                });
+                if (!clean) return null;
+                if (!isImage) return clean;
+
+                const src = typeof el.src === 'string' && /^data:image\/[a-z+.-]+;base64,/i.test(el.src) ? el.src : null;
+                if (!src) return null;
+                delete clean.fileId;
+                return { ...clean, src };
+            })
+            .filter(Boolean);
+
+        return { id, name: sanitizePageName(page?.name) || `Page ${index + 1}`, elements };
+    });
+};
@@ -3,6 +3,11 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Room from './pages/Room';
+import GuestJoin from './pages/GuestJoin';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import SsoCallback from './pages/SsoCallback';
 import ProtectedRoute from './components/ProtectedRoute';
 import './index.css';
 
@@ -11,6 +16,9 @@ import './index.css';
  * 
  * Routes:
  * - /login, /register — Public auth pages
+ * - /guest/:roomId — Join from an invite link without an account
+ * - /verify-email, /forgot-password, /reset-password — Email links and password recovery
+ * - /sso/callback — Finishes single sign-on (Google, GitHub, OIDC)
  * - /dashboard, /room/:roomId — Protected (require JWT)
  * - * — Redirect to /login
  */
@@ -21,6 +29,11 @@ function App() {
         {/* Public Routes */}
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/guest/:roomId" element={<GuestJoin />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/sso/callback" element={<SsoCallback />} />
 
         {/* Protected Routes */}
         <Route
@@ -1,10 +1,11 @@
 /**
  * Axios API Client
- * 
+ *
  * Configured with:
  * - Base URL pointing to backend API
- * - Request interceptor that attaches JWT token from localStorage
- * - Response interceptor for handling 401 errors (auto-logout)
+ * - Request interceptor that attaches the access token from localStorage
+ * - Response interceptor that renews an expired access token with the
+ *   refresh token cookie and retries, and signs out only if that fails
  */
 import axios from 'axios';
 
@@ -13,9 +14,57 @@ const API = axios.create({
     headers: {
         'Content-Type': 'application/json',
     },
+    withCredentials: true, // The refresh token is an httpOnly cookie
 });
 
-// ─── Request Interceptor: Attach JWT Token ───
+// The auth store listens here to stay in sync with refreshes and sign-outs
+const authListeners = {
+    onRefresh: () => {},
+    onSignOut: () => {},
+};
+
+export const setAuthListeners = (listeners) => {
+    Object.assign(authListeners, listeners);
+};
+
+/**
+ * Forget the signed-in user and go to the login page
+ */
+export const signOut = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+    authListeners.onSignOut();
+    // Redirect to login if not already there
+    if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+    }
+};
+
+// One refresh at a time — parallel 401s all wait for the same one
+let refreshing = null;
+
+/**
+ * Get a new access token with the refresh token cookie
+ * @returns {Promise<string>} The new access token (rejects if the session ended)
+ */
+export const refreshAccessToken = () => {
+    if (!refreshing) {
+        refreshing = API.post('/auth/refresh', null, { skipAuthRefresh: true })
+            .then(({ data }) => {
+                const { token, ...user } = data.data;
+                localStorage.setItem('token', token);
+                localStorage.setItem('user', JSON.stringify(user));
+                authListeners.onRefresh({ token, user });
+                return token;
+            })
+            .finally(() => {
+                refreshing = null;
+            });
+    }
+    return refreshing;
+};
+
+// ─── Request Interceptor: Attach Access Token ───
 API.interceptors.request.use(
     (config) => {
         const token = localStorage.getItem('token');
@@ -27,20 +76,29 @@ API.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
-// ─── Response Interceptor: Handle Auth Errors ───
+// ─── Response Interceptor: Refresh on 401, Then Retry Once ───
 API.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            // Token expired or invalid — clear storage
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            // Redirect to login if not already there
-            if (window.location.pathname !== '/login') {
-                window.location.href = '/login';
-            }
+    async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config.skipAuthRefresh) {
+            return Promise.reject(error);
+        }
+
+        // Guests have no refresh token — their session simply ends
+        const isGuest = JSON.parse(localStorage.getItem('user'))?.isGuest;
+        if (config.isRetry || isGuest || !localStorage.getItem('token')) {
+            signOut();
+            return Promise.reject(error);
+        }
+
+        try {
+            await refreshAccessToken();
+        } catch {
+            signOut();
+            return Promise.reject(error);
         }
-        return Promise.reject(error);
+        return API({ ...config, isRetry: true });
     }
 );
 
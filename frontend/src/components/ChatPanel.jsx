@@ -0,0 +1,339 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import useAuthStore from '../store/authStore';
+import API from '../api/axios';
+import socket from '../socket/socket';
+
+// Stop showing "typing…" if no update arrives for this long
+const TYPING_TIMEOUT = 3000;
+
+/**
+ * ChatPanel Component
+ *
+ * Text chat sidebar for collaboration rooms.
+ * - History loaded page by page over REST (newest first)
+ * - Live messages, edits and deletes over Socket.IO
+ * - Typing indicators and per-user read markers
+ * - Edit / delete your own messages
+ *
+ * Stays subscribed while hidden so the unread count keeps updating.
+ */
+const ChatPanel = ({ roomId, isVisible, participants = [], onUnreadChange }) => {
+    const { user } = useAuthStore();
+    const [messages, setMessages] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [readMarkers, setReadMarkers] = useState({}); // { userId: messageId }
+    const [typingUsers, setTypingUsers] = useState({}); // { userId: userName }
+    const [text, setText] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editText, setEditText] = useState('');
+    const [error, setError] = useState('');
+
+    const listEndRef = useRef(null);
+    const typingTimeouts = useRef({});
+    const isTypingRef = useRef(false);
+    const stopTypingTimeout = useRef(null);
+    const lastReadRef = useRef(null);
+
+    /**
+     * Load the latest page of history and listen for live chat events
+     */
+    useEffect(() => {
+        if (!roomId) return;
+
+        const fetchMessages = async () => {
+            try {
+                const { data } = await API.get(`/rooms/${roomId}/messages`);
+                setMessages(data.data.messages);
+                setHasMore(data.data.hasMore);
+                setReadMarkers(Object.fromEntries(
+                    data.data.readMarkers.map((m) => [m.user, m.lastReadMessage])
+                ));
+            } catch (err) {
+                console.error('Failed to load messages:', err);
+            }
+        };
+
+        fetchMessages();
+
+        const handleMessage = (message) => {
+            setMessages((prev) => [...prev, message]);
+            setTypingUsers((prev) => {
+                const updated = { ...prev };
+                delete updated[message.sender?._id];
+                return updated;
+            });
+        };
+
+        // Edits and deletes both arrive as the updated message
+        const handleUpdate = (message) => {
+            setMessages((prev) => prev.map((m) => (m._id === message._id ? message : m)));
+        };
+
+        const handleTyping = ({ userId, userName, isTyping }) => {
+            clearTimeout(typingTimeouts.current[userId]);
+            setTypingUsers((prev) => {
+                const updated = { ...prev };
+                if (isTyping) updated[userId] = userName;
+                else delete updated[userId];
+                return updated;
+            });
+            if (isTyping) {
+                typingTimeouts.current[userId] = setTimeout(() => {
+                    handleTyping({ userId, userName, isTyping: false });
+                }, TYPING_TIMEOUT);
+            }
+        };
+
+        const handleRead = ({ user: userId, lastReadMessage }) => {
+            setReadMarkers((prev) => ({ ...prev, [userId]: lastReadMessage }));
+        };
+
+        socket.on('chat-message', handleMessage);
+        socket.on('chat-edit', handleUpdate);
+        socket.on('chat-delete', handleUpdate);
+        socket.on('chat-typing', handleTyping);
+        socket.on('chat-read', handleRead);
+
+        const timeouts = typingTimeouts.current;
+
+        return () => {
+            socket.off('chat-message', handleMessage);
+            socket.off('chat-edit', handleUpdate);
+            socket.off('chat-delete', handleUpdate);
+            socket.off('chat-typing', handleTyping);
+            socket.off('chat-read', handleRead);
+            Object.values(timeouts).forEach(clearTimeout);
+        };
+    }, [roomId]);
+
+    /**
+     * Mark the newest message as read while the panel is open,
+     * and report how many messages arrived since our read marker.
+     */
+    useEffect(() => {
+        const latest = messages[messages.length - 1];
+
+        if (isVisible && latest && lastReadRef.current !== latest._id) {
+            lastReadRef.current = latest._id;
+            setReadMarkers((prev) => ({ ...prev, [user._id]: latest._id }));
+            socket.emit('chat-read', { roomId, messageId: latest._id });
+        }
+
+        if (onUnreadChange) {
+            const myMarker = readMarkers[user._id];
+            const readIndex = messages.findIndex((m) => m._id === myMarker);
+            const unread = messages
+                .slice(readIndex + 1)
+                .filter((m) => m.sender?._id !== user._id).length;
+            onUnreadChange(isVisible ? 0 : unread);
+        }
+    }, [messages, isVisible, readMarkers, roomId, user, onUnreadChange]);
+
+    // Keep the newest message in view
+    useEffect(() => {
+        if (isVisible) {
+            listEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+        }
+    }, [messages.length, isVisible]);
+
+    /**
+     * Load the page of messages before the oldest one shown
+     */
+    const loadEarlier = async () => {
+        if (!messages.length) return;
+        setIsLoadingMore(true);
+        try {
+            const { data } = await API.get(`/rooms/${roomId}/messages`, {
+                params: { before: messages[0]._id },
+            });
+            setMessages((prev) => [...data.data.messages, ...prev]);
+            setHasMore(data.data.hasMore);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load messages');
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    /**
+     * Emit typing state, throttled to one "true" per burst of keystrokes
+     */
+    const setTyping = useCallback((isTyping) => {
+        clearTimeout(stopTypingTimeout.current);
+        if (isTyping) {
+            stopTypingTimeout.current = setTimeout(() => setTyping(false), TYPING_TIMEOUT - 1000);
+        }
+        if (isTypingRef.current === isTyping) return;
+        isTypingRef.current = isTyping;
+        socket.emit('chat-typing', { roomId, isTyping });
+    }, [roomId]);
+
+    const handleTextChange = (e) => {
+        setText(e.target.value);
+        setTyping(e.target.value.length > 0);
+    };
+
+    const handleSend = (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setError('');
+        socket.emit('chat-message', { roomId, text });
+        setText('');
+        setTyping(false);
+    };
+
+    const startEdit = (message) => {
+        setEditingId(message._id);
+        setEditText(message.text);
+    };
+
+    const handleEditSubmit = (e) => {
+        e.preventDefault();
+        if (editText.trim()) {
+            socket.emit('chat-edit', { roomId, messageId: editingId, text: editText });
+        }
+        setEditingId(null);
+    };
+
+    const handleDelete = (messageId) => {
+        socket.emit('chat-delete', { roomId, messageId });
+    };
+
+    /**
+     * Names of other users whose read marker sits on this message
+     */
+    const getReaders = (messageId) => {
+        return Object.entries(readMarkers)
+            .filter(([userId, markerId]) => markerId === messageId && userId !== user._id)
+            .map(([userId]) => (
+                participants.find((p) => p.userId === userId)?.userName
+                || messages.find((m) => m.sender?._id === userId)?.sender.name
+            ))
+            .filter(Boolean);
+    };
+
+    if (!isVisible) return null;
+
+    const typingNames = Object.values(typingUsers);
+
+    return (
+        <div className="fixed right-0 top-0 bottom-0 w-80 bg-slate-800 border-l border-slate-700 z-40 flex flex-col shadow-2xl">
+            {/* Header */}
+            <div className="px-4 py-4 border-b border-slate-700">
+                <h3 className="text-white font-semibold">Chat</h3>
+            </div>
+
+            {/* Message List */}
+            <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+                {hasMore && (
+                    <button
+                        onClick={loadEarlier}
+                        disabled={isLoadingMore}
+                        className="w-full py-1.5 text-xs text-slate-400 hover:text-white transition cursor-pointer"
+                    >
+                        {isLoadingMore ? 'Loading...' : 'Load earlier messages'}
+                    </button>
+                )}
+
+                {messages.length === 0 ? (
+                    <p className="text-slate-500 text-sm text-center mt-8">No messages yet</p>
+                ) : (
+                    messages.map((message) => {
+                        // A deleted guest's messages have no sender id
+                        const isOwn = Boolean(message.sender?._id) && message.sender._id === user._id;
+                        const readers = getReaders(message._id);
+
+                        return (
+                            <div key={message._id} className={`group flex flex-col ${isOwn ? 'items-end' : 'items-start'}`}>
+                                <span className="text-slate-400 text-xs mb-0.5">
+                                    {isOwn ? 'You' : message.sender?.name || 'Guest'} ·{' '}
+                                    {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    {message.editedAt && !message.isDeleted && ' (edited)'}
+                                </span>
+
+                                {editingId === message._id ? (
+                                    <form onSubmit={handleEditSubmit} className="w-full">
+                                        <input
+                                            autoFocus
+                                            value={editText}
+                                            onChange={(e) => setEditText(e.target.value)}
+                                            onBlur={() => setEditingId(null)}
+                                            onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                                            className="w-full px-3 py-2 bg-slate-700 border border-blue-500 rounded-lg text-white text-sm focus:outline-none"
+                                        />
+                                    </form>
+                                ) : (
+                                    <div className="flex items-center gap-1 max-w-full">
+                                        {isOwn && !message.isDeleted && (
+                                            <div className="hidden group-hover:flex gap-1 shrink-0">
+                                                <button
+                                                    onClick={() => startEdit(message)}
+                                                    className="text-xs text-slate-400 hover:text-white cursor-pointer"
+                                                    title="Edit"
+                                                >
+                                                    ✏️
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDelete(message._id)}
+                                                    className="text-xs text-slate-400 hover:text-white cursor-pointer"
+                                                    title="Delete"
+                                                >
+                                                    🗑️
+                                                </button>
+                                            </div>
+                                        )}
+                                        <p className={`px-3 py-2 rounded-lg text-sm break-words min-w-0 ${message.isDeleted
+                                            ? 'italic text-slate-500 bg-slate-700/30'
+                                            : isOwn ? 'bg-blue-600 text-white' : 'bg-slate-700 text-white'
+                                            }`}>
+                                            {message.isDeleted ? 'Message deleted' : message.text}
+                                        </p>
+                                    </div>
+                                )}
+
+                                {readers.length > 0 && (
+                                    <span className="text-slate-500 text-[10px] mt-0.5">
+                                        Seen by {readers.join(', ')}
+                                    </span>
+                                )}
+                            </div>
+                        );
+                    })
+                )}
+                <div ref={listEndRef} />
+            </div>
+
+            {/* Typing Indicator */}
+            <div className="px-4 h-5 text-slate-400 text-xs italic">
+                {typingNames.length > 0 && (
+                    `${typingNames.join(', ')} ${typingNames.length === 1 ? 'is' : 'are'} typing…`
+                )}
+            </div>
+
+            {/* Composer */}
+            <form onSubmit={handleSend} className="px-4 py-3 border-t border-slate-700 flex gap-2">
+                <input
+                    type="text"
+                    value={text}
+                    onChange={handleTextChange}
+                    maxLength={2000}
+                    className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="Type a message"
+                />
+                <button
+                    type="submit"
+                    disabled={!text.trim()}
+                    className="px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white rounded-lg text-sm transition cursor-pointer disabled:cursor-not-allowed"
+                >
+                    Send
+                </button>
+            </form>
+            {error && (
+                <p className="text-red-400 text-xs px-4 pb-3">{error}</p>
+            )}
+        </div>
+    );
+};
+
+export default ChatPanel;
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react';
+import API from '../api/axios';
+import formatTimeAgo from '../utils/formatTimeAgo';
+
+/**
+ * Device List
+ *
+ * Where the user is signed in (GET /api/auth/sessions), with the device and
+ * IP address of each session. Any other device can be signed out, or all of
+ * them at once — e.g. after using a shared computer.
+ */
+const DeviceList = () => {
+    const [sessions, setSessions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [notice, setNotice] = useState('');
+
+    const loadSessions = useCallback(async () => {
+        try {
+            const { data } = await API.get('/auth/sessions');
+            setSessions(data.data);
+        } catch (err) {
+            setNotice(err.response?.data?.message || 'Failed to load devices');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleRevoke = async (sessionId) => {
+        try {
+            await API.delete(`/auth/sessions/${sessionId}`);
+            setSessions((prev) => prev.filter((session) => session.sessionId !== sessionId));
+            setNotice('Device signed out');
+        } catch (err) {
+            setNotice(err.response?.data?.message || 'Failed to sign out the device');
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        try {
+            const { data } = await API.delete('/auth/sessions');
+            setSessions((prev) => prev.filter((session) => session.isCurrent));
+            setNotice(`Signed out ${data.data.revoked} other device${data.data.revoked !== 1 ? 's' : ''}`);
+        } catch (err) {
+            setNotice(err.response?.data?.message || 'Failed to sign out the other devices');
+        }
+    };
+
+    const hasOthers = sessions.some((session) => !session.isCurrent);
+
+    return (
+        <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white">Signed-in Devices</h3>
+                {hasOthers && (
+                    <button
+                        onClick={handleRevokeOthers}
+                        className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-xs transition cursor-pointer"
+                    >
+                        Sign out all other devices
+                    </button>
+                )}
+            </div>
+
+            {notice && (
+                <p className="text-xs text-slate-400 mb-3">{notice}</p>
+            )}
+
+            {isLoading ? (
+                <p className="text-slate-400 text-sm">Loading devices...</p>
+            ) : (
+                <ul className="space-y-2">
+                    {sessions.map((session) => (
+                        <li
+                            key={session.sessionId}
+                            className="flex items-center gap-3 bg-slate-700/50 rounded-lg px-4 py-3"
+                        >
+                            <div className="flex-1 min-w-0">
+                                <p className="text-white text-sm font-medium truncate" title={session.userAgent}>
+                                    {session.device}
+                                    {session.isCurrent && (
+                                        <span className="ml-2 text-xs text-emerald-400">This device</span>
+                                    )}
+                                </p>
+                                <p className="text-slate-400 text-xs">
+                                    {session.ip || 'Unknown IP'} · active {formatTimeAgo(session.lastUsedAt)}
+                                    {' '}· signed in {new Date(session.createdAt).toLocaleDateString()}
+                                </p>
+                            </div>
+                            {!session.isCurrent && (
+                                <button
+                                    onClick={() => handleRevoke(session.sessionId)}
+                                    className="px-3 py-1.5 text-red-400 hover:text-red-300 text-xs transition cursor-pointer"
+                                >
+                                    Sign out
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default DeviceList;
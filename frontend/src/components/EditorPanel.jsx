@@ -0,0 +1,470 @@
+import { useRef, useEffect, useState } from 'react';
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness';
+import { EditorView, basicSetup } from 'codemirror';
+import { EditorState, Compartment } from '@codemirror/state';
+import { keymap } from '@codemirror/view';
+import { markdown } from '@codemirror/lang-markdown';
+import { javascript } from '@codemirror/lang-javascript';
+import { python } from '@codemirror/lang-python';
+import { java } from '@codemirror/lang-java';
+import { cpp } from '@codemirror/lang-cpp';
+import { oneDark } from '@codemirror/theme-one-dark';
+import { yCollab, yUndoManagerKeymap } from 'y-codemirror.next';
+import socket from '../socket/socket';
+import API from '../api/axios';
+import useAuthStore from '../store/authStore';
+import userColor from '../utils/userColor';
+import {
+    CODE_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getEditorText,
+    getSettingsMap,
+    getCodeLanguage,
+    replaceText,
+} from '../utils/editorDoc';
+
+/**
+ * EditorPanel Component
+ *
+ * Shared notes and code of a room, co-edited live (CodeMirror).
+ * - Notes tab: Markdown; Code tab: source code with syntax highlighting
+ *   in a language everyone shares
+ * - Everyone's caret and selection, labelled and coloured per user
+ *   (y-protocols awareness, never stored)
+ * - Per-user undo/redo (Ctrl+Z / Ctrl+Shift+Z) of our own edits only
+ * - A Yjs document (utils/editorDoc.js) kept in sync with the server's, so
+ *   simultaneous edits merge, and edits made while disconnected are sent
+ *   when we rejoin
+ * - History: save a version, look at earlier ones and restore them (the
+ *   room also saves one of whatever changed when it empties)
+ * - Save the notes (.md) or code (source file) to the room's files
+ * - Read-only for viewers (canEdit = false)
+ */
+
+const TABS = [
+    { id: 'notes', label: '📝 Notes' },
+    { id: 'code', label: '💻 Code' },
+];
+
+// Syntax highlighting of each code language
+const LANGUAGE_SUPPORT = {
+    javascript: () => javascript(),
+    typescript: () => javascript({ typescript: true }),
+    python: () => python(),
+    java: () => java(),
+    c: () => cpp(),
+    cpp: () => cpp(),
+    plaintext: () => [],
+};
+
+// Transaction / awareness origin of updates from the server (not sent back)
+const REMOTE = 'remote';
+
+// Length of a document update with nothing in it
+const EMPTY_UPDATE_LENGTH = 2;
+
+const EditorPanel = ({ roomId, isVisible, canEdit = true, onClose }) => {
+    const { user } = useAuthStore();
+    // Primitives, so a silent token refresh does not rebuild the editor
+    const userId = user?._id;
+    const userName = user?.name;
+
+    const docRef = useRef(null); // the room's editor document (Y.Doc)
+    const awarenessRef = useRef(null); // carets and selections, ours and others'
+    const undoManagersRef = useRef(null); // document name → Y.UndoManager (kept across tab switches)
+    const syncedRef = useRef(false); // the server has our document: send edits as they happen
+    const containerRef = useRef(null);
+    const viewRef = useRef(null); // CodeMirror view of the open tab
+    const languageRef = useRef(new Compartment());
+
+    const [tab, setTab] = useState('notes');
+    const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+    const [versions, setVersions] = useState(null); // history sidebar: [version] or null when closed
+    const [preview, setPreview] = useState(null); // version shown instead of the editor, with its text
+    const [status, setStatus] = useState(null); // { busy, message, isError }
+
+    /**
+     * The room's editor document and awareness. They outlive closing the
+     * panel, so reopening it (or reconnecting) only syncs what changed.
+     */
+    useEffect(() => {
+        if (!roomId) return;
+        const doc = new Y.Doc();
+        const awareness = new Awareness(doc);
+        awareness.setLocalState(null); // no caret until the panel opens
+        docRef.current = doc;
+        awarenessRef.current = awareness;
+        undoManagersRef.current = {
+            notes: new Y.UndoManager(getEditorText(doc, 'notes')),
+            code: new Y.UndoManager(getEditorText(doc, 'code')),
+        };
+        syncedRef.current = false;
+
+        // Our edits go to the room as they happen; made while we are not
+        // synced (e.g. disconnected), they go with the next sync instead
+        const handleUpdate = (update, origin) => {
+            if (origin === REMOTE || !syncedRef.current) return;
+            socket.emit('editor-yjs', { roomId, update });
+        };
+
+        const handleAwareness = ({ added, updated, removed }, origin) => {
+            if (origin === REMOTE || !syncedRef.current) return;
+            const changed = [...added, ...updated, ...removed];
+            socket.emit('editor-awareness', { roomId, update: encodeAwarenessUpdate(awareness, changed) });
+        };
+
+        const settings = getSettingsMap(doc);
+        const handleSettings = () => setLanguage(getCodeLanguage(doc));
+
+        doc.on('update', handleUpdate);
+        awareness.on('update', handleAwareness);
+        settings.observe(handleSettings);
+
+        return () => {
+            doc.off('update', handleUpdate);
+            awareness.off('update', handleAwareness);
+            settings.unobserve(handleSettings);
+            Object.values(undoManagersRef.current).forEach((undoManager) => undoManager.destroy());
+            awareness.destroy();
+            doc.destroy();
+            docRef.current = null;
+            awarenessRef.current = null;
+        };
+    }, [roomId]);
+
+    /**
+     * Set up socket listeners and sync the document while the panel is open.
+     * Register listeners BEFORE requesting the sync, so the answer isn't missed.
+     */
+    useEffect(() => {
+        if (!roomId || !isVisible) return;
+        const doc = docRef.current;
+        const awareness = awarenessRef.current;
+
+        const requestSync = () => {
+            syncedRef.current = false;
+            socket.emit('load-editor', { roomId, stateVector: Y.encodeStateVector(doc) });
+        };
+
+        // What our document is missing, and what the server's is missing
+        // (our edits from while we were away) goes back to it
+        const handleLoad = ({ update, stateVector, awareness: others }) => {
+            Y.applyUpdate(doc, new Uint8Array(update), REMOTE);
+            if (canEdit) {
+                const missing = Y.encodeStateAsUpdate(doc, new Uint8Array(stateVector));
+                if (missing.length > EMPTY_UPDATE_LENGTH) socket.emit('editor-yjs', { roomId, update: missing });
+            }
+            if (others) applyAwarenessUpdate(awareness, new Uint8Array(others), REMOTE);
+
+            // Now the server can pass our caret on
+            syncedRef.current = true;
+            const color = userColor(userId);
+            awareness.setLocalState({
+                ...awareness.getLocalState(),
+                user: { name: userName || 'Anonymous', color, colorLight: `${color}33` },
+            });
+        };
+
+        const handleYjs = ({ update }) => {
+            Y.applyUpdate(doc, new Uint8Array(update), REMOTE);
+        };
+
+        const handleAwareness = ({ update }) => {
+            applyAwarenessUpdate(awareness, new Uint8Array(update), REMOTE);
+        };
+
+        // We (re)joined the room: sync again
+        const handleParticipants = () => requestSync();
+
+        // Keep edits until we are back in the room
+        const handleDisconnect = () => {
+            syncedRef.current = false;
+        };
+
+        socket.on('load-editor', handleLoad);
+        socket.on('editor-yjs', handleYjs);
+        socket.on('editor-awareness', handleAwareness);
+        socket.on('room-participants', handleParticipants);
+        socket.on('disconnect', handleDisconnect);
+
+        requestSync();
+
+        return () => {
+            // Our caret leaves with us
+            awareness.setLocalState(null);
+            syncedRef.current = false;
+
+            socket.off('load-editor', handleLoad);
+            socket.off('editor-yjs', handleYjs);
+            socket.off('editor-awareness', handleAwareness);
+            socket.off('room-participants', handleParticipants);
+            socket.off('disconnect', handleDisconnect);
+        };
+    }, [roomId, isVisible, canEdit, userId, userName]);
+
+    /**
+     * CodeMirror view of the open tab, bound to its text in the document
+     */
+    useEffect(() => {
+        if (!isVisible || !containerRef.current || preview) return;
+        const doc = docRef.current;
+        const ytext = getEditorText(doc, tab);
+
+        const view = new EditorView({
+            parent: containerRef.current,
+            state: EditorState.create({
+                doc: ytext.toString(),
+                extensions: [
+                    keymap.of([...yUndoManagerKeymap]),
+                    basicSetup,
+                    oneDark,
+                    EditorView.theme({ '&': { height: '100%' }, '.cm-scroller': { overflow: 'auto' } }),
+                    tab === 'notes' ? EditorView.lineWrapping : [],
+                    languageRef.current.of(tab === 'notes' ? markdown() : LANGUAGE_SUPPORT[getCodeLanguage(doc)]()),
+                    EditorState.readOnly.of(!canEdit),
+                    yCollab(ytext, awarenessRef.current, { undoManager: undoManagersRef.current[tab] }),
+                ],
+            }),
+        });
+        viewRef.current = view;
+
+        return () => {
+            view.destroy();
+            viewRef.current = null;
+        };
+    }, [isVisible, tab, canEdit, preview]);
+
+    // Someone picked another language for the code
+    useEffect(() => {
+        if (tab !== 'code' || !viewRef.current) return;
+        viewRef.current.dispatch({ effects: languageRef.current.reconfigure(LANGUAGE_SUPPORT[language]()) });
+    }, [tab, language]);
+
+    const switchTab = (id) => {
+        setTab(id);
+        setPreview(null);
+        setVersions(null);
+        setStatus(null);
+    };
+
+    const handleLanguageChange = (e) => {
+        getSettingsMap(docRef.current).set('language', e.target.value);
+    };
+
+    // ─── History ───
+
+    const toggleHistory = async () => {
+        if (versions) {
+            setVersions(null);
+            setPreview(null);
+            return;
+        }
+        try {
+            const { data } = await API.get(`/rooms/${roomId}/editor/versions`, { params: { document: tab } });
+            setVersions(data.data);
+        } catch {
+            setStatus({ message: 'Could not load the history', isError: true });
+        }
+    };
+
+    const handleSaveVersion = async () => {
+        setStatus({ busy: true, message: 'Saving version...' });
+        try {
+            const { data } = await API.post(`/rooms/${roomId}/editor/versions`, { document: tab });
+            setVersions((prev) => (prev ? [data.data, ...prev] : prev));
+            setStatus({ message: 'Version saved' });
+        } catch (err) {
+            setStatus({ message: err.response?.data?.message || 'Saving the version failed', isError: true });
+        }
+    };
+
+    const showVersion = async (versionId) => {
+        try {
+            const { data } = await API.get(`/rooms/${roomId}/editor/versions/${versionId}`);
+            setPreview(data.data);
+        } catch {
+            setStatus({ message: 'Could not load that version', isError: true });
+        }
+    };
+
+    /**
+     * Put the previewed version's text back, as an ordinary (undoable) edit
+     */
+    const restoreVersion = () => {
+        const doc = docRef.current;
+        doc.transact(() => {
+            replaceText(doc, preview.document, preview.text);
+            if (preview.document === 'code' && preview.language) {
+                getSettingsMap(doc).set('language', preview.language);
+            }
+        });
+        setPreview(null);
+        setStatus({ message: 'Version restored' });
+    };
+
+    // ─── Export ───
+
+    const handleExport = async () => {
+        setStatus({ busy: true, message: 'Saving to files...' });
+        try {
+            const { data } = await API.post(`/rooms/${roomId}/editor/export`, { document: tab });
+            setStatus({ message: `Saved ${data.data.filename} to the room's files` });
+        } catch (err) {
+            setStatus({ message: err.response?.data?.message || 'Saving to files failed', isError: true });
+        }
+    };
+
+    if (!isVisible) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
+            <div className="bg-slate-800 rounded-2xl border border-slate-700 shadow-2xl w-[90vw] max-w-5xl overflow-hidden">
+                {/* Toolbar */}
+                <div className="flex items-center justify-between px-4 py-3 bg-slate-900 border-b border-slate-700">
+                    <div className="flex items-center gap-3 flex-wrap">
+                        <h3 className="text-white font-semibold text-sm">Notes & Code</h3>
+
+                        {/* Tabs */}
+                        <div className="flex gap-1 ml-2">
+                            {TABS.map((t) => (
+                                <button
+                                    key={t.id}
+                                    onClick={() => switchTab(t.id)}
+                                    className={`px-3 py-1.5 rounded-lg text-xs transition cursor-pointer ${tab === t.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                        }`}
+                                >
+                                    {t.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {/* Code Language */}
+                        {tab === 'code' && (
+                            <select
+                                value={language}
+                                onChange={handleLanguageChange}
+                                disabled={!canEdit}
+                                className="px-2 py-1.5 bg-slate-700 text-slate-200 rounded-lg text-xs border border-slate-600 focus:outline-none focus:border-blue-500"
+                                title="Language of the code"
+                            >
+                                {CODE_LANGUAGES.map((l) => (
+                                    <option key={l.id} value={l.id}>{l.label}</option>
+                                ))}
+                            </select>
+                        )}
+
+                        {!canEdit && (
+                            <span className="text-slate-400 text-xs">View only</span>
+                        )}
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                        {status && (
+                            <span className={`text-xs ${status.isError ? 'text-red-400' : 'text-slate-400'}`}>
+                                {status.message}
+                            </span>
+                        )}
+                        {canEdit && (
+                            <button
+                                onClick={handleSaveVersion}
+                                disabled={status?.busy}
+                                className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white rounded-lg text-xs transition cursor-pointer"
+                                title="Save the current text in the history"
+                            >
+                                💾 Save version
+                            </button>
+                        )}
+                        <button
+                            onClick={toggleHistory}
+                            className={`px-3 py-1.5 rounded-lg text-xs transition cursor-pointer ${versions ? 'bg-blue-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-white'
+                                }`}
+                        >
+                            🕘 History
+                        </button>
+                        {canEdit && (
+                            <button
+                                onClick={handleExport}
+                                disabled={status?.busy}
+                                className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white rounded-lg text-xs transition cursor-pointer"
+                                title={tab === 'notes' ? 'Save as a Markdown file' : 'Save as a source file'}
+                            >
+                                📁 Save to files
+                            </button>
+                        )}
+                        {/* Close Button */}
+                        <button
+                            onClick={onClose}
+                            className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs transition cursor-pointer"
+                        >
+                            ✕ Close
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex h-[70vh]">
+                    {/* Editor, or the version being looked at */}
+                    {preview ? (
+                        <div className="flex-1 flex flex-col min-w-0">
+                            <div className="flex items-center justify-between px-4 py-2 bg-slate-900/60 border-b border-slate-700">
+                                <span className="text-slate-300 text-xs">
+                                    Version of {new Date(preview.createdAt).toLocaleString()}
+                                    {preview.savedBy ? ` saved by ${preview.savedBy.name}` : ' (saved automatically)'}
+                                </span>
+                                <div className="flex gap-2">
+                                    {canEdit && (
+                                        <button
+                                            onClick={restoreVersion}
+                                            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs transition cursor-pointer"
+                                        >
+                                            Restore
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => setPreview(null)}
+                                        className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-xs transition cursor-pointer"
+                                    >
+                                        Back to editing
+                                    </button>
+                                </div>
+                            </div>
+                            <pre className="flex-1 overflow-auto p-4 bg-[#282c34] text-slate-200 text-sm font-mono whitespace-pre-wrap">
+                                {preview.text}
+                            </pre>
+                        </div>
+                    ) : (
+                        <div ref={containerRef} className="flex-1 min-w-0 overflow-hidden text-sm" />
+                    )}
+
+                    {/* History */}
+                    {versions && (
+                        <div className="w-64 border-l border-slate-700 bg-slate-900/60 overflow-y-auto">
+                            <p className="px-4 py-2 text-slate-400 text-xs border-b border-slate-700">
+                                Saved versions of the {tab}
+                            </p>
+                            {versions.length === 0 ? (
+                                <p className="px-4 py-3 text-slate-500 text-xs">No versions yet</p>
+                            ) : (
+                                versions.map((version) => (
+                                    <button
+                                        key={version._id}
+                                        onClick={() => showVersion(version._id)}
+                                        className={`w-full text-left px-4 py-2 border-b border-slate-800 transition cursor-pointer ${preview?._id === version._id ? 'bg-slate-700' : 'hover:bg-slate-800'
+                                            }`}
+                                    >
+                                        <p className="text-slate-200 text-xs">{new Date(version.createdAt).toLocaleString()}</p>
+                                        <p className="text-slate-500 text-xs">
+                                            {version.savedBy ? version.savedBy.name : 'Automatic'} · {version.length} characters
+                                        </p>
+                                    </button>
+                                ))
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EditorPanel;
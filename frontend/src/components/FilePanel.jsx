@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
-import useAuthStore from '../store/authStore';
 import API from '../api/axios';
 import socket from '../socket/socket';
+import RecordingPlayer from './RecordingPlayer';
+import formatDuration from '../utils/formatDuration';
 
 /**
  * FilePanel Component
@@ -11,10 +12,13 @@ import socket from '../socket/socket';
  * - View file list
  * - Download files
  * - Real-time updates when others upload files
+ * - Viewers (canUpload = false) can only download
+ * - Session recordings with duration and who recorded them (watch or download)
  */
-const FilePanel = ({ roomId, isVisible }) => {
-    const { user } = useAuthStore();
+const FilePanel = ({ roomId, isVisible, canUpload = true }) => {
     const [files, setFiles] = useState([]);
+    const [recordings, setRecordings] = useState([]);
+    const [playing, setPlaying] = useState(null);
     const [isUploading, setIsUploading] = useState(false);
     const [error, setError] = useState('');
 
@@ -33,17 +37,34 @@ const FilePanel = ({ roomId, isVisible }) => {
             }
         };
 
+        const fetchRecordings = async () => {
+            try {
+                const { data } = await API.get(`/files/recordings/${roomId}`);
+                setRecordings(data.data);
+            } catch (err) {
+                console.error('Failed to load recordings:', err);
+            }
+        };
+
         fetchFiles();
+        fetchRecordings();
 
         // Listen for new file uploads from other users
         const handleFileUploaded = (fileData) => {
             setFiles((prev) => [...prev, fileData]);
         };
 
+        // A recording finished saving
+        const handleRecordingSaved = (recording) => {
+            setRecordings((prev) => [...prev, recording]);
+        };
+
         socket.on('file-uploaded', handleFileUploaded);
+        socket.on('recording-saved', handleRecordingSaved);
 
         return () => {
             socket.off('file-uploaded', handleFileUploaded);
+            socket.off('recording-saved', handleRecordingSaved);
         };
     }, [roomId, isVisible]);
 
@@ -82,7 +103,7 @@ const FilePanel = ({ roomId, isVisible }) => {
     /**
      * Handle file download
      */
-    const handleDownload = (fileId, filename) => {
+    const handleDownload = (fileId) => {
         const token = localStorage.getItem('token');
         // Open download in new tab with auth
         window.open(`/api/files/download/${fileId}?token=${token}`, '_blank');
@@ -90,6 +111,10 @@ const FilePanel = ({ roomId, isVisible }) => {
 
     if (!isVisible) return null;
 
+    if (playing) {
+        return <RecordingPlayer recording={playing} onClose={() => setPlaying(null)} />;
+    }
+
     return (
         <div className="fixed right-0 top-0 bottom-0 w-80 bg-slate-800 border-l border-slate-700 z-40 flex flex-col shadow-2xl">
             {/* Header */}
@@ -98,23 +123,25 @@ const FilePanel = ({ roomId, isVisible }) => {
             </div>
 
             {/* Upload Button */}
-            <div className="px-4 py-3 border-b border-slate-700">
-                <label className={`w-full py-2.5 flex items-center justify-center rounded-lg text-sm font-medium transition cursor-pointer ${isUploading
-                        ? 'bg-blue-600/50 text-blue-300 cursor-not-allowed'
-                        : 'bg-blue-600 hover:bg-blue-700 text-white'
-                    }`}>
-                    {isUploading ? 'Uploading...' : '📎 Upload File'}
-                    <input
-                        type="file"
-                        className="hidden"
-                        onChange={handleUpload}
-                        disabled={isUploading}
-                    />
-                </label>
-                {error && (
-                    <p className="text-red-400 text-xs mt-2">{error}</p>
-                )}
-            </div>
+            {canUpload && (
+                <div className="px-4 py-3 border-b border-slate-700">
+                    <label className={`w-full py-2.5 flex items-center justify-center rounded-lg text-sm font-medium transition cursor-pointer ${isUploading
+                            ? 'bg-blue-600/50 text-blue-300 cursor-not-allowed'
+                            : 'bg-blue-600 hover:bg-blue-700 text-white'
+                        }`}>
+                        {isUploading ? 'Uploading...' : '📎 Upload File'}
+                        <input
+                            type="file"
+                            className="hidden"
+                            onChange={handleUpload}
+                            disabled={isUploading}
+                        />
+                    </label>
+                    {error && (
+                        <p className="text-red-400 text-xs mt-2">{error}</p>
+                    )}
+                </div>
+            )}
 
             {/* File List */}
             <div className="flex-1 overflow-y-auto px-4 py-3">
@@ -134,7 +161,7 @@ const FilePanel = ({ roomId, isVisible }) => {
                                     </p>
                                 </div>
                                 <button
-                                    onClick={() => handleDownload(file.fileId, file.filename)}
+                                    onClick={() => handleDownload(file.fileId)}
                                     className="ml-3 px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs transition cursor-pointer shrink-0"
                                 >
                                     ⬇️
@@ -143,6 +170,46 @@ const FilePanel = ({ roomId, isVisible }) => {
                         ))}
                     </div>
                 )}
+
+                {/* Recordings */}
+                {recordings.length > 0 && (
+                    <>
+                        <h4 className="text-slate-400 text-xs font-medium uppercase tracking-wide mt-6 mb-2">
+                            Recordings
+                        </h4>
+                        <div className="space-y-2">
+                            {recordings.map((recording) => (
+                                <div
+                                    key={recording.fileId}
+                                    className="flex items-center justify-between bg-slate-700/50 rounded-lg px-3 py-2.5"
+                                >
+                                    <div className="min-w-0 flex-1">
+                                        <p className="text-white text-sm truncate">
+                                            🎬 {new Date(recording.startedAt).toLocaleString()}
+                                        </p>
+                                        <p className="text-slate-400 text-xs">
+                                            {formatDuration(recording.duration)} · {recording.recordedBy?.name || 'Unknown'}
+                                        </p>
+                                    </div>
+                                    <button
+                                        onClick={() => setPlaying(recording)}
+                                        className="ml-3 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs transition cursor-pointer shrink-0"
+                                        title="Watch"
+                                    >
+                                        ▶️
+                                    </button>
+                                    <button
+                                        onClick={() => handleDownload(recording.fileId)}
+                                        className="ml-2 px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs transition cursor-pointer shrink-0"
+                                        title="Download"
+                                    >
+                                        ⬇️
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
             </div>
         </div>
     );
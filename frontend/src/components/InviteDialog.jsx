@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+
+const EXPIRY_OPTIONS = [
+    { hours: 1, label: '1 hour' },
+    { hours: 24, label: '1 day' },
+    { hours: 7 * 24, label: '7 days' },
+    { hours: 30 * 24, label: '30 days' },
+];
+
+const inputClass = 'px-2 py-1.5 bg-slate-700 border border-slate-600 rounded text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * InviteDialog Component
+ *
+ * For owners and moderators: create invite links (expiry, number of uses,
+ * role), copy or revoke the ones still valid, and set or remove the room's
+ * passcode. Invite links let people in without the passcode.
+ */
+const InviteDialog = ({ roomId, hasPasscode, onPasscodeChange, onClose }) => {
+    const [invites, setInvites] = useState([]);
+    const [expiresInHours, setExpiresInHours] = useState(24);
+    const [maxUses, setMaxUses] = useState('');
+    const [role, setRole] = useState('participant');
+    const [passcode, setPasscode] = useState('');
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        API.get(`/rooms/${roomId}/invites`)
+            .then(({ data }) => setInvites(data.data))
+            .catch((err) => setMessage({ text: err.response?.data?.message || 'Failed to load invites', isError: true }));
+    }, [roomId]);
+
+    const copyLink = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setMessage({ text: 'Link copied' });
+        } catch {
+            setMessage({ text: 'Copy the link from the list', isError: true });
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const { data } = await API.post(`/rooms/${roomId}/invites`, {
+                expiresInHours: Number(expiresInHours),
+                maxUses: maxUses ? Number(maxUses) : null,
+                role,
+            });
+            setInvites((prev) => [...prev, data.data]);
+            copyLink(data.data.url);
+        } catch (err) {
+            setMessage({ text: err.response?.data?.message || 'Failed to create invite', isError: true });
+        }
+    };
+
+    const handleRevoke = async (inviteId) => {
+        try {
+            await API.delete(`/rooms/${roomId}/invites/${inviteId}`);
+            setInvites((prev) => prev.filter((invite) => invite.inviteId !== inviteId));
+        } catch (err) {
+            setMessage({ text: err.response?.data?.message || 'Failed to revoke invite', isError: true });
+        }
+    };
+
+    const savePasscode = async (value) => {
+        try {
+            const { data } = await API.patch(`/rooms/${roomId}`, { passcode: value });
+            onPasscodeChange(data.data.hasPasscode);
+            setPasscode('');
+            setMessage({ text: data.data.hasPasscode ? 'Passcode set' : 'Passcode removed' });
+        } catch (err) {
+            setMessage({ text: err.response?.data?.message || 'Failed to change passcode', isError: true });
+        }
+    };
+
+    return (
+        <div className="absolute right-0 top-full mt-2 w-96 bg-slate-800 border border-slate-700 rounded-xl shadow-2xl z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+                <h3 className="text-white font-semibold text-sm">Invite people</h3>
+                <button onClick={onClose} className="text-slate-400 hover:text-white text-sm cursor-pointer">
+                    ✕
+                </button>
+            </div>
+
+            {message && (
+                <p className={`px-4 pt-3 text-xs ${message.isError ? 'text-red-400' : 'text-emerald-400'}`}>
+                    {message.text}
+                </p>
+            )}
+
+            {/* New Invite Link */}
+            <form onSubmit={handleCreate} className="px-4 py-3 border-b border-slate-700 space-y-2">
+                <div className="flex gap-2">
+                    <select value={expiresInHours} onChange={(e) => setExpiresInHours(e.target.value)} className={`${inputClass} flex-1`}>
+                        {EXPIRY_OPTIONS.map(({ hours, label }) => (
+                            <option key={hours} value={hours}>Expires in {label}</option>
+                        ))}
+                    </select>
+                    <select value={role} onChange={(e) => setRole(e.target.value)} className={inputClass}>
+                        <option value="participant">Participant</option>
+                        <option value="viewer">Viewer</option>
+                    </select>
+                </div>
+                <div className="flex gap-2">
+                    <input
+                        type="number"
+                        min={1}
+                        max={1000}
+                        value={maxUses}
+                        onChange={(e) => setMaxUses(e.target.value)}
+                        className={`${inputClass} flex-1`}
+                        placeholder="Max uses (unlimited)"
+                    />
+                    <button
+                        type="submit"
+                        className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs transition cursor-pointer"
+                    >
+                        Create link
+                    </button>
+                </div>
+            </form>
+
+            {/* Valid Invite Links */}
+            <ul className="max-h-48 overflow-y-auto py-2">
+                {invites.length === 0 && (
+                    <li className="px-4 py-2 text-slate-400 text-xs">No active invite links</li>
+                )}
+                {invites.map((invite) => (
+                    <li key={invite.inviteId} className="px-4 py-2 flex items-center gap-2">
+                        <div className="flex-1 min-w-0 text-xs">
+                            <p className="text-white capitalize">{invite.role}</p>
+                            <p className="text-slate-400">
+                                {invite.uses}{invite.maxUses ? `/${invite.maxUses}` : ''} used · until {new Date(invite.expiresAt).toLocaleString()}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => copyLink(invite.url)}
+                            className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded text-xs transition cursor-pointer"
+                        >
+                            Copy
+                        </button>
+                        <button
+                            onClick={() => handleRevoke(invite.inviteId)}
+                            className="px-2 py-1 text-red-400 hover:text-red-300 text-xs transition cursor-pointer"
+                        >
+                            Revoke
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {/* Passcode */}
+            <form
+                onSubmit={(e) => { e.preventDefault(); savePasscode(passcode); }}
+                className="px-4 py-3 border-t border-slate-700 flex items-center gap-2"
+            >
+                <input
+                    type="password"
+                    value={passcode}
+                    onChange={(e) => setPasscode(e.target.value)}
+                    minLength={4}
+                    maxLength={64}
+                    className={`${inputClass} flex-1`}
+                    placeholder={hasPasscode ? '🔑 Change passcode' : '🔑 Set a passcode'}
+                />
+                <button
+                    type="submit"
+                    disabled={!passcode}
+                    className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 disabled:opacity-40 text-white rounded text-xs transition cursor-pointer disabled:cursor-not-allowed"
+                >
+                    Save
+                </button>
+                {hasPasscode && (
+                    <button
+                        type="button"
+                        onClick={() => savePasscode(null)}
+                        className="px-2 py-1 text-slate-400 hover:text-white text-xs transition cursor-pointer"
+                    >
+                        Remove
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default InviteDialog;
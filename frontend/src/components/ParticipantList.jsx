@@ -0,0 +1,167 @@
+import { canManage, getAssignableRoles } from '../utils/roomRoles';
+
+const ROLE_BADGES = {
+    owner: 'bg-amber-500/20 text-amber-300',
+    moderator: 'bg-blue-500/20 text-blue-300',
+    participant: 'bg-slate-600/50 text-slate-300',
+    viewer: 'bg-slate-700 text-slate-400',
+};
+
+/**
+ * ParticipantList Component
+ *
+ * Dropdown listing everyone in the room with their role.
+ * Owners and moderators get per-user moderation actions
+ * (force-mute mic/camera, change role, kick), lock and lobby toggles,
+ * and the list of people waiting in the lobby to admit or deny.
+ * Guests (joined from an invite link without an account) are marked.
+ */
+const ParticipantList = ({
+    participants,
+    currentUserId,
+    myRole,
+    isLocked,
+    canLock,
+    onClose,
+    onMute,
+    onSetRole,
+    onKick,
+    onToggleLock,
+    lobbyEnabled,
+    lobbyQueue,
+    onToggleLobby,
+    onAdmit,
+    onDeny,
+}) => {
+    // One row per user, even if they have several tabs open
+    const users = Array.from(
+        new Map(participants.map((p) => [p.userId, p])).values()
+    );
+
+    return (
+        <div className="absolute right-0 top-full mt-2 w-80 bg-slate-800 border border-slate-700 rounded-xl shadow-2xl z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+                <h3 className="text-white font-semibold text-sm">Participants</h3>
+                <button
+                    onClick={onClose}
+                    className="text-slate-400 hover:text-white text-sm cursor-pointer"
+                >
+                    ✕
+                </button>
+            </div>
+
+            {canLock && (
+                <div className="px-4 py-3 border-b border-slate-700 flex items-center justify-between">
+                    <span className="text-slate-300 text-sm">
+                        {isLocked ? '🔒 Room is locked' : '🔓 Room is open'}
+                    </span>
+                    <button
+                        onClick={onToggleLock}
+                        className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs transition cursor-pointer"
+                    >
+                        {isLocked ? 'Unlock' : 'Lock'}
+                    </button>
+                </div>
+            )}
+
+            {canLock && (
+                <div className="px-4 py-3 border-b border-slate-700">
+                    <div className="flex items-center justify-between">
+                        <span className="text-slate-300 text-sm">
+                            {lobbyEnabled ? '⏳ Lobby is on' : '🚪 Lobby is off'}
+                        </span>
+                        <button
+                            onClick={onToggleLobby}
+                            className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded text-xs transition cursor-pointer"
+                            title={lobbyEnabled ? 'Let everyone waiting in' : 'Hold new arrivals until admitted'}
+                        >
+                            {lobbyEnabled ? 'Turn off' : 'Turn on'}
+                        </button>
+                    </div>
+
+                    {lobbyQueue.map((entry) => (
+                        <div key={entry.socketId} className="flex items-center gap-1.5 mt-2">
+                            <span className="flex-1 text-white text-sm truncate">
+                                {entry.userName}{entry.isGuest && <GuestBadge />}
+                            </span>
+                            <button
+                                onClick={() => onAdmit(entry.socketId)}
+                                className="px-2 py-1 bg-emerald-600 hover:bg-emerald-700 text-white rounded text-xs transition cursor-pointer"
+                            >
+                                Admit
+                            </button>
+                            <button
+                                onClick={() => onDeny(entry.socketId)}
+                                className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs transition cursor-pointer"
+                            >
+                                Deny
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <ul className="max-h-96 overflow-y-auto py-2">
+                {users.map((p) => {
+                    const isSelf = p.userId === currentUserId;
+                    const manageable = !isSelf && canManage(myRole, p.role);
+
+                    return (
+                        <li key={p.userId} className="px-4 py-2">
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="text-white text-sm truncate">
+                                    {p.userName}{isSelf && ' (you)'}{p.isGuest && <GuestBadge />}
+                                </span>
+                                <span className={`px-2 py-0.5 rounded text-xs capitalize shrink-0 ${ROLE_BADGES[p.role] || ROLE_BADGES.participant}`}>
+                                    {p.role}
+                                </span>
+                            </div>
+
+                            {manageable && (
+                                <div className="flex items-center gap-1.5 mt-1.5">
+                                    <button
+                                        onClick={() => onMute(p.userId, 'audio')}
+                                        className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded text-xs transition cursor-pointer"
+                                        title="Mute microphone"
+                                    >
+                                        🔇
+                                    </button>
+                                    <button
+                                        onClick={() => onMute(p.userId, 'video')}
+                                        className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded text-xs transition cursor-pointer"
+                                        title="Turn off camera"
+                                    >
+                                        📷
+                                    </button>
+                                    <select
+                                        value={p.role}
+                                        onChange={(e) => onSetRole(p.userId, e.target.value)}
+                                        className="flex-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs capitalize cursor-pointer"
+                                    >
+                                        {getAssignableRoles(myRole, p.isGuest).map((role) => (
+                                            <option key={role} value={role}>{role}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={() => onKick(p.userId)}
+                                        className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs transition cursor-pointer"
+                                    >
+                                        Kick
+                                    </button>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+const GuestBadge = () => (
+    <span className="ml-1.5 px-1.5 py-0.5 rounded border border-dashed border-slate-500 text-slate-400 text-xs" title="Joined without an account">
+        Guest
+    </span>
+);
+
+export default ParticipantList;
@@ -1,17 +1,28 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation, useParams } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 
 /**
  * ProtectedRoute Component
- * 
+ *
  * Wraps routes that require authentication.
- * Redirects to /login if no token is present.
+ * Redirects to /login if no token is present — or, for a room link with an
+ * invite, to the guest page so visitors can join without an account.
+ * Guests are kept in the room they were invited to.
  */
 const ProtectedRoute = ({ children }) => {
     const token = useAuthStore((state) => state.token);
+    const user = useAuthStore((state) => state.user);
+    const { roomId } = useParams();
+    const location = useLocation();
 
-    if (!token) {
-        return <Navigate to="/login" replace />;
+    const invite = new URLSearchParams(location.search).get('invite');
+    const isOtherRoom = user?.isGuest && roomId !== user.guestRoomId;
+
+    if (!token || isOtherRoom) {
+        if (roomId && invite) {
+            return <Navigate to={`/guest/${roomId}${location.search}`} replace />;
+        }
+        return <Navigate to={token ? `/room/${user.guestRoomId}` : '/login'} replace />;
     }
 
     return children;
@@ -0,0 +1,229 @@
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import API from '../api/axios';
+import formatDuration from '../utils/formatDuration';
+import { BOARD_WIDTH, BOARD_HEIGHT, drawElements, fitView, fromLegacySegment } from '../utils/whiteboardElements';
+
+/**
+ * RecordingPlayer Component
+ *
+ * Plays back a recorded session:
+ * - Video streamed from GridFS (Range requests, so seeking works)
+ * - Whiteboard replayed from the recording's timeline, in step with the video,
+ *   following the page being drawn on (or a page picked by the viewer),
+ *   zoomed to fit what is on it
+ * - Chat messages appear as they were sent
+ */
+const RecordingPlayer = ({ recording, onClose }) => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    // Next timeline event, time replayed up to, board at that time, page last drawn on
+    const replayRef = useRef({ index: 0, time: 0, elements: new Map(), activePageId: null });
+
+    const [currentTime, setCurrentTime] = useState(0); // ms into the recording
+    const [timeline, setTimeline] = useState(null); // { pages, whiteboard, events }
+    const [pageChoice, setPageChoice] = useState('auto'); // 'auto' follows the drawing
+
+    const token = localStorage.getItem('token');
+    const videoUrl = `/api/files/stream/${recording.fileId}?token=${token}`;
+
+    /**
+     * Bring the whiteboard to how it looked `timeMs` into the recording.
+     * Moving forward only applies the new events; seeking back starts over.
+     */
+    const replayTo = useCallback((timeMs) => {
+        const canvas = canvasRef.current;
+        if (!timeline || !canvas) return;
+        const replay = replayRef.current;
+
+        if (timeMs < replay.time) {
+            // Recordings made before typed elements stored raw stroke segments
+            replay.elements = new Map(timeline.whiteboard.map((item, i) => {
+                const el = item.type ? item : fromLegacySegment(item, `legacy-${i}`);
+                return [el.id, el];
+            }));
+            replay.index = 0;
+            replay.activePageId = timeline.pages[0]?.id;
+        }
+
+        const { elements } = replay;
+        const { events } = timeline;
+        while (replay.index < events.length && events[replay.index].t <= timeMs) {
+            const { type, data } = events[replay.index];
+            if (type === 'add') {
+                elements.set(data.id, data);
+                replay.activePageId = data.pageId;
+            } else if (type === 'update') {
+                data.updates.forEach(({ id, changes }) => {
+                    const el = elements.get(id);
+                    if (el) {
+                        elements.set(id, { ...el, ...changes });
+                        replay.activePageId = el.pageId;
+                    }
+                });
+            } else if (type === 'delete') {
+                data.ids.forEach((id) => elements.delete(id));
+            } else if (type === 'clear') {
+                // Recordings made before pages cleared the whole board
+                elements.forEach((el, id) => {
+                    if (!data?.pageId || el.pageId === data.pageId) elements.delete(id);
+                });
+            } else if (type === 'pages') {
+                const pageIds = new Set(data.map((p) => p.id));
+                elements.forEach((el, id) => {
+                    if (!pageIds.has(el.pageId)) elements.delete(id);
+                });
+            } else if (type === 'draw') {
+                const id = `draw-${replay.index}`;
+                elements.set(id, fromLegacySegment(data, id));
+            }
+            replay.index += 1;
+        }
+        replay.time = timeMs;
+
+        const shownPageId = pageChoice === 'auto' ? replay.activePageId : pageChoice;
+        const visible = [...elements.values()].filter((el) => el.pageId === shownPageId);
+        const ctx = canvas.getContext('2d');
+        const view = fitView(visible);
+        // Images still loading are drawn again once they arrive (the video may be paused)
+        drawElements(ctx, visible, { view, onImageLoad: () => drawElements(ctx, visible, { view }) });
+    }, [timeline, pageChoice]);
+
+    /**
+     * Every page that existed during the recording, with its latest name
+     */
+    const pages = useMemo(() => {
+        if (!timeline) return [];
+        const byId = new Map(timeline.pages.map((p) => [p.id, p]));
+        timeline.events
+            .filter((e) => e.type === 'pages')
+            .forEach((e) => e.data.forEach((p) => byId.set(p.id, p)));
+        return [...byId.values()];
+    }, [timeline]);
+
+    /**
+     * Load the whiteboard/chat timeline
+     */
+    useEffect(() => {
+        if (!recording.timelineFileId) return;
+
+        let isActive = true;
+
+        const fetchTimeline = async () => {
+            try {
+                const { data } = await API.get(`/files/download/${recording.timelineFileId}`);
+                if (!isActive) return;
+
+                replayRef.current = { index: 0, time: Infinity, elements: new Map() }; // forces a full replay
+                setTimeline({
+                    pages: data.pages || [],
+                    whiteboard: data.whiteboard || [],
+                    events: data.events || [],
+                });
+            } catch (err) {
+                console.error('Failed to load recording timeline:', err);
+            }
+        };
+
+        fetchTimeline();
+
+        return () => {
+            isActive = false;
+        };
+    }, [recording.timelineFileId]);
+
+    // Keep the whiteboard in step with the video
+    useEffect(() => {
+        replayTo(currentTime);
+    }, [currentTime, replayTo]);
+
+    const handleTimeUpdate = () => {
+        setCurrentTime((videoRef.current?.currentTime || 0) * 1000);
+    };
+
+    const chatMessages = timeline
+        ? timeline.events.filter((e) => e.type === 'chat' && e.t <= currentTime)
+        : [];
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
+            <div className="bg-slate-800 rounded-2xl border border-slate-700 shadow-2xl w-[95vw] max-w-7xl h-[85vh] flex flex-col overflow-hidden">
+                {/* Header */}
+                <div className="flex items-center justify-between px-4 py-3 bg-slate-900 border-b border-slate-700">
+                    <div className="min-w-0">
+                        <h3 className="text-white font-semibold text-sm truncate">
+                            Recording — {new Date(recording.startedAt).toLocaleString()}
+                        </h3>
+                        <p className="text-slate-400 text-xs">
+                            {formatDuration(recording.duration)} · recorded by {recording.recordedBy?.name || 'Unknown'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs transition cursor-pointer"
+                    >
+                        ✕ Close
+                    </button>
+                </div>
+
+                <div className="flex-1 flex min-h-0">
+                    {/* Video */}
+                    <div className="flex-1 bg-black flex items-center justify-center min-w-0">
+                        <video
+                            ref={videoRef}
+                            src={videoUrl}
+                            controls
+                            autoPlay
+                            playsInline
+                            onTimeUpdate={handleTimeUpdate}
+                            onSeeked={handleTimeUpdate}
+                            className="w-full h-full object-contain"
+                        />
+                    </div>
+
+                    {/* Whiteboard + Chat */}
+                    <div className="w-80 border-l border-slate-700 flex flex-col min-h-0">
+                        <div className="p-3 border-b border-slate-700">
+                            <div className="flex items-center justify-between gap-2 mb-2">
+                                <p className="text-slate-400 text-xs">Whiteboard</p>
+                                {pages.length > 1 && (
+                                    <select
+                                        value={pageChoice}
+                                        onChange={(e) => setPageChoice(e.target.value)}
+                                        className="bg-slate-700 text-slate-200 text-xs rounded px-1 py-0.5 outline-none"
+                                    >
+                                        <option value="auto">Follow drawing</option>
+                                        {pages.map((page) => (
+                                            <option key={page.id} value={page.id}>{page.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                            <canvas
+                                ref={canvasRef}
+                                width={BOARD_WIDTH}
+                                height={BOARD_HEIGHT}
+                                className="w-full bg-slate-950 rounded"
+                            />
+                        </div>
+                        <div className="flex-1 overflow-y-auto p-3 space-y-2">
+                            <p className="text-slate-400 text-xs">Chat</p>
+                            {chatMessages.length === 0 ? (
+                                <p className="text-slate-500 text-sm text-center mt-4">No messages yet</p>
+                            ) : (
+                                chatMessages.map((event) => (
+                                    <div key={event.data._id} className="text-sm">
+                                        <span className="text-slate-500 text-xs mr-2">{formatDuration(event.t / 1000)}</span>
+                                        <span className="text-blue-400 font-medium">{event.data.sender?.name || 'Unknown'}: </span>
+                                        <span className="text-slate-200 break-words">{event.data.text}</span>
+                                    </div>
+                                ))
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecordingPlayer;
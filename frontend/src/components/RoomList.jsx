@@ -0,0 +1,272 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import useAuthStore from '../store/authStore';
+import formatTimeAgo from '../utils/formatTimeAgo';
+
+const FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'created', label: 'Created by me' },
+    { id: 'joined', label: 'Joined' },
+    { id: 'favorites', label: '★ Favourites' },
+    { id: 'archived', label: 'Archived' },
+];
+
+const PAGE_SIZE = 12;
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * One room card: thumbnail, stats and (for owners) rename / archive / delete
+ */
+const RoomCard = ({ room, token, onOpen, onChanged, onError }) => {
+    const [isRenaming, setIsRenaming] = useState(false);
+    const [title, setTitle] = useState(room.title);
+    const isOwner = room.role === 'owner';
+
+    const update = async (request, fallback) => {
+        try {
+            await request();
+            onChanged();
+        } catch (err) {
+            onError(err.response?.data?.message || fallback);
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        setIsRenaming(false);
+        if (title.trim() === room.title) return;
+        update(() => API.patch(`/rooms/${room.roomId}`, { title: title.trim() }), 'Failed to rename room');
+    };
+
+    const handleFavorite = () => update(
+        () => (room.isFavorite
+            ? API.delete(`/rooms/${room.roomId}/favorite`)
+            : API.put(`/rooms/${room.roomId}/favorite`)),
+        'Failed to update favourites'
+    );
+
+    const handleArchive = () => {
+        if (!room.isArchived && room.activeCount > 0
+            && !window.confirm('People are in this room right now. Archiving sends them out. Continue?')) return;
+        update(() => API.patch(`/rooms/${room.roomId}`, { isArchived: !room.isArchived }), 'Failed to archive room');
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete "${room.title || room.roomId}" with its chat, whiteboard, notes, files and recordings? This cannot be undone.`)) return;
+        update(() => API.delete(`/rooms/${room.roomId}`), 'Failed to delete room');
+    };
+
+    return (
+        <li className="bg-slate-700/50 rounded-xl overflow-hidden border border-slate-700 flex flex-col">
+            <button
+                onClick={() => !room.isArchived && onOpen(room.roomId)}
+                disabled={room.isArchived}
+                className="relative aspect-video bg-slate-950 cursor-pointer disabled:cursor-default"
+                title={room.isArchived ? 'Unarchive the room to open it' : 'Open room'}
+            >
+                <img
+                    src={`/api/rooms/${room.roomId}/whiteboard/thumbnail?token=${token}`}
+                    alt=""
+                    loading="lazy"
+                    className="w-full h-full object-cover"
+                    onError={(e) => { e.currentTarget.style.visibility = 'hidden'; }}
+                />
+                {room.activeCount > 0 && (
+                    <span className="absolute top-2 left-2 px-2 py-0.5 bg-emerald-600 text-white text-xs rounded-full">
+                        ● {room.activeCount} live
+                    </span>
+                )}
+            </button>
+
+            <div className="p-3 flex-1 flex flex-col gap-1">
+                <div className="flex items-center gap-2">
+                    {isRenaming ? (
+                        <form onSubmit={handleRename} className="flex-1">
+                            <input
+                                autoFocus
+                                value={title}
+                                onChange={(e) => setTitle(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+                                maxLength={100}
+                                className="w-full px-2 py-1 bg-slate-800 border border-slate-600 rounded text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </form>
+                    ) : (
+                        <p className="flex-1 text-white text-sm font-medium truncate" title={room.title || room.roomId}>
+                            {room.title || `Room ${room.roomId}`}
+                        </p>
+                    )}
+                    <button
+                        onClick={handleFavorite}
+                        title={room.isFavorite ? 'Remove from favourites' : 'Add to favourites'}
+                        className={`text-lg leading-none cursor-pointer transition ${room.isFavorite ? 'text-amber-400' : 'text-slate-500 hover:text-amber-300'}`}
+                    >
+                        {room.isFavorite ? '★' : '☆'}
+                    </button>
+                </div>
+
+                <p className="text-xs text-slate-400">
+                    <span className="font-mono">{room.roomId}</span> · active {formatTimeAgo(room.lastActiveAt)}
+                </p>
+                <p className="text-xs text-slate-400">
+                    👥 {room.participantCount} · 📎 {room.fileCount}
+                    {!isOwner && room.createdBy?.name && <span> · by {room.createdBy.name}</span>}
+                </p>
+
+                {isOwner && (
+                    <div className="flex gap-3 mt-auto pt-2 text-xs">
+                        <button
+                            onClick={() => { setTitle(room.title); setIsRenaming(true); }}
+                            className="text-slate-400 hover:text-white transition cursor-pointer"
+                        >
+                            Rename
+                        </button>
+                        <button onClick={handleArchive} className="text-slate-400 hover:text-white transition cursor-pointer">
+                            {room.isArchived ? 'Unarchive' : 'Archive'}
+                        </button>
+                        <button onClick={handleDelete} className="text-red-400 hover:text-red-300 transition cursor-pointer">
+                            Delete
+                        </button>
+                    </div>
+                )}
+            </div>
+        </li>
+    );
+};
+
+/**
+ * Room List
+ *
+ * The rooms the user is in (GET /api/rooms), most recently active first,
+ * with filters, search by title or ID, and pages of PAGE_SIZE rooms.
+ *
+ * Props:
+ * - refreshKey: changing it reloads the list (e.g. after scheduling a room)
+ */
+const RoomList = ({ refreshKey }) => {
+    const navigate = useNavigate();
+    const { token } = useAuthStore();
+
+    const [filter, setFilter] = useState('all');
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ rooms: [], totalPages: 1, total: 0 });
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Search once typing pauses
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setSearch(searchInput.trim());
+            setPage(1);
+        }, SEARCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
+    const loadRooms = useCallback(async () => {
+        try {
+            const { data } = await API.get('/rooms', {
+                params: { filter, search: search || undefined, page, limit: PAGE_SIZE },
+            });
+            setResult(data.data);
+            // The last page may have emptied (e.g. after deleting its only room)
+            if (data.data.rooms.length === 0 && page > 1) setPage(data.data.totalPages);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load rooms');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filter, search, page]);
+
+    useEffect(() => {
+        loadRooms();
+    }, [loadRooms, refreshKey]);
+
+    const handleFilter = (id) => {
+        setFilter(id);
+        setPage(1);
+    };
+
+    const handleChanged = () => {
+        setError('');
+        loadRooms();
+    };
+
+    return (
+        <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-lg font-semibold text-white">My Rooms</h3>
+                <input
+                    type="search"
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="Search by title or ID"
+                />
+            </div>
+
+            <div className="flex flex-wrap gap-1 mb-4">
+                {FILTERS.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        onClick={() => handleFilter(id)}
+                        className={`px-3 py-1 rounded-md text-sm transition cursor-pointer ${
+                            filter === id ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
+                        }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {error && (
+                <p className="text-xs text-red-400 mb-3">{error}</p>
+            )}
+
+            {isLoading ? (
+                <p className="text-slate-400 text-sm">Loading rooms...</p>
+            ) : result.rooms.length === 0 ? (
+                <p className="text-slate-400 text-sm">
+                    {search ? 'No rooms match your search.' : 'No rooms here yet.'}
+                </p>
+            ) : (
+                <ul className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                    {result.rooms.map((room) => (
+                        <RoomCard
+                            key={room.roomId}
+                            room={room}
+                            token={token}
+                            onOpen={(roomId) => navigate(`/room/${roomId}`)}
+                            onChanged={handleChanged}
+                            onError={setError}
+                        />
+                    ))}
+                </ul>
+            )}
+
+            {result.totalPages > 1 && (
+                <div className="flex items-center justify-center gap-3 mt-5 text-sm">
+                    <button
+                        onClick={() => setPage((p) => p - 1)}
+                        disabled={page <= 1}
+                        className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-slate-300 rounded-lg transition cursor-pointer disabled:cursor-not-allowed"
+                    >
+                        ← Prev
+                    </button>
+                    <span className="text-slate-400">Page {page} of {result.totalPages}</span>
+                    <button
+                        onClick={() => setPage((p) => p + 1)}
+                        disabled={page >= result.totalPages}
+                        className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-40 text-slate-300 rounded-lg transition cursor-pointer disabled:cursor-not-allowed"
+                    >
+                        Next →
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RoomList;
@@ -0,0 +1,237 @@
+import { useState } from 'react';
+import API from '../api/axios';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const REPEAT_OPTIONS = [
+    { id: '', label: 'Does not repeat' },
+    { id: 'daily', label: 'Daily' },
+    { id: 'weekly', label: 'Weekly' },
+    { id: 'monthly', label: 'Monthly' },
+];
+
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Our own time zone first (it may be missing from the list, e.g. 'UTC')
+const TIME_ZONES = [...new Set([LOCAL_TIME_ZONE, ...(Intl.supportedValuesOf?.('timeZone') || [])])];
+
+const inputClass = 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition';
+
+/**
+ * 'YYYY-MM-DD' one day later
+ */
+const nextDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Schedule Room Form
+ *
+ * Creates a titled room with a schedule: a first session (date, times and
+ * time zone), an optional repeat and how early people may join. Times are
+ * sent as wall-clock times in the chosen time zone; the server works out
+ * the sessions (see backend utils/roomSchedule.js). A session ending
+ * before it starts is taken to end the next day.
+ *
+ * Props:
+ * - onScheduled: called with the new room once it has been created
+ */
+const ScheduleRoomForm = ({ onScheduled }) => {
+    const [title, setTitle] = useState('');
+    const [description, setDescription] = useState('');
+    const [date, setDate] = useState('');
+    const [startTime, setStartTime] = useState('18:00');
+    const [endTime, setEndTime] = useState('19:00');
+    const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
+    const [frequency, setFrequency] = useState('');
+    const [repeatInterval, setRepeatInterval] = useState(1);
+    const [weekdays, setWeekdays] = useState([]);
+    const [until, setUntil] = useState('');
+    const [opensBeforeMinutes, setOpensBeforeMinutes] = useState(15);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const toggleWeekday = (weekday) => {
+        setWeekdays((prev) => (
+            prev.includes(weekday) ? prev.filter((d) => d !== weekday) : [...prev, weekday]
+        ));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!title.trim() || !date) {
+            setError('Please enter a title and a date');
+            return;
+        }
+
+        const endDate = endTime <= startTime ? nextDay(date) : date;
+        const schedule = {
+            startsAt: `${date}T${startTime}`,
+            endsAt: `${endDate}T${endTime}`,
+            timeZone,
+            opensBeforeMinutes: Number(opensBeforeMinutes),
+            recurrence: frequency
+                ? {
+                    frequency,
+                    interval: Number(repeatInterval),
+                    weekdays: frequency === 'weekly' ? weekdays : undefined,
+                    until: until || undefined,
+                }
+                : null,
+        };
+
+        setError('');
+        setIsSaving(true);
+        try {
+            const { data } = await API.post('/rooms/create', {
+                title: title.trim(),
+                description: description.trim(),
+                schedule,
+            });
+            setTitle('');
+            setDescription('');
+            setFrequency('');
+            setWeekdays([]);
+            setUntil('');
+            onScheduled?.(data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to schedule room');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3">
+            {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-3 py-2 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                maxLength={100}
+                className={inputClass}
+                placeholder="Title, e.g. Algorithms study group"
+            />
+            <textarea
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                maxLength={2000}
+                rows={2}
+                className={`${inputClass} resize-none`}
+                placeholder="Description (optional)"
+            />
+
+            <div className="grid grid-cols-3 gap-3">
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Date</span>
+                    <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Starts</span>
+                    <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Ends</span>
+                    <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className={inputClass} />
+                </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Time zone</span>
+                    <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className={inputClass}>
+                        {TIME_ZONES.map((zone) => (
+                            <option key={zone} value={zone}>{zone}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Opens for joining (minutes before)</span>
+                    <input
+                        type="number"
+                        min={0}
+                        max={1440}
+                        value={opensBeforeMinutes}
+                        onChange={(e) => setOpensBeforeMinutes(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <label className="text-xs text-slate-400 space-y-1">
+                    <span>Repeat</span>
+                    <select value={frequency} onChange={(e) => setFrequency(e.target.value)} className={inputClass}>
+                        {REPEAT_OPTIONS.map((option) => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                {frequency && (
+                    <label className="text-xs text-slate-400 space-y-1">
+                        <span>Every</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={52}
+                            value={repeatInterval}
+                            onChange={(e) => setRepeatInterval(e.target.value)}
+                            className={inputClass}
+                        />
+                    </label>
+                )}
+            </div>
+
+            {frequency === 'weekly' && (
+                <div className="flex flex-wrap gap-1.5">
+                    {WEEKDAYS.map((label, weekday) => {
+                        // The first session's day is always included
+                        const isFirst = date && weekdayOf(date) === weekday;
+                        const isOn = isFirst || weekdays.includes(weekday);
+                        return (
+                            <button
+                                key={label}
+                                type="button"
+                                onClick={() => toggleWeekday(weekday)}
+                                disabled={isFirst}
+                                className={`px-2.5 py-1 rounded-lg text-xs transition cursor-pointer disabled:cursor-default ${
+                                    isOn ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+
+            {frequency && (
+                <label className="block text-xs text-slate-400 space-y-1">
+                    <span>Until (optional)</span>
+                    <input type="date" value={until} onChange={(e) => setUntil(e.target.value)} className={inputClass} />
+                </label>
+            )}
+
+            <button
+                type="submit"
+                disabled={isSaving}
+                className="w-full py-3 bg-violet-600 hover:bg-violet-700 disabled:bg-violet-600/50 text-white font-semibold rounded-lg transition cursor-pointer disabled:cursor-not-allowed"
+            >
+                {isSaving ? 'Scheduling...' : '📅 Schedule Room'}
+            </button>
+        </form>
+    );
+};
+
+export default ScheduleRoomForm;
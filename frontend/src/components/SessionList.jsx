@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import { downloadBlob } from '../utils/whiteboardExport';
+
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatSession = (startsAt, endsAt, timeZone) => {
+    const day = new Intl.DateTimeFormat(undefined, { timeZone, weekday: 'short', month: 'short', day: 'numeric' });
+    const time = new Intl.DateTimeFormat(undefined, { timeZone, hour: 'numeric', minute: '2-digit' });
+    return `${day.format(new Date(startsAt))}, ${time.format(new Date(startsAt))} – ${time.format(new Date(endsAt))}`;
+};
+
+/**
+ * Session List
+ *
+ * Upcoming and past sessions of the user's scheduled rooms (GET /api/rooms/sessions),
+ * shown in the user's own time zone (and the room's, when it differs).
+ * Each room can be downloaded as a calendar invite, and the user's
+ * calendar feed address can be copied into any calendar app.
+ *
+ * Props:
+ * - refreshKey: changing it reloads the sessions (e.g. after scheduling a room)
+ */
+const SessionList = ({ refreshKey }) => {
+    const navigate = useNavigate();
+    const [tab, setTab] = useState('upcoming');
+    const [sessions, setSessions] = useState({ upcoming: [], past: [] });
+    const [isLoading, setIsLoading] = useState(true);
+    const [feedUrl, setFeedUrl] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const loadSessions = useCallback(async () => {
+        try {
+            const { data } = await API.get('/rooms/sessions');
+            setSessions(data.data);
+        } catch (err) {
+            setNotice(err.response?.data?.message || 'Failed to load sessions');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions, refreshKey]);
+
+    const handleDownload = async (session) => {
+        try {
+            const { data } = await API.get(`/calendar/rooms/${session.roomId}.ics`, { responseType: 'blob' });
+            downloadBlob(data, `${session.title || session.roomId}.ics`);
+        } catch {
+            setNotice('Failed to download the invite');
+        }
+    };
+
+    const handleCopyFeed = async (reset = false) => {
+        try {
+            const { data } = reset
+                ? await API.post('/calendar/feed/reset')
+                : await API.get('/calendar/feed');
+            setFeedUrl(data.data.url);
+            await navigator.clipboard?.writeText(data.data.url);
+            setNotice(reset ? 'New feed address copied — the old one no longer works' : 'Feed address copied');
+        } catch {
+            setNotice('Failed to get the calendar feed');
+        }
+    };
+
+    const list = sessions[tab];
+
+    return (
+        <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white">Sessions</h3>
+                <div className="flex gap-1 bg-slate-900 rounded-lg p-1">
+                    {['upcoming', 'past'].map((name) => (
+                        <button
+                            key={name}
+                            onClick={() => setTab(name)}
+                            className={`px-3 py-1 rounded-md text-sm capitalize transition cursor-pointer ${
+                                tab === name ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
+                            }`}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {notice && (
+                <p className="text-xs text-slate-400 mb-3">{notice}</p>
+            )}
+
+            {isLoading ? (
+                <p className="text-slate-400 text-sm">Loading sessions...</p>
+            ) : list.length === 0 ? (
+                <p className="text-slate-400 text-sm">
+                    {tab === 'upcoming' ? 'No upcoming sessions. Schedule a room to get started.' : 'No past sessions.'}
+                </p>
+            ) : (
+                <ul className="space-y-2">
+                    {list.map((session) => (
+                        <li
+                            key={`${session.roomId}-${session.startsAt}`}
+                            className="flex items-center gap-3 bg-slate-700/50 rounded-lg px-4 py-3"
+                        >
+                            <div className="flex-1 min-w-0">
+                                <p className="text-white text-sm font-medium truncate">
+                                    {session.title || `Room ${session.roomId}`}
+                                    {session.frequency && (
+                                        <span className="ml-2 text-xs text-slate-400 capitalize">🔁 {session.frequency}</span>
+                                    )}
+                                </p>
+                                <p className="text-slate-400 text-xs">
+                                    {formatSession(session.startsAt, session.endsAt, LOCAL_TIME_ZONE)}
+                                    {session.timeZone !== LOCAL_TIME_ZONE && (
+                                        <span> · {formatSession(session.startsAt, session.endsAt, session.timeZone)} ({session.timeZone})</span>
+                                    )}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleDownload(session)}
+                                title="Download calendar invite"
+                                className="px-2 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-xs transition cursor-pointer"
+                            >
+                                📅 .ics
+                            </button>
+                            {tab === 'upcoming' && (
+                                <button
+                                    onClick={() => navigate(`/room/${session.roomId}`)}
+                                    disabled={!session.canJoin}
+                                    title={session.canJoin ? 'Join now' : 'Opens shortly before the session starts'}
+                                    className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-700 disabled:bg-slate-700 disabled:text-slate-500 text-white rounded-lg text-xs font-medium transition cursor-pointer disabled:cursor-not-allowed"
+                                >
+                                    Join
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="mt-5 pt-4 border-t border-slate-700 flex items-center gap-2">
+                <input
+                    type="text"
+                    readOnly
+                    value={feedUrl}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-slate-300 text-xs placeholder-slate-500"
+                    placeholder="Subscribe to all your sessions in your calendar app"
+                />
+                <button
+                    onClick={() => handleCopyFeed()}
+                    className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-xs transition cursor-pointer"
+                >
+                    Copy feed URL
+                </button>
+                {feedUrl && (
+                    <button
+                        onClick={() => handleCopyFeed(true)}
+                        title="Replace the address, e.g. if it was shared by mistake"
+                        className="px-3 py-1.5 text-slate-400 hover:text-white text-xs transition cursor-pointer"
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SessionList;
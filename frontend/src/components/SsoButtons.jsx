@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+
+/**
+ * Single Sign-On Buttons
+ *
+ * "Sign in with …" for every provider the server has configured
+ * (GET /api/auth/sso/providers); renders nothing when there are none.
+ * The buttons are plain links: the server redirects to the provider and
+ * back to /sso/callback.
+ *
+ * Props:
+ * - returnTo: Page to open after signing in (e.g. an invite link)
+ */
+const SsoButtons = ({ returnTo }) => {
+    const [providers, setProviders] = useState([]);
+
+    useEffect(() => {
+        API.get('/auth/sso/providers')
+            .then(({ data }) => setProviders(data.data))
+            .catch(() => setProviders([]));
+    }, []);
+
+    if (providers.length === 0) return null;
+
+    const query = returnTo ? `?returnTo=${encodeURIComponent(returnTo)}` : '';
+
+    return (
+        <div className="mt-6">
+            <div className="flex items-center gap-3 mb-4">
+                <div className="flex-1 h-px bg-slate-700" />
+                <span className="text-slate-500 text-xs">or</span>
+                <div className="flex-1 h-px bg-slate-700" />
+            </div>
+
+            <div className="space-y-3">
+                {providers.map((provider) => (
+                    <a
+                        key={provider.id}
+                        href={`/api/auth/sso/${provider.id}${query}`}
+                        className="block w-full py-3 px-4 bg-slate-700 hover:bg-slate-600 border border-slate-600 text-white text-center font-medium rounded-lg transition duration-200"
+                    >
+                        Sign in with {provider.name}
+                    </a>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SsoButtons;
@@ -1,30 +1,192 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
+import * as Y from 'yjs';
 import socket from '../socket/socket';
+import API from '../api/axios';
+import useWhiteboardHistory from '../hooks/useWhiteboardHistory';
+import {
+    BOARD_WIDTH,
+    BOARD_HEIGHT,
+    STICKY_COLOR,
+    DEFAULT_FONT_SIZE,
+    DEFAULT_PRESSURE,
+    DEFAULT_VIEW,
+    createElementId,
+    fromPoints,
+    simplifyPoints,
+    normalizeBox,
+    isTextElement,
+    drawElements,
+    drawSelection,
+    measureTextHeight,
+    findElementAt,
+    findHandleAt,
+    resizeElement,
+    screenToWorld,
+    zoomAt,
+    fitView,
+    getImage,
+    drawHighlights,
+    isHighlightGone,
+    isInsideLasso,
+    drawLasso,
+    erasePath,
+    isErasedBy,
+} from '../utils/whiteboardElements';
+import { renderPng, downloadBlob } from '../utils/whiteboardExport';
+import userColor from '../utils/userColor';
+import {
+    getElementsMap,
+    compareOrder,
+    writeElement,
+    updateElement,
+    deleteElement,
+    readElement,
+    changedElementIds,
+} from '../utils/whiteboardDoc';
 
 /**
  * Whiteboard Component
- * 
- * Collaborative drawing canvas synced via Socket.IO.
- * - Mouse drawing with configurable color and line width
- * - Real-time broadcast to other participants
- * - Strokes persisted in MongoDB and reloaded on join
- * - Clear whiteboard action
+ *
+ * Collaborative whiteboard synced via Socket.IO.
+ * - Elements: freehand pen, line, arrow, rectangle, ellipse, text, sticky note
+ * - Select (shift-click for several, or draw a lasso around them), move,
+ *   resize, restyle, copy (Ctrl+C / Ctrl+V, Ctrl+D) and delete elements
+ * - Erasers: one removes whole elements, the other cuts through freehand
+ *   strokes and keeps the pieces left over (a delete plus adds, undone as one)
+ * - Highlighter: translucent marks that fade out after a few seconds, like a
+ *   laser pointer (sent to others, never stored)
+ * - Double-click text or a sticky note to edit it
+ * - Per-user undo/redo (Ctrl+Z / Ctrl+Shift+Z) of our own edits only
+ * - Several named pages per room (add, rename, reorder, delete)
+ * - Each page is an infinite canvas: pan (hand tool, Space or middle-drag,
+ *   scroll, two fingers) and zoom (Ctrl+scroll, pinch or the zoom buttons);
+ *   views are per user
+ * - Mouse, touch and pen (Pointer Events): pen strokes follow the pen's
+ *   pressure, and once a pen is used, touches near it are ignored (palm
+ *   rejection) and one finger pans instead of drawing
+ * - Elements are a Yjs document (utils/whiteboardDoc.js) kept in sync with
+ *   the server's, so simultaneous edits merge, and edits made while
+ *   disconnected are sent when we rejoin
+ * - Others see shapes while they are being drawn or moved (drafts)
+ * - Clear page and delete page actions (moderators only)
+ * - Export this page or all pages as PNG (rendered here), SVG, PDF or JSON
+ *   (rendered by the server); import a JSON export as new pages, or an
+ *   image as a background of the current page
  * - Close button to return to video view
+ * - Live cursors of everyone on the same page, labelled and coloured per
+ *   user, fading when idle (volatile socket events, never stored)
+ * - Follow the presenter: a moderator presents (canPresent) and everyone
+ *   following sees their page and view
+ * - Read-only for viewers (canDraw = false)
  */
-const Whiteboard = ({ roomId, isVisible, onClose }) => {
+
+const TOOLS = [
+    { id: 'select', icon: '↖', label: 'Select (V)' },
+    { id: 'lasso', icon: '➰', label: 'Lasso select' },
+    { id: 'hand', icon: '✋', label: 'Pan (H, or hold Space)' },
+    { id: 'pen', icon: '✏️', label: 'Pen' },
+    { id: 'highlighter', icon: '🖍️', label: 'Highlighter (fades away)' },
+    { id: 'eraser', icon: '🧽', label: 'Eraser (whole elements)' },
+    { id: 'stroke-eraser', icon: '✂️', label: 'Partial eraser (cuts through strokes)' },
+    { id: 'line', icon: '╱', label: 'Line' },
+    { id: 'arrow', icon: '➚', label: 'Arrow' },
+    { id: 'rect', icon: '▭', label: 'Rectangle' },
+    { id: 'ellipse', icon: '◯', label: 'Ellipse' },
+    { id: 'text', icon: 'T', label: 'Text' },
+    { id: 'sticky', icon: '🗒️', label: 'Sticky note' },
+];
+
+// Translucent fill in the stroke colour (hex alpha)
+const FILL_ALPHA = '55';
+
+// Send live drafts at most this often while dragging
+const DRAFT_INTERVAL_MS = 50;
+
+// Zoom step of the +/− buttons
+const ZOOM_STEP = 1.25;
+
+// Eraser size in screen pixels (the same at any zoom)
+const ERASER_RADIUS = 10;
+
+// Highlighter marks are this many times wider than the pen
+const HIGHLIGHTER_WIDTH = 4;
+
+// Pasted and duplicated elements land this far from the originals
+const PASTE_OFFSET = 20;
+
+// Touches this soon after the pen was down or hovering are the writing hand
+const PALM_REJECTION_MS = 500;
+
+// Send our cursor / the presenter's view at most this often
+const CURSOR_INTERVAL_MS = 50;
+const VIEWPORT_INTERVAL_MS = 50;
+
+// A cursor that has not moved for this long fades out
+const CURSOR_IDLE_MS = 3000;
+
+const EXPORT_FORMATS = ['png', 'svg', 'pdf', 'json'];
+
+// A new background image covers at most this much of the visible board
+const BACKGROUND_FIT = 0.9;
+
+// Transaction origin of document updates from the server (not sent back)
+const REMOTE = 'remote';
+
+// Length of a document update with nothing in it
+const EMPTY_UPDATE_LENGTH = 2;
+
+const Whiteboard = ({ roomId, isVisible, canDraw = true, canClear = false, canPresent = false, onClose }) => {
     const canvasRef = useRef(null);
-    const isDrawing = useRef(false);
-    const lastPosition = useRef({ x: 0, y: 0 });
+    const docRef = useRef(null); // the room's whiteboard document (Y.Doc)
+    const syncedRef = useRef(false); // the server has our document: send edits as they happen
+    const elementsRef = useRef(new Map()); // id → element, in drawing order (read from the document)
+    const draftsRef = useRef(new Map()); // id → element others are still drawing/moving
+    const selectedIdsRef = useRef([]);
+    const interactionRef = useRef(null); // current drag: { mode: 'create' | 'move' | 'resize' | 'erase' | 'lasso' | 'highlight', ... }
+    const editingIdRef = useRef(null);
+    const lastDraftAtRef = useRef(0);
+    const pageIdRef = useRef(null);
+    const viewRef = useRef(DEFAULT_VIEW); // { x, y, zoom } of the current page
+    const viewsRef = useRef(new Map()); // pageId → view, so each page keeps its place
+    const spaceHeldRef = useRef(false);
+    const pendingPageRef = useRef(null); // page we added and will switch to
+    const redrawRef = useRef(null); // render, for images that finish loading later
+    const touchesRef = useRef(new Map()); // pointerId → screen position of each finger down
+    const gestureRef = useRef(null); // two-finger pan/pinch: { start, startView }
+    const lastPenAtRef = useRef(0); // when the pen was last down or hovering
+    const penUsedRef = useRef(false); // a pen was used here: fingers pan, they never draw
+    const lastCursorAtRef = useRef(0);
+    const cursorTimersRef = useRef(new Map()); // socketId → timeout that marks the cursor idle
+    const followingRef = useRef(true);
+    const presenterViewRef = useRef(null); // { pageId, view } the presenter last showed
+    const lastViewportAtRef = useRef(0);
+    const highlightsRef = useRef(new Map()); // id → highlighter mark, ours and others'
+    const fadeFrameRef = useRef(null); // animation frame that fades the marks
+    const clipboardRef = useRef([]); // elements copied with Ctrl+C
 
+    const [tool, setTool] = useState('select');
     const [color, setColor] = useState('#ffffff');
     const [lineWidth, setLineWidth] = useState(3);
+    const [isFilled, setIsFilled] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [editing, setEditing] = useState(null); // { element, isNew, text, scale, view }
+    const [pages, setPages] = useState([]); // [{ id, name }]
+    const [pageId, setPageId] = useState(null);
+    const [shownView, setShownView] = useState(DEFAULT_VIEW); // viewRef, for rendering
+    const [renaming, setRenaming] = useState(null); // { pageId, name }
+    const [showTransfer, setShowTransfer] = useState(false); // export / import menu
+    const [exportAllPages, setExportAllPages] = useState(false);
+    const [transfer, setTransfer] = useState(null); // { busy, message, isError }
+    const [cursors, setCursors] = useState({}); // socketId → { userId, userName, pageId, x, y, idle }
+    const [presenter, setPresenter] = useState(null); // { socketId, userName } or null
+    const [following, setFollowing] = useState(true);
 
     const colors = ['#ffffff', '#ef4444', '#22c55e', '#3b82f6', '#eab308', '#a855f7', '#ec4899'];
 
     /**
-     * Get mouse position relative to canvas
+     * Get mouse position in canvas pixels
      */
-    const getCanvasPosition = useCallback((e) => {
+    const getScreenPosition = useCallback((e) => {
         const canvas = canvasRef.current;
         const rect = canvas.getBoundingClientRect();
         return {
@@ -34,146 +196,1493 @@ const Whiteboard = ({ roomId, isVisible, onClose }) => {
     }, []);
 
     /**
-     * Draw a line segment on the canvas
+     * Get mouse position in world coordinates of the current page
+     */
+    const getCanvasPosition = useCallback((e) => {
+        const { x, y } = getScreenPosition(e);
+        return screenToWorld(viewRef.current, x, y);
+    }, [getScreenPosition]);
+
+    /**
+     * Stored elements of the current page, in drawing order
+     */
+    const getPageElements = useCallback(() => {
+        return [...elementsRef.current.values()].filter((el) => el.pageId === pageIdRef.current);
+    }, []);
+
+    /**
+     * Redraw everything: stored elements (or others' drafts of them),
+     * new elements others are drawing, our own in-progress element, selection
      */
-    const drawLine = useCallback((x0, y0, x1, y1, strokeColor, strokeWidth) => {
+    const render = useCallback(() => {
         const canvas = canvasRef.current;
         if (!canvas) return;
         const ctx = canvas.getContext('2d');
+        const elements = elementsRef.current;
+        const drafts = draftsRef.current;
+
+        const pageId = pageIdRef.current;
+        const view = viewRef.current;
+
+        const visible = [];
+        elements.forEach((el, id) => {
+            // The text editor overlay stands in for the element being edited
+            if (el.pageId === pageId && id !== editingIdRef.current) visible.push(drafts.get(id) || el);
+        });
+        drafts.forEach((el, id) => {
+            if (el.pageId === pageId && !elements.has(id)) visible.push(el);
+        });
+        if (interactionRef.current?.mode === 'create') {
+            visible.push(interactionRef.current.element);
+        }
 
-        ctx.beginPath();
-        ctx.moveTo(x0, y0);
-        ctx.lineTo(x1, y1);
-        ctx.strokeStyle = strokeColor;
-        ctx.lineWidth = strokeWidth;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.stroke();
+        drawElements(ctx, visible, { view, grid: true, onImageLoad: () => redrawRef.current?.() });
+        drawHighlights(ctx, [...highlightsRef.current.values()].filter((mark) => mark.pageId === pageId));
+        if (interactionRef.current?.mode === 'lasso') {
+            drawLasso(ctx, interactionRef.current.points, view.zoom);
+        }
+        drawSelection(ctx, selectedIdsRef.current.map((id) => elements.get(id)).filter(Boolean), view.zoom);
     }, []);
 
-    const handleMouseDown = useCallback((e) => {
-        isDrawing.current = true;
-        const pos = getCanvasPosition(e);
-        lastPosition.current = pos;
-    }, [getCanvasPosition]);
+    useEffect(() => {
+        redrawRef.current = render;
+    }, [render]);
 
-    const handleMouseMove = useCallback((e) => {
-        if (!isDrawing.current) return;
+    const setSelection = useCallback((ids) => {
+        selectedIdsRef.current = ids;
+        setSelectedIds(ids);
+        render();
+    }, [render]);
 
-        const pos = getCanvasPosition(e);
-        const { x: x0, y: y0 } = lastPosition.current;
-        const { x: x1, y: y1 } = pos;
+    const setView = useCallback((view) => {
+        viewRef.current = view;
+        viewsRef.current.set(pageIdRef.current, view);
+        setShownView(view);
+        render();
+    }, [render]);
+
+    /**
+     * Keep redrawing while highlighter marks fade, and drop the ones that are gone
+     */
+    const animateHighlights = useCallback(() => {
+        if (fadeFrameRef.current) return;
+
+        const step = () => {
+            const now = Date.now();
+            highlightsRef.current.forEach((mark, id) => {
+                if (isHighlightGone(mark, now)) highlightsRef.current.delete(id);
+            });
+            render();
+            fadeFrameRef.current = highlightsRef.current.size > 0 ? requestAnimationFrame(step) : null;
+        };
+        fadeFrameRef.current = requestAnimationFrame(step);
+    }, [render]);
+
+    /**
+     * Show another page, where we last left it
+     */
+    const switchPage = useCallback((id) => {
+        interactionRef.current = null;
+        pageIdRef.current = id;
+        setPageId(id);
+
+        const view = viewsRef.current.get(id) || DEFAULT_VIEW;
+        viewRef.current = view;
+        setShownView(view);
+        setSelection([]);
+    }, [setSelection]);
+
+    /**
+     * Zoom around the middle of the canvas (toolbar buttons)
+     */
+    const zoomBy = (factor) => {
+        setView(zoomAt(viewRef.current, factor, BOARD_WIDTH / 2, BOARD_HEIGHT / 2));
+    };
 
-        drawLine(x0, y0, x1, y1, color, lineWidth);
+    const zoomToFit = () => {
+        setView(fitView(getPageElements()));
+    };
 
-        socket.emit('draw', {
+    /**
+     * Show others what we are drawing or dragging (throttled unless forced)
+     */
+    const emitDraft = useCallback((elements, force = false) => {
+        const now = Date.now();
+        if (!force && now - lastDraftAtRef.current < DRAFT_INTERVAL_MS) return;
+        lastDraftAtRef.current = now;
+        socket.emit('whiteboard-draft', { roomId, elements });
+    }, [roomId]);
+
+    /**
+     * Draft of a freehand stroke in progress: the first one carries the
+     * stroke (absolute points, so later points can simply be appended),
+     * the rest only the points added since (same throttle as emitDraft)
+     */
+    const emitStrokeDraft = useCallback((interaction) => {
+        const { element, points, sentCount } = interaction;
+        const now = Date.now();
+        if (now - lastDraftAtRef.current < DRAFT_INTERVAL_MS || points.length === sentCount) return;
+        lastDraftAtRef.current = now;
+
+        if (sentCount === 0) {
+            socket.emit('whiteboard-draft', {
+                roomId,
+                elements: [{ ...element, x: 0, y: 0, width: 0, height: 0, points }],
+            });
+        } else {
+            socket.emit('whiteboard-draft', {
+                roomId,
+                elements: [],
+                appends: [{ id: element.id, points: points.slice(sentCount) }],
+            });
+        }
+        interaction.sentCount = points.length;
+    }, [roomId]);
+
+    /**
+     * Points of our highlighter mark not sent yet (throttled unless forced)
+     */
+    const emitHighlight = useCallback((interaction, force = false) => {
+        const { mark, sentCount } = interaction;
+        const now = Date.now();
+        if (mark.points.length === sentCount) return;
+        if (!force && now - lastDraftAtRef.current < DRAFT_INTERVAL_MS) return;
+        lastDraftAtRef.current = now;
+
+        socket.volatile.emit('whiteboard-highlight', {
             roomId,
-            stroke: { x0, y0, x1, y1, color, lineWidth },
+            id: mark.id,
+            pageId: mark.pageId,
+            strokeColor: mark.strokeColor,
+            strokeWidth: mark.strokeWidth,
+            points: mark.points.slice(sentCount),
         });
+        interaction.sentCount = mark.points.length;
+    }, [roomId]);
 
-        lastPosition.current = pos;
-    }, [color, lineWidth, roomId, getCanvasPosition, drawLine]);
+    /**
+     * Apply one of our operations to the document, as one update
+     * (new edits, undo and redo all go through here; the document's
+     * listeners redraw and send it to the room)
+     */
+    const applyOperation = useCallback((op) => {
+        const doc = docRef.current;
+        if (!doc) return;
 
-    const handleMouseUp = useCallback(() => {
-        isDrawing.current = false;
+        doc.transact(() => {
+            if (op.type === 'add') {
+                op.elements.forEach((element) => writeElement(doc, element));
+            } else if (op.type === 'delete') {
+                op.elements.forEach((el) => deleteElement(doc, el.id));
+            } else if (op.type === 'update') {
+                op.after.forEach(({ id, changes }) => updateElement(doc, id, changes));
+            } else if (op.type === 'replace') {
+                op.removed.forEach((el) => deleteElement(doc, el.id));
+                op.added.forEach((element) => writeElement(doc, element));
+            }
+        });
     }, []);
 
-    const handleClear = useCallback(() => {
+    const { record, undo, redo, reset: resetHistory, canUndo, canRedo } = useWhiteboardHistory(applyOperation);
+
+    const commitAdd = useCallback((element) => {
+        const op = { type: 'add', elements: [element] };
+        applyOperation(op);
+        record(op);
+    }, [applyOperation, record]);
+
+    /**
+     * Apply and send updates: [{ id, changes }].
+     * `originals` are the elements before the change (defaults to the current
+     * ones; drags pass what they started from), so it can be undone.
+     */
+    const commitUpdates = useCallback((updates, originals) => {
+        const nonEmpty = updates.filter((u) => Object.keys(u.changes).length > 0);
+        if (nonEmpty.length === 0) return;
+
+        const previous = new Map((originals || []).map((el) => [el.id, el]));
+        const before = nonEmpty.map(({ id, changes }) => {
+            const el = previous.get(id) || elementsRef.current.get(id) || {};
+            return { id, changes: Object.fromEntries(Object.keys(changes).map((key) => [key, el[key]])) };
+        });
+
+        const op = { type: 'update', before, after: nonEmpty };
+        applyOperation(op);
+        record(op);
+    }, [applyOperation, record]);
+
+    const deleteSelected = useCallback(() => {
+        const elements = selectedIdsRef.current
+            .map((id) => elementsRef.current.get(id))
+            .filter(Boolean);
+        if (!canDraw || elements.length === 0) return;
+
+        const op = { type: 'delete', elements };
+        applyOperation(op);
+        record(op);
+    }, [canDraw, applyOperation, record]);
+
+    const copySelected = useCallback(() => {
+        clipboardRef.current = selectedIdsRef.current
+            .map((id) => elementsRef.current.get(id))
+            .filter(Boolean);
+    }, []);
+
+    /**
+     * Add copies of `elements` to the current page, a little offset, and select them
+     */
+    const pasteElements = useCallback((elements) => {
+        if (!canDraw || elements.length === 0 || !pageIdRef.current) return;
+
+        // Without an order, the copies go on top
+        const copies = elements.map((el) => ({
+            ...el,
+            id: createElementId(),
+            order: undefined,
+            pageId: pageIdRef.current,
+            x: el.x + PASTE_OFFSET,
+            y: el.y + PASTE_OFFSET,
+        }));
+        const op = { type: 'add', elements: copies };
+        applyOperation(op);
+        record(op);
+
+        // Pasting again lands further along, not on top of these
+        clipboardRef.current = copies;
+        setSelection(copies.map((el) => el.id));
+    }, [canDraw, applyOperation, record, setSelection]);
+
+    const duplicateSelected = useCallback(() => {
+        pasteElements(selectedIdsRef.current.map((id) => elementsRef.current.get(id)).filter(Boolean));
+    }, [pasteElements]);
+
+    /**
+     * Restyle the selected elements: changesFor(element) → changes
+     */
+    const restyleSelection = useCallback((changesFor) => {
+        if (!canDraw) return;
+        commitUpdates(
+            selectedIdsRef.current
+                .map((id) => elementsRef.current.get(id))
+                .filter(Boolean)
+                .map((el) => ({ id: el.id, changes: changesFor(el) }))
+        );
+    }, [canDraw, commitUpdates]);
+
+    const handleColorChange = (c) => {
+        setColor(c);
+        // Sticky notes keep their paper colour
+        restyleSelection((el) => {
+            if (el.type === 'sticky') return {};
+            const hasFill = el.fillColor && el.fillColor !== 'transparent';
+            return hasFill ? { strokeColor: c, fillColor: `${c}${FILL_ALPHA}` } : { strokeColor: c };
+        });
+    };
+
+    const handleLineWidthChange = (width) => {
+        setLineWidth(width);
+        restyleSelection((el) => (isTextElement(el) ? {} : { strokeWidth: width }));
+    };
+
+    const handleFillToggle = () => {
+        const next = !isFilled;
+        setIsFilled(next);
+        restyleSelection((el) => {
+            if (el.type !== 'rect' && el.type !== 'ellipse') return {};
+            return { fillColor: next ? `${el.strokeColor}${FILL_ALPHA}` : 'transparent' };
+        });
+    };
+
+    // ─── Text Editing ───
+
+    const startEditing = useCallback((element, isNew) => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        socket.emit('clear-whiteboard', { roomId });
-    }, [roomId]);
+        const scale = canvas.getBoundingClientRect().width / canvas.width;
+
+        editingIdRef.current = element.id;
+        setEditing({ element, isNew, text: element.text || '', scale, view: viewRef.current });
+        render();
+    }, [render]);
+
+    const finishEditing = () => {
+        if (!editing) return;
+        const { element, isNew, text } = editing;
+
+        editingIdRef.current = null;
+        setEditing(null);
+
+        const ctx = canvasRef.current.getContext('2d');
+        const edited = { ...element, text };
+        const height = element.type === 'sticky'
+            ? Math.max(element.height, measureTextHeight(ctx, edited))
+            : measureTextHeight(ctx, edited);
+
+        if (isNew) {
+            if (!text.trim()) {
+                render();
+                return;
+            }
+            commitAdd({ ...edited, height });
+            setSelection([element.id]);
+        } else if (text !== element.text) {
+            commitUpdates([{ id: element.id, changes: { text, height } }]);
+        } else {
+            render();
+        }
+    };
+
+    // ─── Pointer Handling ───
+    // Mouse, pen and single touches drive one interaction at a time (the
+    // pointer that started it); two fingers pan and pinch-zoom instead.
+
+    /**
+     * A stroke point at a pointer event, with its pressure for pens
+     */
+    const strokePoint = (e) => {
+        const pos = getCanvasPosition(e);
+        if (e.pointerType !== 'pen') return [pos.x, pos.y];
+        return [pos.x, pos.y, Math.round((e.pressure || DEFAULT_PRESSURE) * 100) / 100];
+    };
+
+    /**
+     * Erase what the eraser touched on its way from its last position to `to`.
+     * The board changes right away; the whole drag is sent (and recorded
+     * for undo) when it ends.
+     */
+    const eraseAlong = (interaction, to) => {
+        const { last: from, partial, removed, added } = interaction;
+        const radius = ERASER_RADIUS / viewRef.current.zoom;
+
+        getPageElements().forEach((el) => {
+            // Backgrounds are only removed on purpose (select + delete)
+            if (el.type === 'image') return;
+
+            let pieces = [];
+            if (partial && el.type === 'path') {
+                pieces = erasePath(el, from, to, radius);
+                if (!pieces) return;
+            } else if (!isErasedBy(el, from, to, radius)) {
+                return;
+            }
+
+            elementsRef.current.delete(el.id);
+            if (added.has(el.id)) {
+                added.delete(el.id); // a piece cut again
+            } else {
+                removed.set(el.id, el);
+            }
+            pieces.forEach((piece) => {
+                elementsRef.current.set(piece.id, piece);
+                added.set(piece.id, piece);
+            });
+        });
+
+        interaction.last = to;
+    };
+
+    const startInteraction = (e) => {
+        if (editing || !pageIdRef.current) return; // the editor's blur commits it first
+
+        // Pan: hand tool, Space + drag or middle button
+        const fingerPans = e.pointerType === 'touch' && penUsedRef.current;
+        if (tool === 'hand' || spaceHeldRef.current || e.button === 1 || fingerPans) {
+            e.preventDefault();
+            interactionRef.current = { mode: 'pan', start: getScreenPosition(e), startView: viewRef.current };
+            return;
+        }
+        if (e.button !== 0) return;
+
+        const pos = getCanvasPosition(e);
+        const { zoom: currentZoom } = viewRef.current;
+
+        if (tool === 'select') {
+            const selected = selectedIdsRef.current;
+
+            // Resize handle of a single selected element
+            if (canDraw && selected.length === 1) {
+                const el = elementsRef.current.get(selected[0]);
+                const handle = el && findHandleAt(el, pos.x, pos.y, currentZoom);
+                if (handle) {
+                    interactionRef.current = { mode: 'resize', handle, original: el };
+                    return;
+                }
+            }
+
+            const hit = findElementAt(getPageElements(), pos.x, pos.y, 6 / currentZoom);
+            if (!hit) {
+                setSelection([]);
+                return;
+            }
+
+            let next = selected;
+            if (e.shiftKey) {
+                next = selected.includes(hit.id)
+                    ? selected.filter((id) => id !== hit.id)
+                    : [...selected, hit.id];
+            } else if (!selected.includes(hit.id)) {
+                next = [hit.id];
+            }
+            setSelection(next);
+
+            if (canDraw && next.includes(hit.id)) {
+                interactionRef.current = {
+                    mode: 'move',
+                    start: pos,
+                    originals: next.map((id) => elementsRef.current.get(id)),
+                    moved: false,
+                };
+            }
+            return;
+        }
+
+        if (!canDraw) return;
+
+        if (tool === 'lasso') {
+            // Dragging what the lasso caught moves it; anywhere else starts a new lasso
+            const hit = findElementAt(getPageElements(), pos.x, pos.y, 6 / currentZoom);
+            if (hit && selectedIdsRef.current.includes(hit.id)) {
+                interactionRef.current = {
+                    mode: 'move',
+                    start: pos,
+                    originals: selectedIdsRef.current.map((id) => elementsRef.current.get(id)),
+                    moved: false,
+                };
+            } else {
+                interactionRef.current = { mode: 'lasso', points: [[pos.x, pos.y]], additive: e.shiftKey };
+            }
+            return;
+        }
+
+        if (tool === 'eraser' || tool === 'stroke-eraser') {
+            const interaction = {
+                mode: 'erase',
+                partial: tool === 'stroke-eraser',
+                last: [pos.x, pos.y],
+                removed: new Map(), // id → element as it was before this drag
+                added: new Map(), // id → piece of a cut stroke
+            };
+            interactionRef.current = interaction;
+            eraseAlong(interaction, [pos.x, pos.y]);
+            render();
+            return;
+        }
+
+        const id = createElementId();
+
+        if (tool === 'highlighter') {
+            const mark = {
+                id,
+                pageId: pageIdRef.current,
+                strokeColor: color,
+                strokeWidth: lineWidth * HIGHLIGHTER_WIDTH,
+                points: [[pos.x, pos.y]],
+                updatedAt: Date.now(),
+            };
+            highlightsRef.current.set(id, mark);
+            interactionRef.current = { mode: 'highlight', mark, sentCount: 0 };
+            animateHighlights();
+            return;
+        }
+
+        if (tool === 'text' || tool === 'sticky') {
+            const isSticky = tool === 'sticky';
+            startEditing({
+                id,
+                pageId: pageIdRef.current,
+                type: tool,
+                x: pos.x,
+                y: pos.y,
+                width: isSticky ? 200 : 320,
+                height: isSticky ? 200 : DEFAULT_FONT_SIZE * 1.3,
+                strokeColor: color,
+                fillColor: isSticky ? STICKY_COLOR : undefined,
+                fontSize: isSticky ? 18 : DEFAULT_FONT_SIZE,
+                text: '',
+            }, true);
+            setTool('select');
+            return;
+        }
+
+        const base = { id, pageId: pageIdRef.current, type: tool, strokeColor: color, strokeWidth: lineWidth };
+        const start = tool === 'pen' ? strokePoint(e) : [pos.x, pos.y];
+        let element;
+
+        if (tool === 'pen') {
+            element = { ...base, type: 'path', ...fromPoints([start]) };
+        } else if (tool === 'line' || tool === 'arrow') {
+            element = { ...base, ...fromPoints([start, start]) };
+        } else {
+            element = {
+                ...base,
+                x: pos.x,
+                y: pos.y,
+                width: 0,
+                height: 0,
+                fillColor: isFilled ? `${color}${FILL_ALPHA}` : 'transparent',
+            };
+        }
+
+        interactionRef.current = { mode: 'create', start, points: [start], sentCount: 0, element };
+        render();
+    };
+
+    const moveInteraction = (e) => {
+        const interaction = interactionRef.current;
+
+        if (interaction.mode === 'pan') {
+            const { start, startView } = interaction;
+            const screen = getScreenPosition(e);
+            setView({
+                ...startView,
+                x: startView.x - (screen.x - start.x) / startView.zoom,
+                y: startView.y - (screen.y - start.y) / startView.zoom,
+            });
+            return;
+        }
+
+        const pos = getCanvasPosition(e);
+
+        if (interaction.mode === 'highlight') {
+            interaction.mark.points.push([pos.x, pos.y]);
+            interaction.mark.updatedAt = Date.now();
+            emitHighlight(interaction);
+            return; // animateHighlights redraws
+        }
+
+        if (interaction.mode === 'lasso') {
+            interaction.points.push([pos.x, pos.y]);
+        } else if (interaction.mode === 'erase') {
+            eraseAlong(interaction, [pos.x, pos.y]);
+        } else if (interaction.mode === 'create') {
+            const { element, start } = interaction;
+
+            if (element.type === 'path') {
+                // The browser may merge several moves into one event (pens report
+                // far more often than the screen redraws); keep every point
+                const events = e.nativeEvent.getCoalescedEvents?.() || [];
+                (events.length > 0 ? events : [e]).forEach((event) => {
+                    interaction.points.push(strokePoint(event));
+                });
+                interaction.element = { ...element, ...fromPoints(interaction.points) };
+                emitStrokeDraft(interaction);
+            } else {
+                if (element.type === 'line' || element.type === 'arrow') {
+                    interaction.element = { ...element, ...fromPoints([start, [pos.x, pos.y]]) };
+                } else {
+                    interaction.element = { ...element, width: pos.x - start[0], height: pos.y - start[1] };
+                }
+                emitDraft([interaction.element]);
+            }
+        } else if (interaction.mode === 'move') {
+            const dx = pos.x - interaction.start.x;
+            const dy = pos.y - interaction.start.y;
+            interaction.moved = true;
+
+            const moved = interaction.originals.map((el) => ({ ...el, x: el.x + dx, y: el.y + dy }));
+            moved.forEach((el) => elementsRef.current.set(el.id, el));
+            emitDraft(moved);
+        } else if (interaction.mode === 'resize') {
+            const { original, handle } = interaction;
+            const resized = { ...original, ...resizeElement(original, handle, pos.x, pos.y) };
+            elementsRef.current.set(original.id, resized);
+            emitDraft([resized]);
+        }
+
+        render();
+    };
+
+    const finishInteraction = () => {
+        const interaction = interactionRef.current;
+        interactionRef.current = null;
+        if (!interaction) return;
+
+        if (interaction.mode === 'highlight') {
+            emitHighlight(interaction, true);
+        } else if (interaction.mode === 'lasso') {
+            const caught = getPageElements()
+                .filter((el) => isInsideLasso(el, interaction.points))
+                .map((el) => el.id);
+            setSelection(interaction.additive
+                ? [...new Set([...selectedIdsRef.current, ...caught])]
+                : caught);
+        } else if (interaction.mode === 'erase') {
+            const removed = [...interaction.removed.values()];
+            const added = [...interaction.added.values()];
+            if (removed.length === 0) return;
+
+            const op = added.length > 0 ? { type: 'replace', removed, added } : { type: 'delete', elements: removed };
+            applyOperation(op);
+            record(op);
+        } else if (interaction.mode === 'create') {
+            let { element } = interaction;
+            if (element.type === 'path') {
+                // Half a screen pixel of error is invisible and drops most points
+                const tolerance = 0.5 / viewRef.current.zoom;
+                element = { ...element, ...fromPoints(simplifyPoints(interaction.points, tolerance)) };
+            } else if (element.type === 'rect' || element.type === 'ellipse') {
+                element = { ...element, ...normalizeBox(element) };
+            }
+
+            // A click with a shape tool draws nothing
+            const tooSmall = element.type !== 'path' && element.width < 3 && element.height < 3;
+            if (tooSmall) {
+                socket.emit('whiteboard-draft', { roomId, elements: [], discardIds: [element.id] });
+                render();
+                return;
+            }
+            commitAdd(element);
+        } else if (interaction.mode === 'move') {
+            if (!interaction.moved) return;
+            commitUpdates(interaction.originals
+                .map(({ id }) => elementsRef.current.get(id))
+                .filter(Boolean) // deleted by someone else mid-drag
+                .map((el) => ({ id: el.id, changes: { x: el.x, y: el.y } })), interaction.originals);
+        } else if (interaction.mode === 'resize') {
+            const el = elementsRef.current.get(interaction.original.id);
+            if (!el) return;
+            const changes = { x: el.x, y: el.y, width: el.width, height: el.height };
+            if (el.points) changes.points = el.points;
+            if (el.type === 'text') {
+                changes.height = measureTextHeight(canvasRef.current.getContext('2d'), el);
+            }
+            commitUpdates([{ id: el.id, changes }], [interaction.original]);
+        }
+    };
+
+    /**
+     * Drop what a finger started when a second finger turns it into a gesture
+     */
+    const abandonInteraction = () => {
+        const interaction = interactionRef.current;
+        interactionRef.current = null;
+        if (!interaction) return;
+
+        if (interaction.mode === 'create') {
+            socket.emit('whiteboard-draft', { roomId, elements: [], discardIds: [interaction.element.id] });
+        } else if (interaction.mode === 'move' || interaction.mode === 'resize') {
+            const originals = interaction.originals || [interaction.original];
+            originals.forEach((el) => {
+                if (elementsRef.current.has(el.id)) elementsRef.current.set(el.id, el);
+            });
+            socket.emit('whiteboard-draft', { roomId, elements: [], discardIds: originals.map((el) => el.id) });
+        } else if (interaction.mode === 'erase') {
+            interaction.added.forEach((_, id) => elementsRef.current.delete(id));
+            interaction.removed.forEach((el, id) => elementsRef.current.set(id, el));
+        }
+        render();
+    };
+
+    /**
+     * Midpoint and spread of the two fingers, in canvas pixels
+     */
+    const getTouchSpan = () => {
+        const [a, b] = [...touchesRef.current.values()];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.max(Math.hypot(a.x - b.x, a.y - b.y), 1) };
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.pointerType === 'pen') {
+            lastPenAtRef.current = Date.now();
+            penUsedRef.current = true;
+        }
+
+        if (e.pointerType === 'touch') {
+            if (Date.now() - lastPenAtRef.current < PALM_REJECTION_MS) return;
+
+            touchesRef.current.set(e.pointerId, getScreenPosition(e));
+            if (touchesRef.current.size === 2) {
+                abandonInteraction();
+                gestureRef.current = { start: getTouchSpan(), startView: viewRef.current };
+                return;
+            }
+            if (touchesRef.current.size > 2 || gestureRef.current) return;
+        }
+
+        // One pointer at a time (e.g. a mouse click while a finger draws)
+        if (interactionRef.current) return;
+
+        startInteraction(e);
+        if (interactionRef.current) {
+            interactionRef.current.pointerId = e.pointerId;
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+    };
+
+    /**
+     * Show others where our pointer is (throttled, volatile: a lost update is replaced by the next)
+     */
+    const emitCursor = (e) => {
+        const now = Date.now();
+        if (!pageIdRef.current || now - lastCursorAtRef.current < CURSOR_INTERVAL_MS) return;
+        lastCursorAtRef.current = now;
+
+        const pos = getCanvasPosition(e);
+        socket.volatile.emit('whiteboard-cursor', { roomId, pageId: pageIdRef.current, x: pos.x, y: pos.y });
+    };
+
+    const handlePointerMove = (e) => {
+        if (e.pointerType === 'pen') lastPenAtRef.current = Date.now(); // hovering counts too
+        emitCursor(e);
+
+        if (touchesRef.current.has(e.pointerId)) {
+            touchesRef.current.set(e.pointerId, getScreenPosition(e));
+
+            const gesture = gestureRef.current;
+            if (gesture && touchesRef.current.size === 2) {
+                // Zoom around where the fingers started, then follow them
+                const span = getTouchSpan();
+                const zoomed = zoomAt(gesture.startView, span.distance / gesture.start.distance, gesture.start.x, gesture.start.y);
+                setView({
+                    ...zoomed,
+                    x: zoomed.x - (span.x - gesture.start.x) / zoomed.zoom,
+                    y: zoomed.y - (span.y - gesture.start.y) / zoomed.zoom,
+                });
+                return;
+            }
+        }
+
+        if (interactionRef.current?.pointerId !== e.pointerId) return;
+        moveInteraction(e);
+    };
+
+    const handlePointerUp = (e) => {
+        if (touchesRef.current.delete(e.pointerId) && gestureRef.current) {
+            // The gesture ends with its last finger; a finger left behind does nothing
+            if (touchesRef.current.size === 0) gestureRef.current = null;
+            return;
+        }
+
+        if (interactionRef.current?.pointerId !== e.pointerId) return;
+        finishInteraction();
+    };
+
+    const handleDoubleClick = (e) => {
+        if (!canDraw || tool !== 'select') return;
+        const pos = getCanvasPosition(e);
+        const hit = findElementAt(getPageElements(), pos.x, pos.y, 6 / viewRef.current.zoom);
+        if (hit && isTextElement(hit)) {
+            startEditing(hit, false);
+        }
+    };
+
+    /**
+     * Drop others' drafts on a page (cleared or deleted); its elements
+     * leave with the server's document update
+     */
+    const removePageDrafts = useCallback((id) => {
+        draftsRef.current.forEach((el, elementId) => {
+            if (el.pageId === id) draftsRef.current.delete(elementId);
+        });
+    }, []);
+
+    const handleClear = useCallback(() => {
+        const id = pageIdRef.current;
+        removePageDrafts(id);
+        resetHistory();
+        setSelection([]);
+        socket.emit('clear-whiteboard', { roomId, pageId: id });
+    }, [roomId, setSelection, resetHistory, removePageDrafts]);
+
+    // ─── Pages ───
+
+    const handleAddPage = () => {
+        const page = { id: createElementId(), name: `Page ${pages.length + 1}` };
+        socket.emit('whiteboard-page-add', { roomId, page });
+        // Show it once the server's page list arrives
+        pendingPageRef.current = page.id;
+    };
+
+    const handleRenamePage = () => {
+        if (renaming && renaming.name.trim()) {
+            const page = pages.find((p) => p.id === renaming.pageId);
+            if (page && page.name !== renaming.name.trim()) {
+                socket.emit('whiteboard-page-rename', { roomId, pageId: renaming.pageId, name: renaming.name });
+            }
+        }
+        setRenaming(null);
+    };
+
+    const handleMovePage = (offset) => {
+        const index = pages.findIndex((p) => p.id === pageId) + offset;
+        if (index < 0 || index >= pages.length) return;
+        socket.emit('whiteboard-page-move', { roomId, pageId, index });
+    };
+
+    const handleDeletePage = () => {
+        if (pages.length <= 1) return;
+        socket.emit('whiteboard-page-delete', { roomId, pageId });
+    };
+
+    // ─── Export / Import ───
+
+    const handleExport = async (format) => {
+        const page = pages.find((p) => p.id === pageId);
+        const name = exportAllPages || !page ? `whiteboard-${roomId}` : page.name;
+        setTransfer({ busy: true, message: `Exporting ${format.toUpperCase()}...` });
+
+        try {
+            let blob;
+            if (format === 'png') {
+                const exported = exportAllPages ? pages : [page];
+                const elements = [...elementsRef.current.values()];
+                blob = await renderPng(exported.map((p) => ({
+                    name: p.name,
+                    elements: elements.filter((el) => el.pageId === p.id),
+                })));
+            } else {
+                const { data } = await API.get(`/rooms/${roomId}/whiteboard/export`, {
+                    params: { format, page: exportAllPages ? undefined : pageId },
+                    responseType: 'blob',
+                });
+                blob = data;
+            }
+            downloadBlob(blob, `${name}.${format}`);
+            setTransfer(null);
+        } catch {
+            setTransfer({ message: 'Export failed', isError: true });
+        }
+    };
+
+    /**
+     * Import a JSON export: the server adds its pages and tells everyone
+     */
+    const handleImportJson = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setTransfer({ busy: true, message: 'Importing...' });
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            const { data } = await API.post(`/rooms/${roomId}/whiteboard/import`, formData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+            });
+            const count = data.data.pages.length;
+            setTransfer({ message: `Imported ${count} page${count === 1 ? '' : 's'}` });
+        } catch (err) {
+            setTransfer({ message: err.response?.data?.message || 'Import failed', isError: true });
+        }
+    };
+
+    /**
+     * Upload an image as a room file and lay it behind the current page,
+     * centred in view (undoable like any element we add)
+     */
+    const handleImportImage = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const targetPageId = pageIdRef.current;
+        setTransfer({ busy: true, message: 'Uploading image...' });
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            const { data } = await API.post(`/files/upload/${roomId}`, formData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+            });
+            socket.emit('file-uploaded', { roomId, file: data.data });
+
+            const fileId = String(data.data.fileId);
+            const image = getImage(fileId);
+            await image.decode();
+
+            const view = viewRef.current;
+            const visibleWidth = BOARD_WIDTH / view.zoom;
+            const visibleHeight = BOARD_HEIGHT / view.zoom;
+            const scale = Math.min(
+                1,
+                (visibleWidth * BACKGROUND_FIT) / image.naturalWidth,
+                (visibleHeight * BACKGROUND_FIT) / image.naturalHeight
+            );
+            const width = image.naturalWidth * scale;
+            const height = image.naturalHeight * scale;
+
+            commitAdd({
+                id: createElementId(),
+                pageId: targetPageId,
+                type: 'image',
+                x: view.x + (visibleWidth - width) / 2,
+                y: view.y + (visibleHeight - height) / 2,
+                width,
+                height,
+                fileId,
+            });
+            setTransfer(null);
+        } catch (err) {
+            setTransfer({ message: err.response?.data?.message || 'Could not add the image', isError: true });
+        }
+    };
+
+    /**
+     * The room's whiteboard document. It outlives closing the whiteboard, so
+     * reopening it (or reconnecting) only syncs what changed meanwhile.
+     * elementsRef follows the document: changed elements are read again,
+     * and others' drafts of them dropped once their edit arrives.
+     */
+    useEffect(() => {
+        if (!roomId) return;
+        const doc = new Y.Doc();
+        const elements = getElementsMap(doc);
+        docRef.current = doc;
+        elementsRef.current = new Map();
+        syncedRef.current = false;
+
+        const handleChange = (events, transaction) => {
+            const current = elementsRef.current;
+            let added = false;
+
+            changedElementIds(events).forEach((id) => {
+                const map = elements.get(id);
+                if (map instanceof Y.Map) {
+                    added = added || !current.has(id);
+                    current.set(id, readElement(map));
+                } else {
+                    current.delete(id);
+                }
+                if (transaction.origin === REMOTE) draftsRef.current.delete(id);
+            });
+
+            // New elements may belong below others (undo, pieces of an erased stroke)
+            if (added) {
+                elementsRef.current = new Map([...current.values()].sort(compareOrder).map((el) => [el.id, el]));
+            }
+
+            const selected = selectedIdsRef.current.filter((id) => elementsRef.current.has(id));
+            if (selected.length !== selectedIdsRef.current.length) {
+                setSelection(selected);
+            } else {
+                render();
+            }
+        };
+
+        // Our edits go to the room as they happen; made while we are not
+        // synced (e.g. disconnected), they go with the next sync instead
+        const handleUpdate = (update, origin) => {
+            if (origin === REMOTE || !syncedRef.current) return;
+            socket.emit('whiteboard-yjs', { roomId, update });
+        };
+
+        elements.observeDeep(handleChange);
+        doc.on('update', handleUpdate);
+
+        return () => {
+            elements.unobserveDeep(handleChange);
+            doc.off('update', handleUpdate);
+            doc.destroy();
+            docRef.current = null;
+        };
+    }, [roomId, render, setSelection]);
 
     /**
-     * Set up socket listeners and load existing whiteboard data.
+     * Set up socket listeners and sync the whiteboard document.
      * FIX: Register listener BEFORE emitting load request,
      *      so the response isn't missed.
      */
     useEffect(() => {
         if (!roomId || !isVisible) return;
+        const highlights = highlightsRef.current;
 
-        // Receive stored strokes
-        const handleLoad = (strokes) => {
-            strokes.forEach((s) => {
-                drawLine(s.x0, s.y0, s.x1, s.y1, s.color, s.lineWidth);
-            });
+        const requestSync = () => {
+            syncedRef.current = false;
+            socket.emit('load-whiteboard', { roomId, stateVector: Y.encodeStateVector(docRef.current) });
         };
 
-        // Receive real-time drawing from other users
-        const handleDraw = (stroke) => {
-            drawLine(stroke.x0, stroke.y0, stroke.x1, stroke.y1, stroke.color, stroke.lineWidth);
+        // Pages, what our document is missing, and what the server's is
+        // missing (our edits from while we were away) goes back to it
+        const handleLoad = ({ pages: loadedPages, update, stateVector }) => {
+            const doc = docRef.current;
+            draftsRef.current.clear();
+            Y.applyUpdate(doc, new Uint8Array(update), REMOTE);
+
+            if (canDraw) {
+                const missing = Y.encodeStateAsUpdate(doc, new Uint8Array(stateVector));
+                if (missing.length > EMPTY_UPDATE_LENGTH) socket.emit('whiteboard-yjs', { roomId, update: missing });
+            }
+            syncedRef.current = true;
+            setPages(loadedPages);
+
+            const current = loadedPages.find((p) => p.id === pageIdRef.current) || loadedPages[0];
+            if (current) switchPage(current.id);
         };
 
-        // Handle clear
-        const handleClearEvent = () => {
-            const canvas = canvasRef.current;
-            if (canvas) {
-                const ctx = canvas.getContext('2d');
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
+        // We (re)joined the room: sync again
+        const handleParticipants = () => requestSync();
+
+        // Keep edits until we are back in the room
+        const handleDisconnect = () => {
+            syncedRef.current = false;
+        };
+
+        // Pages were added, renamed, moved or deleted
+        const handlePages = (updatedPages) => {
+            setPages(updatedPages);
+            const ids = new Set(updatedPages.map((p) => p.id));
+
+            const deletedPageIds = new Set(
+                [...draftsRef.current.values()].map((el) => el.pageId).filter((id) => !ids.has(id))
+            );
+            deletedPageIds.forEach(removePageDrafts);
+
+            if (pendingPageRef.current && ids.has(pendingPageRef.current)) {
+                switchPage(pendingPageRef.current);
+                pendingPageRef.current = null;
+            } else if (!ids.has(pageIdRef.current) && updatedPages.length > 0) {
+                switchPage(updatedPages[0].id);
+            } else {
+                render();
             }
         };
 
+        // Receive real-time changes from other users (and imports)
+        const handleYjs = ({ update }) => {
+            Y.applyUpdate(docRef.current, new Uint8Array(update), REMOTE);
+        };
+
+        const handleDraft = ({ elements, appends = [], discardIds = [] }) => {
+            elements.forEach((el) => draftsRef.current.set(el.id, el));
+            // More points of a stroke in progress
+            appends.forEach(({ id, points }) => {
+                draftsRef.current.get(id)?.points?.push(...points);
+            });
+            discardIds.forEach((id) => draftsRef.current.delete(id));
+            render();
+        };
+
+        // More of someone's highlighter mark (it fades out by itself)
+        const handleHighlight = ({ id, pageId: markPageId, strokeColor, strokeWidth, points }) => {
+            const mark = highlights.get(id) || { id, pageId: markPageId, strokeColor, strokeWidth, points: [] };
+            highlights.set(id, { ...mark, points: [...mark.points, ...points], updatedAt: Date.now() });
+            animateHighlights();
+        };
+
+        // Handle clear of one page (its elements left with the update before)
+        const handleClearEvent = ({ pageId: clearedPageId }) => {
+            removePageDrafts(clearedPageId);
+            resetHistory();
+            render();
+        };
+
         // Register listeners FIRST
         socket.on('load-whiteboard', handleLoad);
-        socket.on('draw', handleDraw);
+        socket.on('whiteboard-yjs', handleYjs);
+        socket.on('whiteboard-draft', handleDraft);
+        socket.on('whiteboard-pages', handlePages);
         socket.on('clear-whiteboard', handleClearEvent);
+        socket.on('whiteboard-highlight', handleHighlight);
+        socket.on('room-participants', handleParticipants);
+        socket.on('disconnect', handleDisconnect);
 
         // THEN request stored data
-        socket.emit('load-whiteboard', { roomId });
+        requestSync();
 
         return () => {
             socket.off('load-whiteboard', handleLoad);
-            socket.off('draw', handleDraw);
+            socket.off('whiteboard-yjs', handleYjs);
+            socket.off('whiteboard-draft', handleDraft);
+            socket.off('whiteboard-pages', handlePages);
             socket.off('clear-whiteboard', handleClearEvent);
+            socket.off('whiteboard-highlight', handleHighlight);
+            socket.off('room-participants', handleParticipants);
+            socket.off('disconnect', handleDisconnect);
+            syncedRef.current = false;
+
+            cancelAnimationFrame(fadeFrameRef.current);
+            fadeFrameRef.current = null;
+            highlights.clear();
+        };
+    }, [roomId, isVisible, canDraw, render, resetHistory, switchPage, removePageDrafts, animateHighlights]);
+
+    // ─── Presence ───
+
+    const setFollowingMode = useCallback((value) => {
+        followingRef.current = value;
+        setFollowing(value);
+    }, []);
+
+    /**
+     * Show the presenter's page and view
+     */
+    const followPresenter = useCallback(() => {
+        const target = presenterViewRef.current;
+        if (!target) return;
+        if (target.pageId && target.pageId !== pageIdRef.current) switchPage(target.pageId);
+        if (target.view) setView(target.view);
+    }, [switchPage, setView]);
+
+    const handleFollowToggle = () => {
+        setFollowingMode(!following);
+        if (!following) followPresenter();
+    };
+
+    const isPresenting = presenter?.socketId === socket.id;
+
+    const handlePresentToggle = () => {
+        socket.emit('whiteboard-present', {
+            roomId,
+            active: !isPresenting,
+            pageId: pageIdRef.current,
+            view: viewRef.current,
+        });
+    };
+
+    // Others' cursors, the presenter and their view
+    useEffect(() => {
+        if (!roomId || !isVisible) return;
+        const timers = cursorTimersRef.current;
+
+        const removeCursor = ({ socketId }) => {
+            clearTimeout(timers.get(socketId));
+            timers.delete(socketId);
+            setCursors((prev) => {
+                if (!prev[socketId]) return prev;
+                const { [socketId]: _, ...rest } = prev;
+                return rest;
+            });
+        };
+
+        const handleCursor = (cursor) => {
+            clearTimeout(timers.get(cursor.socketId));
+            timers.set(cursor.socketId, setTimeout(() => {
+                setCursors((prev) => (
+                    prev[cursor.socketId] ? { ...prev, [cursor.socketId]: { ...prev[cursor.socketId], idle: true } } : prev
+                ));
+            }, CURSOR_IDLE_MS));
+            setCursors((prev) => ({ ...prev, [cursor.socketId]: { ...cursor, idle: false } }));
+        };
+
+        const handlePresenter = (info) => {
+            setPresenter(info);
+            presenterViewRef.current = info ? { pageId: info.pageId, view: info.view } : null;
+            // A new presenter is followed by everyone (each can stop following)
+            if (info && info.socketId !== socket.id) {
+                setFollowingMode(true);
+                followPresenter();
+            }
+        };
+
+        const handleViewport = (viewport) => {
+            presenterViewRef.current = viewport;
+            if (followingRef.current) followPresenter();
+        };
+
+        socket.on('whiteboard-cursor', handleCursor);
+        socket.on('whiteboard-cursor-leave', removeCursor);
+        socket.on('user-left', removeCursor);
+        socket.on('whiteboard-presenter', handlePresenter);
+        socket.on('whiteboard-viewport', handleViewport);
+
+        return () => {
+            socket.off('whiteboard-cursor', handleCursor);
+            socket.off('whiteboard-cursor-leave', removeCursor);
+            socket.off('user-left', removeCursor);
+            socket.off('whiteboard-presenter', handlePresenter);
+            socket.off('whiteboard-viewport', handleViewport);
+
+            // Closing the board hides our cursor and ends our presentation (if we give one)
+            socket.emit('whiteboard-cursor-leave', { roomId });
+            socket.emit('whiteboard-present', { roomId, active: false });
+            timers.forEach(clearTimeout);
+            timers.clear();
+            setCursors({});
+            setPresenter(null);
+        };
+    }, [roomId, isVisible, setFollowingMode, followPresenter]);
+
+    // While presenting, send our page and view as they change
+    // (throttled, with the last change always sent)
+    useEffect(() => {
+        if (!isPresenting || !pageId) return;
+
+        const send = () => {
+            lastViewportAtRef.current = Date.now();
+            socket.volatile.emit('whiteboard-viewport', { roomId, pageId, view: shownView });
         };
-    }, [roomId, isVisible, drawLine]);
+        const wait = VIEWPORT_INTERVAL_MS - (Date.now() - lastViewportAtRef.current);
+        if (wait <= 0) {
+            send();
+            return;
+        }
+        const timer = setTimeout(send, wait);
+        return () => clearTimeout(timer);
+    }, [roomId, isPresenting, pageId, shownView]);
+
+    // Scroll pans, Ctrl/⌘ + scroll (or a pinch on a trackpad) zooms around the cursor.
+    // A native listener, because React's wheel listener is passive and cannot preventDefault.
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!isVisible || !canvas) return;
+
+        const handleWheel = (e) => {
+            e.preventDefault();
+            if (editingIdRef.current) return;
+
+            const view = viewRef.current;
+            if (e.ctrlKey || e.metaKey) {
+                const rect = canvas.getBoundingClientRect();
+                const sx = (e.clientX - rect.left) * (canvas.width / rect.width);
+                const sy = (e.clientY - rect.top) * (canvas.height / rect.height);
+                setView(zoomAt(view, Math.exp(-e.deltaY * 0.01), sx, sy));
+            } else {
+                setView({ ...view, x: view.x + e.deltaX / view.zoom, y: view.y + e.deltaY / view.zoom });
+            }
+        };
+
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    }, [isVisible, setView]);
+
+    // Keyboard: Ctrl+Z / Ctrl+Shift+Z undo and redo, Ctrl+C / Ctrl+V copy and paste,
+    // Ctrl+D duplicates, Delete removes the selection, Escape deselects,
+    // V / H pick the select / hand tool, holding Space pans
+    useEffect(() => {
+        if (!isVisible) return;
+
+        const handleKeyDown = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.key === ' ') {
+                e.preventDefault();
+                spaceHeldRef.current = true;
+            } else if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+                e.preventDefault();
+                if (!canDraw || interactionRef.current) return;
+                if (e.key === 'y' || e.shiftKey) redo();
+                else undo();
+            } else if ((e.ctrlKey || e.metaKey) && ['c', 'v', 'd'].includes(e.key.toLowerCase())) {
+                e.preventDefault();
+                if (interactionRef.current) return;
+                const key = e.key.toLowerCase();
+                if (key === 'c') copySelected();
+                else if (key === 'v') pasteElements(clipboardRef.current);
+                else duplicateSelected();
+            } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                deleteSelected();
+            } else if (e.key === 'Escape') {
+                setSelection([]);
+            } else if (e.key === 'v' || e.key === 'V') {
+                setTool('select');
+            } else if (e.key === 'h' || e.key === 'H') {
+                setTool('hand');
+            }
+        };
+
+        const handleKeyUp = (e) => {
+            if (e.key === ' ') spaceHeldRef.current = false;
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+        };
+    }, [isVisible, canDraw, undo, redo, deleteSelected, setSelection, copySelected, pasteElements, duplicateSelected]);
 
     if (!isVisible) return null;
 
+    const hasSelection = selectedIds.length > 0;
+    const visibleTools = canDraw ? TOOLS : TOOLS.filter((t) => t.id === 'select' || t.id === 'hand');
+    const pageIndex = pages.findIndex((p) => p.id === pageId);
+
+    // The text editor sits over the element, in CSS pixels
+    const editorScale = editing ? editing.scale * editing.view.zoom : 1;
+    const canvasCursor = tool === 'hand'
+        ? 'cursor-grab'
+        : tool === 'select' ? 'cursor-default'
+            : !canDraw ? 'cursor-not-allowed'
+                : tool === 'eraser' || tool === 'stroke-eraser' ? 'cursor-cell' : 'cursor-crosshair';
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm">
             <div className="bg-slate-800 rounded-2xl border border-slate-700 shadow-2xl w-[90vw] max-w-5xl overflow-hidden">
                 {/* Toolbar */}
                 <div className="flex items-center justify-between px-4 py-3 bg-slate-900 border-b border-slate-700">
-                    <div className="flex items-center gap-3">
+                    <div className="flex items-center gap-3 flex-wrap">
                         <h3 className="text-white font-semibold text-sm">Whiteboard</h3>
 
-                        {/* Color Picker */}
-                        <div className="flex gap-1.5 ml-4">
-                            {colors.map((c) => (
+                        {/* Tools */}
+                        <div className="flex gap-1 ml-2">
+                            {visibleTools.map((t) => (
                                 <button
-                                    key={c}
-                                    onClick={() => setColor(c)}
-                                    className={`w-6 h-6 rounded-full transition cursor-pointer ${color === c ? 'ring-2 ring-blue-400 ring-offset-2 ring-offset-slate-900' : ''
+                                    key={t.id}
+                                    onClick={() => setTool(t.id)}
+                                    className={`w-8 h-8 rounded-lg text-sm transition cursor-pointer ${tool === t.id ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                                         }`}
-                                    style={{ backgroundColor: c }}
-                                />
+                                    title={t.label}
+                                >
+                                    {t.icon}
+                                </button>
                             ))}
                         </div>
 
-                        {/* Line Width */}
-                        <div className="flex items-center gap-2 ml-4">
-                            <span className="text-slate-400 text-xs">Size:</span>
-                            <input
-                                type="range"
-                                min="1"
-                                max="20"
-                                value={lineWidth}
-                                onChange={(e) => setLineWidth(Number(e.target.value))}
-                                className="w-20 accent-blue-500"
-                            />
-                        </div>
+                        {/* Color Picker */}
+                        {canDraw && (
+                            <div className="flex gap-1.5 ml-2">
+                                {colors.map((c) => (
+                                    <button
+                                        key={c}
+                                        onClick={() => handleColorChange(c)}
+                                        className={`w-6 h-6 rounded-full transition cursor-pointer ${color === c ? 'ring-2 ring-blue-400 ring-offset-2 ring-offset-slate-900' : ''
+                                            }`}
+                                        style={{ backgroundColor: c }}
+                                    />
+                                ))}
+                            </div>
+                        )}
+
+                        {/* Line Width + Fill */}
+                        {canDraw && (
+                            <div className="flex items-center gap-2 ml-2">
+                                <span className="text-slate-400 text-xs">Size:</span>
+                                <input
+                                    type="range"
+                                    min="1"
+                                    max="20"
+                                    value={lineWidth}
+                                    onChange={(e) => handleLineWidthChange(Number(e.target.value))}
+                                    className="w-20 accent-blue-500"
+                                />
+                                <button
+                                    onClick={handleFillToggle}
+                                    className={`px-2 py-1 rounded text-xs transition cursor-pointer ${isFilled ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                        }`}
+                                    title="Fill rectangles and ellipses"
+                                >
+                                    Fill
+                                </button>
+                            </div>
+                        )}
                     </div>
 
                     <div className="flex items-center gap-2">
-                        <button
-                            onClick={handleClear}
-                            className="px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs transition cursor-pointer"
-                        >
-                            Clear
-                        </button>
+                        {canDraw && (
+                            <div className="flex gap-1">
+                                <button
+                                    onClick={undo}
+                                    disabled={!canUndo}
+                                    className="w-8 h-8 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm transition cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                                    title="Undo (Ctrl+Z)"
+                                >
+                                    ↶
+                                </button>
+                                <button
+                                    onClick={redo}
+                                    disabled={!canRedo}
+                                    className="w-8 h-8 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm transition cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                                    title="Redo (Ctrl+Shift+Z)"
+                                >
+                                    ↷
+                                </button>
+                            </div>
+                        )}
+                        {canDraw && hasSelection && (
+                            <button
+                                onClick={duplicateSelected}
+                                className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs transition cursor-pointer"
+                                title="Duplicate selection (Ctrl+D)"
+                            >
+                                ⧉ Duplicate
+                            </button>
+                        )}
+                        {canDraw && hasSelection && (
+                            <button
+                                onClick={deleteSelected}
+                                className="px-3 py-1.5 bg-slate-600 hover:bg-slate-500 text-white rounded-lg text-xs transition cursor-pointer"
+                                title="Delete selection (Del)"
+                            >
+                                🗑️ Delete
+                            </button>
+                        )}
+                        {canClear && (
+                            <button
+                                onClick={handleClear}
+                                className="px-3 py-1.5 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs transition cursor-pointer"
+                                title="Clear this page"
+                            >
+                                Clear
+                            </button>
+                        )}
+                        {canPresent && (
+                            <button
+                                onClick={handlePresentToggle}
+                                className={`px-3 py-1.5 rounded-lg text-xs transition cursor-pointer ${isPresenting ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-slate-600 hover:bg-slate-500 text-white'
+                                    }`}
+                                title={isPresenting ? 'Stop presenting' : 'Everyone following sees your page and view'}
+                            >
+                                {isPresenting ? '📡 Presenting' : '📡 Present'}
+                            </button>
+                        )}
+                        {/* Export / Import */}
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowTransfer(!showTransfer)}
+                                className={`px-3 py-1.5 rounded-lg text-xs transition cursor-pointer ${showTransfer ? 'bg-blue-600 text-white' : 'bg-slate-600 hover:bg-slate-500 text-white'
+                                    }`}
+                                title="Export or import"
+                            >
+                                ⇅ Export
+                            </button>
+                            {showTransfer && (
+                                <div className="absolute right-0 top-full mt-2 w-60 p-3 space-y-3 bg-slate-800 border border-slate-700 rounded-lg shadow-xl z-10">
+                                    <div className="flex gap-1">
+                                        {[false, true].map((all) => (
+                                            <button
+                                                key={String(all)}
+                                                onClick={() => setExportAllPages(all)}
+                                                className={`flex-1 px-2 py-1 rounded text-xs transition cursor-pointer ${exportAllPages === all ? 'bg-slate-600 text-white' : 'text-slate-400 hover:bg-slate-700 hover:text-white'
+                                                    }`}
+                                            >
+                                                {all ? 'All pages' : 'This page'}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="grid grid-cols-4 gap-1">
+                                        {EXPORT_FORMATS.map((format) => (
+                                            <button
+                                                key={format}
+                                                onClick={() => handleExport(format)}
+                                                disabled={transfer?.busy}
+                                                className="py-1.5 rounded bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs transition cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                                            >
+                                                {format.toUpperCase()}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {canDraw && (
+                                        <div className="pt-3 space-y-1 border-t border-slate-700">
+                                            <label className="block px-2 py-1.5 rounded text-xs text-slate-300 hover:bg-slate-700 transition cursor-pointer">
+                                                📥 Import board (JSON)
+                                                <input
+                                                    type="file"
+                                                    accept=".json,application/json"
+                                                    className="hidden"
+                                                    onChange={handleImportJson}
+                                                    disabled={transfer?.busy}
+                                                />
+                                            </label>
+                                            <label className="block px-2 py-1.5 rounded text-xs text-slate-300 hover:bg-slate-700 transition cursor-pointer">
+                                                🖼️ Background image
+                                                <input
+                                                    type="file"
+                                                    accept="image/png,image/jpeg,image/gif,image/webp"
+                                                    className="hidden"
+                                                    onChange={handleImportImage}
+                                                    disabled={transfer?.busy}
+                                                />
+                                            </label>
+                                        </div>
+                                    )}
+                                    {transfer && (
+                                        <p className={`text-xs ${transfer.isError ? 'text-red-400' : 'text-slate-400'}`}>
+                                            {transfer.message}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
                         {/* Close Button */}
                         <button
                             onClick={onClose}
@@ -184,17 +1693,190 @@ const Whiteboard = ({ roomId, isVisible, onClose }) => {
                     </div>
                 </div>
 
+                {/* Pages + Zoom */}
+                <div className="flex items-center justify-between gap-3 px-4 py-2 bg-slate-900/60 border-b border-slate-700">
+                    <div className="flex items-center gap-1 overflow-x-auto min-w-0">
+                        {pages.map((page) => (
+                            renaming?.pageId === page.id ? (
+                                <input
+                                    key={page.id}
+                                    autoFocus
+                                    value={renaming.name}
+                                    maxLength={60}
+                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                    onBlur={handleRenamePage}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') e.target.blur();
+                                        if (e.key === 'Escape') setRenaming(null);
+                                    }}
+                                    className="w-28 px-2 py-1 bg-slate-700 border border-blue-400 rounded text-white text-xs outline-none"
+                                />
+                            ) : (
+                                <button
+                                    key={page.id}
+                                    onClick={() => switchPage(page.id)}
+                                    onDoubleClick={() => canDraw && setRenaming({ pageId: page.id, name: page.name })}
+                                    className={`px-3 py-1 rounded text-xs whitespace-nowrap transition cursor-pointer ${page.id === pageId ? 'bg-slate-600 text-white' : 'text-slate-400 hover:bg-slate-700 hover:text-white'
+                                        }`}
+                                    title={canDraw ? 'Double-click to rename' : page.name}
+                                >
+                                    {page.name}
+                                </button>
+                            )
+                        ))}
+                        {canDraw && (
+                            <>
+                                <button
+                                    onClick={handleAddPage}
+                                    className="px-2 py-1 rounded text-xs text-slate-400 hover:bg-slate-700 hover:text-white transition cursor-pointer"
+                                    title="Add page"
+                                >
+                                    ＋
+                                </button>
+                                <button
+                                    onClick={() => handleMovePage(-1)}
+                                    disabled={pageIndex <= 0}
+                                    className="px-2 py-1 rounded text-xs text-slate-400 hover:bg-slate-700 hover:text-white transition cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed"
+                                    title="Move page left"
+                                >
+                                    ◀
+                                </button>
+                                <button
+                                    onClick={() => handleMovePage(1)}
+                                    disabled={pageIndex === -1 || pageIndex >= pages.length - 1}
+                                    className="px-2 py-1 rounded text-xs text-slate-400 hover:bg-slate-700 hover:text-white transition cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed"
+                                    title="Move page right"
+                                >
+                                    ▶
+                                </button>
+                            </>
+                        )}
+                        {canClear && pages.length > 1 && (
+                            <button
+                                onClick={handleDeletePage}
+                                className="px-2 py-1 rounded text-xs text-red-400 hover:bg-slate-700 transition cursor-pointer"
+                                title="Delete this page and everything on it"
+                            >
+                                🗑️
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="flex items-center gap-1 shrink-0">
+                        <button
+                            onClick={() => zoomBy(1 / ZOOM_STEP)}
+                            className="w-7 h-7 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm transition cursor-pointer"
+                            title="Zoom out"
+                        >
+                            −
+                        </button>
+                        <button
+                            onClick={() => setView({ ...viewRef.current, zoom: 1 })}
+                            className="w-14 h-7 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs transition cursor-pointer"
+                            title="Reset zoom"
+                        >
+                            {Math.round(shownView.zoom * 100)}%
+                        </button>
+                        <button
+                            onClick={() => zoomBy(ZOOM_STEP)}
+                            className="w-7 h-7 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm transition cursor-pointer"
+                            title="Zoom in"
+                        >
+                            +
+                        </button>
+                        <button
+                            onClick={zoomToFit}
+                            className="px-2 h-7 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs transition cursor-pointer"
+                            title="Show everything on this page"
+                        >
+                            Fit
+                        </button>
+                    </div>
+                </div>
+
+                {/* Presenter */}
+                {presenter && !isPresenting && (
+                    <div className="flex items-center justify-between gap-3 px-4 py-1.5 bg-blue-600/20 border-b border-blue-500/30 text-xs text-blue-200">
+                        <span>
+                            📡 {presenter.userName} is presenting{following ? ' — you are following their view' : ''}
+                        </span>
+                        <button
+                            onClick={handleFollowToggle}
+                            className="px-2 py-0.5 rounded bg-slate-700 hover:bg-slate-600 text-slate-200 transition cursor-pointer"
+                        >
+                            {following ? 'Stop following' : 'Follow'}
+                        </button>
+                    </div>
+                )}
+
                 {/* Canvas */}
-                <canvas
-                    ref={canvasRef}
-                    width={1280}
-                    height={720}
-                    className="w-full bg-slate-950 cursor-crosshair"
-                    onMouseDown={handleMouseDown}
-                    onMouseMove={handleMouseMove}
-                    onMouseUp={handleMouseUp}
-                    onMouseLeave={handleMouseUp}
-                />
+                <div className="relative overflow-hidden">
+                    <canvas
+                        ref={canvasRef}
+                        width={BOARD_WIDTH}
+                        height={BOARD_HEIGHT}
+                        className={`w-full bg-slate-950 touch-none select-none ${canvasCursor}`}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        onPointerLeave={() => socket.emit('whiteboard-cursor-leave', { roomId })}
+                        onDoubleClick={handleDoubleClick}
+                    />
+
+                    {/* Others' cursors on this page */}
+                    {Object.values(cursors)
+                        .filter((c) => c.pageId === pageId)
+                        .map((c) => {
+                            const left = ((c.x - shownView.x) * shownView.zoom / BOARD_WIDTH) * 100;
+                            const top = ((c.y - shownView.y) * shownView.zoom / BOARD_HEIGHT) * 100;
+                            if (left < 0 || left > 100 || top < 0 || top > 100) return null;
+                            const cursorFill = userColor(c.userId);
+                            return (
+                                <div
+                                    key={c.socketId}
+                                    className={`absolute pointer-events-none transition-opacity duration-700 ${c.idle ? 'opacity-0' : 'opacity-100'}`}
+                                    style={{ left: `${left}%`, top: `${top}%` }}
+                                >
+                                    <svg width="16" height="18" viewBox="0 0 16 18" className="drop-shadow">
+                                        <path d="M1 1 L1 15 L5 11 L8 17 L10.5 16 L7.5 10 L13 10 Z" fill={cursorFill} stroke="#ffffff" strokeWidth="1" />
+                                    </svg>
+                                    <span
+                                        className="absolute left-3.5 top-4 px-1.5 py-0.5 rounded text-[10px] font-medium text-white whitespace-nowrap"
+                                        style={{ backgroundColor: cursorFill }}
+                                    >
+                                        {c.userName}
+                                    </span>
+                                </div>
+                            );
+                        })}
+
+                    {/* Text / sticky note editor */}
+                    {editing && (
+                        <textarea
+                            autoFocus
+                            value={editing.text}
+                            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                            onBlur={finishEditing}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Escape') e.target.blur();
+                            }}
+                            className="absolute resize-none outline-none border border-blue-400 rounded"
+                            style={{
+                                left: (editing.element.x - editing.view.x) * editorScale,
+                                top: (editing.element.y - editing.view.y) * editorScale,
+                                width: editing.element.width * editorScale,
+                                minHeight: editing.element.height * editorScale,
+                                fontSize: editing.element.fontSize * editorScale,
+                                lineHeight: 1.3,
+                                padding: editing.element.type === 'sticky' ? 12 * editorScale : 0,
+                                color: editing.element.type === 'sticky' ? '#1e293b' : editing.element.strokeColor,
+                                backgroundColor: editing.element.type === 'sticky' ? editing.element.fillColor : 'transparent',
+                                fontFamily: 'sans-serif',
+                            }}
+                        />
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,192 @@
+import { useRef, useEffect, useState, useCallback } from 'react';
+import socket from '../socket/socket';
+import createSessionMixer from '../utils/sessionMixer';
+
+/**
+ * useRecording Hook
+ *
+ * Tracks whether the room is being recorded (everyone sees this), and lets
+ * a room owner record the session.
+ *
+ * Where the server can (mediasoup and FFmpeg), it moves the room to SFU and
+ * records it itself, answering recording-start with mode 'server' — nothing
+ * more to do here. Otherwise (mode 'browser', shown in the room) this browser mixes every tile into one stream
+ * (utils/sessionMixer.js) and sends MediaRecorder chunks to the server every
+ * second over the socket; leaving the room then ends the recording and the
+ * server saves what it has. Either way the server stores the video in GridFS
+ * with a whiteboard/chat timeline (see backend/src/sockets/recordingSocket.js).
+ */
+
+// How often MediaRecorder hands us a chunk to send
+const CHUNK_INTERVAL_MS = 1000;
+const VIDEO_BITS_PER_SECOND = 1500000;
+
+/**
+ * First container/codec combination this browser can record
+ */
+const pickMimeType = () => {
+    const candidates = ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9,opus', 'video/webm', 'video/mp4'];
+    return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * @param {string} roomId
+ * @param {Object} media - From useWebRTC
+ * @param {MediaStream|null} media.localStream
+ * @param {MediaStream|null} media.screenStream - Our own screen share
+ * @param {Object} media.remoteStreams
+ * @param {string} media.userName - Label for our own tile
+ * @param {Function} media.onError - Called with a message when recording cannot start or is stopped
+ */
+const useRecording = (roomId, { localStream, screenStream, remoteStreams, userName, onError }) => {
+    // { isRecording, mode, startedAt, recordedBy: { _id, name } }
+    const [recording, setRecording] = useState({ isRecording: false });
+    const [isRecorder, setIsRecorder] = useState(false);
+
+    const mixerRef = useRef(null);
+    const recorderRef = useRef(null);
+
+    /**
+     * Everything on screen, in the shape the mixer wants
+     */
+    const collectSources = useCallback(() => {
+        const sources = [];
+        if (localStream) {
+            sources.push({ id: 'local', stream: localStream, label: userName || 'You' });
+        }
+        if (screenStream) {
+            sources.push({ id: 'local-screen', stream: screenStream, label: userName, isScreen: true });
+        }
+        Object.entries(remoteStreams).forEach(([socketId, peer]) => {
+            if (peer.stream) {
+                sources.push({ id: socketId, stream: peer.stream, label: peer.userName, isScreen: peer.isScreen });
+            }
+            if (peer.screenStream) {
+                sources.push({ id: `${socketId}-screen`, stream: peer.screenStream, label: peer.userName, isScreen: true });
+            }
+        });
+        return sources;
+    }, [localStream, screenStream, remoteStreams, userName]);
+
+    /**
+     * Release the mixer and recorder (does not tell the server)
+     */
+    const teardown = useCallback(() => {
+        const recorder = recorderRef.current;
+        recorderRef.current = null;
+        if (recorder && recorder.state !== 'inactive') {
+            recorder.onstop = null;
+            recorder.stop();
+        }
+
+        mixerRef.current?.stop();
+        mixerRef.current = null;
+        setIsRecorder(false);
+    }, []);
+
+    /**
+     * Start recording this session (room owners only — the server checks)
+     */
+    const startRecording = useCallback(() => {
+        if (recorderRef.current) return;
+
+        const mimeType = pickMimeType();
+        const mixer = createSessionMixer();
+        mixer.setSources(collectSources());
+
+        let recorder;
+        try {
+            recorder = new MediaRecorder(mixer.stream, {
+                mimeType: mimeType || undefined,
+                videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+            });
+        } catch (err) {
+            console.error('❌ Failed to create MediaRecorder:', err);
+            mixer.stop();
+            onError?.('Recording is not supported in this browser');
+            return;
+        }
+
+        mixerRef.current = mixer;
+        recorderRef.current = recorder;
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                // Socket.IO sends Blobs as binary and keeps them in order
+                socket.emit('recording-chunk', { roomId, chunk: event.data });
+            }
+        };
+
+        // The last chunk is delivered before onstop, so the server has it all
+        recorder.onstop = () => {
+            socket.emit('recording-stop', { roomId });
+            teardown();
+        };
+
+        socket.emit('recording-start', { roomId, mimeType: recorder.mimeType }, (response) => {
+            if (!response?.success) {
+                onError?.(response?.message || 'Failed to start recording');
+                teardown();
+                return;
+            }
+            if (recorderRef.current !== recorder) return;
+
+            // The server records the media itself — drop our unused recorder
+            if (response.data?.mode === 'server') {
+                teardown();
+                return;
+            }
+
+            recorder.start(CHUNK_INTERVAL_MS);
+            setIsRecorder(true);
+        });
+    }, [roomId, collectSources, teardown, onError]);
+
+    /**
+     * Stop recording — our own, or (as an owner) someone else's
+     */
+    const stopRecording = useCallback(() => {
+        const recorder = recorderRef.current;
+        if (recorder && recorder.state !== 'inactive') {
+            recorder.stop(); // onstop tells the server
+        } else {
+            socket.emit('recording-stop', { roomId });
+        }
+    }, [roomId]);
+
+    // Keep the mix in step with people joining, leaving and sharing screens
+    useEffect(() => {
+        mixerRef.current?.setSources(collectSources());
+    }, [collectSources]);
+
+    useEffect(() => {
+        if (!roomId) return;
+
+        const handleRecordingState = (state) => {
+            setRecording(state);
+
+            // Another owner stopped it — the server has already saved it
+            if (!state.isRecording && recorderRef.current) {
+                teardown();
+            }
+            // Stopped by the server (e.g. too large)
+            if (state.message) onError?.(state.message);
+        };
+
+        socket.on('recording-state', handleRecordingState);
+
+        return () => {
+            socket.off('recording-state', handleRecordingState);
+            teardown();
+        };
+    }, [roomId, teardown, onError]);
+
+    return {
+        recording,
+        isRecorder,
+        startRecording,
+        stopRecording,
+    };
+};
+
+export default useRecording;
@@ -1,68 +1,221 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import socket from '../socket/socket';
+import API from '../api/axios';
+import createSfuSession from '../utils/sfuSession';
 
 /**
  * useWebRTC Hook
- * 
+ *
  * Manages peer-to-peer WebRTC connections in a mesh architecture.
  * Each participant creates a direct RTCPeerConnection to every other participant.
- * 
+ *
  * Flow:
  * 1. User joins room → receives list of existing participants
- * 2. For each existing participant, create an RTCPeerConnection and send offer
- * 3. When a new user joins, they receive offers from existing participants
+ * 2. For each existing participant, create an RTCPeerConnection
+ * 3. Adding tracks fires `negotiationneeded`, which sends the offer
  * 4. Exchange ICE candidates & answers to establish connections
  * 5. Remote streams are tracked and returned for video rendering
- * 
- * Mesh topology works well for 4–6 participants.
- * Not scalable beyond that — would need an SFU.
+ *
+ * Negotiation uses the "perfect negotiation" pattern: every connection has
+ * one polite and one impolite side (decided by comparing socket IDs), so
+ * offers that cross on the wire (glare) are resolved instead of failing.
+ * The polite side rolls back its own offer; the impolite side ignores theirs.
+ * Any later change (screen share, ICE restart) renegotiates the same way.
+ *
+ * ICE candidates that arrive before the remote description are queued and
+ * added once it is set. A connection that goes `disconnected` gets a grace
+ * period to recover on its own, then an ICE restart; `failed` restarts
+ * immediately, with backoff while the peer is still in the room.
+ *
+ * ICE servers (STUN + TURN with short-lived credentials) come from
+ * GET /api/rtc/ice-servers before any peer connection is created, and are
+ * re-fetched before an ICE restart if the TURN credentials are about to expire.
+ *
+ * Screen sharing (getDisplayMedia) has two modes:
+ * - 'replace': the screen track replaces our camera track on every video
+ *   sender (replaceTrack — no renegotiation needed)
+ * - 'add': the screen is sent as a second stream next to the camera
+ *   (addTrack + renegotiation)
+ * A 'screen-share' socket signal tells peers which stream is the screen.
+ *
+ * Mesh topology works well for 4–6 participants. Above the server's
+ * threshold a room switches to SFU mode ('media-mode' socket event): the
+ * mesh connections are closed and media goes through the server's mediasoup
+ * router instead (see utils/sfuSession.js). Remote tiles keep the same shape
+ * in both modes, so the UI does not care which one is in use.
  */
 
-// STUN servers for NAT traversal
-const ICE_SERVERS = {
-    iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-    ],
+// Used only if the backend ICE server list cannot be fetched
+const FALLBACK_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+];
+
+// Re-fetch TURN credentials this long before they expire
+const ICE_CREDENTIAL_MARGIN_MS = 60000;
+
+// How long a `disconnected` connection may try to recover before an ICE restart
+const DISCONNECT_GRACE_MS = 4000;
+// Backoff between repeated ICE restarts while a connection stays down
+const ICE_RESTART_BASE_DELAY_MS = 2000;
+const ICE_RESTART_MAX_DELAY_MS = 30000;
+
+/**
+ * Fetch the ICE server list (with TURN credentials) from the backend
+ * @returns {Promise<{ iceServers: RTCIceServer[], expiresAt: number|null }>}
+ */
+const fetchIceConfig = async () => {
+    try {
+        const { data } = await API.get('/rtc/ice-servers');
+        return {
+            iceServers: data.data.iceServers,
+            expiresAt: data.data.expiresAt ? new Date(data.data.expiresAt).getTime() : null,
+        };
+    } catch (error) {
+        console.error('❌ Failed to fetch ICE servers, using public STUN only:', error);
+        return { iceServers: FALLBACK_ICE_SERVERS, expiresAt: null };
+    }
+};
+
+/**
+ * Get user media (camera + microphone), falling back to audio only
+ */
+const getLocalStream = async () => {
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            video: true,
+            audio: true,
+        });
+    } catch (error) {
+        console.error('❌ Failed to get local media:', error);
+        // Fallback: try audio only
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                video: false,
+                audio: true,
+            });
+        } catch (audioError) {
+            console.error('❌ Failed to get any media:', audioError);
+            return null;
+        }
+    }
 };
 
 const useWebRTC = (roomId) => {
     const [localStream, setLocalStream] = useState(null);
-    const [remoteStreams, setRemoteStreams] = useState({}); // { socketId: { stream, userName } }
+    // { socketId: { stream, userName, isScreen, screenStream, connectionState } }
+    // isScreen — `stream` carries their screen instead of a camera ('replace' mode)
+    // screenStream — their screen as a separate stream ('add' mode)
+    const [remoteStreams, setRemoteStreams] = useState({});
     const [isAudioMuted, setIsAudioMuted] = useState(false);
     const [isVideoOff, setIsVideoOff] = useState(false);
+    const [screenStream, setScreenStream] = useState(null);
 
     // Refs to persist across renders
     const peerConnections = useRef({}); // { socketId: RTCPeerConnection }
+    const negotiationRef = useRef({}); // { socketId: { polite, makingOffer, ignoreOffer, restartTimer, restartAttempts } }
+    const pendingCandidatesRef = useRef({}); // { socketId: RTCIceCandidateInit[] }
     const localStreamRef = useRef(null);
+    const mediaReadyRef = useRef(Promise.resolve(null));
+    const iceConfigRef = useRef({ iceServers: FALLBACK_ICE_SERVERS, expiresAt: null });
     const participantsRef = useRef({}); // { socketId: userName }
+    const screenStreamRef = useRef(null);
+    const screenModeRef = useRef(null); // 'replace' | 'add' while sharing
+    const screenSendersRef = useRef({}); // { socketId: RTCRtpSender } in 'add' mode
+    const remoteScreensRef = useRef({}); // { socketId: { streamId, mode } }
+    const mediaModeRef = useRef('mesh'); // 'mesh' | 'sfu'
+    const sfuSessionRef = useRef(null);
+    const sfuProducersRef = useRef({}); // { mic, camera, screen } in SFU mode
 
     /**
-     * Get user media (camera + microphone)
+     * Patch the stored info for one remote peer (no-op if we have no tile for them yet)
      */
-    const getLocalStream = useCallback(async () => {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: true,
-                audio: true,
-            });
-            localStreamRef.current = stream;
-            setLocalStream(stream);
-            return stream;
-        } catch (error) {
-            console.error('❌ Failed to get local media:', error);
-            // Fallback: try audio only
+    const updateRemotePeer = useCallback((socketId, changes) => {
+        setRemoteStreams((prev) => {
+            if (!prev[socketId]) return prev;
+            return { ...prev, [socketId]: { ...prev[socketId], ...changes } };
+        });
+    }, []);
+
+    /**
+     * Remove and clean up a peer connection
+     */
+    const removePeerConnection = useCallback((socketId) => {
+        clearTimeout(negotiationRef.current[socketId]?.restartTimer);
+        delete negotiationRef.current[socketId];
+        delete pendingCandidatesRef.current[socketId];
+
+        peerConnections.current[socketId]?.close();
+        delete peerConnections.current[socketId];
+        delete participantsRef.current[socketId];
+        delete screenSendersRef.current[socketId];
+        delete remoteScreensRef.current[socketId];
+
+        // In SFU mode there is no connection, only the tile
+        setRemoteStreams((prev) => {
+            if (!prev[socketId]) return prev;
+            const updated = { ...prev };
+            delete updated[socketId];
+            return updated;
+        });
+    }, []);
+
+    /**
+     * Current ICE config, re-fetched if the TURN credentials are about to expire
+     */
+    const getIceConfig = useCallback(async () => {
+        const { expiresAt } = iceConfigRef.current;
+        if (expiresAt && expiresAt - Date.now() < ICE_CREDENTIAL_MARGIN_MS) {
+            iceConfigRef.current = await fetchIceConfig();
+        }
+        return iceConfigRef.current;
+    }, []);
+
+    /**
+     * Restart ICE on a connection that is down, retrying with backoff
+     * until it reconnects or the peer leaves.
+     */
+    const scheduleIceRestart = useCallback((remoteSocketId, delay) => {
+        const state = negotiationRef.current[remoteSocketId];
+        if (!state || state.restartTimer) return;
+
+        state.restartTimer = setTimeout(async () => {
+            state.restartTimer = null;
+
+            const pc = peerConnections.current[remoteSocketId];
+            if (!pc || pc.connectionState === 'connected' || pc.connectionState === 'closed') return;
+
+            state.restartAttempts += 1;
+            console.log(`🔄 ICE restart with ${remoteSocketId} (attempt ${state.restartAttempts})`);
+
+            // TURN credentials may have expired during a long call
+            const { iceServers } = await getIceConfig();
+            if (pc.connectionState === 'closed') return;
+            pc.setConfiguration({ iceServers });
+
+            // Fires negotiationneeded → new offer with fresh ICE credentials
+            pc.restartIce();
+
+            scheduleIceRestart(
+                remoteSocketId,
+                Math.min(ICE_RESTART_BASE_DELAY_MS * 2 ** state.restartAttempts, ICE_RESTART_MAX_DELAY_MS)
+            );
+        }, delay);
+    }, [getIceConfig]);
+
+    /**
+     * Add ICE candidates that arrived before the remote description
+     */
+    const flushPendingCandidates = useCallback(async (remoteSocketId) => {
+        const pc = peerConnections.current[remoteSocketId];
+        const queued = pendingCandidatesRef.current[remoteSocketId] || [];
+        delete pendingCandidatesRef.current[remoteSocketId];
+
+        for (const candidate of queued) {
             try {
-                const audioStream = await navigator.mediaDevices.getUserMedia({
-                    video: false,
-                    audio: true,
-                });
-                localStreamRef.current = audioStream;
-                setLocalStream(audioStream);
-                return audioStream;
-            } catch (audioError) {
-                console.error('❌ Failed to get any media:', audioError);
-                return null;
+                await pc.addIceCandidate(candidate);
+            } catch (error) {
+                console.error('❌ Failed to add queued ICE candidate:', error);
             }
         }
     }, []);
@@ -76,15 +229,67 @@ const useWebRTC = (roomId) => {
             return peerConnections.current[remoteSocketId];
         }
 
-        const pc = new RTCPeerConnection(ICE_SERVERS);
+        const pc = new RTCPeerConnection({ iceServers: iceConfigRef.current.iceServers });
+        const state = {
+            // Both sides compute the same answer, so exactly one of them is polite
+            polite: socket.id < remoteSocketId,
+            makingOffer: false,
+            ignoreOffer: false,
+            restartTimer: null,
+            restartAttempts: 0,
+        };
+        negotiationRef.current[remoteSocketId] = state;
+        peerConnections.current[remoteSocketId] = pc;
+        participantsRef.current[remoteSocketId] = userName;
+
+        const screenTrack = screenStreamRef.current?.getVideoTracks()[0];
 
         // Add local tracks to the connection
+        // (while presenting in 'replace' mode the screen goes out instead of the camera)
         if (localStreamRef.current) {
             localStreamRef.current.getTracks().forEach((track) => {
-                pc.addTrack(track, localStreamRef.current);
+                const outgoing = track.kind === 'video' && screenModeRef.current === 'replace'
+                    ? screenTrack
+                    : track;
+                pc.addTrack(outgoing, localStreamRef.current);
+            });
+        }
+
+        // Still receive what we cannot send (no camera / no media at all)
+        ['audio', 'video'].forEach((kind) => {
+            const hasKind = pc.getSenders().some((s) => s.track?.kind === kind);
+            if (!hasKind) {
+                pc.addTransceiver(kind, { direction: 'recvonly' });
+            }
+        });
+
+        // Already presenting: tell the new peer before any SDP reaches them
+        if (screenTrack) {
+            if (screenModeRef.current === 'add') {
+                screenSendersRef.current[remoteSocketId] = pc.addTrack(screenTrack, screenStreamRef.current);
+            }
+            socket.emit('screen-share', {
+                roomId,
+                to: remoteSocketId,
+                active: true,
+                streamId: screenStreamRef.current.id,
+                mode: screenModeRef.current,
             });
         }
 
+        // Every change that needs an offer (initial tracks, screen share, ICE restart)
+        pc.onnegotiationneeded = async () => {
+            try {
+                state.makingOffer = true;
+                await pc.setLocalDescription();
+                socket.emit('offer', { to: remoteSocketId, offer: pc.localDescription });
+            } catch (error) {
+                console.error('❌ Failed to create offer:', error);
+            } finally {
+                state.makingOffer = false;
+            }
+        };
+
         // Handle ICE candidates
         pc.onicecandidate = (event) => {
             if (event.candidate) {
@@ -95,104 +300,371 @@ const useWebRTC = (roomId) => {
             }
         };
 
-        // Handle remote stream
+        // Handle remote stream — tell camera and screen apart
         pc.ontrack = (event) => {
             const [remoteStream] = event.streams;
-            setRemoteStreams((prev) => ({
-                ...prev,
-                [remoteSocketId]: {
-                    stream: remoteStream,
+            if (!remoteStream) return;
+            const screenInfo = remoteScreensRef.current[remoteSocketId];
+
+            setRemoteStreams((prev) => {
+                const peer = prev[remoteSocketId] || {
                     userName: userName || participantsRef.current[remoteSocketId] || 'Unknown',
-                },
-            }));
+                    connectionState: pc.connectionState,
+                };
+                // A second stream from the same peer can only be a screen
+                const isSecondStream = screenInfo?.streamId === remoteStream.id
+                    || (peer.stream && peer.stream.id !== remoteStream.id);
+
+                return {
+                    ...prev,
+                    [remoteSocketId]: isSecondStream
+                        ? { ...peer, screenStream: remoteStream }
+                        : { ...peer, stream: remoteStream, isScreen: screenInfo?.mode === 'replace' },
+                };
+            });
         };
 
-        // Handle connection state changes
+        // Recover instead of tearing down — the peer is removed only when they leave
         pc.onconnectionstatechange = () => {
-            if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-                removePeerConnection(remoteSocketId);
+            switch (pc.connectionState) {
+                case 'connected':
+                    clearTimeout(state.restartTimer);
+                    state.restartTimer = null;
+                    state.restartAttempts = 0;
+                    break;
+                case 'disconnected':
+                    // Often transient (Wi-Fi roaming) — give it a moment first
+                    scheduleIceRestart(remoteSocketId, DISCONNECT_GRACE_MS);
+                    break;
+                case 'failed':
+                    clearTimeout(state.restartTimer);
+                    state.restartTimer = null;
+                    scheduleIceRestart(remoteSocketId, 0);
+                    break;
+                default:
+                    break;
             }
+            updateRemotePeer(remoteSocketId, { connectionState: pc.connectionState });
         };
 
-        peerConnections.current[remoteSocketId] = pc;
-        participantsRef.current[remoteSocketId] = userName;
-
         return pc;
-    }, []);
+    }, [roomId, scheduleIceRestart, updateRemotePeer]);
 
     /**
-     * Remove and clean up a peer connection
+     * Handle an incoming offer or answer (perfect negotiation)
      */
-    const removePeerConnection = useCallback((socketId) => {
-        if (peerConnections.current[socketId]) {
-            peerConnections.current[socketId].close();
-            delete peerConnections.current[socketId];
-            delete participantsRef.current[socketId];
+    const handleDescription = useCallback(async (from, description) => {
+        // Wait for media and ICE servers so the connection is set up complete
+        await mediaReadyRef.current;
 
-            setRemoteStreams((prev) => {
-                const updated = { ...prev };
-                delete updated[socketId];
-                return updated;
-            });
+        // A late offer from before the switch — media goes through the router now
+        if (mediaModeRef.current === 'sfu') return;
+
+        const userName = participantsRef.current[from] || 'Unknown';
+        const pc = createPeerConnection(from, userName);
+        const state = negotiationRef.current[from];
+
+        try {
+            const offerCollision = description.type === 'offer'
+                && (state.makingOffer || pc.signalingState !== 'stable');
+
+            state.ignoreOffer = !state.polite && offerCollision;
+            if (state.ignoreOffer) return;
+
+            // On collision the polite side implicitly rolls back its own offer here
+            await pc.setRemoteDescription(description);
+            await flushPendingCandidates(from);
+
+            if (description.type === 'offer') {
+                await pc.setLocalDescription();
+                socket.emit('answer', { to: from, answer: pc.localDescription });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to handle ${description.type}:`, error);
         }
-    }, []);
+    }, [createPeerConnection, flushPendingCandidates]);
+
+    const handleOffer = useCallback(({ from, offer }) => handleDescription(from, offer), [handleDescription]);
+
+    const handleAnswer = useCallback(({ from, answer }) => handleDescription(from, answer), [handleDescription]);
 
     /**
-     * Create and send an offer to a remote peer
+     * Handle incoming ICE candidate — queue it until the remote description is set
      */
-    const createOffer = useCallback(async (remoteSocketId, userName) => {
-        const pc = createPeerConnection(remoteSocketId, userName);
+    const handleIceCandidate = useCallback(async ({ from, candidate }) => {
+        const pc = peerConnections.current[from];
+
+        if (!pc || !pc.remoteDescription) {
+            if (!pendingCandidatesRef.current[from]) {
+                pendingCandidatesRef.current[from] = [];
+            }
+            pendingCandidatesRef.current[from].push(candidate);
+            return;
+        }
+
         try {
-            const offer = await pc.createOffer();
-            await pc.setLocalDescription(offer);
-            socket.emit('offer', { to: remoteSocketId, offer });
+            await pc.addIceCandidate(candidate);
         } catch (error) {
-            console.error('❌ Failed to create offer:', error);
+            // Candidates for an offer we deliberately ignored are expected to fail
+            if (!negotiationRef.current[from]?.ignoreOffer) {
+                console.error('❌ Failed to add ICE candidate:', error);
+            }
         }
-    }, [createPeerConnection]);
+    }, []);
 
     /**
-     * Handle incoming offer — create answer
+     * Stop sharing the screen and put the camera back
      */
-    const handleOffer = useCallback(async ({ from, offer }) => {
-        const userName = participantsRef.current[from] || 'Unknown';
-        const pc = createPeerConnection(from, userName);
+    const stopScreenShare = useCallback(() => {
+        const stream = screenStreamRef.current;
+        if (!stream) return;
+
+        const [screenTrack] = stream.getVideoTracks();
+        const cameraTrack = localStreamRef.current?.getVideoTracks()[0] || null;
+        const mode = screenModeRef.current;
+
+        screenStreamRef.current = null;
+        screenModeRef.current = null;
+
+        socket.emit('screen-share', { roomId, active: false });
+
+        if (sfuSessionRef.current) {
+            if (mode === 'replace') {
+                sfuProducersRef.current.camera?.replaceTrack({ track: cameraTrack }).catch((error) => {
+                    console.error('❌ Failed to restore camera track:', error);
+                });
+            } else {
+                sfuSessionRef.current.closeProducer(sfuProducersRef.current.screen);
+                delete sfuProducersRef.current.screen;
+            }
+        }
+
+        Object.entries(peerConnections.current).forEach(([socketId, pc]) => {
+            if (mode === 'replace') {
+                const sender = pc.getSenders().find((s) => s.track === screenTrack);
+                sender?.replaceTrack(cameraTrack).catch((error) => {
+                    console.error('❌ Failed to restore camera track:', error);
+                });
+            } else if (screenSendersRef.current[socketId]) {
+                // Triggers negotiationneeded
+                pc.removeTrack(screenSendersRef.current[socketId]);
+            }
+        });
+
+        screenSendersRef.current = {};
+        stream.getTracks().forEach((track) => track.stop());
+        setScreenStream(null);
+    }, [roomId]);
+
+    /**
+     * Start sharing the screen
+     * @param {Object} options
+     * @param {boolean} options.withCamera - Keep the camera on and send the screen as a second stream
+     */
+    const startScreenShare = useCallback(async ({ withCamera = false } = {}) => {
+        if (screenStreamRef.current) return;
+
+        let stream;
         try {
-            await pc.setRemoteDescription(new RTCSessionDescription(offer));
-            const answer = await pc.createAnswer();
-            await pc.setLocalDescription(answer);
-            socket.emit('answer', { to: from, answer });
+            stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
         } catch (error) {
-            console.error('❌ Failed to handle offer:', error);
+            // User cancelled the picker or permission was denied
+            console.error('❌ Failed to get display media:', error);
+            return;
         }
-    }, [createPeerConnection]);
+
+        const [screenTrack] = stream.getVideoTracks();
+        screenTrack.contentHint = 'detail';
+
+        // Without a camera track there is nothing to replace
+        const hasCamera = Boolean(localStreamRef.current?.getVideoTracks().length);
+        const mode = withCamera || !hasCamera ? 'add' : 'replace';
+
+        screenStreamRef.current = stream;
+        screenModeRef.current = mode;
+        setScreenStream(stream);
+
+        // Browser "Stop sharing" button ends the track
+        screenTrack.onended = stopScreenShare;
+
+        // Signal first so peers can classify the track when it arrives
+        socket.emit('screen-share', { roomId, active: true, streamId: stream.id, mode });
+
+        const session = sfuSessionRef.current;
+        if (session) {
+            if (mode === 'replace') {
+                sfuProducersRef.current.camera?.replaceTrack({ track: screenTrack }).catch((error) => {
+                    console.error('❌ Failed to replace video track:', error);
+                });
+            } else {
+                session.produce(screenTrack, 'screen')
+                    .then((producer) => {
+                        // Stopped again while the producer was being created
+                        if (screenStreamRef.current === stream) {
+                            sfuProducersRef.current.screen = producer;
+                        } else {
+                            session.closeProducer(producer);
+                        }
+                    })
+                    .catch((error) => {
+                        console.error('❌ Failed to share screen through the SFU:', error);
+                    });
+            }
+        }
+
+        Object.entries(peerConnections.current).forEach(([socketId, pc]) => {
+            if (mode === 'replace') {
+                const sender = pc.getSenders().find((s) => s.track?.kind === 'video');
+                sender?.replaceTrack(screenTrack).catch((error) => {
+                    console.error('❌ Failed to replace video track:', error);
+                });
+            } else {
+                // Triggers negotiationneeded
+                screenSendersRef.current[socketId] = pc.addTrack(screenTrack, stream);
+            }
+        });
+    }, [roomId, stopScreenShare]);
 
     /**
-     * Handle incoming answer
+     * Handle a peer starting or stopping a screen share
      */
-    const handleAnswer = useCallback(async ({ from, answer }) => {
-        const pc = peerConnections.current[from];
-        if (pc) {
-            try {
-                await pc.setRemoteDescription(new RTCSessionDescription(answer));
-            } catch (error) {
-                console.error('❌ Failed to handle answer:', error);
-            }
+    const handleScreenShare = useCallback(({ from, active, streamId, mode }) => {
+        if (active) {
+            remoteScreensRef.current[from] = { streamId, mode };
+        } else {
+            delete remoteScreensRef.current[from];
         }
+
+        setRemoteStreams((prev) => {
+            if (!prev[from]) return prev;
+            return {
+                ...prev,
+                [from]: {
+                    ...prev[from],
+                    isScreen: active && mode === 'replace',
+                    screenStream: active ? prev[from].screenStream : null,
+                },
+            };
+        });
     }, []);
 
     /**
-     * Handle incoming ICE candidate
+     * Add a track received through the SFU to its sender's tile
      */
-    const handleIceCandidate = useCallback(async ({ from, candidate }) => {
-        const pc = peerConnections.current[from];
-        if (pc) {
-            try {
-                await pc.addIceCandidate(new RTCIceCandidate(candidate));
-            } catch (error) {
-                console.error('❌ Failed to add ICE candidate:', error);
+    const handleSfuTrack = useCallback(({ socketId, userName, source, track }) => {
+        const screenInfo = remoteScreensRef.current[socketId];
+
+        setRemoteStreams((prev) => {
+            const peer = prev[socketId] || {
+                userName: userName || participantsRef.current[socketId] || 'Unknown',
+                connectionState: 'connected',
+            };
+
+            if (source === 'screen') {
+                return { ...prev, [socketId]: { ...peer, screenStream: new MediaStream([track]) } };
+            }
+
+            // Mic and camera arrive as separate consumers — keep one stream per person
+            const tracks = peer.stream ? peer.stream.getTracks() : [];
+            return {
+                ...prev,
+                [socketId]: {
+                    ...peer,
+                    stream: new MediaStream([...tracks, track]),
+                    isScreen: screenInfo?.mode === 'replace',
+                },
+            };
+        });
+    }, []);
+
+    /**
+     * Remove a track that stopped coming through the SFU
+     */
+    const handleSfuTrackEnded = useCallback(({ socketId, source, track }) => {
+        setRemoteStreams((prev) => {
+            const peer = prev[socketId];
+            if (!peer) return prev;
+
+            if (source === 'screen') {
+                return { ...prev, [socketId]: { ...peer, screenStream: null } };
+            }
+
+            const tracks = peer.stream ? peer.stream.getTracks().filter((t) => t !== track) : [];
+            return { ...prev, [socketId]: { ...peer, stream: new MediaStream(tracks) } };
+        });
+    }, []);
+
+    /**
+     * All SFU media shares one receive transport, so every tile shares its state
+     */
+    const handleSfuConnectionState = useCallback((connectionState) => {
+        setRemoteStreams((prev) => {
+            const updated = {};
+            Object.entries(prev).forEach(([socketId, peer]) => {
+                updated[socketId] = { ...peer, connectionState };
+            });
+            return updated;
+        });
+    }, []);
+
+    /**
+     * Join the room's SFU router (does not send anything yet)
+     */
+    const startSfuSession = useCallback(async () => {
+        // TURN credentials may have expired while we were in mesh mode
+        const { iceServers } = await getIceConfig();
+
+        return createSfuSession({
+            roomId,
+            iceServers,
+            onTrack: handleSfuTrack,
+            onTrackEnded: handleSfuTrackEnded,
+            onConnectionStateChange: handleSfuConnectionState,
+        });
+    }, [roomId, getIceConfig, handleSfuTrack, handleSfuTrackEnded, handleSfuConnectionState]);
+
+    /**
+     * Send our mic, camera and (if presenting) screen through the SFU
+     */
+    const produceLocalTracks = useCallback(async (session) => {
+        const [audioTrack] = localStreamRef.current?.getAudioTracks() || [];
+        const [cameraTrack] = localStreamRef.current?.getVideoTracks() || [];
+        const screenTrack = screenStreamRef.current?.getVideoTracks()[0];
+
+        try {
+            if (audioTrack) {
+                sfuProducersRef.current.mic = await session.produce(audioTrack, 'mic');
             }
+            if (cameraTrack) {
+                // While presenting in 'replace' mode the screen goes out instead of the camera
+                const outgoing = screenModeRef.current === 'replace' ? screenTrack : cameraTrack;
+                sfuProducersRef.current.camera = await session.produce(outgoing, 'camera');
+            }
+            if (screenTrack && screenModeRef.current === 'add') {
+                sfuProducersRef.current.screen = await session.produce(screenTrack, 'screen');
+            }
+        } catch (error) {
+            console.error('❌ Failed to send media through the SFU:', error);
         }
+
+        // Peers dropped what they knew about our screen along with the mesh connections
+        if (screenStreamRef.current) {
+            socket.emit('screen-share', {
+                roomId,
+                active: true,
+                streamId: screenStreamRef.current.id,
+                mode: screenModeRef.current,
+            });
+        }
+    }, [roomId]);
+
+    /**
+     * Leave the SFU router (keeps local media)
+     */
+    const stopSfuSession = useCallback(() => {
+        sfuSessionRef.current?.close();
+        sfuSessionRef.current = null;
+        sfuProducersRef.current = {};
     }, []);
 
     /**
@@ -220,15 +692,50 @@ const useWebRTC = (roomId) => {
     }, []);
 
     /**
-     * Clean up all connections and streams
+     * Handle a moderator forcing our mic or camera off.
+     * Only switches tracks off — the user can turn them back on themselves.
      */
-    const cleanup = useCallback(() => {
-        // Close all peer connections
+    const handleForceMute = useCallback(({ kind }) => {
+        if (!localStreamRef.current) return;
+
+        const tracks = kind === 'audio'
+            ? localStreamRef.current.getAudioTracks()
+            : localStreamRef.current.getVideoTracks();
+        tracks.forEach((track) => {
+            track.enabled = false;
+        });
+
+        if (kind === 'audio') setIsAudioMuted(true);
+        else setIsVideoOff(true);
+    }, []);
+
+    /**
+     * Close every peer connection (keeps local media)
+     */
+    const closeAllPeers = useCallback(() => {
         Object.keys(peerConnections.current).forEach((socketId) => {
-            peerConnections.current[socketId].close();
+            removePeerConnection(socketId);
         });
-        peerConnections.current = {};
+        pendingCandidatesRef.current = {};
+    }, [removePeerConnection]);
+
+    /**
+     * Clean up all connections and streams
+     */
+    const cleanup = useCallback(() => {
+        closeAllPeers();
+        stopSfuSession();
+        mediaModeRef.current = 'mesh';
         participantsRef.current = {};
+        screenSendersRef.current = {};
+        remoteScreensRef.current = {};
+
+        // Stop screen share tracks
+        if (screenStreamRef.current) {
+            screenStreamRef.current.getTracks().forEach((track) => track.stop());
+            screenStreamRef.current = null;
+            screenModeRef.current = null;
+        }
 
         // Stop local stream tracks
         if (localStreamRef.current) {
@@ -237,8 +744,9 @@ const useWebRTC = (roomId) => {
         }
 
         setLocalStream(null);
+        setScreenStream(null);
         setRemoteStreams({});
-    }, []);
+    }, [closeAllPeers, stopSfuSession]);
 
     /**
      * Initialize WebRTC — get media and set up socket listeners
@@ -246,55 +754,160 @@ const useWebRTC = (roomId) => {
     useEffect(() => {
         if (!roomId) return;
 
-        const init = async () => {
-            await getLocalStream();
+        let isActive = true;
+
+        // Listeners are registered right away; anything that creates a
+        // peer connection waits for media and ICE servers first.
+        mediaReadyRef.current = Promise.all([getLocalStream(), fetchIceConfig()]).then(([stream, iceConfig]) => {
+            if (!isActive) {
+                // Unmounted while the permission prompt was open
+                stream?.getTracks().forEach((track) => track.stop());
+                return null;
+            }
+            iceConfigRef.current = iceConfig;
+            localStreamRef.current = stream;
+            setLocalStream(stream);
+            return stream;
+        });
 
-            // ─── Socket Listeners for WebRTC ───
+        // ─── Socket Listeners for WebRTC ───
 
-            // When we receive the list of existing participants, create offers to each
-            socket.on('room-participants', (participants) => {
-                participants.forEach((p) => {
-                    if (p.socketId !== socket.id) {
-                        participantsRef.current[p.socketId] = p.userName;
-                        createOffer(p.socketId, p.userName);
-                    }
-                });
+        // When we receive the list of existing participants, connect to each
+        // (adding our tracks fires negotiationneeded, which sends the offer)
+        // (in SFU mode only the names are kept — media comes from the router)
+        const handleParticipants = async (participants) => {
+            participants.forEach((p) => {
+                if (p.socketId !== socket.id) {
+                    participantsRef.current[p.socketId] = p.userName;
+                }
             });
 
-            // When a new user joins, store their info (they will send us an offer)
-            socket.on('user-joined', ({ socketId, userName }) => {
-                participantsRef.current[socketId] = userName;
-            });
+            await mediaReadyRef.current;
+            if (!isActive || mediaModeRef.current === 'sfu') return;
 
-            // Handle incoming signaling data
-            socket.on('offer', handleOffer);
-            socket.on('answer', handleAnswer);
-            socket.on('ice-candidate', handleIceCandidate);
+            // A rejoin after hours in the room should not use expired TURN credentials
+            await getIceConfig();
 
-            // When a user leaves, clean up their peer connection
-            socket.on('user-left', ({ socketId }) => {
-                removePeerConnection(socketId);
+            participants.forEach((p) => {
+                if (p.socketId !== socket.id) {
+                    createPeerConnection(p.socketId, p.userName);
+                }
             });
         };
 
-        init();
+        // When a new user joins, store their info (they will send us an offer)
+        const handleUserJoined = ({ socketId, userName }) => {
+            participantsRef.current[socketId] = userName;
+
+            // In mesh mode createPeerConnection tells them; here nobody else will
+            if (mediaModeRef.current === 'sfu' && screenStreamRef.current) {
+                socket.emit('screen-share', {
+                    roomId,
+                    to: socketId,
+                    active: true,
+                    streamId: screenStreamRef.current.id,
+                    mode: screenModeRef.current,
+                });
+            }
+        };
+
+        // When a user leaves, clean up their peer connection
+        const handleUserLeft = ({ socketId }) => {
+            removePeerConnection(socketId);
+        };
+
+        // Our socket ID changes on reconnect and peers have already dropped
+        // the old one — start over; the room re-join sends a fresh participant list
+        const handleReconnect = () => {
+            if (Object.keys(peerConnections.current).length > 0) {
+                closeAllPeers();
+            }
+            // The server dropped our transports with the old socket; the
+            // re-join tells us the room's media mode again
+            if (mediaModeRef.current === 'sfu') {
+                stopSfuSession();
+                mediaModeRef.current = 'mesh';
+                setRemoteStreams({});
+            }
+        };
+
+        // The room switched between mesh and SFU (sent on join and when it grows)
+        const handleMediaMode = async ({ mode }) => {
+            if (mode === mediaModeRef.current) return;
+            mediaModeRef.current = mode;
+
+            if (mode === 'mesh') {
+                // The server could not start a router after all — connect directly
+                stopSfuSession();
+                await mediaReadyRef.current;
+                if (!isActive || mediaModeRef.current !== 'mesh') return;
+                Object.entries(participantsRef.current).forEach(([socketId, userName]) => {
+                    createPeerConnection(socketId, userName);
+                });
+                return;
+            }
+
+            console.log('📡 Room switched to SFU mode');
+            closeAllPeers();
+            await mediaReadyRef.current;
+            if (!isActive || mediaModeRef.current !== 'sfu' || sfuSessionRef.current) return;
+
+            try {
+                const session = await startSfuSession();
+                if (!isActive || mediaModeRef.current !== 'sfu') {
+                    session.close();
+                    return;
+                }
+                sfuSessionRef.current = session;
+                await produceLocalTracks(session);
+            } catch (error) {
+                console.error('❌ Failed to join the SFU:', error);
+            }
+        };
+
+        socket.on('room-participants', handleParticipants);
+        socket.on('user-joined', handleUserJoined);
+        socket.on('user-left', handleUserLeft);
+        socket.on('connect', handleReconnect);
+        socket.on('media-mode', handleMediaMode);
+
+        // Handle incoming signaling data
+        socket.on('offer', handleOffer);
+        socket.on('answer', handleAnswer);
+        socket.on('ice-candidate', handleIceCandidate);
+        socket.on('screen-share', handleScreenShare);
+
+        // Moderators can switch our mic/camera off
+        socket.on('force-mute', handleForceMute);
 
         // Cleanup on unmount
         return () => {
+            isActive = false;
+            socket.off('room-participants', handleParticipants);
+            socket.off('user-joined', handleUserJoined);
+            socket.off('user-left', handleUserLeft);
+            socket.off('connect', handleReconnect);
+            socket.off('media-mode', handleMediaMode);
             socket.off('offer', handleOffer);
             socket.off('answer', handleAnswer);
             socket.off('ice-candidate', handleIceCandidate);
+            socket.off('screen-share', handleScreenShare);
+            socket.off('force-mute', handleForceMute);
             cleanup();
         };
-    }, [roomId, getLocalStream, createOffer, handleOffer, handleAnswer, handleIceCandidate, removePeerConnection, cleanup]);
+    }, [roomId, getIceConfig, createPeerConnection, handleOffer, handleAnswer, handleIceCandidate, handleScreenShare, handleForceMute, removePeerConnection, closeAllPeers, startSfuSession, produceLocalTracks, stopSfuSession, cleanup]);
 
     return {
         localStream,
         remoteStreams,
         isAudioMuted,
         isVideoOff,
+        screenStream,
+        isScreenSharing: Boolean(screenStream),
         toggleAudio,
         toggleVideo,
+        startScreenShare,
+        stopScreenShare,
     };
 };
 
@@ -0,0 +1,95 @@
+import { useRef, useState, useCallback } from 'react';
+
+/**
+ * useWhiteboardHistory Hook
+ *
+ * Per-user undo/redo for the shared whiteboard. Only our own operations are
+ * recorded, so undo never reverts what someone else drew.
+ *
+ * An operation is one of:
+ * - { type: 'add', elements }             — elements we created
+ * - { type: 'delete', elements }          — elements we deleted (as they were)
+ * - { type: 'update', before, after }     — [{ id, changes }] both ways
+ * - { type: 'replace', removed, added }   — elements swapped for others in one
+ *                                           step (an eraser cutting strokes)
+ *
+ * Undo applies the inverse operation through `apply`, which sends it like any
+ * other whiteboard edit — so it is broadcast and persisted, and late joiners
+ * load the same board.
+ */
+
+const MAX_HISTORY = 100;
+
+const invert = (op) => {
+    switch (op.type) {
+        case 'add':
+            return { type: 'delete', elements: op.elements };
+        case 'delete':
+            return { type: 'add', elements: op.elements };
+        case 'update':
+            return { type: 'update', before: op.after, after: op.before };
+        case 'replace':
+            return { type: 'replace', removed: op.added, added: op.removed };
+        default:
+            return op;
+    }
+};
+
+/**
+ * @param {Function} apply - Applies an operation locally and sends it to the room
+ */
+const useWhiteboardHistory = (apply) => {
+    const undoStackRef = useRef([]);
+    const redoStackRef = useRef([]);
+    const [sizes, setSizes] = useState({ undo: 0, redo: 0 });
+
+    const syncSizes = useCallback(() => {
+        setSizes({ undo: undoStackRef.current.length, redo: redoStackRef.current.length });
+    }, []);
+
+    /**
+     * Remember an operation we just performed (clears redo)
+     */
+    const record = useCallback((op) => {
+        undoStackRef.current.push(op);
+        if (undoStackRef.current.length > MAX_HISTORY) undoStackRef.current.shift();
+        redoStackRef.current = [];
+        syncSizes();
+    }, [syncSizes]);
+
+    const undo = useCallback(() => {
+        const op = undoStackRef.current.pop();
+        if (!op) return;
+        apply(invert(op));
+        redoStackRef.current.push(op);
+        syncSizes();
+    }, [apply, syncSizes]);
+
+    const redo = useCallback(() => {
+        const op = redoStackRef.current.pop();
+        if (!op) return;
+        apply(op);
+        undoStackRef.current.push(op);
+        syncSizes();
+    }, [apply, syncSizes]);
+
+    /**
+     * Forget everything (board reloaded or cleared)
+     */
+    const reset = useCallback(() => {
+        undoStackRef.current = [];
+        redoStackRef.current = [];
+        syncSizes();
+    }, [syncSizes]);
+
+    return {
+        record,
+        undo,
+        redo,
+        reset,
+        canUndo: sizes.undo > 0,
+        canRedo: sizes.redo > 0,
+    };
+};
+
+export default useWhiteboardHistory;
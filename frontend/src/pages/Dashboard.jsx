@@ -1,22 +1,56 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 import API from '../api/axios';
+import ScheduleRoomForm from '../components/ScheduleRoomForm';
+import SessionList from '../components/SessionList';
+import RoomList from '../components/RoomList';
+import DeviceList from '../components/DeviceList';
 
 /**
  * Dashboard Page
  * - Create a new room (generates unique roomId, redirects)
  * - Join an existing room by roomId
+ * - Schedule a (recurring) room, and see upcoming and past sessions
+ * - Find, favourite, rename, archive or delete earlier rooms
+ * - See and sign out signed-in devices
+ * - Until the email address is verified: a reminder (rooms cannot be created yet)
  * - Logout
  */
 const Dashboard = () => {
     const navigate = useNavigate();
-    const { user, logout } = useAuthStore();
+    const location = useLocation();
+    const { user, logout, updateUser } = useAuthStore();
+    const [verifyNotice, setVerifyNotice] = useState('');
 
-    const [joinRoomId, setJoinRoomId] = useState('');
-    const [error, setError] = useState('');
+    // Rooms that reject us redirect here with the reason in location state
+    // (and the room, when it only wants its passcode)
+    const [joinRoomId, setJoinRoomId] = useState(location.state?.roomId || '');
+    const [error, setError] = useState(location.state?.error || '');
+    const [passcode, setPasscode] = useState('');
+    const [needsPasscode, setNeedsPasscode] = useState(location.state?.code === 'PASSCODE_REQUIRED');
     const [isCreating, setIsCreating] = useState(false);
     const [isJoining, setIsJoining] = useState(false);
+    // Bumped after scheduling a room, to reload the session and room lists
+    const [sessionsVersion, setSessionsVersion] = useState(0);
+
+    // The link may have been opened in another tab or browser since
+    const isUnverified = user?.isEmailVerified === false;
+    useEffect(() => {
+        if (!isUnverified) return;
+        API.get('/auth/me')
+            .then(({ data }) => updateUser({ isEmailVerified: data.data.isEmailVerified }))
+            .catch(() => {});
+    }, [isUnverified, updateUser]);
+
+    const handleResendVerification = async () => {
+        try {
+            const { data } = await API.post('/auth/verify-email/resend');
+            setVerifyNotice(`Sent a new link to ${data.data.email}`);
+        } catch (err) {
+            setVerifyNotice(err.response?.data?.message || 'Failed to send the email');
+        }
+    };
 
     const handleLogout = () => {
         logout();
@@ -46,9 +80,12 @@ const Dashboard = () => {
         setError('');
         setIsJoining(true);
         try {
-            await API.post(`/rooms/join/${joinRoomId.trim()}`);
+            await API.post(`/rooms/join/${joinRoomId.trim()}`, needsPasscode ? { passcode } : {});
             navigate(`/room/${joinRoomId.trim()}`);
         } catch (err) {
+            if (err.response?.data?.code === 'PASSCODE_REQUIRED') {
+                setNeedsPasscode(true);
+            }
             setError(err.response?.data?.message || 'Room not found');
         } finally {
             setIsJoining(false);
@@ -76,9 +113,25 @@ const Dashboard = () => {
             </header>
 
             {/* Main Content */}
-            <main className="max-w-2xl mx-auto px-6 py-12">
+            <main className="max-w-4xl mx-auto px-6 py-12">
                 <h2 className="text-3xl font-bold text-white mb-8">Dashboard</h2>
 
+                {/* Email Verification Reminder */}
+                {isUnverified && (
+                    <div className="bg-amber-500/10 border border-amber-500/50 text-amber-300 px-4 py-3 rounded-lg mb-6 text-sm flex items-center gap-3">
+                        <span className="flex-1">
+                            📧 Verify your email address to create rooms — the link is in your inbox.
+                            {verifyNotice && <span className="block text-xs text-amber-200/80 mt-1">{verifyNotice}</span>}
+                        </span>
+                        <button
+                            onClick={handleResendVerification}
+                            className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-xs transition cursor-pointer shrink-0"
+                        >
+                            Resend email
+                        </button>
+                    </div>
+                )}
+
                 {/* Error Alert */}
                 {error && (
                     <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg mb-6 text-sm">
@@ -116,6 +169,16 @@ const Dashboard = () => {
                                 className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
                                 placeholder="Enter Room ID"
                             />
+                            {needsPasscode && (
+                                <input
+                                    type="password"
+                                    value={passcode}
+                                    onChange={(e) => { setError(''); setPasscode(e.target.value); }}
+                                    className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                                    placeholder="🔑 Room passcode"
+                                    autoFocus
+                                />
+                            )}
                             <button
                                 type="submit"
                                 disabled={isJoining}
@@ -126,6 +189,23 @@ const Dashboard = () => {
                         </form>
                     </div>
                 </div>
+
+                <div className="grid gap-6 mt-6">
+                    {/* Schedule Room Card */}
+                    <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+                        <h3 className="text-lg font-semibold text-white mb-3">Schedule Room</h3>
+                        <p className="text-slate-400 text-sm mb-5">
+                            Plan a session ahead, or a recurring one like a weekly study group.
+                        </p>
+                        <ScheduleRoomForm onScheduled={() => setSessionsVersion((v) => v + 1)} />
+                    </div>
+
+                    <SessionList refreshKey={sessionsVersion} />
+
+                    <RoomList refreshKey={sessionsVersion} />
+
+                    <DeviceList />
+                </div>
             </main>
         </div>
     );
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import API from '../api/axios';
+
+/**
+ * Forgot Password Page
+ * Asks for the account's email address and has a reset link sent to it.
+ */
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsSending(true);
+        try {
+            const { data } = await API.post('/auth/forgot-password', { email });
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send the reset link');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 px-4">
+            <div className="w-full max-w-md">
+                {/* Header */}
+                <div className="text-center mb-8">
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        STD<span className="text-blue-500">collab</span>
+                    </h1>
+                    <p className="text-slate-400">Reset your password</p>
+                </div>
+
+                <div className="bg-slate-800 rounded-2xl p-8 shadow-xl border border-slate-700">
+                    {error && (
+                        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg mb-6 text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    {message ? (
+                        <p className="text-emerald-400 text-sm text-center">📧 {message}</p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label htmlFor="email" className="block text-sm font-medium text-slate-300 mb-2">
+                                    Email
+                                </label>
+                                <input
+                                    id="email"
+                                    type="email"
+                                    required
+                                    value={email}
+                                    onChange={(e) => { setError(''); setEmail(e.target.value); }}
+                                    className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                                    placeholder="you@example.com"
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={isSending}
+                                className="w-full py-3 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-semibold rounded-lg transition duration-200 cursor-pointer disabled:cursor-not-allowed"
+                            >
+                                {isSending ? 'Sending...' : 'Send Reset Link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <p className="text-center text-slate-400 mt-6 text-sm">
+                        Remembered it?{' '}
+                        <Link to="/login" className="text-blue-400 hover:text-blue-300 font-medium transition">
+                            Sign in
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import useAuthStore from '../store/authStore';
+
+/**
+ * Guest Join Page
+ *
+ * Reached from an invite link without being signed in: a display name is
+ * all a guest needs. Guests leaving the room end up here too, with the
+ * reason in location state.
+ */
+const GuestJoin = () => {
+    const { roomId } = useParams();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { joinAsGuest, isLoading, error, clearError } = useAuthStore();
+    const [name, setName] = useState('');
+
+    const invite = new URLSearchParams(location.search).get('invite');
+    const roomPath = `/room/${roomId}${location.search}`;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const success = await joinAsGuest({ name, invite });
+        if (success) {
+            navigate(roomPath, { replace: true });
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 px-4">
+            <div className="w-full max-w-md">
+                {/* Header */}
+                <div className="text-center mb-8">
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        STD<span className="text-blue-500">collab</span>
+                    </h1>
+                    <p className="text-slate-400">
+                        {invite ? "You're invited to a room" : 'You have left the room'}
+                    </p>
+                </div>
+
+                <div className="bg-slate-800 rounded-2xl p-8 shadow-xl border border-slate-700">
+                    {/* Error Alert */}
+                    {(error || location.state?.error) && (
+                        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg mb-6 text-sm">
+                            {error || location.state.error}
+                        </div>
+                    )}
+
+                    {invite ? (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label htmlFor="name" className="block text-sm font-medium text-slate-300 mb-2">
+                                    Your name
+                                </label>
+                                <input
+                                    id="name"
+                                    type="text"
+                                    required
+                                    minLength={2}
+                                    maxLength={50}
+                                    value={name}
+                                    onChange={(e) => { clearError(); setName(e.target.value); }}
+                                    className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                                    placeholder="How others will see you"
+                                    autoFocus
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={isLoading}
+                                className="w-full py-3 px-4 bg-emerald-600 hover:bg-emerald-700 disabled:bg-emerald-600/50 text-white font-semibold rounded-lg transition duration-200 cursor-pointer disabled:cursor-not-allowed"
+                            >
+                                {isLoading ? 'Joining...' : 'Join as Guest'}
+                            </button>
+                            <p className="text-slate-400 text-xs text-center">
+                                Guests can watch, listen and chat. The host can let you do more.
+                            </p>
+                        </form>
+                    ) : (
+                        <p className="text-slate-400 text-sm text-center">
+                            Ask the host for a new invite link to join again.
+                        </p>
+                    )}
+
+                    {/* Sign In Link */}
+                    <p className="text-center text-slate-400 mt-6 text-sm">
+                        Have an account?{' '}
+                        <Link
+                            to="/login"
+                            state={invite ? { from: roomPath } : undefined}
+                            className="text-blue-400 hover:text-blue-300 font-medium transition"
+                        >
+                            Sign in
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GuestJoin;
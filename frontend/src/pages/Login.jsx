@@ -1,14 +1,19 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import SsoButtons from '../components/SsoButtons';
 
 /**
  * Login Page
- * Allows users to authenticate with email and password.
+ * Allows users to authenticate with email and password, or with a
+ * single sign-on provider. Returns to location.state.from (e.g. an invite
+ * link) when set; location.state.error is a failed single sign-on.
  */
 const Login = () => {
     const navigate = useNavigate();
+    const location = useLocation();
     const { login, isLoading, error, clearError } = useAuthStore();
+    const [ssoError, setSsoError] = useState(location.state?.error || '');
 
     const [formData, setFormData] = useState({
         email: '',
@@ -17,6 +22,7 @@ const Login = () => {
 
     const handleChange = (e) => {
         clearError();
+        setSsoError('');
         setFormData({ ...formData, [e.target.name]: e.target.value });
     };
 
@@ -24,7 +30,7 @@ const Login = () => {
         e.preventDefault();
         const success = await login(formData);
         if (success) {
-            navigate('/dashboard');
+            navigate(location.state?.from || '/dashboard');
         }
     };
 
@@ -42,9 +48,9 @@ const Login = () => {
                 {/* Form Card */}
                 <div className="bg-slate-800 rounded-2xl p-8 shadow-xl border border-slate-700">
                     {/* Error Alert */}
-                    {error && (
+                    {(error || ssoError) && (
                         <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg mb-6 text-sm">
-                            {error}
+                            {error || ssoError}
                         </div>
                     )}
 
@@ -81,6 +87,11 @@ const Login = () => {
                                 className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
                                 placeholder="••••••••"
                             />
+                            <div className="text-right mt-2">
+                                <Link to="/forgot-password" className="text-slate-400 hover:text-blue-300 text-xs transition">
+                                    Forgot password?
+                                </Link>
+                            </div>
                         </div>
 
                         {/* Submit Button */}
@@ -93,6 +104,8 @@ const Login = () => {
                         </button>
                     </form>
 
+                    <SsoButtons returnTo={location.state?.from} />
+
                     {/* Register Link */}
                     <p className="text-center text-slate-400 mt-6 text-sm">
                         Don&apos;t have an account?{' '}
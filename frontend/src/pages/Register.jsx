@@ -1,10 +1,12 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import SsoButtons from '../components/SsoButtons';
 
 /**
  * Register Page
- * Allows new users to create an account.
+ * Allows new users to create an account, or to sign up with a single
+ * sign-on provider.
  */
 const Register = () => {
     const navigate = useNavigate();
@@ -143,6 +145,8 @@ const Register = () => {
                         </button>
                     </form>
 
+                    <SsoButtons />
+
                     {/* Login Link */}
                     <p className="text-center text-slate-400 mt-6 text-sm">
                         Already have an account?{' '}
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import API from '../api/axios';
+import useAuthStore from '../store/authStore';
+
+/**
+ * Reset Password Page
+ * Opened from the link in the reset email (?token=…). Setting the new
+ * password signs out every device, this one included.
+ */
+const ResetPassword = () => {
+    const [searchParams] = useSearchParams();
+    const { logout } = useAuthStore();
+    const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [isDone, setIsDone] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        setError('');
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await API.post('/auth/reset-password', {
+                token: searchParams.get('token'),
+                password: formData.password,
+            });
+            logout();
+            setIsDone(true);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reset the password');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 px-4">
+            <div className="w-full max-w-md">
+                {/* Header */}
+                <div className="text-center mb-8">
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        STD<span className="text-blue-500">collab</span>
+                    </h1>
+                    <p className="text-slate-400">Choose a new password</p>
+                </div>
+
+                <div className="bg-slate-800 rounded-2xl p-8 shadow-xl border border-slate-700">
+                    {error && (
+                        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg mb-6 text-sm">
+                            {error}
+                        </div>
+                    )}
+
+                    {isDone ? (
+                        <div className="text-center">
+                            <p className="text-emerald-400 text-sm">✅ Your password was changed. All devices were signed out.</p>
+                            <Link
+                                to="/login"
+                                className="inline-block mt-6 text-blue-400 hover:text-blue-300 font-medium text-sm transition"
+                            >
+                                Sign in with the new password
+                            </Link>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-5">
+                            <div>
+                                <label htmlFor="password" className="block text-sm font-medium text-slate-300 mb-2">
+                                    New password
+                                </label>
+                                <input
+                                    id="password"
+                                    name="password"
+                                    type="password"
+                                    required
+                                    minLength={6}
+                                    value={formData.password}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                                    placeholder="••••••••"
+                                />
+                            </div>
+
+                            <div>
+                                <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300 mb-2">
+                                    Confirm new password
+                                </label>
+                                <input
+                                    id="confirmPassword"
+                                    name="confirmPassword"
+                                    type="password"
+                                    required
+                                    value={formData.confirmPassword}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                                    placeholder="••••••••"
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={isSaving}
+                                className="w-full py-3 px-4 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/50 text-white font-semibold rounded-lg transition duration-200 cursor-pointer disabled:cursor-not-allowed"
+                            >
+                                {isSaving ? 'Saving...' : 'Set New Password'}
+                            </button>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
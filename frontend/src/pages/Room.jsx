@@ -1,10 +1,17 @@
-import { useEffect, useState, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useEffect, useState, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 import useWebRTC from '../hooks/useWebRTC';
+import useRecording from '../hooks/useRecording';
+import API from '../api/axios';
 import socket from '../socket/socket';
 import Whiteboard from '../components/Whiteboard';
+import EditorPanel from '../components/EditorPanel';
 import FilePanel from '../components/FilePanel';
+import ChatPanel from '../components/ChatPanel';
+import ParticipantList from '../components/ParticipantList';
+import InviteDialog from '../components/InviteDialog';
+import { canModerate, canContribute } from '../utils/roomRoles';
 
 /**
  * Room Page — Main Collaboration Space
@@ -12,40 +19,137 @@ import FilePanel from '../components/FilePanel';
 const Room = () => {
     const { roomId } = useParams();
     const navigate = useNavigate();
-    const { user } = useAuthStore();
+    const location = useLocation();
+    const { user, logout } = useAuthStore();
+    // Effects key on these, not on the user object (replaced by silent refreshes)
+    const myUserId = user?._id;
+    const isGuest = Boolean(user?.isGuest);
     const [participants, setParticipants] = useState([]);
     const [showWhiteboard, setShowWhiteboard] = useState(false);
+    const [showEditor, setShowEditor] = useState(false);
     const [showFiles, setShowFiles] = useState(false);
+    const [showChat, setShowChat] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [showParticipants, setShowParticipants] = useState(false);
+    const [myRole, setMyRole] = useState('participant');
+    const [isLocked, setIsLocked] = useState(false);
+    const [notice, setNotice] = useState('');
+    const [showShareMenu, setShowShareMenu] = useState(false);
+    const [showInvite, setShowInvite] = useState(false);
+    const [hasPasscode, setHasPasscode] = useState(false);
+    // Lobby mode: whether we wait to be let in, and (for moderators) who waits
+    const [lobbyEnabled, setLobbyEnabled] = useState(false);
+    const [isWaiting, setIsWaiting] = useState(false);
+    const [lobbyQueue, setLobbyQueue] = useState([]);
+
+    // Guests have no dashboard — leaving the room ends their guest session
+    const exitRoom = useCallback((state) => {
+        if (isGuest) {
+            navigate(`/guest/${roomId}`, { replace: true, state });
+            logout();
+        } else {
+            navigate('/dashboard', { state });
+        }
+    }, [isGuest, roomId, navigate, logout]);
+
+    // Invite token from a shared link (?invite=…), used once to join
+    const inviteRef = useRef(new URLSearchParams(location.search).get('invite'));
 
     const {
         localStream,
         remoteStreams,
         isAudioMuted,
         isVideoOff,
+        screenStream,
+        isScreenSharing,
         toggleAudio,
         toggleVideo,
+        startScreenShare,
+        stopScreenShare,
     } = useWebRTC(roomId);
 
+    const {
+        recording,
+        isRecorder,
+        startRecording,
+        stopRecording,
+    } = useRecording(roomId, {
+        localStream,
+        screenStream,
+        remoteStreams,
+        userName: user?.name,
+        // Recording problems (e.g. unsupported browser) show as a notice
+        onError: setNotice,
+    });
+
     const localVideoRef = useRef(null);
 
-    // Set local video stream
+    // Whose screen fills the stage — a remote presenter wins over our own share
+    const remotePresenter = Object.entries(remoteStreams).find(
+        ([, peer]) => peer.screenStream || peer.isScreen
+    );
+    const presentation = remotePresenter
+        ? {
+            socketId: remotePresenter[0],
+            stream: remotePresenter[1].screenStream || remotePresenter[1].stream,
+            userName: remotePresenter[1].userName,
+        }
+        : screenStream && { socketId: null, stream: screenStream, userName: 'You' };
+    const isPresenterLayout = Boolean(presentation);
+
+    // Set local video stream (the tile remounts when the layout switches)
     useEffect(() => {
         if (localVideoRef.current && localStream) {
             localVideoRef.current.srcObject = localStream;
         }
-    }, [localStream]);
+    }, [localStream, isPresenterLayout]);
 
     // Socket connection and room events
     useEffect(() => {
-        if (!user || !roomId) return;
+        if (!myUserId || !roomId) return;
+
+        let isActive = true;
+
+        // Make sure we are a participant before joining over the socket
+        // (handles rooms opened directly from a shared URL)
+        const joinRoom = async () => {
+            try {
+                const invite = inviteRef.current;
+                const { data } = await API.post(`/rooms/join/${roomId}`, invite ? { invite } : {});
+                if (!isActive) return;
+                setMyRole(data.data.role);
+                setIsLocked(data.data.isLocked);
+                setLobbyEnabled(data.data.lobbyEnabled);
+                setHasPasscode(data.data.hasPasscode);
+            } catch (err) {
+                if (isActive) {
+                    exitRoom({
+                        error: err.response?.data?.message || 'Room not found',
+                        // The dashboard asks for the passcode and retries
+                        code: err.response?.data?.code,
+                        roomId,
+                    });
+                }
+                return;
+            }
+            if (!isActive) return;
 
-        socket.connect();
+            // The invite is spent — keep it out of the address bar
+            if (inviteRef.current) {
+                inviteRef.current = null;
+                navigate(`/room/${roomId}`, { replace: true });
+            }
+
+            socket.connect();
+        };
+
+        // (Re-)join on every connect — a reconnect gets a new socket ID
+        // and the server has already dropped the old one from the room
+        const handleConnect = () => {
+            socket.emit('join-room', { roomId });
+        };
 
-        socket.emit('join-room', {
-            roomId,
-            userId: user._id,
-            userName: user.name,
-        });
+        joinRoom();
 
         const handleParticipants = (participantsList) => {
             setParticipants(participantsList);
@@ -61,18 +165,111 @@ const Room = () => {
             );
         };
 
+        const handleRoomError = ({ event, message }) => {
+            console.error(`❌ ${event} rejected:`, message);
+            if (event === 'join-room') {
+                exitRoom({ error: message });
+            } else {
+                setNotice(message);
+            }
+        };
+
+        // ─── Moderation ───
+
+        const handleKicked = ({ by }) => {
+            exitRoom({ error: `You were removed from the room by ${by}` });
+        };
+
+        const handleRoomClosed = ({ message }) => {
+            exitRoom({ error: message });
+        };
+
+        const handleRoleChanged = ({ userId, role, by }) => {
+            setParticipants((prev) =>
+                prev.map((p) => (p.userId === userId ? { ...p, role } : p))
+            );
+            if (userId === myUserId) {
+                setMyRole(role);
+                if (!canModerate(role)) setLobbyQueue([]);
+                setNotice(`${by} made you a ${role}`);
+            }
+        };
+
+        const handleRoomLocked = ({ isLocked: locked, by }) => {
+            setIsLocked(locked);
+            setNotice(`${by} ${locked ? 'locked' : 'unlocked'} the room`);
+        };
+
+        const handleForceMute = ({ kind, by }) => {
+            setNotice(`${by} turned off your ${kind === 'audio' ? 'microphone' : 'camera'}`);
+        };
+
+        // ─── Lobby ───
+
+        const handleLobbyWaiting = () => {
+            setIsWaiting(true);
+        };
+
+        const handleLobbyAdmitted = () => {
+            setIsWaiting(false);
+        };
+
+        const handleLobbyDenied = ({ by }) => {
+            exitRoom({ error: `${by} did not let you in` });
+        };
+
+        let waitingSocketIds = new Set();
+        const handleLobbyQueue = ({ waiting }) => {
+            const arrived = waiting.find((entry) => !waitingSocketIds.has(entry.socketId));
+            if (arrived) {
+                setNotice(`${arrived.userName} is waiting in the lobby`);
+            }
+            waitingSocketIds = new Set(waiting.map((entry) => entry.socketId));
+            setLobbyQueue(waiting);
+        };
+
+        const handleRoomLobby = ({ lobbyEnabled: enabled, by }) => {
+            setLobbyEnabled(enabled);
+            setNotice(`${by} turned the lobby ${enabled ? 'on' : 'off'}`);
+        };
+
+        socket.on('connect', handleConnect);
         socket.on('room-participants', handleParticipants);
         socket.on('user-joined', handleUserJoined);
         socket.on('user-left', handleUserLeft);
+        socket.on('room-error', handleRoomError);
+        socket.on('kicked', handleKicked);
+        socket.on('room-closed', handleRoomClosed);
+        socket.on('role-changed', handleRoleChanged);
+        socket.on('room-locked', handleRoomLocked);
+        socket.on('force-mute', handleForceMute);
+        socket.on('lobby-waiting', handleLobbyWaiting);
+        socket.on('lobby-admitted', handleLobbyAdmitted);
+        socket.on('lobby-denied', handleLobbyDenied);
+        socket.on('lobby-queue', handleLobbyQueue);
+        socket.on('room-lobby', handleRoomLobby);
 
         return () => {
+            isActive = false;
             socket.emit('leave-room', { roomId });
+            socket.off('connect', handleConnect);
             socket.off('room-participants', handleParticipants);
             socket.off('user-joined', handleUserJoined);
             socket.off('user-left', handleUserLeft);
+            socket.off('room-error', handleRoomError);
+            socket.off('kicked', handleKicked);
+            socket.off('room-closed', handleRoomClosed);
+            socket.off('role-changed', handleRoleChanged);
+            socket.off('room-locked', handleRoomLocked);
+            socket.off('force-mute', handleForceMute);
+            socket.off('lobby-waiting', handleLobbyWaiting);
+            socket.off('lobby-admitted', handleLobbyAdmitted);
+            socket.off('lobby-denied', handleLobbyDenied);
+            socket.off('lobby-queue', handleLobbyQueue);
+            socket.off('room-lobby', handleRoomLobby);
             socket.disconnect();
         };
-    }, [roomId, user]);
+    }, [roomId, myUserId, navigate, exitRoom]);
 
     /**
      * Leave room — explicitly stop all media tracks before navigating away.
@@ -87,7 +284,70 @@ const Room = () => {
         if (localVideoRef.current) {
             localVideoRef.current.srcObject = null;
         }
-        navigate('/dashboard');
+        exitRoom();
+    };
+
+    // Hide moderation notices after a few seconds
+    useEffect(() => {
+        if (!notice) return;
+        const timeout = setTimeout(() => setNotice(''), 4000);
+        return () => clearTimeout(timeout);
+    }, [notice]);
+
+    // ─── Moderation Actions (checked again on the server) ───
+    const handleMute = (userId, kind) => {
+        socket.emit('moderate-mute', { roomId, userId, kind });
+    };
+
+    const handleSetRole = (userId, role) => {
+        socket.emit('moderate-set-role', { roomId, userId, role });
+    };
+
+    const handleKick = (userId) => {
+        socket.emit('moderate-kick', { roomId, userId });
+    };
+
+    const handleToggleLock = () => {
+        socket.emit('moderate-lock', { roomId, isLocked: !isLocked });
+    };
+
+    const handleToggleLobby = () => {
+        socket.emit('moderate-lobby', { roomId, enabled: !lobbyEnabled });
+    };
+
+    const handleAdmit = (socketId) => {
+        socket.emit('lobby-admit', { roomId, socketId });
+    };
+
+    const handleDeny = (socketId) => {
+        socket.emit('lobby-deny', { roomId, socketId });
+    };
+
+    const handleShareScreen = (withCamera) => {
+        setShowShareMenu(false);
+        startScreenShare({ withCamera });
+    };
+
+    // The whiteboard and the notes & code editor share the overlay
+    const toggleWhiteboard = () => {
+        setShowWhiteboard(!showWhiteboard);
+        setShowEditor(false);
+    };
+
+    const toggleEditor = () => {
+        setShowEditor(!showEditor);
+        setShowWhiteboard(false);
+    };
+
+    // Files and chat share the right-hand sidebar slot
+    const toggleFiles = () => {
+        setShowFiles(!showFiles);
+        setShowChat(false);
+    };
+
+    const toggleChat = () => {
+        setShowChat(!showChat);
+        setShowFiles(false);
     };
 
     // Calculate grid columns
@@ -100,6 +360,31 @@ const Room = () => {
         return 'grid-cols-3 md:grid-cols-4';
     };
 
+    /**
+     * Our own camera tile, sized by the current layout
+     */
+    const renderLocalTile = (sizeClass) => (
+        <div className={`relative bg-slate-800 rounded-xl overflow-hidden border border-slate-700 ${sizeClass}`}>
+            <video
+                ref={localVideoRef}
+                autoPlay
+                playsInline
+                muted
+                className="w-full h-full object-cover"
+            />
+            {isVideoOff && (
+                <div className="absolute inset-0 bg-slate-800 flex items-center justify-center">
+                    <div className="w-16 h-16 bg-blue-600 rounded-full flex items-center justify-center text-white text-2xl font-bold">
+                        {user?.name?.charAt(0)?.toUpperCase() || 'U'}
+                    </div>
+                </div>
+            )}
+            <div className="absolute bottom-3 left-3 bg-black/60 px-3 py-1 rounded-lg text-white text-sm">
+                You {isAudioMuted && '🔇'} {isVideoOff && '📷'}
+            </div>
+        </div>
+    );
+
     return (
         <div className="h-screen bg-slate-900 flex flex-col overflow-hidden">
             {/* Room Header */}
@@ -113,9 +398,74 @@ const Room = () => {
                     </span>
                 </div>
                 <div className="flex items-center gap-3">
-                    <span className="text-slate-400 text-sm">
-                        {participants.length} participant{participants.length !== 1 ? 's' : ''}
-                    </span>
+                    {recording.isRecording && (
+                        <span
+                            className="flex items-center gap-1.5 text-red-400 text-sm"
+                            title={recording.mode === 'browser'
+                                ? `Recorded in ${recording.recordedBy?.name || 'Unknown'}'s browser — stops if they leave`
+                                : `Recorded by ${recording.recordedBy?.name || 'Unknown'}`}
+                        >
+                            <span className="w-2 h-2 bg-red-500 rounded-full animate-pulse" />
+                            {recording.mode === 'browser' ? `REC (${isRecorder ? 'your' : `${recording.recordedBy?.name || 'Unknown'}'s`} browser)` : 'REC'}
+                        </span>
+                    )}
+                    {isLocked && (
+                        <span className="text-slate-400 text-sm" title="Room is locked">🔒</span>
+                    )}
+                    {canModerate(myRole) && lobbyQueue.length > 0 && (
+                        <button
+                            onClick={() => setShowParticipants(true)}
+                            className="px-2 py-1 bg-amber-500/20 text-amber-300 rounded text-xs cursor-pointer"
+                            title="People waiting in the lobby"
+                        >
+                            ⏳ {lobbyQueue.length} waiting
+                        </button>
+                    )}
+                    {canModerate(myRole) && (
+                        <div className="relative">
+                            <button
+                                onClick={() => setShowInvite(!showInvite)}
+                                className="text-slate-400 hover:text-white text-sm transition cursor-pointer"
+                            >
+                                🔗 Invite
+                            </button>
+                            {showInvite && (
+                                <InviteDialog
+                                    roomId={roomId}
+                                    hasPasscode={hasPasscode}
+                                    onPasscodeChange={setHasPasscode}
+                                    onClose={() => setShowInvite(false)}
+                                />
+                            )}
+                        </div>
+                    )}
+                    <div className="relative">
+                        <button
+                            onClick={() => setShowParticipants(!showParticipants)}
+                            className="text-slate-400 hover:text-white text-sm transition cursor-pointer"
+                        >
+                            👥 {participants.length} participant{participants.length !== 1 ? 's' : ''}
+                        </button>
+                        {showParticipants && (
+                            <ParticipantList
+                                participants={participants}
+                                currentUserId={user?._id}
+                                myRole={myRole}
+                                isLocked={isLocked}
+                                canLock={canModerate(myRole)}
+                                onClose={() => setShowParticipants(false)}
+                                onMute={handleMute}
+                                onSetRole={handleSetRole}
+                                onKick={handleKick}
+                                onToggleLock={handleToggleLock}
+                                lobbyEnabled={lobbyEnabled}
+                                lobbyQueue={lobbyQueue}
+                                onToggleLobby={handleToggleLobby}
+                                onAdmit={handleAdmit}
+                                onDeny={handleDeny}
+                            />
+                        )}
+                    </div>
                     <button
                         onClick={handleLeaveRoom}
                         className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition cursor-pointer"
@@ -125,36 +475,72 @@ const Room = () => {
                 </div>
             </header>
 
-            {/* Video Grid */}
-            <main className={`flex-1 p-4 overflow-auto transition-all ${showFiles ? 'mr-80' : ''}`}>
-                <div className={`grid ${getGridCols()} gap-4 h-full auto-rows-fr`}>
-                    {/* Local Video */}
-                    <div className="relative bg-slate-800 rounded-xl overflow-hidden border border-slate-700 min-h-[200px]">
-                        <video
-                            ref={localVideoRef}
-                            autoPlay
-                            playsInline
-                            muted
-                            className="w-full h-full object-cover"
-                        />
-                        {isVideoOff && (
-                            <div className="absolute inset-0 bg-slate-800 flex items-center justify-center">
-                                <div className="w-16 h-16 bg-blue-600 rounded-full flex items-center justify-center text-white text-2xl font-bold">
-                                    {user?.name?.charAt(0)?.toUpperCase() || 'U'}
-                                </div>
-                            </div>
-                        )}
-                        <div className="absolute bottom-3 left-3 bg-black/60 px-3 py-1 rounded-lg text-white text-sm">
-                            You {isAudioMuted && '🔇'} {isVideoOff && '📷'}
-                        </div>
-                    </div>
+            {/* Lobby — until a moderator lets us in */}
+            {isWaiting && (
+                <div className="absolute inset-0 z-40 bg-slate-900/95 flex flex-col items-center justify-center gap-4">
+                    <span className="text-4xl">⏳</span>
+                    <p className="text-white text-lg font-semibold">Waiting for the host to let you in</p>
+                    <p className="text-slate-400 text-sm">You will join as soon as someone admits you.</p>
+                    <button
+                        onClick={handleLeaveRoom}
+                        className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition cursor-pointer"
+                    >
+                        Leave
+                    </button>
+                </div>
+            )}
 
-                    {/* Remote Videos */}
-                    {Object.entries(remoteStreams).map(([socketId, { stream, userName }]) => (
-                        <RemoteVideo key={socketId} stream={stream} userName={userName} />
-                    ))}
+            {/* Moderation Notice */}
+            {notice && (
+                <div className="absolute top-16 left-1/2 -translate-x-1/2 z-50 bg-slate-700 border border-slate-600 text-white text-sm px-4 py-2 rounded-lg shadow-xl">
+                    {notice}
                 </div>
-            </main>
+            )}
+
+            {isPresenterLayout ? (
+                /* Presenter Layout — shared screen large, cameras in a strip */
+                <main className={`flex-1 p-4 flex flex-col gap-4 min-h-0 transition-all ${showFiles || showChat ? 'mr-80' : ''}`}>
+                    <RemoteVideo
+                        stream={presentation.stream}
+                        userName={`🖥️ ${presentation.userName} ${presentation.socketId ? 'is' : 'are'} presenting`}
+                        className="flex-1 min-h-0 bg-black"
+                        contain
+                        muted={!presentation.socketId}
+                    />
+                    <div className="flex gap-3 h-32 shrink-0 overflow-x-auto">
+                        {renderLocalTile('w-48 shrink-0')}
+                        {Object.entries(remoteStreams)
+                            // A 'replace' presenter's only stream is already on stage
+                            .filter(([socketId, peer]) => !(socketId === presentation.socketId && peer.isScreen))
+                            .map(([socketId, { stream, userName, connectionState }]) => (
+                                <RemoteVideo
+                                    key={socketId}
+                                    stream={stream}
+                                    userName={userName}
+                                    connectionState={connectionState}
+                                    className="w-48 shrink-0"
+                                />
+                            ))}
+                    </div>
+                </main>
+            ) : (
+                /* Video Grid */
+                <main className={`flex-1 p-4 overflow-auto transition-all ${showFiles || showChat ? 'mr-80' : ''}`}>
+                    <div className={`grid ${getGridCols()} gap-4 h-full auto-rows-fr`}>
+                        {renderLocalTile('min-h-[200px]')}
+
+                        {/* Remote Videos */}
+                        {Object.entries(remoteStreams).map(([socketId, { stream, userName, connectionState }]) => (
+                            <RemoteVideo
+                                key={socketId}
+                                stream={stream}
+                                userName={userName}
+                                connectionState={connectionState}
+                            />
+                        ))}
+                    </div>
+                </main>
+            )}
 
             {/* Bottom Controls Bar */}
             <div className="bg-slate-800 border-t border-slate-700 px-6 py-4 flex items-center justify-center gap-4 shrink-0">
@@ -176,8 +562,50 @@ const Room = () => {
                     <span className="text-white text-lg">{isVideoOff ? '📷' : '🎥'}</span>
                 </button>
 
+                {canContribute(myRole) && (
+                    <div className="relative">
+                        <button
+                            onClick={isScreenSharing ? stopScreenShare : () => setShowShareMenu(!showShareMenu)}
+                            className={`w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${isScreenSharing ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
+                                }`}
+                            title={isScreenSharing ? 'Stop sharing' : 'Share screen'}
+                        >
+                            <span className="text-white text-lg">🖥️</span>
+                        </button>
+                        {showShareMenu && (
+                            <div className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 w-48 bg-slate-800 border border-slate-700 rounded-xl shadow-2xl py-1 z-50">
+                                <button
+                                    onClick={() => handleShareScreen(false)}
+                                    className="w-full px-4 py-2 text-left text-white text-sm hover:bg-slate-700 transition cursor-pointer"
+                                >
+                                    Share screen
+                                </button>
+                                <button
+                                    onClick={() => handleShareScreen(true)}
+                                    className="w-full px-4 py-2 text-left text-white text-sm hover:bg-slate-700 transition cursor-pointer"
+                                >
+                                    Share screen + camera
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {myRole === 'owner' && (
+                    <button
+                        onClick={recording.isRecording ? stopRecording : startRecording}
+                        className={`w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${recording.isRecording ? 'bg-red-600 hover:bg-red-700' : 'bg-slate-700 hover:bg-slate-600'
+                            }`}
+                        title={recording.isRecording
+                            ? `Stop recording${isRecorder ? '' : ` (started by ${recording.recordedBy?.name})`}${recording.mode === 'browser' && isRecorder ? ' — recorded in this browser, leaving ends it' : ''}`
+                            : 'Record session'}
+                    >
+                        <span className="text-white text-lg">⏺️</span>
+                    </button>
+                )}
+
                 <button
-                    onClick={() => setShowWhiteboard(!showWhiteboard)}
+                    onClick={toggleWhiteboard}
                     className={`w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${showWhiteboard ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
                         }`}
                     title="Toggle whiteboard"
@@ -186,7 +614,16 @@ const Room = () => {
                 </button>
 
                 <button
-                    onClick={() => setShowFiles(!showFiles)}
+                    onClick={toggleEditor}
+                    className={`w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${showEditor ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
+                        }`}
+                    title="Toggle notes & code"
+                >
+                    <span className="text-white text-lg">📝</span>
+                </button>
+
+                <button
+                    onClick={toggleFiles}
                     className={`w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${showFiles ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
                         }`}
                     title="Toggle files"
@@ -194,6 +631,20 @@ const Room = () => {
                     <span className="text-white text-lg">📁</span>
                 </button>
 
+                <button
+                    onClick={toggleChat}
+                    className={`relative w-12 h-12 rounded-full flex items-center justify-center transition cursor-pointer ${showChat ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
+                        }`}
+                    title="Toggle chat"
+                >
+                    <span className="text-white text-lg">💬</span>
+                    {unreadCount > 0 && (
+                        <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 bg-red-600 rounded-full text-white text-xs flex items-center justify-center">
+                            {unreadCount > 99 ? '99+' : unreadCount}
+                        </span>
+                    )}
+                </button>
+
                 <button
                     onClick={handleLeaveRoom}
                     className="w-12 h-12 rounded-full bg-red-600 hover:bg-red-700 flex items-center justify-center transition cursor-pointer"
@@ -207,19 +658,47 @@ const Room = () => {
             <Whiteboard
                 roomId={roomId}
                 isVisible={showWhiteboard}
+                canDraw={canContribute(myRole)}
+                canClear={canModerate(myRole)}
+                canPresent={canModerate(myRole)}
                 onClose={() => setShowWhiteboard(false)}
             />
 
+            {/* Notes & Code Overlay */}
+            <EditorPanel
+                roomId={roomId}
+                isVisible={showEditor}
+                canEdit={canContribute(myRole)}
+                onClose={() => setShowEditor(false)}
+            />
+
             {/* File Panel Sidebar */}
-            <FilePanel roomId={roomId} isVisible={showFiles} />
+            <FilePanel roomId={roomId} isVisible={showFiles} canUpload={canContribute(myRole)} />
+
+            {/* Chat Sidebar — stays mounted to track unread messages */}
+            <ChatPanel
+                roomId={roomId}
+                isVisible={showChat}
+                participants={participants}
+                onUnreadChange={setUnreadCount}
+            />
         </div>
     );
 };
 
 /**
  * RemoteVideo Component
+ * Also used for the presenter stage (contain = letterbox instead of crop).
+ * Shows a reconnecting overlay while the peer connection recovers.
  */
-const RemoteVideo = ({ stream, userName }) => {
+const RemoteVideo = ({
+    stream,
+    userName,
+    connectionState,
+    className = 'min-h-[200px]',
+    contain = false,
+    muted = false,
+}) => {
     const videoRef = useRef(null);
 
     useEffect(() => {
@@ -229,13 +708,19 @@ const RemoteVideo = ({ stream, userName }) => {
     }, [stream]);
 
     return (
-        <div className="relative bg-slate-800 rounded-xl overflow-hidden border border-slate-700 min-h-[200px]">
+        <div className={`relative bg-slate-800 rounded-xl overflow-hidden border border-slate-700 ${className}`}>
             <video
                 ref={videoRef}
                 autoPlay
                 playsInline
-                className="w-full h-full object-cover"
+                muted={muted}
+                className={`w-full h-full ${contain ? 'object-contain' : 'object-cover'}`}
             />
+            {(connectionState === 'disconnected' || connectionState === 'failed') && (
+                <div className="absolute inset-0 bg-slate-900/70 flex items-center justify-center">
+                    <span className="text-slate-300 text-sm animate-pulse">Reconnecting…</span>
+                </div>
+            )}
             <div className="absolute bottom-3 left-3 bg-black/60 px-3 py-1 rounded-lg text-white text-sm">
                 {userName}
             </div>
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { refreshAccessToken } from '../api/axios';
+
+/**
+ * SSO Callback Page
+ * The server sends the browser here after single sign-on. On success it set
+ * the refresh token cookie, which is traded for an access token as on any
+ * refresh; on failure ?error= says why, shown on the login page.
+ */
+const SsoCallback = () => {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    // One exchange only (e.g. StrictMode effects)
+    const hasStarted = useRef(false);
+
+    useEffect(() => {
+        if (hasStarted.current) return;
+        hasStarted.current = true;
+
+        const error = searchParams.get('error');
+        const returnTo = searchParams.get('returnTo') || '';
+        const from = returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : null;
+
+        if (error) {
+            navigate('/login', { replace: true, state: { error, from } });
+            return;
+        }
+
+        refreshAccessToken()
+            .then(() => navigate(from || '/dashboard', { replace: true }))
+            .catch(() => {
+                navigate('/login', { replace: true, state: { error: 'Single sign-on failed. Please try again.', from } });
+            });
+    }, [navigate, searchParams]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900">
+            <p className="text-slate-400">Signing you in...</p>
+        </div>
+    );
+};
+
+export default SsoCallback;
@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import API from '../api/axios';
+import useAuthStore from '../store/authStore';
+
+/**
+ * Verify Email Page
+ * Opened from the link in the verification email (?token=…).
+ */
+const VerifyEmail = () => {
+    const [searchParams] = useSearchParams();
+    const { token, updateUser } = useAuthStore();
+    const [status, setStatus] = useState({ state: 'verifying', message: '' });
+    // The link works once — do not send it twice (e.g. StrictMode effects)
+    const hasSent = useRef(false);
+
+    useEffect(() => {
+        if (hasSent.current) return;
+        hasSent.current = true;
+
+        API.post('/auth/verify-email', { token: searchParams.get('token') })
+            .then(() => {
+                updateUser({ isEmailVerified: true });
+                setStatus({ state: 'verified', message: 'Your email address is verified.' });
+            })
+            .catch((err) => {
+                setStatus({
+                    state: 'failed',
+                    message: err.response?.data?.message || 'Verification failed',
+                });
+            });
+    }, [searchParams, updateUser]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 px-4">
+            <div className="w-full max-w-md">
+                <div className="text-center mb-8">
+                    <h1 className="text-4xl font-bold text-white mb-2">
+                        STD<span className="text-blue-500">collab</span>
+                    </h1>
+                    <p className="text-slate-400">Email verification</p>
+                </div>
+
+                <div className="bg-slate-800 rounded-2xl p-8 shadow-xl border border-slate-700 text-center">
+                    {status.state === 'verifying' && (
+                        <p className="text-slate-400">Verifying your email address...</p>
+                    )}
+                    {status.state === 'verified' && (
+                        <p className="text-emerald-400">✅ {status.message}</p>
+                    )}
+                    {status.state === 'failed' && (
+                        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg text-sm">
+                            {status.message}
+                            {token && ' — you can ask for a new link on the dashboard.'}
+                        </div>
+                    )}
+
+                    {status.state !== 'verifying' && (
+                        <Link
+                            to={token ? '/dashboard' : '/login'}
+                            className="inline-block mt-6 text-blue-400 hover:text-blue-300 font-medium text-sm transition"
+                        >
+                            {token ? 'Go to the dashboard' : 'Sign in'}
+                        </Link>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;
@@ -1,14 +1,18 @@
 import { io } from 'socket.io-client';
+import { refreshAccessToken, signOut } from '../api/axios';
 
 /**
  * Socket.IO Client Singleton
  * 
  * Creates a single socket connection to the backend.
  * Auto-connects to the server at the same origin (proxied via Vite in dev).
+ * The JWT is sent in the handshake; the server rejects connections without it.
+ * An expired one is renewed once per failed connect, and a session revoked
+ * from another device signs this one out.
  * 
  * Usage:
  *   import socket from '../socket/socket';
- *   socket.emit('join-room', { roomId, userId, userName });
+ *   socket.emit('join-room', { roomId });
  *   socket.on('user-joined', (data) => { ... });
  */
 
@@ -19,15 +23,35 @@ const socket = io(SOCKET_URL, {
     reconnection: true,
     reconnectionAttempts: 5,
     reconnectionDelay: 1000,
+    // Read the token on every (re)connect so it is never stale
+    auth: (cb) => cb({ token: localStorage.getItem('token') }),
 });
 
+let isRetryingAuth = false;
+
 // Debug logging in development
 socket.on('connect', () => {
+    isRetryingAuth = false;
     console.log('🔌 Socket connected:', socket.id);
 });
 
-socket.on('connect_error', (err) => {
+socket.on('connect_error', async (err) => {
     console.error('🔌 Socket connection error:', err.message);
+
+    // Rejected by the server's auth middleware: renew the token and try again
+    if (!socket.active && err.message.startsWith('Not authorized') && !isRetryingAuth) {
+        isRetryingAuth = true;
+        try {
+            await refreshAccessToken();
+            socket.connect();
+        } catch {
+            signOut();
+        }
+    }
+});
+
+socket.on('session-revoked', () => {
+    signOut();
 });
 
 socket.on('disconnect', (reason) => {
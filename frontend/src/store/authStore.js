@@ -1,19 +1,22 @@
 import { create } from 'zustand';
-import API from '../api/axios';
+import API, { setAuthListeners } from '../api/axios';
 
 /**
  * Auth Store (Zustand)
  * 
  * Manages authentication state:
  * - user: Current user object
- * - token: JWT token
+ * - token: Short-lived access token (renewed by api/axios.js with the
+ *   httpOnly refresh token cookie)
  * - isLoading: Loading state for async operations
  * - error: Error message from failed operations
  * 
  * Actions:
  * - register: Create new account
  * - login: Authenticate with credentials
- * - logout: Clear auth state
+ * - joinAsGuest: Get a guest session for one room from an invite link
+ * - updateUser: Merge changes into the stored user (e.g. email verified)
+ * - logout: Revoke the session on the server and clear auth state
  * - clearError: Reset error message
  */
 const useAuthStore = create((set) => ({
@@ -70,9 +73,44 @@ const useAuthStore = create((set) => ({
     },
 
     /**
-     * Logout — clear all auth state
+     * Join a room as a guest (no account)
+     * @param {Object} guestData - { name, invite }
+     */
+    joinAsGuest: async (guestData) => {
+        set({ isLoading: true, error: null });
+        try {
+            const { data } = await API.post('/auth/guest', guestData);
+            const { token, ...user } = data.data;
+
+            // Persist auth data (the token expires after a few hours)
+            localStorage.setItem('token', token);
+            localStorage.setItem('user', JSON.stringify(user));
+
+            set({ user, token, isLoading: false });
+            return true;
+        } catch (error) {
+            const message = error.response?.data?.message || 'Could not join as a guest';
+            set({ error: message, isLoading: false });
+            return false;
+        }
+    },
+
+    /**
+     * Merge changes into the current user
+     * @param {Object} changes - e.g. { isEmailVerified: true }
+     */
+    updateUser: (changes) => set((state) => {
+        if (!state.user) return {};
+        const user = { ...state.user, ...changes };
+        localStorage.setItem('user', JSON.stringify(user));
+        return { user };
+    }),
+
+    /**
+     * Logout — revoke the session (best effort) and clear all auth state
      */
     logout: () => {
+        API.post('/auth/logout', null, { skipAuthRefresh: true }).catch(() => {});
         localStorage.removeItem('token');
         localStorage.removeItem('user');
         set({ user: null, token: null, error: null });
@@ -84,4 +122,24 @@ const useAuthStore = create((set) => ({
     clearError: () => set({ error: null }),
 }));
 
+/**
+ * The user from a refresh, or the stored one when it is the same person with
+ * the same details — a new object would restart effects that depend on it
+ * (e.g. the room's socket connection)
+ */
+const sameOrNewUser = (current, next) => {
+    if (!current || current._id !== next._id) return next;
+    const keys = new Set([...Object.keys(current), ...Object.keys(next)]);
+    return [...keys].every((key) => current[key] === next[key]) ? current : next;
+};
+
+// Keep the store in step with silent refreshes and forced sign-outs
+setAuthListeners({
+    onRefresh: ({ token, user }) => useAuthStore.setState((state) => ({
+        token,
+        user: sameOrNewUser(state.user, user),
+    })),
+    onSignOut: () => useAuthStore.setState({ user: null, token: null }),
+});
+
 export default useAuthStore;
@@ -0,0 +1,40 @@
+/**
+ * Editor Document (client side of backend/src/utils/editorDoc.js)
+ *
+ * A room's shared notes and code, as one Yjs document:
+ * - notes: Y.Text, Markdown
+ * - code: Y.Text, source code
+ * - settings: Y.Map, `language` of the code
+ */
+
+export const CODE_LANGUAGES = [
+    { id: 'javascript', label: 'JavaScript' },
+    { id: 'typescript', label: 'TypeScript' },
+    { id: 'python', label: 'Python' },
+    { id: 'java', label: 'Java' },
+    { id: 'c', label: 'C' },
+    { id: 'cpp', label: 'C++' },
+    { id: 'plaintext', label: 'Plain text' },
+];
+
+export const DEFAULT_LANGUAGE = 'javascript';
+
+export const getEditorText = (doc, name) => doc.getText(name);
+
+export const getSettingsMap = (doc) => doc.getMap('settings');
+
+export const getCodeLanguage = (doc) => {
+    const language = getSettingsMap(doc).get('language');
+    return CODE_LANGUAGES.some((l) => l.id === language) ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Replace a document's whole text (restoring a version), as one edit
+ */
+export const replaceText = (doc, name, text) => {
+    const ytext = getEditorText(doc, name);
+    doc.transact(() => {
+        ytext.delete(0, ytext.length);
+        ytext.insert(0, text);
+    });
+};
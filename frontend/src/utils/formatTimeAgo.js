@@ -0,0 +1,23 @@
+const UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+];
+
+const relativeTime = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+/**
+ * Format a past date as "5 minutes ago", "yesterday", ...
+ */
+const formatTimeAgo = (date) => {
+    const seconds = (Date.now() - new Date(date).getTime()) / 1000;
+    for (const [unit, size] of UNITS) {
+        if (seconds >= size) return relativeTime.format(-Math.floor(seconds / size), unit);
+    }
+    return 'just now';
+};
+
+export default formatTimeAgo;
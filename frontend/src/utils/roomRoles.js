@@ -0,0 +1,31 @@
+/**
+ * Room Roles (client mirror of backend/src/utils/roomRoles.js)
+ *
+ * Used only to decide which controls to show —
+ * the server re-checks every action.
+ */
+export const ROLES = ['viewer', 'participant', 'moderator', 'owner'];
+
+// Guests join as viewers and can at most be made participants
+export const GUEST_ROLES = ['viewer', 'participant'];
+
+const rankOf = (role) => ROLES.indexOf(role);
+
+export const canModerate = (role) => rankOf(role) >= rankOf('moderator');
+
+export const canContribute = (role) => rankOf(role) >= rankOf('participant');
+
+export const canManage = (actorRole, targetRole) => {
+    return canModerate(actorRole) && rankOf(actorRole) > rankOf(targetRole);
+};
+
+/**
+ * Roles `actorRole` may hand out (to a guest, if `isGuest`), lowest first
+ */
+export const getAssignableRoles = (actorRole, isGuest = false) => {
+    return ROLES.filter((role) => (
+        role !== 'owner'
+        && rankOf(actorRole) > rankOf(role)
+        && (!isGuest || GUEST_ROLES.includes(role))
+    ));
+};
@@ -0,0 +1,191 @@
+/**
+ * Session Mixer
+ *
+ * Combines every participant's camera, screen and microphone into a single
+ * MediaStream for recording: video is composited onto a canvas, audio is
+ * mixed with the Web Audio API.
+ *
+ * Layout follows the room: a grid of cameras, or — while someone presents —
+ * the screen large with the cameras in a column next to it.
+ *
+ * Usage:
+ *   const mixer = createSessionMixer();
+ *   mixer.setSources([{ id, stream, label, isScreen }]);
+ *   new MediaRecorder(mixer.stream);
+ *   mixer.stop();
+ */
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 15;
+const GAP = 8;
+
+/**
+ * Draw a video frame into a box, letterboxed to keep its aspect ratio
+ */
+const drawVideo = (ctx, video, x, y, w, h) => {
+    const scale = Math.min(w / video.videoWidth, h / video.videoHeight);
+    const dw = video.videoWidth * scale;
+    const dh = video.videoHeight * scale;
+    ctx.drawImage(video, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+};
+
+/**
+ * Draw one participant tile (video, or their initial when there is none)
+ */
+const drawTile = (ctx, source, x, y, w, h) => {
+    ctx.fillStyle = '#1e293b'; // slate-800
+    ctx.fillRect(x, y, w, h);
+
+    const { video, label } = source;
+    const hasVideo = video.videoWidth > 0 && source.stream.getVideoTracks().some((t) => t.enabled && t.readyState === 'live');
+
+    if (hasVideo) {
+        drawVideo(ctx, video, x, y, w, h);
+    } else {
+        ctx.fillStyle = '#2563eb'; // blue-600
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(Math.min(w, h) / 6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText((label || '?').charAt(0).toUpperCase(), x + w / 2, y + h / 2);
+    }
+
+    if (label && !source.isScreen) {
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        const textWidth = ctx.measureText(label).width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x + 6, y + h - 28, textWidth + 12, 22);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, x + 12, y + h - 10);
+    }
+};
+
+/**
+ * Split an area into an even grid of `count` tiles
+ */
+const gridBoxes = (count, x, y, w, h) => {
+    const cols = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / cols);
+    const tileW = (w - GAP * (cols - 1)) / cols;
+    const tileH = (h - GAP * (rows - 1)) / rows;
+
+    return Array.from({ length: count }, (_, i) => ({
+        x: x + (i % cols) * (tileW + GAP),
+        y: y + Math.floor(i / cols) * (tileH + GAP),
+        w: tileW,
+        h: tileH,
+    }));
+};
+
+const createSessionMixer = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const audioContext = new AudioContext();
+    const audioDestination = audioContext.createMediaStreamDestination();
+
+    // id → { stream, label, isScreen, video, audioNode }
+    const sources = new Map();
+
+    const render = () => {
+        ctx.fillStyle = '#0f172a'; // slate-900
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+        const all = [...sources.values()];
+        const screen = all.find((s) => s.isScreen);
+        const cameras = all.filter((s) => !s.isScreen);
+
+        if (screen) {
+            const sideW = cameras.length > 0 ? WIDTH / 5 : 0;
+            drawTile(ctx, screen, 0, 0, WIDTH - sideW - (sideW ? GAP : 0), HEIGHT);
+
+            // Cameras stacked on the right, at most five visible
+            const visible = cameras.slice(0, 5);
+            const tileH = Math.min((HEIGHT - GAP * (visible.length - 1)) / visible.length, sideW * 0.75);
+            visible.forEach((source, i) => {
+                drawTile(ctx, source, WIDTH - sideW, i * (tileH + GAP), sideW, tileH);
+            });
+        } else {
+            const boxes = gridBoxes(cameras.length, GAP, GAP, WIDTH - GAP * 2, HEIGHT - GAP * 2);
+            cameras.forEach((source, i) => {
+                const { x, y, w, h } = boxes[i];
+                drawTile(ctx, source, x, y, w, h);
+            });
+        }
+    };
+
+    // A timer rather than requestAnimationFrame so recording continues while
+    // the tab is in the background (browsers still slow it down there)
+    const renderTimer = setInterval(render, 1000 / FPS);
+
+    const [videoTrack] = canvas.captureStream(FPS).getVideoTracks();
+    const [audioTrack] = audioDestination.stream.getAudioTracks();
+
+    const removeSource = (id) => {
+        const source = sources.get(id);
+        if (!source) return;
+
+        source.audioNode?.disconnect();
+        source.video.srcObject = null;
+        sources.delete(id);
+    };
+
+    return {
+        stream: new MediaStream([videoTrack, audioTrack]),
+
+        /**
+         * Replace the set of streams being mixed
+         * @param {Array<{ id: string, stream: MediaStream, label: string, isScreen?: boolean }>} list
+         */
+        setSources: (list) => {
+            const ids = new Set(list.map((s) => s.id));
+            [...sources.keys()].forEach((id) => {
+                if (!ids.has(id)) removeSource(id);
+            });
+
+            list.forEach(({ id, stream, label, isScreen = false }) => {
+                const existing = sources.get(id);
+                if (existing && existing.stream === stream) {
+                    existing.label = label;
+                    existing.isScreen = isScreen;
+                    return;
+                }
+                removeSource(id);
+
+                const video = document.createElement('video');
+                video.muted = true; // audio goes through the mixer, not the element
+                video.playsInline = true;
+                video.srcObject = stream;
+                video.play().catch(() => {});
+
+                const audioNode = stream.getAudioTracks().length > 0
+                    ? audioContext.createMediaStreamSource(stream)
+                    : null;
+                audioNode?.connect(audioDestination);
+
+                sources.set(id, { stream, label, isScreen, video, audioNode });
+            });
+        },
+
+        /**
+         * Stop mixing and release everything (the source streams keep running)
+         */
+        stop: () => {
+            clearInterval(renderTimer);
+            [...sources.keys()].forEach(removeSource);
+            videoTrack.stop();
+            audioTrack.stop();
+            audioContext.close();
+        },
+    };
+};
+
+export default createSessionMixer;
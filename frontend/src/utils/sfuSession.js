@@ -0,0 +1,199 @@
+import { Device } from 'mediasoup-client';
+import socket from '../socket/socket';
+
+/**
+ * SFU Session (client side of backend/src/sockets/sfuSocket.js)
+ *
+ * Used by useWebRTC once a room switches to SFU mode. Instead of one
+ * RTCPeerConnection per participant, the browser keeps two transports to
+ * the server's mediasoup router: one to send our tracks, one to receive
+ * everyone else's.
+ *
+ * Usage:
+ *   const session = await createSfuSession({ roomId, iceServers, onTrack, onTrackEnded });
+ *   const producer = await session.produce(track, 'camera');
+ *   session.closeProducer(producer);
+ *   session.close();
+ */
+
+// How long a `disconnected` transport may try to recover before an ICE restart
+const DISCONNECT_GRACE_MS = 4000;
+
+/**
+ * Emit an SFU event and wait for the server's acknowledgement
+ */
+const request = (event, payload) => {
+    return new Promise((resolve, reject) => {
+        socket.emit(event, payload, (response) => {
+            if (response?.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response?.message || `${event} failed`));
+            }
+        });
+    });
+};
+
+/**
+ * Join a room's SFU router and start receiving everyone's media
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {RTCIceServer[]} options.iceServers - STUN/TURN servers (from GET /api/rtc/ice-servers)
+ * @param {Function} options.onTrack - ({ socketId, userName, source, track }) for each remote track
+ * @param {Function} options.onTrackEnded - ({ socketId, source, track }) when a remote track stops
+ * @param {Function} options.onConnectionStateChange - (state) of the receive transport
+ */
+const createSfuSession = async ({ roomId, iceServers, onTrack, onTrackEnded, onConnectionStateChange }) => {
+    const { rtpCapabilities, producers } = await request('sfu-join', { roomId });
+
+    const device = new Device();
+    await device.load({ routerRtpCapabilities: rtpCapabilities });
+
+    const consumers = new Map(); // producerId → { consumer, socketId, source }
+    let isClosed = false;
+
+    /**
+     * Create a send or receive transport and wire its signalling
+     */
+    const createTransport = async (direction) => {
+        const params = await request('sfu-create-transport', { roomId, direction });
+        const transport = direction === 'send'
+            ? device.createSendTransport({ ...params, iceServers })
+            : device.createRecvTransport({ ...params, iceServers });
+
+        transport.on('connect', ({ dtlsParameters }, callback, errback) => {
+            request('sfu-connect-transport', { roomId, transportId: transport.id, dtlsParameters })
+                .then(callback)
+                .catch(errback);
+        });
+
+        if (direction === 'send') {
+            transport.on('produce', ({ kind, rtpParameters, appData }, callback, errback) => {
+                request('sfu-produce', { roomId, transportId: transport.id, kind, rtpParameters, appData })
+                    .then(({ id }) => callback({ id }))
+                    .catch(errback);
+            });
+        }
+
+        // Same recovery as the mesh: grace period on `disconnected`, restart on `failed`
+        let restartTimer = null;
+        const restartIce = async () => {
+            restartTimer = null;
+            if (isClosed || transport.connectionState === 'connected') return;
+            try {
+                const { iceParameters } = await request('sfu-restart-ice', { roomId, transportId: transport.id });
+                await transport.restartIce({ iceParameters });
+            } catch (error) {
+                console.error(`❌ SFU ${direction} ICE restart failed:`, error);
+            }
+        };
+
+        transport.on('connectionstatechange', (state) => {
+            clearTimeout(restartTimer);
+            if (state === 'disconnected') {
+                restartTimer = setTimeout(restartIce, DISCONNECT_GRACE_MS);
+            } else if (state === 'failed') {
+                restartIce();
+            }
+            if (direction === 'recv') {
+                onConnectionStateChange?.(state);
+            }
+        });
+
+        return transport;
+    };
+
+    const sendTransport = await createTransport('send');
+    const recvTransport = await createTransport('recv');
+
+    /**
+     * Start receiving one remote producer
+     */
+    const consume = async ({ producerId }) => {
+        if (isClosed || consumers.has(producerId)) return;
+
+        try {
+            const data = await request('sfu-consume', {
+                roomId,
+                transportId: recvTransport.id,
+                producerId,
+                rtpCapabilities: device.rtpCapabilities,
+            });
+
+            const consumer = await recvTransport.consume({
+                id: data.id,
+                producerId: data.producerId,
+                kind: data.kind,
+                rtpParameters: data.rtpParameters,
+            });
+            consumers.set(producerId, { consumer, socketId: data.socketId, source: data.source });
+
+            onTrack({
+                socketId: data.socketId,
+                userName: data.userName,
+                source: data.source,
+                track: consumer.track,
+            });
+
+            // The server created it paused — start the media now that the track is wired up
+            await request('sfu-resume-consumer', { roomId, consumerId: consumer.id });
+        } catch (error) {
+            console.error('❌ Failed to consume SFU producer:', error);
+        }
+    };
+
+    const handleNewProducer = (producer) => {
+        consume(producer);
+    };
+
+    const handleProducerClosed = ({ producerId }) => {
+        const entry = consumers.get(producerId);
+        if (!entry) return;
+
+        consumers.delete(producerId);
+        entry.consumer.close();
+        onTrackEnded({ socketId: entry.socketId, source: entry.source, track: entry.consumer.track });
+    };
+
+    socket.on('sfu-new-producer', handleNewProducer);
+    socket.on('sfu-producer-closed', handleProducerClosed);
+
+    // Everything that was already being sent before we arrived
+    await Promise.all(producers.map(consume));
+
+    return {
+        /**
+         * Send a local track through the router
+         * @param {MediaStreamTrack} track
+         * @param {'camera'|'mic'|'screen'} source
+         */
+        produce: (track, source) => {
+            return sendTransport.produce({ track, appData: { source } });
+        },
+
+        /**
+         * Stop sending a track
+         */
+        closeProducer: (producer) => {
+            if (!producer || producer.closed) return;
+            producer.close();
+            request('sfu-close-producer', { roomId, producerId: producer.id }).catch((error) => {
+                console.error('❌ Failed to close SFU producer:', error);
+            });
+        },
+
+        /**
+         * Leave the router (closes every producer and consumer)
+         */
+        close: () => {
+            isClosed = true;
+            socket.off('sfu-new-producer', handleNewProducer);
+            socket.off('sfu-producer-closed', handleProducerClosed);
+            sendTransport.close();
+            recvTransport.close();
+            consumers.clear();
+        },
+    };
+};
+
+export default createSfuSession;
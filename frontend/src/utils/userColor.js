@@ -0,0 +1,13 @@
+const USER_COLORS = ['#f97316', '#22c55e', '#06b6d4', '#a855f7', '#ec4899', '#eab308', '#ef4444', '#3b82f6'];
+
+/**
+ * Same colour for a user everywhere — whiteboard cursors, editor carets —
+ * and on every visit
+ */
+const userColor = (userId) => {
+    let hash = 0;
+    for (const char of String(userId)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
+
+export default userColor;
@@ -0,0 +1,166 @@
+import * as Y from 'yjs';
+
+/**
+ * Whiteboard Document (client side of backend/src/utils/whiteboardDoc.js)
+ *
+ * The room's whiteboard elements as a Yjs document — a CRDT, so our edits and
+ * everyone else's merge the same way wherever they meet, in any order, even
+ * after we were disconnected for a while.
+ *
+ * The document holds one map, `elements`: element ID → Y.Map of the
+ * element's fields, each of which merges on its own. Besides the fields of
+ * whiteboardElements.js an element has an `order` (drawing order; equal
+ * orders are sorted by ID) and keeps its points compact-encoded, exactly as
+ * the server stores them (tenths of a pixel, delta + zigzag varints, and
+ * pressures as one byte per point).
+ */
+
+const ELEMENTS_KEY = 'elements';
+const POINT_PRECISION = 10; // tenths of a pixel
+
+export const getElementsMap = (doc) => doc.getMap(ELEMENTS_KEY);
+
+let lastOrder = 0;
+
+/**
+ * Increasing drawing order for new elements (later = on top)
+ */
+const nextOrder = () => {
+    lastOrder = Math.max(lastOrder + 1, Date.now());
+    return lastOrder;
+};
+
+/**
+ * Sort by drawing order
+ */
+export const compareOrder = (a, b) => {
+    if (a.order !== b.order) return a.order - b.order;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+};
+
+// ─── Compact Points ───
+
+const encodePoints = (points) => {
+    const bytes = [];
+    const writeVarint = (n) => {
+        let z = n >= 0 ? n * 2 : -n * 2 - 1; // zigzag: small negatives stay small
+        while (z >= 0x80) {
+            bytes.push((z % 0x80) | 0x80);
+            z = Math.floor(z / 0x80);
+        }
+        bytes.push(z);
+    };
+
+    let prevX = 0;
+    let prevY = 0;
+    points.forEach(([px, py]) => {
+        const x = Math.round(px * POINT_PRECISION);
+        const y = Math.round(py * POINT_PRECISION);
+        writeVarint(x - prevX);
+        writeVarint(y - prevY);
+        prevX = x;
+        prevY = y;
+    });
+
+    return new Uint8Array(bytes);
+};
+
+const encodePressures = (points) => {
+    if (!points.some((p) => p.length > 2)) return null;
+    return new Uint8Array(points.map((p) => Math.round((p[2] ?? 0.5) * 255)));
+};
+
+const decodePoints = (bytes, pressures) => {
+    let i = 0;
+    const readVarint = () => {
+        let z = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = bytes[i];
+            i += 1;
+            z += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return z % 2 === 0 ? z / 2 : -(z + 1) / 2;
+    };
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    while (i < bytes.length) {
+        x += readVarint();
+        y += readVarint();
+        points.push([x / POINT_PRECISION, y / POINT_PRECISION]);
+    }
+
+    if (pressures?.length === points.length) {
+        points.forEach((p, index) => p.push(Math.round((pressures[index] / 255) * 100) / 100));
+    }
+    return points;
+};
+
+// ─── Elements ───
+
+/**
+ * Element fields → document fields (a stroke without pressure gets
+ * `pressures: null`, so older pressures are cleared)
+ */
+const toDocFields = (fields) => {
+    if (!fields.points) return fields;
+    const { points, ...rest } = fields;
+    return { ...rest, points: encodePoints(points), pressures: encodePressures(points) };
+};
+
+/**
+ * Add an element (or replace one with the same ID); without an order it
+ * goes on top
+ */
+export const writeElement = (doc, element) => {
+    const map = new Y.Map();
+    Object.entries(toDocFields({ ...element, order: element.order ?? nextOrder() })).forEach(([key, value]) => {
+        if (value !== undefined) map.set(key, value);
+    });
+    getElementsMap(doc).set(element.id, map);
+};
+
+/**
+ * Change some fields of an element (an undefined value removes the field)
+ */
+export const updateElement = (doc, id, changes) => {
+    const map = getElementsMap(doc).get(id);
+    if (!(map instanceof Y.Map)) return;
+    Object.entries(toDocFields(changes)).forEach(([key, value]) => {
+        if (value === undefined) map.delete(key);
+        else map.set(key, value);
+    });
+};
+
+export const deleteElement = (doc, id) => {
+    getElementsMap(doc).delete(id);
+};
+
+/**
+ * Document element (Y.Map) → element, with its order and decoded points
+ */
+export const readElement = (map) => {
+    const { points, pressures, ...fields } = map.toJSON();
+    if (!(points instanceof Uint8Array)) return fields;
+    return { ...fields, points: decodePoints(points, pressures instanceof Uint8Array ? pressures : null) };
+};
+
+/**
+ * IDs of the elements changed by a batch of observeDeep events on the elements map
+ */
+export const changedElementIds = (events) => {
+    const ids = new Set();
+    events.forEach((event) => {
+        if (event.path.length === 0) {
+            event.keysChanged.forEach((id) => ids.add(id));
+        } else {
+            ids.add(event.path[0]);
+        }
+    });
+    return ids;
+};
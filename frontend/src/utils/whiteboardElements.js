@@ -0,0 +1,675 @@
+/**
+ * Whiteboard Elements (client side of backend/src/utils/whiteboardElements.js)
+ *
+ * Drawing, hit testing and geometry for typed whiteboard elements:
+ * path, line, arrow, rect, ellipse, text, sticky and image. Images are
+ * uploaded room files (`fileId`) and always lie behind everything else on
+ * their page, as backgrounds.
+ *
+ * Every element has a bounding box (x, y, width, height) in world
+ * coordinates of its page. Point-based elements (path, line, arrow) keep
+ * `points` relative to (x, y), so moving only changes x/y and resizing
+ * scales the points. Pen strokes may carry pressure (0-1) as a third value
+ * of each point, [x, y, pressure], which sets the width along the stroke.
+ *
+ * Pages are infinite: a view { x, y, zoom } says which world point is at the
+ * canvas' top-left corner and how far we are zoomed in. Views are per user.
+ *
+ * Highlighter marks are not elements: they are { pageId, strokeColor,
+ * strokeWidth, points (absolute), updatedAt } and fade out shortly after
+ * their last point.
+ *
+ * Shared by the live Whiteboard and the recording player.
+ */
+
+// Canvas size in pixels (the viewport onto the page, not the page size)
+export const BOARD_WIDTH = 1280;
+export const BOARD_HEIGHT = 720;
+
+export const DEFAULT_VIEW = { x: 0, y: 0, zoom: 1 };
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 5;
+const GRID_SPACING = 40;
+
+// Pressure of a stroke drawn without one (mouse, touch): its plain width
+export const DEFAULT_PRESSURE = 0.5;
+
+export const STICKY_COLOR = '#fde68a';
+export const DEFAULT_FONT_SIZE = 20;
+const TEXT_PADDING = 12;
+const HANDLE_SIZE = 10;
+
+// A highlighter mark stays this long after its last point, then fades out
+const HIGHLIGHT_HOLD_MS = 1500;
+const HIGHLIGHT_FADE_MS = 1500;
+const HIGHLIGHT_OPACITY = 0.45;
+
+const POINT_TYPES = ['path', 'line', 'arrow'];
+
+export const isPointElement = (el) => POINT_TYPES.includes(el.type);
+
+export const isTextElement = (el) => el.type === 'text' || el.type === 'sticky';
+
+/**
+ * Elements in the order they are drawn: images (backgrounds) first,
+ * everything else in its own order on top
+ */
+export const inDrawingOrder = (elements) => [
+    ...elements.filter((el) => el.type === 'image'),
+    ...elements.filter((el) => el.type !== 'image'),
+];
+
+export const createElementId = () => crypto.randomUUID();
+
+/**
+ * Bounding box + relative points for a list of absolute points
+ * (a pressure stays with its point)
+ */
+export const fromPoints = (absolutePoints) => {
+    const xs = absolutePoints.map(([x]) => x);
+    const ys = absolutePoints.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+
+    return {
+        x,
+        y,
+        width: Math.max(...xs) - x,
+        height: Math.max(...ys) - y,
+        points: absolutePoints.map(([px, py, ...pressure]) => [px - x, py - y, ...pressure]),
+    };
+};
+
+/**
+ * Distance from (px, py) to the segment between two points
+ */
+const distanceToSegment = (px, py, [x1, y1], [x2, y2]) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+/**
+ * Drop points that lie within `tolerance` of the line through their
+ * neighbours (Ramer-Douglas-Peucker), so a stroke keeps its shape with far
+ * fewer points. The first and last points are always kept.
+ */
+export const simplifyPoints = (points, tolerance = 0.5) => {
+    if (points.length <= 2) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i += 1) {
+            const distance = distanceToSegment(points[i][0], points[i][1], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Box with non-negative width/height (boxes dragged up or left start negative)
+ */
+export const normalizeBox = ({ x, y, width, height }) => ({
+    x: width < 0 ? x + width : x,
+    y: height < 0 ? y + height : y,
+    width: Math.abs(width),
+    height: Math.abs(height),
+});
+
+/**
+ * Convert a legacy freehand segment ({ x0, y0, x1, y1, color, lineWidth })
+ * to a path element (old recordings still contain them)
+ */
+export const fromLegacySegment = (s, id) => ({
+    id,
+    type: 'path',
+    ...fromPoints([[s.x0, s.y0], [s.x1, s.y1]]),
+    strokeColor: s.color,
+    strokeWidth: s.lineWidth,
+});
+
+// ─── View ───
+
+/**
+ * World coordinates of a canvas pixel
+ */
+export const screenToWorld = (view, sx, sy) => ({
+    x: view.x + sx / view.zoom,
+    y: view.y + sy / view.zoom,
+});
+
+/**
+ * Zoom by `factor`, keeping the world point under canvas pixel (sx, sy) in place
+ */
+export const zoomAt = (view, factor, sx, sy) => {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+    const anchor = screenToWorld(view, sx, sy);
+    return {
+        x: anchor.x - sx / zoom,
+        y: anchor.y - sy / zoom,
+        zoom,
+    };
+};
+
+/**
+ * View that shows every element (at most 100%), or the default view when there are none
+ */
+export const fitView = (elements, width = BOARD_WIDTH, height = BOARD_HEIGHT, padding = 40) => {
+    if (elements.length === 0) return DEFAULT_VIEW;
+
+    const boxes = elements.map(normalizeBox);
+    const left = Math.min(...boxes.map((b) => b.x));
+    const top = Math.min(...boxes.map((b) => b.y));
+    const right = Math.max(...boxes.map((b) => b.x + b.width));
+    const bottom = Math.max(...boxes.map((b) => b.y + b.height));
+
+    const zoom = Math.min(
+        1,
+        (width - padding * 2) / Math.max(right - left, 1),
+        (height - padding * 2) / Math.max(bottom - top, 1)
+    );
+    const clamped = Math.max(MIN_ZOOM, zoom);
+    return {
+        x: (left + right) / 2 - width / 2 / clamped,
+        y: (top + bottom) / 2 - height / 2 / clamped,
+        zoom: clamped,
+    };
+};
+
+/**
+ * Dot grid, so panning is visible on an empty page
+ */
+const drawGrid = (ctx, view) => {
+    const spacing = GRID_SPACING * view.zoom;
+    if (spacing < 8) return; // too dense to be useful
+
+    const offsetX = -(view.x * view.zoom) % spacing;
+    const offsetY = -(view.y * view.zoom) % spacing;
+    ctx.fillStyle = 'rgba(148, 163, 184, 0.25)'; // slate-400
+    for (let x = offsetX; x < ctx.canvas.width; x += spacing) {
+        for (let y = offsetY; y < ctx.canvas.height; y += spacing) {
+            ctx.fillRect(x - 1, y - 1, 2, 2);
+        }
+    }
+};
+
+// ─── Drawing ───
+
+// fileId → HTMLImageElement, shared by every board on the page
+const imageCache = new Map();
+
+/**
+ * Image of a room file; `onLoad` is called once it has arrived, if it was not cached
+ */
+export const getImage = (fileId, onLoad) => {
+    let image = imageCache.get(fileId);
+    if (!image) {
+        image = new Image();
+        image.src = `/api/files/download/${fileId}?token=${localStorage.getItem('token')}`;
+        imageCache.set(fileId, image);
+    }
+    if (!image.complete && onLoad) {
+        image.addEventListener('load', onLoad, { once: true });
+    }
+    return image;
+};
+
+/**
+ * Split text into lines that fit `maxWidth` (explicit newlines are kept)
+ */
+const wrapText = (ctx, text, maxWidth) => {
+    const lines = [];
+    (text || '').split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+const drawArrowHead = (ctx, [fromX, fromY], [toX, toY], size) => {
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    ctx.beginPath();
+    ctx.moveTo(toX, toY);
+    ctx.lineTo(toX - size * Math.cos(angle - Math.PI / 6), toY - size * Math.sin(angle - Math.PI / 6));
+    ctx.moveTo(toX, toY);
+    ctx.lineTo(toX - size * Math.cos(angle + Math.PI / 6), toY - size * Math.sin(angle + Math.PI / 6));
+    ctx.stroke();
+};
+
+/**
+ * Width of a pen stroke at some pressure (DEFAULT_PRESSURE gives `strokeWidth`)
+ */
+const pressureWidth = (strokeWidth, pressure) => strokeWidth * (0.3 + 1.4 * pressure);
+
+/**
+ * A stroke with pressure: each segment with its own width
+ */
+const drawPressureStroke = (ctx, el) => {
+    const width = ctx.lineWidth;
+    const points = el.points.map(([px, py, pressure = DEFAULT_PRESSURE]) => [el.x + px, el.y + py, pressure]);
+    if (points.length === 1) points.push([points[0][0] + 0.01, points[0][1], points[0][2]]);
+
+    points.slice(1).forEach((to, i) => {
+        const from = points[i];
+        ctx.lineWidth = pressureWidth(width, (from[2] + to[2]) / 2);
+        ctx.beginPath();
+        ctx.moveTo(from[0], from[1]);
+        ctx.lineTo(to[0], to[1]);
+        ctx.stroke();
+    });
+};
+
+const drawText = (ctx, el, color, padding) => {
+    const fontSize = el.fontSize || DEFAULT_FONT_SIZE;
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+
+    const lineHeight = fontSize * 1.3;
+    wrapText(ctx, el.text, Math.max(el.width - padding * 2, fontSize)).forEach((line, i) => {
+        ctx.fillText(line, el.x + padding, el.y + padding + i * lineHeight);
+    });
+};
+
+/**
+ * Draw one element (`onImageLoad` redraws once an image that is still loading arrives)
+ */
+export const drawElement = (ctx, el, onImageLoad) => {
+    ctx.save();
+    ctx.strokeStyle = el.strokeColor || '#ffffff';
+    ctx.lineWidth = el.strokeWidth || 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (el.type) {
+        case 'path':
+        case 'line':
+        case 'arrow': {
+            if (el.type === 'path' && el.points.some((p) => p.length > 2)) {
+                drawPressureStroke(ctx, el);
+                break;
+            }
+
+            const points = el.points.map(([px, py]) => [el.x + px, el.y + py]);
+            ctx.beginPath();
+            ctx.moveTo(points[0][0], points[0][1]);
+            if (points.length === 1) {
+                // A single click still leaves a dot
+                ctx.lineTo(points[0][0] + 0.01, points[0][1]);
+            }
+            points.slice(1).forEach(([px, py]) => ctx.lineTo(px, py));
+            ctx.stroke();
+
+            if (el.type === 'arrow' && points.length >= 2) {
+                drawArrowHead(ctx, points[points.length - 2], points[points.length - 1], Math.max(12, ctx.lineWidth * 4));
+            }
+            break;
+        }
+        case 'rect': {
+            const { x, y, width, height } = normalizeBox(el);
+            if (el.fillColor && el.fillColor !== 'transparent') {
+                ctx.fillStyle = el.fillColor;
+                ctx.fillRect(x, y, width, height);
+            }
+            ctx.strokeRect(x, y, width, height);
+            break;
+        }
+        case 'ellipse': {
+            const { x, y, width, height } = normalizeBox(el);
+            ctx.beginPath();
+            ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+            if (el.fillColor && el.fillColor !== 'transparent') {
+                ctx.fillStyle = el.fillColor;
+                ctx.fill();
+            }
+            ctx.stroke();
+            break;
+        }
+        case 'text':
+            drawText(ctx, el, el.strokeColor || '#ffffff', 0);
+            break;
+        case 'sticky':
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+            ctx.shadowBlur = 8;
+            ctx.shadowOffsetY = 3;
+            ctx.fillStyle = el.fillColor || STICKY_COLOR;
+            ctx.fillRect(el.x, el.y, el.width, el.height);
+            ctx.shadowColor = 'transparent';
+            drawText(ctx, el, '#1e293b', TEXT_PADDING);
+            break;
+        case 'image': {
+            const { x, y, width, height } = normalizeBox(el);
+            const image = getImage(el.fileId, onImageLoad);
+            if (image.complete && image.naturalWidth > 0) {
+                ctx.drawImage(image, x, y, width, height);
+            } else {
+                // Still loading (or gone): keep its place visible
+                ctx.strokeStyle = 'rgba(148, 163, 184, 0.6)'; // slate-400
+                ctx.lineWidth = 1;
+                ctx.setLineDash([8, 6]);
+                ctx.strokeRect(x, y, width, height);
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    ctx.restore();
+};
+
+/**
+ * Clear the canvas and draw every element in drawing order, as seen through `view`.
+ * The view transform stays set afterwards (for drawSelection).
+ * `onImageLoad` is called when an image that was still loading has arrived.
+ */
+export const drawElements = (ctx, elements, { view = DEFAULT_VIEW, grid = false, onImageLoad } = {}) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    if (grid) drawGrid(ctx, view);
+
+    ctx.setTransform(view.zoom, 0, 0, view.zoom, -view.x * view.zoom, -view.y * view.zoom);
+    inDrawingOrder(elements).forEach((el) => drawElement(ctx, el, onImageLoad));
+};
+
+/**
+ * Draw highlighter marks as they are at `now` (in the view transform left by drawElements)
+ */
+export const drawHighlights = (ctx, highlights, now = Date.now()) => {
+    highlights.forEach((mark) => {
+        const age = now - mark.updatedAt - HIGHLIGHT_HOLD_MS;
+        const opacity = HIGHLIGHT_OPACITY * Math.min(1, Math.max(0, 1 - age / HIGHLIGHT_FADE_MS));
+        if (opacity === 0 || mark.points.length === 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.strokeStyle = mark.strokeColor;
+        ctx.lineWidth = mark.strokeWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(mark.points[0][0], mark.points[0][1]);
+        if (mark.points.length === 1) ctx.lineTo(mark.points[0][0] + 0.01, mark.points[0][1]);
+        mark.points.slice(1).forEach(([px, py]) => ctx.lineTo(px, py));
+        ctx.stroke();
+        ctx.restore();
+    });
+};
+
+/**
+ * Whether a highlighter mark has faded out completely
+ */
+export const isHighlightGone = (mark, now = Date.now()) => {
+    return now - mark.updatedAt > HIGHLIGHT_HOLD_MS + HIGHLIGHT_FADE_MS;
+};
+
+/**
+ * Height a text element needs for its text at its current width
+ */
+export const measureTextHeight = (ctx, el) => {
+    const fontSize = el.fontSize || DEFAULT_FONT_SIZE;
+    const padding = el.type === 'sticky' ? TEXT_PADDING : 0;
+    ctx.save();
+    ctx.font = `${fontSize}px sans-serif`;
+    const lines = wrapText(ctx, el.text, Math.max(el.width - padding * 2, fontSize)).length;
+    ctx.restore();
+    return Math.ceil(lines * fontSize * 1.3 + padding * 2);
+};
+
+// ─── Selection ───
+
+/**
+ * Whether (x, y) is on the element
+ */
+export const hitTest = (el, x, y, tolerance = 6) => {
+    if (isPointElement(el)) {
+        const reach = tolerance + (el.strokeWidth || 3) / 2;
+        const points = el.points.map(([px, py]) => [el.x + px, el.y + py]);
+        if (points.length === 1) {
+            return Math.hypot(x - points[0][0], y - points[0][1]) <= reach;
+        }
+        return points.slice(1).some((p, i) => distanceToSegment(x, y, points[i], p) <= reach);
+    }
+
+    const box = normalizeBox(el);
+    return x >= box.x - tolerance && x <= box.x + box.width + tolerance
+        && y >= box.y - tolerance && y <= box.y + box.height + tolerance;
+};
+
+/**
+ * Topmost element under (x, y), or null
+ */
+export const findElementAt = (elements, x, y, tolerance = 6) => {
+    const ordered = inDrawingOrder(elements);
+    for (let i = ordered.length - 1; i >= 0; i -= 1) {
+        if (hitTest(ordered[i], x, y, tolerance)) return ordered[i];
+    }
+    return null;
+};
+
+/**
+ * Whether (x, y) lies inside a polygon of absolute points (even-odd rule)
+ */
+const isInsidePolygon = (x, y, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Whether an element lies entirely inside a lasso (a closed loop of absolute points):
+ * every point of a stroke or line, every corner of anything else
+ */
+export const isInsideLasso = (el, lasso) => {
+    if (lasso.length < 3) return false;
+    if (isPointElement(el)) {
+        return el.points.every(([px, py]) => isInsidePolygon(el.x + px, el.y + py, lasso));
+    }
+    const box = normalizeBox(el);
+    return [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+        .every(([cx, cy]) => isInsidePolygon(cx, cy, lasso));
+};
+
+/**
+ * Dashed outline of a lasso being drawn (in the view transform left by drawElements)
+ */
+export const drawLasso = (ctx, lasso, zoom = 1) => {
+    if (lasso.length < 2) return;
+    ctx.save();
+    ctx.strokeStyle = '#60a5fa'; // blue-400
+    ctx.fillStyle = 'rgba(96, 165, 250, 0.08)';
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    ctx.beginPath();
+    ctx.moveTo(lasso[0][0], lasso[0][1]);
+    lasso.slice(1).forEach(([px, py]) => ctx.lineTo(px, py));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+};
+
+const HANDLES = {
+    nw: (b) => [b.x, b.y],
+    ne: (b) => [b.x + b.width, b.y],
+    sw: (b) => [b.x, b.y + b.height],
+    se: (b) => [b.x + b.width, b.y + b.height],
+};
+
+/**
+ * Which resize handle of a box is at (x, y), if any
+ * (handles keep their on-screen size at any zoom)
+ */
+export const findHandleAt = (el, x, y, zoom = 1) => {
+    const box = normalizeBox(el);
+    const reach = HANDLE_SIZE / zoom;
+    return Object.keys(HANDLES).find((name) => {
+        const [hx, hy] = HANDLES[name](box);
+        return Math.abs(x - hx) <= reach && Math.abs(y - hy) <= reach;
+    }) || null;
+};
+
+/**
+ * Dashed outline around selected elements, with resize handles
+ * when exactly one element is selected. Drawn in the view transform
+ * left by drawElements, at a constant on-screen size.
+ */
+export const drawSelection = (ctx, elements, zoom = 1) => {
+    ctx.save();
+    ctx.strokeStyle = '#60a5fa'; // blue-400
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+
+    const margin = 4 / zoom;
+    elements.forEach((el) => {
+        const box = normalizeBox(el);
+        ctx.strokeRect(box.x - margin, box.y - margin, box.width + margin * 2, box.height + margin * 2);
+    });
+
+    if (elements.length === 1) {
+        const box = normalizeBox(elements[0]);
+        const size = HANDLE_SIZE / zoom;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        Object.values(HANDLES).forEach((position) => {
+            const [hx, hy] = position(box);
+            ctx.fillRect(hx - size / 2, hy - size / 2, size, size);
+            ctx.strokeRect(hx - size / 2, hy - size / 2, size, size);
+        });
+    }
+
+    ctx.restore();
+};
+
+/**
+ * Changes that resize `original` by dragging `handle` to (x, y)
+ */
+export const resizeElement = (original, handle, x, y) => {
+    const box = normalizeBox(original);
+    let left = box.x;
+    let top = box.y;
+    let right = box.x + box.width;
+    let bottom = box.y + box.height;
+
+    if (handle.includes('w')) left = x;
+    if (handle.includes('e')) right = x;
+    if (handle.includes('n')) top = y;
+    if (handle.includes('s')) bottom = y;
+
+    const next = normalizeBox({ x: left, y: top, width: right - left, height: bottom - top });
+    if (!isPointElement(original)) return next;
+
+    // Scale the points into the new box (a flat line keeps its flat axis),
+    // mirroring them if a handle was dragged past the opposite side
+    const sx = box.width === 0 ? 1 : next.width / box.width;
+    const sy = box.height === 0 ? 1 : next.height / box.height;
+    const flipX = right < left;
+    const flipY = bottom < top;
+    return {
+        ...next,
+        points: original.points.map(([px, py, ...pressure]) => [
+            (flipX ? box.width - px : px) * sx,
+            (flipY ? box.height - py : py) * sy,
+            ...pressure,
+        ]),
+    };
+};
+
+// ─── Erasing ───
+
+/**
+ * Extra points along long segments, so no two neighbours are more than
+ * `step` apart (pressure is interpolated)
+ */
+const densifyPoints = (points, step) => {
+    const dense = [points[0]];
+    points.slice(1).forEach((to, i) => {
+        const from = points[i];
+        const count = Math.ceil(Math.hypot(to[0] - from[0], to[1] - from[1]) / step);
+        for (let k = 1; k < count; k += 1) {
+            const t = k / count;
+            const point = [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
+            if (from.length > 2 || to.length > 2) {
+                const fromPressure = from[2] ?? DEFAULT_PRESSURE;
+                const toPressure = to[2] ?? DEFAULT_PRESSURE;
+                point.push(Math.round((fromPressure + (toPressure - fromPressure) * t) * 100) / 100);
+            }
+            dense.push(point);
+        }
+        dense.push(to);
+    });
+    return dense;
+};
+
+/**
+ * Cut a freehand stroke where an eraser of `radius` moved from `from` to `to`.
+ * Returns null if the eraser missed it, otherwise the pieces left over as new
+ * paths (none if it was erased completely).
+ */
+export const erasePath = (el, from, to, radius) => {
+    const reach = radius + (el.strokeWidth || 3) / 2;
+    const points = densifyPoints(el.points.map(([px, py, ...pressure]) => [el.x + px, el.y + py, ...pressure]), reach / 2);
+    const erased = points.map(([px, py]) => distanceToSegment(px, py, from, to) <= reach);
+    if (!erased.includes(true)) return null;
+
+    const pieces = [];
+    let piece = [];
+    points.forEach((point, i) => {
+        if (!erased[i]) {
+            piece.push(point);
+            return;
+        }
+        if (piece.length > 0) pieces.push(piece);
+        piece = [];
+    });
+    if (piece.length > 0) pieces.push(piece);
+
+    // Crumbs of a point or two are not worth keeping
+    return pieces
+        .filter((p) => p.length > 2)
+        .map((p) => ({ ...el, id: createElementId(), ...fromPoints(simplifyPoints(p, 0.25)) }));
+};
+
+/**
+ * Whether an eraser of `radius` moving from `from` to `to` touches an element
+ */
+export const isErasedBy = (el, from, to, radius) => {
+    const steps = Math.max(1, Math.ceil(Math.hypot(to[0] - from[0], to[1] - from[1]) / radius));
+    for (let i = 0; i <= steps; i += 1) {
+        const t = i / steps;
+        if (hitTest(el, from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t, radius)) return true;
+    }
+    return false;
+};
@@ -0,0 +1,100 @@
+import { BOARD_WIDTH, BOARD_HEIGHT, normalizeBox, inDrawingOrder, drawElement, getImage } from './whiteboardElements';
+
+/**
+ * Whiteboard Export (client side of backend/src/utils/whiteboardExport.js)
+ *
+ * Renders pages to a PNG in the browser, laid out like the server's exports:
+ * each page cropped to its elements, several pages below each other with
+ * their names as titles. SVG, PDF and JSON come from the server's export route.
+ */
+
+const BACKGROUND = '#020617'; // slate-950, as on the board
+const OUTER_BACKGROUND = '#0f172a'; // slate-900, between pages
+const TITLE_COLOR = '#94a3b8';
+const PAGE_PADDING = 40;
+const PAGE_GAP = 40;
+const TITLE_HEIGHT = 48;
+
+// Largest PNG side, in pixels (browsers refuse bigger canvases)
+const MAX_PNG_SIZE = 8192;
+
+/**
+ * Area of a page worth exporting: its elements plus some padding
+ */
+const pageBounds = (elements) => {
+    if (elements.length === 0) return { x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT };
+
+    const boxes = elements.map(normalizeBox);
+    const left = Math.min(...boxes.map((b) => b.x)) - PAGE_PADDING;
+    const top = Math.min(...boxes.map((b) => b.y)) - PAGE_PADDING;
+    const right = Math.max(...boxes.map((b) => b.x + b.width)) + PAGE_PADDING;
+    const bottom = Math.max(...boxes.map((b) => b.y + b.height)) + PAGE_PADDING;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * Render pages ([{ name, elements }]) to a PNG
+ * @returns {Promise<Blob>}
+ */
+export const renderPng = async (pages) => {
+    // Every image has to be there before it can be drawn
+    const images = pages.flatMap((page) => page.elements).filter((el) => el.type === 'image');
+    await Promise.all(images.map((el) => getImage(el.fileId).decode().catch(() => {})));
+
+    const titled = pages.length > 1;
+    let height = 0;
+    let width = 0;
+    const placed = pages.map((page) => {
+        const elements = inDrawingOrder(page.elements);
+        const bounds = pageBounds(elements);
+        const top = height + (titled ? TITLE_HEIGHT : 0);
+        height = top + bounds.height + PAGE_GAP;
+        width = Math.max(width, bounds.width);
+        return { page, elements, bounds, top };
+    });
+    height -= PAGE_GAP;
+
+    const zoom = Math.min(1, MAX_PNG_SIZE / width, MAX_PNG_SIZE / height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * zoom);
+    canvas.height = Math.ceil(height * zoom);
+    const ctx = canvas.getContext('2d');
+
+    ctx.scale(zoom, zoom);
+    ctx.fillStyle = OUTER_BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    placed.forEach(({ page, elements, bounds, top }) => {
+        if (titled) {
+            ctx.fillStyle = TITLE_COLOR;
+            ctx.font = 'bold 20px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(page.name, 0, top - TITLE_HEIGHT / 2);
+        }
+
+        // Each page is clipped to its own area, so pages never draw over each other
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, top, bounds.width, bounds.height);
+        ctx.clip();
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, top, bounds.width, bounds.height);
+        ctx.translate(-bounds.x, top - bounds.y);
+        elements.forEach((el) => drawElement(ctx, el));
+        ctx.restore();
+    });
+
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+};
+
+/**
+ * Save a Blob as a file
+ */
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};